@@ -6,6 +6,7 @@ import {
   Link,
   useParams,
   useNavigate,
+  useSearchParams,
 } from "react-router-dom";
 import { createClient } from "@supabase/supabase-js";
 import {
@@ -22,6 +23,8 @@ import {
   Cell,
   LineChart,
   Line,
+  ErrorBar,
+  ReferenceLine,
 } from "recharts";
 import dogLogo from "./assets/k9-logo.jpg";
 
@@ -36,1948 +39,13442 @@ const palette = {
   citrineBrown: "#8A3B08",
 };
 
-// --- Mock data (fallback si Supabase no está configurado) ---
-const MOCK_ENTRIES = [
-  { id: "A-001", perro: "Lobo", fecha: "2025-10-12" },
-  { id: "A-002", perro: "Mora", fecha: "2025-10-18" },
-  { id: "A-003", perro: "Kira", fecha: "2025-10-21" },
-  { id: "A-004", perro: "Thor", fecha: "2025-10-25" },
+// --- Proveedor de datos demo (sin backend) ---
+// Imita el subconjunto del cliente de Supabase que usa la app (from/select/
+// insert/update/delete/filtros/orden/rango y auth) sobre datos guardados en
+// localStorage. Se usa cuando Supabase no está configurado o con
+// VITE_DEMO_MODE=true (modo entrenamiento).
+
+const DEMO_DB_KEY = "k9:demo-db";
+const DEMO_SESSION_KEY = "k9:demo-session";
+const DEMO_PASSWORD = "demo";
+const DEMO_DB_VERSION = 10;
+
+const DEMO_UNITS = [
+  { code: "AEP", name: "Aeropuerto" },
+  { code: "FRO", name: "Frontera" },
+  { code: "NAR", name: "Narcóticos" },
 ];
 
-// --- Supabase client ---
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+// cross_unit: ve todas las unidades (plana mayor / supervisión)
+const DEMO_PROFILES = [
+  { email: "admin@k9.demo", full_name: "Admin Demo", role: "admin", unit: "AEP", cross_unit: true },
+  { email: "entrenador@k9.demo", full_name: "Entrenador Demo", role: "trainer", unit: "AEP" },
+  { email: "guia@k9.demo", full_name: "Guía Demo", role: "handler", unit: "AEP" },
+  { email: "supervisor@k9.demo", full_name: "Supervisión Demo", role: "viewer", unit: "NAR", cross_unit: true },
+];
 
-let supabase = null;
-if (supabaseUrl && supabaseAnonKey && /^https?:\/\//.test(supabaseUrl)) {
-  supabase = createClient(supabaseUrl, supabaseAnonKey);
-} else {
-  console.warn(
-    "Supabase no configurado o URL inválida. Se usarán datos mock. " +
-      "Revisá VITE_SUPABASE_URL y VITE_SUPABASE_ANON_KEY en tu .env.local"
-  );
-}
+// Guías y los perros con los que forman binomio. fpBias simula un guía que
+// induce marcas falsas en las pasadas en blanco.
+const DEMO_HANDLERS = [
+  { name: "Guía Demo", email: "guia@k9.demo", dogs: ["A-001", "A-004"], fpBias: 0 },
+  { name: "Sgto. Pérez", dogs: ["A-001", "A-002", "A-003"], fpBias: 0.25 },
+  { name: "Cabo Gómez", dogs: ["A-003", "A-005", "A-006", "A-008"], fpBias: 0 },
+  { name: "Agente Ruiz", dogs: ["A-002", "A-004", "A-006", "A-007"], fpBias: 0 },
+];
 
-// --- Auth context: usuario + perfil (rol) ---
-const AuthContext = React.createContext(null);
+// decline: el perro viene rindiendo peor en los últimos días (alerta de regresión)
+const DEMO_DOGS = [
+  { dog_code: "A-001", name: "Lobo", breed: "Pastor Belga Malinois", sex: "M", birthdate: "2019-03-14", unit: "AEP", skill: 0.9 },
+  { dog_code: "A-002", name: "Mora", breed: "Labrador Retriever", sex: "H", birthdate: "2020-07-02", unit: "FRO", skill: 0.82 },
+  { dog_code: "A-003", name: "Kira", breed: "Pastor Alemán", sex: "H", birthdate: "2018-11-20", unit: "FRO", skill: 0.86, decline: { days: 120, drop: 0.3 } },
+  { dog_code: "A-004", name: "Thor", breed: "Pastor Belga Malinois", sex: "M", birthdate: "2021-01-09", unit: "AEP", skill: 0.7 },
+  { dog_code: "A-005", name: "Nala", breed: "Springer Spaniel", sex: "H", birthdate: "2020-04-27", unit: "NAR", skill: 0.88 },
+  { dog_code: "A-006", name: "Rocco", breed: "Labrador Retriever", sex: "M", birthdate: "2022-02-15", unit: "NAR", skill: 0.64 },
+  { dog_code: "A-007", name: "Bruma", breed: "Pastor Holandés", sex: "H", birthdate: "2019-09-30", unit: "NAR", skill: 0.8 },
+  { dog_code: "A-008", name: "Zeus", breed: "Pastor Alemán", sex: "M", birthdate: "2015-06-05", unit: "AEP", skill: 0.75, archived: true },
+];
 
-const useAuth = () => React.useContext(AuthContext);
+// Dificultad relativa de cada sustancia (1 = base) e intervalo de
+// mantenimiento en días (sin intervalo = el predeterminado)
+const DEMO_SCENTS = [
+  { scent: "Cocaína", difficulty: 1, maintenanceDays: 21 },
+  { scent: "Marihuana", difficulty: 0.9, maintenanceDays: 30 },
+  { scent: "Explosivos (TNT)", difficulty: 1.15, maintenanceDays: 14 },
+  { scent: "Pólvora", difficulty: 1.1, maintenanceDays: 14 },
+  { scent: "Divisas", difficulty: 1.25 },
+];
 
-const AuthProvider = ({ children }) => {
-  const [user, setUser] = React.useState(null);
-  const [profile, setProfile] = React.useState(null); // { role, full_name }
-  const [loading, setLoading] = React.useState(true);
+// Definiciones de condiciones (condition_definitions) de la demo
+const DEMO_CONDITION_DEFINITIONS = [
+  { key: "temp", label: "Temperatura", unit: "°C", type: "numeric", min: -30, max: 60 },
+  { key: "wind", label: "Viento", unit: "km/h", type: "numeric", min: 0, max: 150 },
+  { key: "press", label: "Presión", unit: "hPa", type: "numeric", min: 850, max: 1100 },
+  { key: "hum", label: "Humedad", unit: "%", type: "numeric", min: 0, max: 100 },
+  { key: "surface", label: "Superficie", type: "categorical", options: ["Pasto", "Tierra", "Asfalto", "Arena", "Interior"] },
+  { key: "hide_age_min", label: "Tiempo desde la colocación", unit: "min", type: "numeric", min: 0, max: 10080 },
+  { key: "odor_g", label: "Cantidad de olor", unit: "g", type: "numeric", min: 0, max: 5000 },
+  { key: "elevation", label: "Elevación", unit: "m", type: "numeric", min: -100, max: 5000 },
+];
 
-  React.useEffect(() => {
-    if (!supabase) {
-      setLoading(false);
-      return;
-    }
+// Superficies: las interiores son más fáciles, el asfalto caliente más difícil
+const DEMO_SURFACES = [
+  { surface: "Pasto", bonus: 0 },
+  { surface: "Tierra", bonus: 0 },
+  { surface: "Asfalto", bonus: -0.06 },
+  { surface: "Arena", bonus: -0.03 },
+  { surface: "Interior", bonus: 0.04 },
+];
 
-    const loadProfile = async (userId) => {
-      const { data, error } = await supabase
-        .from("profiles")
-        .select("role, full_name")
-        .eq("id", userId)
-        .single();
+// Lugares de entrenamiento de los planes de la demo
+const DEMO_LOCATIONS = [
+  "Terminal de cargas",
+  "Hangar 3",
+  "Paso fronterizo",
+  "Depósito fiscal",
+  "Predio de entrenamiento",
+];
 
-      if (!error && data) {
-        setProfile(data);
-      } else {
-        setProfile(null);
-      }
-    };
+// PRNG determinístico (mulberry32) para que la demo sea reproducible
+const createRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
 
-    const init = async () => {
-      const { data } = await supabase.auth.getSession();
-      const session = data?.session;
-      if (session?.user) {
-        setUser(session.user);
-        await loadProfile(session.user.id);
-      }
-      setLoading(false);
-    };
+const demoId = () =>
+  globalThis.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Genera perros, perfiles y ~450 sesiones del último año
+const generateDemoData = (now = new Date()) => {
+  const rand = createRandom(9);
+  const gauss = () => {
+    const u = 1 - rand();
+    const v = rand();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
-    init();
+  const units = DEMO_UNITS.map((u) => ({
+    id: demoId(),
+    ...u,
+    created_at: new Date(now.getTime() - 400 * 86400000).toISOString(),
+  }));
+  const unitId = (code) => units.find((u) => u.code === code).id;
+
+  const profiles = DEMO_PROFILES.map(({ unit, cross_unit, ...p }) => ({
+    id: demoId(),
+    ...p,
+    unit_id: unitId(unit),
+    cross_unit: Boolean(cross_unit),
+    deactivated_at: null,
+    last_sign_in_at: null,
+    created_at: new Date(now.getTime() - 400 * 86400000).toISOString(),
+  }));
 
-    const {
-      data: { subscription },
-    } = supabase.auth.onAuthStateChange((_event, session) => {
-      if (session?.user) {
-        setUser(session.user);
-        loadProfile(session.user.id);
-      } else {
-        setUser(null);
-        setProfile(null);
+  const dogs = DEMO_DOGS.map((d, i) => ({
+    id: demoId(),
+    dog_code: d.dog_code,
+    name: d.name,
+    breed: d.breed,
+    sex: d.sex,
+    birthdate: d.birthdate,
+    notes: null,
+    unit_id: unitId(d.unit),
+    active: !d.archived,
+    archived_at: d.archived
+      ? new Date(now.getTime() - 60 * 86400000).toISOString()
+      : null,
+    created_at: new Date(now.getTime() - (380 - i * 5) * 86400000).toISOString(),
+  }));
+
+  const handlers = DEMO_HANDLERS.map((h) => ({
+    id: demoId(),
+    name: h.name,
+    profile_id: profiles.find((p) => p.email === h.email)?.id || null,
+    active: true,
+    created_at: new Date(now.getTime() - 380 * 86400000).toISOString(),
+  }));
+
+  const condition_definitions = DEMO_CONDITION_DEFINITIONS.map((c, i) => ({
+    id: demoId(),
+    unit: null,
+    min: null,
+    max: null,
+    options: null,
+    ...c,
+    sort_order: i + 1,
+    active: true,
+    created_at: new Date(now.getTime() - 400 * 86400000).toISOString(),
+  }));
+
+  const scent_maintenance_intervals = DEMO_SCENTS.filter(
+    (sc) => sc.maintenanceDays
+  ).map((sc) => ({
+    id: demoId(),
+    scent: sc.scent,
+    interval_days: sc.maintenanceDays,
+    created_at: new Date(now.getTime() - 400 * 86400000).toISOString(),
+  }));
+
+  const handler_dogs = DEMO_HANDLERS.flatMap((h, hi) =>
+    h.dogs.map((code) => ({
+      id: demoId(),
+      handler_id: handlers[hi].id,
+      dog_id: dogs.find((d) => d.dog_code === code).id,
+      created_at: handlers[hi].created_at,
+    }))
+  );
+
+  const sessions = [];
+  for (let day = 365; day >= 0; day -= 1) {
+    const date = new Date(now.getTime() - day * 86400000);
+    // Días de entrenamiento: ~3 por semana
+    if (rand() > 0.45) continue;
+
+    // Estacionalidad del hemisferio sur: más calor en enero
+    const doy = Math.floor(
+      (date - new Date(date.getFullYear(), 0, 0)) / 86400000
+    );
+    const seasonal = Math.cos((2 * Math.PI * (doy - 15)) / 365);
+    const baseTemp = 17 + 8 * seasonal;
+    const baseHum = 70 - 12 * seasonal;
+    const basePress = 1013 + gauss() * 6;
+
+    dogs.forEach((dog, i) => {
+      const spec = DEMO_DOGS[i];
+      const archivedAt = dog.archived_at ? new Date(dog.archived_at) : null;
+      if (archivedAt && date > archivedAt) return;
+      if (rand() > 0.4) return;
+
+      const team = DEMO_HANDLERS.filter((h) => h.dogs.includes(spec.dog_code));
+      const runs = 1 + Math.floor(rand() * 2);
+      for (let r = 0; r < runs; r += 1) {
+        const start = new Date(date);
+        start.setHours(8 + Math.floor(rand() * 9), Math.floor(rand() * 60), 0, 0);
+
+        const temp = round1(baseTemp + (start.getHours() - 12) * 0.4 + gauss() * 2.5);
+        const hum = round1(clamp(baseHum + gauss() * 10, 15, 100));
+        const wind = round1(clamp(Math.abs(gauss()) * 12, 0, 45));
+        const press = round1(basePress + gauss() * 1.5);
+        const { scent, difficulty } = DEMO_SCENTS[Math.floor(rand() * DEMO_SCENTS.length)];
+        const handler = team[Math.floor(rand() * team.length)];
+        const { surface, bonus } =
+          DEMO_SURFACES[Math.floor(rand() * DEMO_SURFACES.length)];
+        const hideAge = Math.round(clamp(Math.abs(gauss()) * 45, 1, 240));
+        const odor = round1(clamp(2 + Math.abs(gauss()) * 20, 0.5, 100));
+        const elevation = Math.round(clamp(30 + gauss() * 15, 0, 120));
+
+        // Probabilidad de acierto según perro, sustancia y ambiente
+        const penalty =
+          Math.max(0, temp - 26) * 0.02 +
+          Math.max(0, wind - 20) * 0.015 +
+          Math.max(0, 35 - hum) * 0.006 +
+          Math.max(0, 5 - odor) * 0.02 -
+          bonus;
+        const decline =
+          spec.decline && day <= spec.decline.days ? spec.decline.drop : 0;
+        const pCorrect = clamp(
+          (spec.skill - decline) / difficulty - penalty,
+          0.3,
+          0.98
+        );
+
+        let result;
+        if (rand() < 0.03) {
+          result = "aborted";
+        } else if (rand() < 0.2) {
+          // Pasada en blanco (sin objetivo)
+          result =
+            rand() < pCorrect + 0.05 - handler.fpBias
+              ? "true_negative"
+              : "false_positive";
+        } else {
+          result = rand() < pCorrect ? "true_positive" : "false_negative";
+        }
+
+        sessions.push({
+          id: demoId(),
+          dog_id: dog.id,
+          unit_id: dog.unit_id,
+          handler_id: handlers[DEMO_HANDLERS.indexOf(handler)].id,
+          result,
+          started_at: start.toISOString(),
+          duration_s: Math.round(clamp(180 + gauss() * 90 * difficulty, 45, 900)),
+          conditions: {
+            temp,
+            hum,
+            press,
+            wind,
+            surface,
+            hide_age_min: hideAge,
+            odor_g: odor,
+            elevation,
+          },
+          type: { scent },
+          created_at: start.toISOString(),
+        });
       }
     });
+  }
 
-    return () => {
-      subscription.unsubscribe();
-    };
-  }, []);
+  // Planificación de las próximas dos semanas (calendario)
+  const trainingPlans = [];
+  for (let day = 1; day <= 14; day += 1) {
+    if (rand() > 0.5) continue;
+    const date = new Date(now.getTime() + day * 86400000);
+    dogs.forEach((dog, i) => {
+      const spec = DEMO_DOGS[i];
+      if (dog.archived_at || rand() > 0.35) return;
+      const team = DEMO_HANDLERS.filter((h) => h.dogs.includes(spec.dog_code));
+      const handler = team[Math.floor(rand() * team.length)];
+      const plannedAt = new Date(date);
+      plannedAt.setHours(8 + Math.floor(rand() * 8), rand() < 0.5 ? 0 : 30, 0, 0);
+      trainingPlans.push({
+        id: demoId(),
+        unit_id: dog.unit_id,
+        dog_id: dog.id,
+        handler_id: handlers[DEMO_HANDLERS.indexOf(handler)].id,
+        scent: DEMO_SCENTS[Math.floor(rand() * DEMO_SCENTS.length)].scent,
+        location: DEMO_LOCATIONS[Math.floor(rand() * DEMO_LOCATIONS.length)],
+        planned_at: plannedAt.toISOString(),
+        duration_min: 30 + 15 * Math.floor(rand() * 4),
+        notes: null,
+        session_id: null,
+        created_by: profiles[1].id,
+        created_at: now.toISOString(),
+      });
+    });
+  }
 
-  const value = React.useMemo(
-    () => ({ user, profile, loading }),
-    [user, profile, loading]
+  return {
+    version: DEMO_DB_VERSION,
+    units,
+    profiles,
+    dogs,
+    handlers,
+    handler_dogs,
+    condition_definitions,
+    scent_maintenance_intervals,
+    training_sessions: sessions,
+    training_plans: trainingPlans,
+    blind_trials: [],
+    blind_trial_containers: [],
+    blind_trial_placements: [],
+    user_invitations: [],
+    profile_role_changes: [],
+  };
+};
+
+const loadDemoDb = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DEMO_DB_KEY));
+    if (stored?.version === DEMO_DB_VERSION) return stored;
+  } catch {
+    // datos corruptos: se regeneran
+  }
+  const db = generateDemoData();
+  saveDemoDb(db);
+  return db;
+};
+
+const saveDemoDb = (db) => {
+  try {
+    localStorage.setItem(DEMO_DB_KEY, JSON.stringify(db));
+  } catch (err) {
+    console.error("No se pudieron guardar los datos demo", err);
+  }
+};
+
+// Extrae relaciones embebidas del select: "id, dogs ( id, name )" -> ["dogs"]
+const parseEmbeds = (columns) =>
+  Array.from(String(columns || "").matchAll(/(\w+)\s*\(/g), (m) => m[1]);
+
+const demoError = (message, code = "PGRST000", status = 400) => ({
+  data: null,
+  error: { message, code, details: null, hint: null },
+  count: null,
+  status,
+});
+
+// Restricciones unique que la demo replica (tabla -> columna)
+const DEMO_UNIQUE_COLUMNS = {
+  dogs: "dog_code",
+  user_invitations: "email",
+  condition_definitions: "key",
+  scent_maintenance_intervals: "scent",
+};
+
+// Tablas cuya unidad se hereda del perro (trigger set_session_unit)
+const DEMO_DOG_UNIT_TABLES = [
+  "training_sessions",
+  "training_plans",
+  "blind_trials",
+];
+
+// ON DELETE CASCADE de los contenedores y colocaciones de pruebas ciegas
+const removeDemoTrialChildren = (db, trialIds) => {
+  db.blind_trial_containers = db.blind_trial_containers.filter(
+    (c) => !trialIds.has(String(c.trial_id))
+  );
+  db.blind_trial_placements = db.blind_trial_placements.filter(
+    (p) => !trialIds.has(String(p.trial_id))
   );
+};
 
-  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+// Trigger score_blind_trial: una sesión por contenedor de la prueba cerrada
+const scoreDemoBlindTrial = (db, trial) => {
+  db.blind_trial_containers
+    .filter((c) => String(c.trial_id) === String(trial.id))
+    .sort((a, b) => a.position - b.position)
+    .forEach((c) => {
+      const placement = db.blind_trial_placements.find(
+        (p) => String(p.container_id) === String(c.id)
+      );
+      const session = {
+        id: demoId(),
+        dog_id: trial.dog_id,
+        unit_id: trial.unit_id,
+        handler_id: trial.handler_id,
+        result: blindTrialResult(Boolean(placement?.has_hide), c.indicated),
+        started_at: trial.closed_at,
+        duration_s: null,
+        conditions: {},
+        type: {
+          scent: trial.scent,
+          blind_trial_id: trial.id,
+          container: c.label,
+          protocol: trial.protocol,
+        },
+        created_at: trial.closed_at,
+      };
+      db.training_sessions.push(session);
+      c.session_id = session.id;
+    });
 };
 
-// --- Guards de rutas ---
-const RequireAuth = ({ children }) => {
-  const { user, loading } = useAuth();
+// Builder encadenable y "thenable", como el de postgrest-js
+class DemoQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.op = "select";
+    this.filters = [];
+    this.orders = [];
+    this.embeds = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.limitCount = null;
+    this.singleMode = null;
+    this.countMode = null;
+    this.values = null;
+    this.onConflict = null;
+  }
 
-  if (loading) {
-    return (
-      <Shell>
-        <p style={{ color: palette.citrineBrown }}>Cargando sesión...</p>
-      </Shell>
-    );
+  select(columns = "*", options = {}) {
+    if (this.op === "select") this.countMode = options?.count || null;
+    this.embeds = parseEmbeds(columns);
+    return this;
   }
 
-  if (!user) {
-    return (
-      <Shell>
-        <section className="space-y-4 text-center">
-          <h2
-            className="text-2xl font-bold"
-            style={{ color: palette.policeBlue }}
-          >
-            Iniciá sesión para continuar
-          </h2>
-          <p style={{ color: palette.citrineBrown }}>
-            Esta página está disponible solo para usuarios autenticados.
-          </p>
-          <Button to="/" variant="primary">
-            Ir al inicio de sesión
-          </Button>
-        </section>
-      </Shell>
-    );
+  insert(rows) {
+    this.op = "insert";
+    this.values = Array.isArray(rows) ? rows : [rows];
+    return this;
   }
 
-  return children;
-};
+  // Solo ON CONFLICT (columna) DO NOTHING / DO UPDATE sobre una columna
+  upsert(rows, { onConflict = "id", ignoreDuplicates = false } = {}) {
+    this.insert(rows);
+    this.onConflict = { column: onConflict, ignoreDuplicates };
+    return this;
+  }
 
-const RequireAdmin = ({ children }) => {
-  const { user, profile, loading } = useAuth();
+  update(patch) {
+    this.op = "update";
+    this.values = patch;
+    return this;
+  }
 
-  if (loading) {
-    return (
-      <Shell>
-        <p style={{ color: palette.citrineBrown }}>Cargando sesión...</p>
-      </Shell>
-    );
+  delete() {
+    this.op = "delete";
+    return this;
   }
 
-  if (!user) {
-    return (
-      <Shell>
-        <section className="space-y-4 text-center">
-          <h2
-            className="text-2xl font-bold"
-            style={{ color: palette.policeBlue }}
-          >
-            Iniciá sesión para continuar
-          </h2>
-          <Button to="/" variant="primary">
-            Ir al inicio de sesión
-          </Button>
-        </section>
-      </Shell>
-    );
+  eq(col, value) {
+    this.filters.push((r) => String(r[col]) === String(value));
+    return this;
   }
 
-  const isAdmin = profile?.role === "admin";
-  if (!isAdmin) {
-    return (
-      <Shell>
-        <section className="space-y-4 text-center">
-          <h2
-            className="text-2xl font-bold"
-            style={{ color: palette.policeBlue }}
-          >
-            Acceso restringido
-          </h2>
-          <p style={{ color: palette.citrineBrown }}>
-            Solo los usuarios con rol <strong>admin</strong> pueden crear
-            nuevos perros.
-          </p>
-          <Button to="/home" variant="primary">
-            Volver al inicio
-          </Button>
-        </section>
-      </Shell>
-    );
+  neq(col, value) {
+    this.filters.push((r) => String(r[col]) !== String(value));
+    return this;
   }
 
-  return children;
-};
+  in(col, values) {
+    const set = new Set(values.map(String));
+    this.filters.push((r) => set.has(String(r[col])));
+    return this;
+  }
 
-// --- UI primitives ---
-const Button = ({ to, children, onClick, variant = "primary", type }) => {
-  const base =
-    "inline-flex items-center justify-center rounded-2xl px-5 py-3 font-semibold shadow-md transition-transform hover:scale-[1.02] focus:outline-none focus:ring-2 focus:ring-offset-2";
-  const variants = {
-    primary: `${base} text-white`,
-    ghost: `${base} border-2`,
-  };
+  gte(col, value) {
+    this.filters.push((r) => r[col] != null && r[col] >= value);
+    return this;
+  }
 
-  const styleMap = {
-    primary: {
-      background: palette.policeBlue,
-      borderColor: palette.policeBlue,
-    },
-    ghost: {
-      background: "transparent",
-      color: palette.policeBlue,
-      borderColor: palette.policeBlue,
-    },
-  };
+  lte(col, value) {
+    this.filters.push((r) => r[col] != null && r[col] <= value);
+    return this;
+  }
 
-  const content = (
-    <span className="flex items-center gap-2">
-      {children}
-    </span>
-  );
+  lt(col, value) {
+    this.filters.push((r) => r[col] != null && r[col] < value);
+    return this;
+  }
 
-  if (to) {
-    return (
-      <Link to={to} className={variants[variant]} style={styleMap[variant]}>
-        {content}
-      </Link>
-    );
+  is(col, value) {
+    this.filters.push((r) => (r[col] ?? null) === value);
+    return this;
   }
-  return (
-    <button
-      type={type}
-      className={variants[variant]}
-      style={styleMap[variant]}
-      onClick={onClick}
-    >
-      {content}
-    </button>
-  );
-};
 
-const Shell = ({ children }) => {
-  const { user } = useAuth() || {};
+  order(col, { ascending = true } = {}) {
+    this.orders.push({ col, dir: ascending ? 1 : -1 });
+    return this;
+  }
 
-  return (
-    <div
-      className="min-h-screen w-screen"
-      style={{
-        background: `linear-gradient(160deg, ${palette.buff} 0%, ${palette.pearl} 40%, ${palette.marigold} 100%)`,
-      }}
-    >
-      <div className="w-full px-4 md:px-8 py-8">
-        <header className="flex items-center justify-between mb-8">
-          <Link
-            to={user ? "/home" : "/"}
-            className="flex items-center gap-3 group"
-          >
-            <Logo size={40} />
-            <span
-              className="text-xl font-bold"
-              style={{ color: palette.policeBlue }}
-            >
-              K-9 Smart Fetch
-            </span>
-          </Link>
-          {user && supabase && (
-            <button
-              className="text-sm font-semibold px-3 py-1 rounded-full border"
-              style={{
-                borderColor: palette.policeBlue,
-                color: palette.policeBlue,
-              }}
-              onClick={() => supabase.auth.signOut()}
-            >
-              Cerrar sesión
-            </button>
-          )}
-        </header>
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
 
-        <main className="bg-white/70 backdrop-blur rounded-none md:rounded-3xl shadow-xl p-6 md:p-10 w-full">
-          {children}
-        </main>
+  limit(n) {
+    this.limitCount = n;
+    return this;
+  }
 
-        <footer
-          className="mt-8 text-sm text-center"
-          style={{ color: palette.policeBlue }}
-        >
-          © {new Date().getFullYear()} K-9 Smart Fetch
-        </footer>
-      </div>
-    </div>
-  );
-};
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
 
-// --- Logo ---
-const Logo = ({ size = 170 }) => (
-  <div
-    aria-label="K-9 Smart Fetch logo"
-    className="rounded-full shadow-xl overflow-hidden flex items-center justify-center"
-    style={{
-      width: size,
-      height: size,
-      border: `6px solid ${palette.buff}`,
-      background: "white", 
-    }}
-  >
-    <img
-      src={dogLogo}
-      alt="K-9 Smart Fetch"
-      style={{
-        width: "100%",
-        height: "100%",
-        objectFit: "contain", 
-      }}
-    />
-  </div>
-);
+  maybeSingle() {
+    this.singleMode = "maybe";
+    return this;
+  }
 
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
 
-// --- Página de inicio de sesión ---
-const LoginPage = () => {
-  const navigate = useNavigate();
-  const { user, loading } = useAuth();
-  const [email, setEmail] = React.useState("");
-  const [password, setPassword] = React.useState("");
-  const [error, setError] = React.useState(null);
-  const [submitting, setSubmitting] = React.useState(false);
+  matches(row) {
+    return this.filters.every((f) => f(row));
+  }
 
-  React.useEffect(() => {
-    if (!loading && user) {
-      navigate("/home", { replace: true });
+  withEmbeds(row) {
+    if (!this.embeds.length) return { ...row };
+    const out = { ...row };
+    this.embeds.forEach((rel) => {
+      const fk = `${rel.replace(/s$/, "")}_id`;
+      const related = (this.client.db[rel] || []).find(
+        (r) => String(r.id) === String(row[fk])
+      );
+      out[rel] = related ? { ...related } : null;
+    });
+    return out;
+  }
+
+  execute() {
+    const { db } = this.client;
+    if (!db[this.table]) {
+      return demoError(`La tabla ${this.table} no existe en la demo.`, "42P01", 404);
+    }
+    let rows;
+
+    if (this.op === "insert" && this.onConflict) {
+      const { column, ignoreDuplicates } = this.onConflict;
+      const fresh = [];
+      this.values.forEach((v) => {
+        const current = db[this.table].find(
+          (r) => String(r[column]) === String(v[column])
+        );
+        if (!current) fresh.push(v);
+        else if (!ignoreDuplicates) Object.assign(current, v);
+      });
+      this.values = fresh;
     }
-  }, [user, loading, navigate]);
 
-  if (!supabase) {
-    return (
-      <Shell>
-        <section className="space-y-6 max-w-md mx-auto flex flex-col items-center text-center">
-          <Logo />
-          <h1
-            className="text-3xl font-extrabold"
-            style={{ color: palette.policeBlue }}
-          >
-            K-9 Smart Fetch
-          </h1>
-          <p style={{ color: palette.citrineBrown }}>
-            Supabase no está configurado correctamente. No se puede iniciar
-            sesión.
-          </p>
-        </section>
-      </Shell>
+    if (this.op === "insert") {
+      const now = new Date().toISOString();
+      const inserted = this.values.map((v) => ({
+        id: demoId(),
+        created_at: now,
+        ...v,
+      }));
+      const conflict = this.checkUnique(inserted);
+      if (conflict) return conflict;
+      // Trigger: sesiones, planes y pruebas ciegas heredan la unidad del perro
+      if (DEMO_DOG_UNIT_TABLES.includes(this.table)) {
+        inserted.forEach((r) => {
+          const dog = db.dogs.find((d) => String(d.id) === String(r.dog_id));
+          r.unit_id = dog?.unit_id ?? null;
+        });
+      }
+      // Defaults de blind_trials (created_by = auth.uid())
+      if (this.table === "blind_trials") {
+        inserted.forEach((r) => {
+          r.status = r.status || "setup";
+          r.created_by = r.created_by ?? this.client.currentUserId();
+        });
+      }
+      db[this.table].push(...inserted);
+      this.client.persist();
+      rows = inserted;
+    } else if (this.op === "update") {
+      const targets = db[this.table].filter((r) => this.matches(r));
+      // Trigger guard_blind_trial: setup -> sealed -> closed
+      if (this.table === "blind_trials" && "status" in this.values) {
+        const stamp = new Date().toISOString();
+        const allowed = { setup: "sealed", sealed: "closed" };
+        if (targets.some((r) => allowed[r.status] !== this.values.status)) {
+          return demoError("Cambio de estado no permitido", "42501", 403);
+        }
+        this.values = {
+          ...this.values,
+          [this.values.status === "sealed" ? "sealed_at" : "closed_at"]: stamp,
+        };
+      }
+      const updated = targets.map((r) => ({ ...r, ...this.values }));
+      const conflict = this.checkUnique(updated, targets);
+      if (conflict) return conflict;
+      // Trigger de auditoría de cambios de rol en profiles
+      if (this.table === "profiles" && "role" in this.values) {
+        targets
+          .filter((r) => r.role !== this.values.role)
+          .forEach((r) =>
+            db.profile_role_changes.push({
+              id: demoId(),
+              profile_id: r.id,
+              old_role: r.role,
+              new_role: this.values.role,
+              changed_by: this.client.currentUserId(),
+              changed_at: new Date().toISOString(),
+            })
+          );
+      }
+      targets.forEach((r) => Object.assign(r, this.values));
+      // Trigger: si el perro cambia de unidad, su historial lo acompaña
+      if (this.table === "dogs" && "unit_id" in this.values) {
+        const ids = new Set(targets.map((r) => String(r.id)));
+        DEMO_DOG_UNIT_TABLES.flatMap((t) => db[t]).forEach((t) => {
+          if (ids.has(String(t.dog_id))) t.unit_id = this.values.unit_id;
+        });
+      }
+      // Trigger score_blind_trial: al cerrar, una sesión por contenedor
+      if (this.table === "blind_trials" && this.values.status === "closed") {
+        targets.forEach((trial) => scoreDemoBlindTrial(db, trial));
+      }
+      this.client.persist();
+      rows = targets;
+    } else if (this.op === "delete") {
+      const removed = db[this.table].filter((r) => this.matches(r));
+      db[this.table] = db[this.table].filter((r) => !this.matches(r));
+      // ON DELETE CASCADE de training_sessions, training_plans y
+      // handler_dogs por dog_id
+      if (this.table === "dogs") {
+        const ids = new Set(removed.map((r) => String(r.id)));
+        db.training_sessions = db.training_sessions.filter(
+          (s) => !ids.has(String(s.dog_id))
+        );
+        db.training_plans = db.training_plans.filter(
+          (p) => !ids.has(String(p.dog_id))
+        );
+        db.handler_dogs = db.handler_dogs.filter(
+          (a) => !ids.has(String(a.dog_id))
+        );
+        const trialIds = new Set(
+          db.blind_trials
+            .filter((t) => ids.has(String(t.dog_id)))
+            .map((t) => String(t.id))
+        );
+        db.blind_trials = db.blind_trials.filter(
+          (t) => !trialIds.has(String(t.id))
+        );
+        removeDemoTrialChildren(db, trialIds);
+      }
+      if (this.table === "blind_trials") {
+        removeDemoTrialChildren(db, new Set(removed.map((r) => String(r.id))));
+      }
+      // ON DELETE SET NULL de training_plans.session_id y
+      // blind_trial_containers.session_id
+      if (this.table === "training_sessions") {
+        const ids = new Set(removed.map((r) => String(r.id)));
+        [...db.training_plans, ...db.blind_trial_containers].forEach((p) => {
+          if (ids.has(String(p.session_id))) p.session_id = null;
+        });
+      }
+      this.client.persist();
+      rows = removed;
+    } else {
+      rows = db[this.table].filter((r) => this.matches(r));
+    }
+
+    rows = rows.map((r) => this.withEmbeds(r));
+
+    if (this.orders.length) {
+      rows.sort((a, b) => {
+        for (const { col, dir } of this.orders) {
+          const va = a[col];
+          const vb = b[col];
+          if (va === vb) continue;
+          if (va == null) return 1;
+          if (vb == null) return -1;
+          return (va < vb ? -1 : 1) * dir;
+        }
+        return 0;
+      });
+    }
+
+    const count = this.countMode ? rows.length : null;
+    if (this.rangeFrom !== null) {
+      rows = rows.slice(this.rangeFrom, this.rangeTo + 1);
+    }
+    if (this.limitCount !== null) rows = rows.slice(0, this.limitCount);
+
+    if (this.singleMode) {
+      if (rows.length > 1 || (rows.length === 0 && this.singleMode === "single")) {
+        return demoError(
+          "JSON object requested, multiple (or no) rows returned",
+          "PGRST116",
+          406
+        );
+      }
+      return { data: rows[0] || null, error: null, count, status: 200 };
+    }
+
+    return { data: rows, error: null, count, status: 200 };
+  }
+
+  // dogs.dog_code es único
+  checkUnique(candidates, replacing = []) {
+    const column = DEMO_UNIQUE_COLUMNS[this.table];
+    if (!column) return null;
+    const replacingIds = new Set(replacing.map((r) => String(r.id)));
+    const existing = this.client.db[this.table].filter(
+      (r) => !replacingIds.has(String(r.id))
     );
+    const seen = new Set(existing.map((r) => r[column]));
+    for (const c of candidates) {
+      if (seen.has(c[column])) {
+        return demoError(
+          `duplicate key value violates unique constraint "${this.table}_${column}_key"`,
+          "23505",
+          409
+        );
+      }
+      seen.add(c[column]);
+    }
+    return null;
   }
+}
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError(null);
+const createDemoClient = () => {
+  const listeners = new Set();
+
+  const readSession = () => {
     try {
-      setSubmitting(true);
-      const { error } = await supabase.auth.signInWithPassword({
-        email,
-        password,
-      });
-      if (error) throw error;
-      // AuthProvider se encarga de redirigir cuando haya sesión
-    } catch (err) {
-      console.error(err);
-      setError(err.message || "Error al iniciar sesión.");
-    } finally {
-      setSubmitting(false);
+      return JSON.parse(localStorage.getItem(DEMO_SESSION_KEY));
+    } catch {
+      return null;
     }
   };
 
-  return (
-    <Shell>
-      <section className="space-y-6 max-w-md mx-auto flex flex-col items-center text-center">
-        <Logo />
-        <h1
-          className="text-3xl font-extrabold"
-          style={{ color: palette.policeBlue }}
-        >
-          Iniciar sesión
-        </h1>
-        <p style={{ color: palette.citrineBrown }}>
-          Usá tu correo y contraseña de K-9 Smart Fetch.
-        </p>
-
-        {error && <p style={{ color: "crimson" }}>{error}</p>}
+  const notify = (event, session) =>
+    listeners.forEach((cb) => cb(event, session));
 
-        <form onSubmit={handleSubmit} className="space-y-4 w-full text-left">
-          <div>
-            <label className="block font-medium mb-1">Email</label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className="w-full rounded-xl px-3 py-2 border"
-              required
-            />
-          </div>
+  // Alta del perfil a partir de una invitación (trigger handle_new_user)
+  const createInvitedProfile = (email) => {
+    const invitation = client.db.user_invitations.find(
+      (i) => i.email === email
+    );
+    if (!invitation) return null;
+    const profile = {
+      id: demoId(),
+      email,
+      full_name: invitation.full_name,
+      role: invitation.role,
+      unit_id: invitation.unit_id || null,
+      cross_unit: false,
+      deactivated_at: null,
+      last_sign_in_at: null,
+      created_at: new Date().toISOString(),
+    };
+    client.db.profiles.push(profile);
+    invitation.accepted_at = profile.created_at;
+    client.persist();
+    return profile;
+  };
 
-          <div>
-            <label className="block font-medium mb-1">Contraseña</label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="w-full rounded-xl px-3 py-2 border"
-              required
-            />
-          </div>
+  const client = {
+    isDemo: true,
+    db: loadDemoDb(),
+    persist() {
+      saveDemoDb(client.db);
+    },
+    // Vuelve a generar el dataset inicial
+    reset() {
+      client.db = generateDemoData();
+      client.persist();
+    },
+    from(table) {
+      return new DemoQuery(client, table);
+    },
+    currentUserId() {
+      return readSession()?.user?.id || null;
+    },
+    auth: {
+      async getSession() {
+        return { data: { session: readSession() }, error: null };
+      },
+      onAuthStateChange(cb) {
+        listeners.add(cb);
+        return {
+          data: { subscription: { unsubscribe: () => listeners.delete(cb) } },
+        };
+      },
+      async signInWithPassword({ email, password }) {
+        const profile = client.db.profiles.find(
+          (p) => p.email === String(email).trim().toLowerCase()
+        );
+        if (!profile || password !== DEMO_PASSWORD) {
+          return {
+            data: { session: null, user: null },
+            error: { message: "Credenciales de demo inválidas." },
+          };
+        }
+        if (profile.deactivated_at) {
+          return {
+            data: { session: null, user: null },
+            error: { message: "La cuenta está desactivada." },
+          };
+        }
+        profile.last_sign_in_at = new Date().toISOString();
+        client.persist();
+        const session = {
+          access_token: "demo",
+          user: { id: profile.id, email: profile.email },
+        };
+        localStorage.setItem(DEMO_SESSION_KEY, JSON.stringify(session));
+        notify("SIGNED_IN", session);
+        return { data: { session, user: session.user }, error: null };
+      },
+      // Invitación o enlace de acceso por email: en la demo no se envía
+      // nada, el usuario queda creado y entra con la contraseña de demo
+      async signInWithOtp({ email, options }) {
+        const normalized = String(email).trim().toLowerCase();
+        if (!client.db.profiles.some((p) => p.email === normalized)) {
+          if (options?.shouldCreateUser === false) {
+            return {
+              data: { user: null, session: null },
+              error: { message: "No hay una cuenta con ese email." },
+            };
+          }
+          createInvitedProfile(normalized);
+        }
+        return { data: { user: null, session: null }, error: null };
+      },
+      async signOut() {
+        localStorage.removeItem(DEMO_SESSION_KEY);
+        notify("SIGNED_OUT", null);
+        return { error: null };
+      },
+    },
+  };
 
-          <div className="pt-2 flex justify-center">
-            <Button type="submit" variant="primary">
-              {submitting ? "Ingresando..." : "Ingresar"}
-            </Button>
-          </div>
-        </form>
-      </section>
-    </Shell>
-  );
+  return client;
 };
 
+// --- Supabase client ---
+const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+const forceDemoMode = import.meta.env.VITE_DEMO_MODE === "true";
+
+let supabase;
+if (
+  !forceDemoMode &&
+  supabaseUrl &&
+  supabaseAnonKey &&
+  /^https?:\/\//.test(supabaseUrl)
+) {
+  supabase = createClient(supabaseUrl, supabaseAnonKey);
+} else {
+  if (!forceDemoMode) {
+    console.warn(
+      "Supabase no configurado o URL inválida. Se usarán datos demo locales. " +
+        "Revisá VITE_SUPABASE_URL y VITE_SUPABASE_ANON_KEY en tu .env.local"
+    );
+  }
+  supabase = createDemoClient();
+}
+
+const isDemoMode = Boolean(supabase.isDemo);
 
-// --- Home (después de iniciar sesión) ---
-const Home = () => {
-  const { profile } = useAuth();
-  const isAdmin = profile?.role === "admin";
+// PostgREST corta cada respuesta en max_rows (1000 por defecto en Supabase)
+const SUPABASE_PAGE_SIZE = 1000;
 
-  return (
-    <Shell>
-      <section className="flex flex-col items-center text-center gap-6 md:gap-10">
-        <Logo />
-        <h1
-          className="text-4xl md:text-5xl font-extrabold tracking-tight"
-          style={{ color: palette.policeBlue }}
-        >
-          K-9 Smart Fetch
-        </h1>
-        <p
-          className="max-w-2xl text-lg md:text-xl"
-          style={{ color: palette.citrineBrown }}
-        >
-          La plataforma para hacer tu entrenamiento inteligente.
-        </p>
-        <div className="flex flex-col gap-3 mt-4">
-          <Button to="/records" variant="primary">
-            Acceder a registros individuales
-          </Button>
-          <Button to="/stats" variant="primary">
-            Estadísticas generales
-          </Button>
-          {isAdmin && (
-            <Button to="/dogs/new" variant="primary">
-              Agregar un nuevo perro
-            </Button>
-          )}
-        </div>
-      </section>
-    </Shell>
-  );
+// Trae todas las filas de una consulta paginando con .range().
+// buildQuery(isFirstPage) debe devolver una consulta nueva y ordenada de forma
+// estable; en la primera página conviene pedir { count: "exact" } para poder
+// verificar que no quedaron filas afuera.
+const fetchAllRows = async (buildQuery, pageSize = SUPABASE_PAGE_SIZE) => {
+  const rows = [];
+  let expected = null;
+
+  for (let page = 0; ; page += 1) {
+    const { data, error, count } = await buildQuery(page === 0).range(
+      rows.length,
+      rows.length + pageSize - 1
+    );
+    if (error) throw error;
+    if (page === 0 && Number.isFinite(count)) expected = count;
+
+    const batch = data || [];
+    rows.push(...batch);
+
+    // Si el servidor corta antes de pageSize seguimos hasta llegar al total
+    if (batch.length === 0) break;
+    if (expected !== null ? rows.length >= expected : batch.length < pageSize) {
+      break;
+    }
+  }
+
+  return { rows, expected: expected ?? rows.length };
 };
 
-/**
- * Records: lista de perros.
- */
-const Records = () => {
-  const navigate = useNavigate();
-  const [dogs, setDogs] = React.useState([]);
-  const [loading, setLoading] = React.useState(!!supabase);
-  const [error, setError] = React.useState(null);
+// --- Tiempo real (Supabase Realtime) ---
+
+// Se suscribe a cambios de Postgres en un canal. specs = [{ table, event,
+// filter, onChange(payload) }] (event por defecto "*"). Ojo: Realtime no
+// filtra los DELETE, así que conviene escucharlos aparte y sin filtro.
+//
+// Devuelve el estado del canal: "connecting", "live" o "unavailable" (modo
+// demo, sin publicación o conexión caída); en ese caso la página sigue
+// funcionando con los datos de la carga inicial.
+const useRealtime = (channelName, specs) => {
+  const [status, setStatus] = React.useState("connecting");
+  const specsRef = React.useRef(specs);
+  const specsKey = specs
+    .map((s) => `${s.table}:${s.event || "*"}:${s.filter || ""}`)
+    .join("|");
 
   React.useEffect(() => {
-    if (supabase) {
-      (async () => {
-        try {
-          setLoading(true);
-          const { data, error } = await supabase
-            .from("dogs")
-            .select(
-              "id, dog_code, name, breed, sex, birthdate, notes, active, created_at"
-            )
-            .order("created_at", { ascending: false });
+    specsRef.current = specs;
+  });
 
-          if (error) throw error;
-          setDogs(data || []);
-        } catch (err) {
-          console.error(err);
-          setError(err.message || "Error al cargar perros desde Supabase");
-        } finally {
-          setLoading(false);
-        }
-      })();
-    } else {
-      const mapped = MOCK_ENTRIES.map((e) => ({
-        id: e.id,
-        dog_code: e.id,
-        name: e.perro,
-        breed: null,
-        sex: null,
-        birthdate: null,
-        notes: null,
-        active: true,
-        created_at: e.fecha,
-      }));
-      setDogs(mapped);
-      setLoading(false);
+  React.useEffect(() => {
+    if (!channelName || typeof supabase.channel !== "function") {
+      setStatus("unavailable");
+      return undefined;
     }
-  }, []);
 
-  return (
-    <Shell>
-      <section className="space-y-6">
-        <div className="flex items-center gap-3">
-          <Button variant="ghost" onClick={() => navigate(-1)}>
-            ← Volver
-          </Button>
-          <h2
-            className="text-3xl font-bold"
-            style={{ color: palette.policeBlue }}
-          >
-            Registros individuales
-          </h2>
-        </div>
+    setStatus("connecting");
+    let channel = supabase.channel(channelName);
+    specsRef.current.forEach((spec, index) => {
+      channel = channel.on(
+        "postgres_changes",
+        {
+          event: spec.event || "*",
+          schema: "public",
+          table: spec.table,
+          ...(spec.filter ? { filter: spec.filter } : {}),
+        },
+        // Leemos el handler actual para no capturar estado viejo
+        (payload) => specsRef.current[index]?.onChange(payload)
+      );
+    });
 
-        {loading && (
-          <p style={{ color: palette.citrineBrown }}>Cargando perros…</p>
-        )}
-        {error && <p style={{ color: "crimson" }}>Error: {error}</p>}
+    channel.subscribe((channelStatus, err) => {
+      if (channelStatus === "SUBSCRIBED") setStatus("live");
+      else if (
+        channelStatus === "CHANNEL_ERROR" ||
+        channelStatus === "TIMED_OUT" ||
+        channelStatus === "CLOSED"
+      ) {
+        if (err) console.warn("Realtime:", err);
+        setStatus("unavailable");
+      }
+    });
 
-        {!loading && !error && (
-          <ul className="grid md:grid-cols-2 gap-4">
-            {dogs.map((dog) => (
-              <li key={dog.id}>
-                <Link
-                  to={`/records/${dog.id}`}
-                  className="block rounded-2xl p-5 shadow-md hover:shadow-lg transition-shadow"
-                  style={{
-                    background: palette.pearl,
-                    border: `2px solid ${palette.buff}`,
-                  }}
-                >
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <div
-                        className="text-lg font-semibold"
-                        style={{ color: palette.policeBlue }}
-                      >
-                        {dog.name} {dog.dog_code ? `— ${dog.dog_code}` : ""}
-                      </div>
-                      <div
-                        className="text-sm"
-                        style={{ color: palette.citrineBrown }}
-                      >
-                        {dog.created_at
-                          ? `Registrado: ${String(dog.created_at).slice(
-                              0,
-                              10
-                            )}`
-                          : "Fecha no disponible"}
-                      </div>
-                    </div>
-                    <span
-                      className="text-sm font-bold"
-                      style={{ color: palette.marigold }}
-                    >
-                      Ver ▶
-                    </span>
-                  </div>
-                </Link>
-              </li>
-            ))}
-            {dogs.length === 0 && (
-              <li
-                className="text-sm"
-                style={{ color: palette.citrineBrown }}
-              >
-                No hay perros cargados aún.
-              </li>
-            )}
-          </ul>
-        )}
-      </section>
-    </Shell>
-  );
-};
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [channelName, specsKey]);
 
-// --- Helpers estadísticos para el detalle del perro ---
+  return status;
+};
 
-// ¿Es una sesión exitosa?
-const isSuccessResult = (result) =>
-  String(result || "").toLowerCase() === "success";
+// Inserta o reemplaza una fila (por id) en una lista
+const upsertById = (rows, row) => {
+  const index = rows.findIndex((r) => String(r.id) === String(row.id));
+  if (index === -1) return [...rows, row];
+  const next = [...rows];
+  next[index] = { ...rows[index], ...row };
+  return next;
+};
 
-// Extrae un valor numérico de conditions[key]
-const getConditionValue = (session, key) => {
-  const cond = session.conditions || {};
-  let v = cond?.[key];
-  if (typeof v === "string") v = parseFloat(v);
-  return Number.isFinite(v) ? v : null;
+// --- Roles y permisos ---
+// admin: todo. trainer: registra y edita sesiones de cualquier perro.
+// handler (guía): solo registra sesiones de sus perros asignados.
+// viewer (supervisión, fiscalía): solo lectura.
+const ROLES = {
+  admin: "Administrador",
+  trainer: "Entrenador",
+  handler: "Guía",
+  viewer: "Solo lectura",
 };
 
-// Calcula media, mediana y moda para un array de números
-const computeNumericStats = (values) => {
-  if (!values || values.length === 0) return null;
+// Rol asumido cuando el perfil falta o tiene un valor desconocido
+const DEFAULT_ROLE = "viewer";
+
+// Matriz "recurso:acción" -> roles. "assigned" = solo perros asignados.
+const PERMISSIONS = {
+  "dog:read": { admin: true, trainer: true, handler: true, viewer: true },
+  "dog:create": { admin: true },
+  "dog:update": { admin: true },
+  "dog:archive": { admin: true },
+  "dog:delete": { admin: true },
+  "session:read": { admin: true, trainer: true, handler: true, viewer: true },
+  "session:create": { admin: true, trainer: true, handler: "assigned" },
+  "session:update": { admin: true, trainer: true },
+  "session:delete": { admin: true, trainer: true },
+  "session:import": { admin: true, trainer: true },
+  "stats:read": { admin: true, trainer: true, handler: true, viewer: true },
+  "users:manage": { admin: true },
+  "handlers:manage": { admin: true },
+  "conditions:manage": { admin: true },
+  "maintenance:manage": { admin: true },
+  "plan:manage": { admin: true, trainer: true },
+  "trial:manage": { admin: true, trainer: true },
+};
 
-  const sorted = [...values].sort((a, b) => a - b);
-  const n = sorted.length;
-  const sum = sorted.reduce((acc, v) => acc + v, 0);
-  const mean = sum / n;
+const normalizeRole = (role) => (ROLES[role] ? role : DEFAULT_ROLE);
 
-  let median;
-  if (n % 2 === 1) {
-    median = sorted[(n - 1) / 2];
-  } else {
-    median = (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+// Evalúa la matriz para un rol; dogId solo importa en las reglas "assigned"
+const checkPermission = (
+  role,
+  action,
+  resource,
+  { dogId, assignedDogIds = [] } = {}
+) => {
+  const rule = PERMISSIONS[`${resource}:${action}`]?.[normalizeRole(role)];
+  if (rule === "assigned") {
+    // Sin dogId preguntamos si puede hacerlo sobre algún perro
+    if (dogId === undefined) return assignedDogIds.length > 0;
+    return assignedDogIds.some((d) => String(d) === String(dogId));
   }
+  return Boolean(rule);
+};
 
-  const freq = new Map();
-  let mode = sorted[0];
-  let bestCount = 0;
-  sorted.forEach((v) => {
-    const c = (freq.get(v) || 0) + 1;
-    freq.set(v, c);
-    if (c > bestCount) {
-      bestCount = c;
-      mode = v;
-    }
-  });
+// --- Auth context: usuario + perfil (rol) ---
+const AuthContext = React.createContext(null);
 
-  return { mean, median, mode };
-};
+const useAuth = () => React.useContext(AuthContext);
 
-// Construye distribuciones (bins) y stats para una condición concreta
-const buildConditionDistributions = (
-  successSessions,
-  failSessions,
-  key,
-  binCount = 6
-) => {
-  const successVals = successSessions
-    .map((s) => getConditionValue(s, key))
-    .filter((v) => v !== null);
-  const failVals = failSessions
-    .map((s) => getConditionValue(s, key))
-    .filter((v) => v !== null);
+// Último perfil, guías y perros asignados vistos por usuario: sin red el
+// rol se conserva y un guía sigue pudiendo registrar sesiones en el campo
+const AUTH_CACHE_KEY = "k9:auth-cache";
 
-  const allVals = [...successVals, ...failVals];
-  if (allVals.length === 0) {
-    return {
-      binsSuccess: [],
-      binsFail: [],
-      statsSuccess: null,
-      statsFail: null,
-    };
+const readAuthCache = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_CACHE_KEY))?.[userId] || null;
+  } catch {
+    return null;
   }
+};
 
-  const min = Math.min(...allVals);
-  const max = Math.max(...allVals);
+const writeAuthCache = (userId, entry) => {
+  try {
+    const all = JSON.parse(localStorage.getItem(AUTH_CACHE_KEY)) || {};
+    if (entry) all[userId] = entry;
+    else delete all[userId];
+    localStorage.setItem(AUTH_CACHE_KEY, JSON.stringify(all));
+  } catch {
+    // el caché es opcional
+  }
+};
 
-  const effectiveBinCount = min === max ? 1 : binCount;
-  const step =
-    effectiveBinCount === 1 ? 1 : (max - min) / effectiveBinCount || 1;
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = React.useState(null);
+  // { role, full_name, deactivated_at, unit_id, cross_unit }
+  const [profile, setProfile] = React.useState(null);
+  const [assignedDogIds, setAssignedDogIds] = React.useState([]);
+  const [ownHandlerIds, setOwnHandlerIds] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const userIdRef = React.useRef(null);
 
-  const bins = Array.from({ length: effectiveBinCount }, (_, i) => ({
-    start: min + i * step,
-    end:
-      i === effectiveBinCount - 1 ? max : min + (i + 1) * step,
-    success: 0,
-    fail: 0,
-  }));
+  React.useEffect(() => {
+    const applyAuthData = ({ profile, ownHandlerIds, assignedDogIds }) => {
+      setProfile(profile);
+      setOwnHandlerIds(ownHandlerIds);
+      setAssignedDogIds(assignedDogIds);
+    };
 
-  const getIndex = (v) => {
-    if (effectiveBinCount === 1) return 0;
-    const idx = Math.floor((v - min) / step);
-    return Math.max(0, Math.min(effectiveBinCount - 1, idx));
-  };
+    const loadProfile = async (userId) => {
+      userIdRef.current = userId;
+      const cached = readAuthCache(userId);
+      try {
+        const { data, error, status } = await supabase
+          .from("profiles")
+          .select("role, full_name, deactivated_at, unit_id, cross_unit")
+          .eq("id", userId)
+          .single();
+        if (error) throw { ...error, status };
+
+        // Los perros asignados salen de los binomios del guía vinculado al perfil
+        const handlersRes = await supabase
+          .from("handlers")
+          .select("id")
+          .eq("profile_id", userId);
+        if (handlersRes.error) {
+          throw { ...handlersRes.error, status: handlersRes.status };
+        }
+        const handlerIds = (handlersRes.data || []).map((h) => h.id);
+
+        let dogIds = [];
+        if (handlerIds.length) {
+          const teamsRes = await supabase
+            .from("handler_dogs")
+            .select("dog_id")
+            .in("handler_id", handlerIds);
+          if (teamsRes.error) {
+            throw { ...teamsRes.error, status: teamsRes.status };
+          }
+          dogIds = (teamsRes.data || []).map((t) => t.dog_id);
+        }
 
-  successVals.forEach((v) => {
-    const idx = getIndex(v);
-    bins[idx].success += 1;
-  });
+        const next = {
+          profile: data,
+          ownHandlerIds: handlerIds,
+          assignedDogIds: dogIds,
+        };
+        applyAuthData(next);
+        // Una cuenta desactivada no deja permisos guardados
+        writeAuthCache(userId, data.deactivated_at ? null : next);
+      } catch (err) {
+        console.error(err);
+        // Sin red: último perfil conocido. 401 (sesión inválida) lo descarta.
+        if (isTransientError(err) && cached) {
+          applyAuthData(cached);
+          return;
+        }
+        if (Number(err.status) === 401) writeAuthCache(userId, null);
+        applyAuthData({ profile: null, ownHandlerIds: [], assignedDogIds: [] });
+      }
+    };
 
-  failVals.forEach((v) => {
-    const idx = getIndex(v);
-    bins[idx].fail += 1;
-  });
+    const init = async () => {
+      const { data } = await supabase.auth.getSession();
+      const session = data?.session;
+      if (session?.user) {
+        setUser(session.user);
+        await loadProfile(session.user.id);
+      }
+      setLoading(false);
+    };
 
-  const formatLabel = (b) => {
-    if (effectiveBinCount === 1) return b.start.toFixed(1);
-    return `${b.start.toFixed(1)}–${b.end.toFixed(1)}`;
-  };
+    init();
 
-  const binsSuccess = bins.map((b) => ({
-    range: formatLabel(b),
-    count: b.success,
-  }));
+    const {
+      data: { subscription },
+    } = supabase.auth.onAuthStateChange((_event, session) => {
+      if (session?.user) {
+        setUser(session.user);
+        loadProfile(session.user.id);
+      } else {
+        // Cierre de sesión: se olvidan los permisos guardados del usuario
+        if (userIdRef.current) writeAuthCache(userIdRef.current, null);
+        userIdRef.current = null;
+        setUser(null);
+        setProfile(null);
+        setAssignedDogIds([]);
+        setOwnHandlerIds([]);
+      }
+    });
 
-  const binsFail = bins.map((b) => ({
-    range: formatLabel(b),
-    count: b.fail,
-  }));
+    return () => {
+      subscription.unsubscribe();
+    };
+  }, []);
 
-  return {
-    binsSuccess,
-    binsFail,
-    statsSuccess: computeNumericStats(successVals),
-    statsFail: computeNumericStats(failVals),
-  };
+  const value = React.useMemo(() => {
+    const role = normalizeRole(profile?.role);
+    // Una cuenta desactivada conserva la sesión abierta pero no puede nada
+    const deactivated = Boolean(profile?.deactivated_at);
+    return {
+      user,
+      profile,
+      role,
+      deactivated,
+      assignedDogIds,
+      ownHandlerIds,
+      loading,
+      can: (action, resource, context = {}) =>
+        Boolean(user) &&
+        !deactivated &&
+        checkPermission(role, action, resource, { ...context, assignedDogIds }),
+    };
+  }, [user, profile, assignedDogIds, ownHandlerIds, loading]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
 };
 
+// --- Unidades (multi-tenant) ---
+// Cada perro y sesión pertenece a una unidad (aeropuerto, frontera, ...). RLS
+// limita las filas a la unidad del perfil salvo que tenga cross_unit; la
+// unidad activa del header solo acota la vista dentro de lo permitido.
 
-/**
- * RecordDetail: detalle de un perro.
- */
-const RecordDetail = () => {
-  const { id } = useParams(); // id del perro (dogs.id)
-  const navigate = useNavigate();
+const ALL_UNITS = "all";
+const ACTIVE_UNIT_KEY = "k9:active-unit";
 
-  const [dog, setDog] = React.useState(null);
-  const [sessions, setSessions] = React.useState([]);
-  const [loading, setLoading] = React.useState(!!supabase);
-  const [error, setError] = React.useState(null);
-  const [selectedCondition, setSelectedCondition] =
-    React.useState("temp");
+const UnitContext = React.createContext(null);
 
-  // Opciones de condiciones para el desplegable
-  const conditionOptions = [
-    { key: "temp", label: "Temperatura" },
-    { key: "wind", label: "Viento" },
-    { key: "press", label: "Presión" },
-    { key: "hum", label: "Humedad" },
-  ];
+const useUnit = () => React.useContext(UnitContext);
+
+const UnitProvider = ({ children }) => {
+  const { user, profile } = useAuth();
+  const [units, setUnits] = React.useState([]);
+  const [selectedUnitId, setSelectedUnitId] = React.useState(() =>
+    localStorage.getItem(ACTIVE_UNIT_KEY)
+  );
+  const crossUnit = Boolean(profile?.cross_unit);
+  const homeUnitId = profile?.unit_id || null;
 
   React.useEffect(() => {
-    // Si hay Supabase: 
-    if (supabase) {
-      (async () => {
-        try {
-          setLoading(true);
-          setError(null);
-
-          const { data: dogData, error: dogError } = await supabase
-            .from("dogs")
-            .select(
-              "id, dog_code, name, breed, sex, birthdate, notes, active, created_at"
-            )
-            .eq("id", id)
-            .single();
+    if (!user) {
+      setUnits([]);
+      return;
+    }
+    (async () => {
+      const { data, error } = await supabase
+        .from("units")
+        .select("id, code, name")
+        .order("name", { ascending: true });
+      if (error) {
+        console.error(error);
+        return;
+      }
+      setUnits(data || []);
+    })();
+  }, [user]);
+
+  // Sin acceso cruzado la unidad activa es siempre la propia
+  const activeUnitId = !crossUnit
+    ? homeUnitId
+    : selectedUnitId === ALL_UNITS ||
+        units.some((u) => String(u.id) === String(selectedUnitId))
+      ? selectedUnitId
+      : homeUnitId || ALL_UNITS;
+
+  const setActiveUnitId = React.useCallback((unitId) => {
+    setSelectedUnitId(unitId);
+    try {
+      localStorage.setItem(ACTIVE_UNIT_KEY, unitId);
+    } catch {
+      // preferencia opcional
+    }
+  }, []);
 
-          if (dogError) throw dogError;
+  const value = React.useMemo(
+    () => ({
+      units,
+      crossUnit,
+      homeUnitId,
+      activeUnitId,
+      setActiveUnitId,
+      unitName: (unitId) =>
+        units.find((u) => String(u.id) === String(unitId))?.name ||
+        "Sin unidad",
+    }),
+    [units, crossUnit, homeUnitId, activeUnitId, setActiveUnitId]
+  );
 
-          const { data: sessData, error: sessError } = await supabase
-            .from("training_sessions")
-            .select(
-              "id, result, started_at, duration_s, conditions"
-            )
-            .eq("dog_id", id)
-            .order("started_at", { ascending: true });
+  return <UnitContext.Provider value={value}>{children}</UnitContext.Provider>;
+};
 
-          if (sessError) throw sessError;
+// Acota una consulta de dogs / training_sessions a la unidad activa
+const scopeToUnit = (query, unitId) =>
+  unitId && unitId !== ALL_UNITS ? query.eq("unit_id", unitId) : query;
+
+// --- Cola offline (IndexedDB) y sincronización ---
+// Las altas de perros y sesiones hechas sin conexión se guardan en una cola
+// local ("outbox") y se suben a Supabase en orden cuando vuelve la red.
+
+const OUTBOX_DB_NAME = "k9-smart-fetch";
+const OUTBOX_STORE = "outbox";
+const LOCAL_ID_PREFIX = "local-";
+const SYNC_BACKOFF_BASE_MS = 2000;
+const SYNC_BACKOFF_MAX_MS = 5 * 60 * 1000;
+const DOGS_CACHE_KEY = "k9:dogs-cache";
+
+const isLocalId = (id) => String(id || "").startsWith(LOCAL_ID_PREFIX);
+
+const newLocalId = () =>
+  LOCAL_ID_PREFIX +
+  (globalThis.crypto?.randomUUID?.() ||
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+// uuid v4 del cliente para las altas: si el servidor guardó la fila pero se
+// perdió la respuesta, el reintento choca con el mismo id y no la duplica
+const newRowId = () => {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
 
-          setDog(dogData);
-          setSessions(sessData || []);
-        } catch (err) {
-          console.error(err);
-          setError(
-            err.message ||
-              "Error al cargar el perro / sus sesiones desde Supabase"
+let outboxDbPromise = null;
+
+const openOutbox = () => {
+  if (!outboxDbPromise) {
+    outboxDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("Este navegador no soporta almacenamiento offline."));
+        return;
+      }
+      const req = indexedDB.open(OUTBOX_DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(OUTBOX_STORE, {
+          keyPath: "seq",
+          autoIncrement: true,
+        });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    outboxDbPromise.catch(() => {
+      outboxDbPromise = null;
+    });
+  }
+  return outboxDbPromise;
+};
+
+// Ejecuta una operación sobre el store y resuelve con su resultado
+const outboxRequest = async (mode, run) => {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const req = run(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Ítems en orden de llegada (seq autoincremental)
+const outboxAll = () => outboxRequest("readonly", (store) => store.getAll());
+const outboxAdd = (item) => outboxRequest("readwrite", (store) => store.add(item));
+const outboxPut = (item) => outboxRequest("readwrite", (store) => store.put(item));
+const outboxDelete = (seq) =>
+  outboxRequest("readwrite", (store) => store.delete(seq));
+
+// ¿El error es de red / del servidor (reintentable) o un conflicto de datos?
+const isTransientError = (error) => {
+  if (!error) return false;
+  if (error instanceof TypeError) return true;
+  if (typeof navigator !== "undefined" && !navigator.onLine) return true;
+  const status = Number(error.status);
+  if (status === 0 || status === 408 || status === 429 || status >= 500) {
+    return true;
+  }
+  // postgrest-js devuelve code vacío cuando falla el fetch
+  return !error.code && /fetch|network|timeout/i.test(error.message || "");
+};
+
+const syncBackoffDelay = (attempts) =>
+  Math.min(
+    SYNC_BACKOFF_MAX_MS,
+    SYNC_BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1)
+  ) *
+  (0.8 + Math.random() * 0.4);
+
+// Último listado de perros visto, para poder registrar sesiones sin red
+const readDogsCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(DOGS_CACHE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeDogsCache = (dogs) => {
+  try {
+    localStorage.setItem(DOGS_CACHE_KEY, JSON.stringify(dogs));
+  } catch {
+    // sin espacio o sin localStorage: el caché es opcional
+  }
+};
+
+const OUTBOX_TABLES = { dog: "dogs", session: "training_sessions" };
+
+// En una tableta compartida cada uno sube (y ve) solo lo que encoló: los
+// ítems de otros usuarios esperan a que ellos inicien sesión
+const ownOutboxItems = (queue, userId) =>
+  userId ? queue.filter((q) => q.createdBy === userId) : [];
+
+// Marca un plan del calendario (training_plans) como cumplido por la sesión
+const linkPlanToSession = async (planId, sessionId) => {
+  const { error } = await supabase
+    .from("training_plans")
+    .update({ session_id: sessionId })
+    .eq("id", planId);
+  if (error) console.error(error);
+};
+
+const SyncContext = React.createContext(null);
+
+const useSync = () => React.useContext(SyncContext);
+
+const SyncProvider = ({ children }) => {
+  const { user } = useAuth() || {};
+  const [items, setItems] = React.useState([]);
+  const [online, setOnline] = React.useState(
+    typeof navigator === "undefined" ? true : navigator.onLine
+  );
+  const [syncing, setSyncing] = React.useState(false);
+  const [syncVersion, setSyncVersion] = React.useState(0);
+  const [resolvedIds, setResolvedIds] = React.useState({});
+  const [storageError, setStorageError] = React.useState(null);
+  const runningRef = React.useRef(false);
+  const timerRef = React.useRef(null);
+
+  const refresh = React.useCallback(async () => {
+    try {
+      setItems(ownOutboxItems(await outboxAll(), user?.id));
+    } catch (err) {
+      console.error(err);
+      setStorageError(err.message || "No se pudo leer la cola offline.");
+    }
+  }, [user?.id]);
+
+  const runSync = React.useCallback(async () => {
+    if (runningRef.current || !user) return;
+    if (!navigator.onLine && !isDemoMode) return;
+    runningRef.current = true;
+    setSyncing(true);
+    clearTimeout(timerRef.current);
+
+    let synced = 0;
+    try {
+      const queue = ownOutboxItems(await outboxAll(), user.id);
+      const idMap = {};
+
+      for (const item of queue) {
+        if (item.status === "conflict") continue;
+        // Respeta el orden: si el primero pendiente espera su backoff,
+        // los siguientes también esperan
+        if (item.nextAttemptAt && item.nextAttemptAt > Date.now()) break;
+
+        // Ítems encolados antes de usar ids del cliente: se fija uno ahora
+        if (!item.payload.id) {
+          item.payload = { ...item.payload, id: newRowId() };
+          await outboxPut(item);
+        }
+        const payload = { ...item.payload };
+        if (item.kind === "session" && isLocalId(payload.dog_id)) {
+          if (!idMap[payload.dog_id]) {
+            // Si el alta del perro falló (o se descartó) la sesión no puede
+            // subir: queda en conflicto para reintentarla o descartarla
+            const dogItem = queue.find(
+              (q) => q.kind === "dog" && q.localId === payload.dog_id
+            );
+            if (!dogItem || dogItem.status === "conflict") {
+              await outboxPut({
+                ...item,
+                status: "conflict",
+                lastError: dogItem
+                  ? "El perro de esta sesión no se pudo sincronizar."
+                  : "El perro de esta sesión ya no está en la cola.",
+              });
+            }
+            continue; // si no, su perro sigue pendiente en la cola
+          }
+          payload.dog_id = idMap[payload.dog_id];
+        }
+
+        // ON CONFLICT (id) DO NOTHING: un reintento de una fila ya guardada
+        // no devuelve nada y se da por sincronizado
+        const { data, error, status } = await supabase
+          .from(OUTBOX_TABLES[item.kind])
+          .upsert([payload], { onConflict: "id", ignoreDuplicates: true })
+          .select("id");
+
+        if (error) {
+          const err = { ...error, status };
+          if (isTransientError(err)) {
+            const attempts = (item.attempts || 0) + 1;
+            await outboxPut({
+              ...item,
+              status: "pending",
+              attempts,
+              lastError: error.message || "Error de red",
+              nextAttemptAt: Date.now() + syncBackoffDelay(attempts),
+            });
+            break;
+          }
+          // También en la foto de la cola: sus sesiones lo ven en esta pasada
+          item.status = "conflict";
+          await outboxPut({
+            ...item,
+            lastError: error.message || "El servidor rechazó el registro.",
+          });
+          continue;
+        }
+
+        await outboxDelete(item.seq);
+        synced += 1;
+
+        const savedId = data?.[0]?.id ?? payload.id;
+        if (item.planId) await linkPlanToSession(item.planId, savedId);
+        if (item.kind === "dog") {
+          idMap[item.localId] = savedId;
+          setResolvedIds((prev) => ({ ...prev, [item.localId]: savedId }));
+          // Reescribe las sesiones en cola que apuntaban al id local
+          await Promise.all(
+            queue
+              .filter(
+                (q) =>
+                  q.kind === "session" && q.payload.dog_id === item.localId
+              )
+              .map((q) => {
+                q.payload = { ...q.payload, dog_id: savedId };
+                return outboxPut(q);
+              })
           );
-        } finally {
-          setLoading(false);
         }
-      })();
-    } else {
-      // Fallback sin Supabase: 
-      setLoading(false);
-      const entry = MOCK_ENTRIES.find((e) => e.id === id);
-      if (entry) {
-        setDog({
-          id: entry.id,
-          dog_code: entry.id,
-          name: entry.perro,
-          breed: null,
-          sex: null,
-          birthdate: null,
-          notes: null,
-          active: true,
-          created_at: entry.fecha,
-        });
-        setSessions([]); // no hay datos de sesiones reales
+      }
+    } catch (err) {
+      console.error(err);
+      setStorageError(err.message || "Error al sincronizar.");
+    } finally {
+      runningRef.current = false;
+      setSyncing(false);
+      if (synced) setSyncVersion((v) => v + 1);
+
+      const remaining = ownOutboxItems(
+        await outboxAll().catch(() => []),
+        user.id
+      );
+      setItems(remaining);
+      const next = remaining
+        .filter((q) => q.status !== "conflict" && q.nextAttemptAt)
+        .reduce((min, q) => Math.min(min, q.nextAttemptAt), Infinity);
+      if (Number.isFinite(next)) {
+        timerRef.current = setTimeout(
+          runSync,
+          Math.max(0, next - Date.now())
+        );
       }
     }
-  }, [id]);
+  }, [user]);
 
-  // Derivados: partición de sesiones
-  const successSessions = sessions.filter((s) =>
-    isSuccessResult(s.result)
-  );
-  const failSessions = sessions.filter(
-    (s) => !isSuccessResult(s.result)
+  React.useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  React.useEffect(() => {
+    runSync();
+
+    const handleOnline = () => {
+      setOnline(true);
+      runSync();
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+      clearTimeout(timerRef.current);
+    };
+  }, [runSync]);
+
+  // Guarda un alta en la cola y dispara la sincronización
+  const enqueue = React.useCallback(
+    async (kind, payload, { planId = null } = {}) => {
+      const localId = newLocalId();
+      await outboxAdd({
+        localId,
+        kind,
+        payload,
+        planId,
+        status: "pending",
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: null,
+        createdAt: new Date().toISOString(),
+        createdBy: user?.id || null,
+      });
+      await refresh();
+      runSync();
+      return localId;
+    },
+    [refresh, runSync, user]
   );
-  const totalSessions = sessions.length;
 
-  const successRate = totalSessions
-    ? (successSessions.length / totalSessions) * 100
-    : 0;
-  const failRate = totalSessions ? 100 - successRate : 0;
+  // Inserta directo si hay red; si no (o si falla la red), encola.
+  // planId: plan del calendario que la sesión cumple (se vincula al subir).
+  // Devuelve { id, queued }.
+  const saveOrQueue = React.useCallback(
+    async (kind, input, { planId = null } = {}) => {
+      // El mismo id sirve para el intento directo y para la cola
+      const payload = { ...input, id: input.id || newRowId() };
+      const dependsOnQueue =
+        kind === "session" && isLocalId(payload.dog_id);
+      // En modo demo no hay red de por medio: siempre se escribe directo
+      if ((navigator.onLine || isDemoMode) && !dependsOnQueue) {
+        const { data, error, status } = await supabase
+          .from(OUTBOX_TABLES[kind])
+          .insert([payload])
+          .select()
+          .single();
+        if (!error) {
+          if (planId) await linkPlanToSession(planId, data.id);
+          return { id: data.id, data, queued: false };
+        }
+        if (!isTransientError({ ...error, status })) throw error;
+      }
+      const localId = await enqueue(kind, payload, { planId });
+      return { id: localId, queued: true };
+    },
+    [enqueue]
+  );
 
-  const rateHistogramData = [
-    {
-      label: "Éxitos",
-      rate: Math.round(successRate),
+  const retry = React.useCallback(
+    async (seq) => {
+      const item = items.find((q) => q.seq === seq);
+      if (!item) return;
+      await outboxPut({
+        ...item,
+        status: "pending",
+        nextAttemptAt: null,
+        lastError: null,
+      });
+      await refresh();
+      runSync();
     },
-    {
-      label: "Falsos positivos",
-      rate: Math.round(failRate),
+    [items, refresh, runSync]
+  );
+
+  const discard = React.useCallback(
+    async (seq) => {
+      await outboxDelete(seq);
+      await refresh();
     },
-  ];
+    [refresh]
+  );
 
-  // Distribuciones por condición seleccionada
-  const {
-    binsSuccess,
-    binsFail,
-    statsSuccess,
-    statsFail,
-  } = React.useMemo(
-    () =>
-      buildConditionDistributions(
-        successSessions,
-        failSessions,
-        selectedCondition
-      ),
-    [successSessions, failSessions, selectedCondition]
+  const value = React.useMemo(
+    () => ({
+      items,
+      online,
+      syncing,
+      syncVersion,
+      resolvedIds,
+      storageError,
+      saveOrQueue,
+      syncNow: runSync,
+      retry,
+      discard,
+    }),
+    [
+      items,
+      online,
+      syncing,
+      syncVersion,
+      resolvedIds,
+      storageError,
+      saveOrQueue,
+      runSync,
+      retry,
+      discard,
+    ]
   );
 
-  // Serie temporal de duración
-  const durationSeries = sessions.map((s) => ({
-    date: s.started_at
-      ? String(s.started_at).slice(0, 10)
-      : "Sin fecha",
-    duration: s.duration_s || 0,
-  }));
+  return <SyncContext.Provider value={value}>{children}</SyncContext.Provider>;
+};
 
-  return (
-    <Shell>
-      <section className="space-y-8">
-        <div className="flex items-center gap-3">
-          <Button variant="ghost" onClick={() => navigate(-1)}>
-            ← Volver
-          </Button>
-          <h2
-            className="text-3xl font-bold"
-            style={{ color: palette.policeBlue }}
-          >
-            {dog ? dog.name : "Perro"}
-          </h2>
-        </div>
+// Perros todavía en la cola, con la forma de una fila de dogs
+const pendingDogsFromQueue = (items) =>
+  items
+    .filter((q) => q.kind === "dog")
+    .map((q) => ({
+      ...q.payload,
+      id: q.localId,
+      archived_at: null,
+      created_at: q.createdAt,
+      pendingSync: q.status === "conflict" ? "conflict" : "pending",
+    }));
 
-        {loading && (
-          <p style={{ color: palette.citrineBrown }}>Cargando…</p>
-        )}
-        {error && (
-          <p style={{ color: "crimson" }}>Error: {error}</p>
-        )}
+const pendingSessionsForDog = (items, dogId) =>
+  items.filter(
+    (q) => q.kind === "session" && String(q.payload.dog_id) === String(dogId)
+  );
 
-        {dog ? (
-          <>
+// --- Guías y binomios (handler + perro) ---
 
-            <div className="space-y-6">
-              <div
-                className="rounded-2xl p-5 shadow-md"
-                style={{
-                  background: palette.pearl,
-                  border: `2px solid ${palette.buff}`,
-                }}
-              >
-                <h3
-                  className="text-xl font-semibold mb-3"
-                  style={{ color: palette.policeBlue }}
-                >
-                  Información básica
-                </h3>
-                <dl className="space-y-2">
-                  <div className="flex justify-between">
-                    <dt className="font-medium">Nombre</dt>
-                    <dd>{dog.name}</dd>
-                  </div>
-                  <div className="flex justify-between">
-                    <dt className="font-medium">Código</dt>
-                    <dd>{dog.dog_code || "—"}</dd>
-                  </div>
-                  <div className="flex justify-between">
-                    <dt className="font-medium">Raza</dt>
-                    <dd>{dog.breed || "—"}</dd>
-                  </div>
-                  <div className="flex justify-between">
-                    <dt className="font-medium">Sexo</dt>
-                    <dd>{dog.sex || "—"}</dd>
-                  </div>
-                  <div className="flex justify-between">
-                    <dt className="font-medium">Nacimiento</dt>
-                    <dd>{dog.birthdate || "—"}</dd>
-                  </div>
-                  <div className="flex justify-between">
-                    <dt className="font-medium">Activo</dt>
-                    <dd>{dog.active ? "Sí" : "No"}</dd>
-                  </div>
-                  <div className="flex justify-between">
-                    <dt className="font-medium">Registrado</dt>
-                    <dd>
-                      {dog.created_at
-                        ? String(dog.created_at).slice(0, 10)
-                        : "—"}
-                    </dd>
-                  </div>
-                  <div className="flex justify-between">
-                    <dt className="font-medium">
-                      Sesiones registradas
-                    </dt>
-                    <dd>{totalSessions}</dd>
-                  </div>
-                </dl>
-              </div>
+const HANDLERS_CACHE_KEY = "k9:handlers-cache";
+const NO_HANDLER = "none"; // clave para sesiones sin guía registrado
 
-              <div
-                className="rounded-2xl p-5 shadow-md"
-                style={{
-                  background: palette.pearl,
-                  border: `2px solid ${palette.buff}`,
-                }}
-              >
-                <h3
-                  className="text-xl font-semibold mb-3"
-                  style={{ color: palette.policeBlue }}
-                >
-                  Notas
-                </h3>
-                <p style={{ color: palette.citrineBrown }}>
-                  {dog.notes || "Sin notas"}
-                </p>
-              </div>
-            </div>
+// Carga guías y binomios; sin conexión usa la última copia descargada
+const useHandlers = () => {
+  const [state, setState] = React.useState(() => {
+    try {
+      const cached = JSON.parse(localStorage.getItem(HANDLERS_CACHE_KEY));
+      return { handlers: [], teams: [], ...cached, loading: true, error: null };
+    } catch {
+      return { handlers: [], teams: [], loading: true, error: null };
+    }
+  });
 
-            <section className="space-y-4">
-              <h3
-                className="text-xl font-semibold"
-                style={{ color: palette.policeBlue }}
-              >
-                Tasas de entrenamientos exitosos y falsos positivos
-              </h3>
+  const reload = React.useCallback(async () => {
+    try {
+      const [handlersRes, teamsRes] = await Promise.all([
+        supabase
+          .from("handlers")
+          .select("id, name, profile_id, active, created_at")
+          .order("name", { ascending: true }),
+        supabase.from("handler_dogs").select("id, handler_id, dog_id"),
+      ]);
+      if (handlersRes.error) throw handlersRes.error;
+      if (teamsRes.error) throw teamsRes.error;
+
+      const next = {
+        handlers: handlersRes.data || [],
+        teams: teamsRes.data || [],
+      };
+      setState({ ...next, loading: false, error: null });
+      try {
+        localStorage.setItem(HANDLERS_CACHE_KEY, JSON.stringify(next));
+      } catch {
+        // el caché es opcional
+      }
+    } catch (err) {
+      console.error(err);
+      setState((prev) => ({
+        ...prev,
+        loading: false,
+        error: err.message || "Error al cargar los guías.",
+      }));
+    }
+  }, []);
 
-              {totalSessions === 0 ? (
-                <p style={{ color: palette.citrineBrown }}>
-                  Todavía no hay sesiones registradas para este
-                  perro.
-                </p>
-              ) : (
-                <div className="h-64">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart
-                      data={rateHistogramData}
-                      margin={{
-                        top: 10,
-                        right: 30,
-                        left: 0,
-                        bottom: 20,
-                      }}
-                    >
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="label" />
-                      <YAxis unit="%" />
-                      <Tooltip />
-                      <Bar
-                        dataKey="rate"
-                        name="Tasa (%)"
-                        fill={palette.marigold}
-                      />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              )}
-            </section>
+  React.useEffect(() => {
+    reload();
+  }, [reload]);
 
-            {/* Distribuciones por condición */}
-            <section className="space-y-4">
-              <h3
-                className="text-xl font-semibold"
-                style={{ color: palette.policeBlue }}
-              >
-                Distribución de condiciones ambientales
-              </h3>
+  return { ...state, reload };
+};
 
-              <div className="flex flex-wrap items-center gap-3">
-                <span
-                  className="font-medium"
-                  style={{ color: palette.policeBlue }}
-                >
-                  Condición:
-                </span>
-                <select
-                  value={selectedCondition}
-                  onChange={(e) =>
-                    setSelectedCondition(e.target.value)
-                  }
-                  className="rounded-xl px-3 py-2 border bg-white"
-                >
-                  {conditionOptions.map((opt) => (
-                    <option key={opt.key} value={opt.key}>
-                      {opt.label}
-                    </option>
-                  ))}
-                </select>
-              </div>
+// Nombre del guía de una sesión a partir de la lista de guías
+const handlerName = (handlers, handlerId) => {
+  if (!handlerId) return "Sin guía";
+  const h = handlers.find((x) => String(x.id) === String(handlerId));
+  return h ? h.name : "Guía desconocido";
+};
 
-              {binsSuccess.length === 0 &&
-              binsFail.length === 0 ? (
-                <p style={{ color: palette.citrineBrown }}>
-                  No hay datos numéricos para esta condición en las
-                  sesiones de este perro.
-                </p>
-              ) : (
-                <div className="grid md:grid-cols-2 gap-6">
-                  {/* Éxitos */}
-                  <div
-                    className="rounded-2xl p-4 shadow-md"
-                    style={{
-                      background: palette.pearl,
-                      border: `2px solid ${palette.buff}`,
-                    }}
-                  >
-                    <h4
-                      className="font-semibold mb-2"
-                      style={{ color: palette.policeBlue }}
-                    >
-                      Entrenamientos exitosos
-                    </h4>
-                    <div className="h-56 mb-2">
-                      <ResponsiveContainer
-                        width="100%"
-                        height="100%"
-                      >
-                        <BarChart data={binsSuccess}>
-                          <CartesianGrid strokeDasharray="3 3" />
-                          <XAxis dataKey="range" />
-                          <YAxis />
-                          <Tooltip />
-                          <Bar
-                            dataKey="count"
-                            name="Frecuencia"
-                            fill={palette.marigold}
-                          />
-                        </BarChart>
-                      </ResponsiveContainer>
-                    </div>
-                    <StatsSummary stats={statsSuccess} />
-                  </div>
+// Guías que forman binomio con un perro
+const handlersForDog = (handlers, teams, dogId) => {
+  const ids = new Set(
+    teams
+      .filter((t) => String(t.dog_id) === String(dogId))
+      .map((t) => String(t.handler_id))
+  );
+  return handlers.filter((h) => ids.has(String(h.id)));
+};
 
-                  {/* Fallos */}
-                  <div
-                    className="rounded-2xl p-4 shadow-md"
-                    style={{
-                      background: palette.pearl,
-                      border: `2px solid ${palette.buff}`,
-                    }}
-                  >
-                    <h4
-                      className="font-semibold mb-2"
-                      style={{ color: palette.policeBlue }}
-                    >
-                      Falsos positivos
-                    </h4>
-                    <div className="h-56 mb-2">
-                      <ResponsiveContainer
-                        width="100%"
-                        height="100%"
-                      >
-                        <BarChart data={binsFail}>
-                          <CartesianGrid strokeDasharray="3 3" />
-                          <XAxis dataKey="range" />
-                          <YAxis />
-                          <Tooltip />
-                          <Bar
-                            dataKey="count"
-                            name="Frecuencia"
-                            fill={palette.citrineBrown}
-                          />
-                        </BarChart>
-                      </ResponsiveContainer>
-                    </div>
-                    <StatsSummary stats={statsFail} />
-                  </div>
-                </div>
-              )}
-            </section>
+// --- Condiciones ambientales (definiciones) ---
+// Las condiciones que se registran con cada sesión (conditions JSON) las
+// define el admin en condition_definitions. numeric: valor con rango
+// opcional; categorical: texto, opcionalmente limitado a una lista.
 
-            {/* Serie temporal de duración */}
-            <section className="space-y-4">
-              <h3
-                className="text-xl font-semibold"
-                style={{ color: palette.policeBlue }}
-              >
-                Evolución temporal de la duración de las sesiones
-              </h3>
+const CONDITIONS_CACHE_KEY = "k9:conditions-cache";
 
-              {durationSeries.length === 0 ? (
-                <p style={{ color: palette.citrineBrown }}>
-                  No hay datos de duración para las sesiones.
-                </p>
-              ) : (
-                <div className="h-72">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={durationSeries}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="date" />
-                      <YAxis />
-                      <Tooltip />
-                      <Line
-                        type="monotone"
-                        dataKey="duration"
-                        name="Duración (s)"
-                        stroke={palette.policeBlue}
-                        strokeWidth={2}
-                      />
-                    </LineChart>
-                  </ResponsiveContainer>
-                </div>
-              )}
-            </section>
-          </>
-        ) : (
-          !loading &&
-          !error && (
-            <p style={{ color: palette.citrineBrown }}>
-              No encontramos el registro solicitado.
-            </p>
-          )
-        )}
-      </section>
-    </Shell>
-  );
+const CONDITION_TYPES = {
+  numeric: "Numérica",
+  categorical: "Categórica",
 };
 
+// Esquema anterior a la tabla: se usa mientras no haya definiciones cargadas
+const DEFAULT_CONDITION_DEFINITIONS = [
+  { key: "temp", label: "Temperatura", unit: "°C", type: "numeric" },
+  { key: "wind", label: "Viento", unit: "km/h", type: "numeric", min: 0 },
+  { key: "press", label: "Presión", unit: "hPa", type: "numeric" },
+  { key: "hum", label: "Humedad", unit: "%", type: "numeric", min: 0, max: 100 },
+].map((c, i) => ({ ...c, sort_order: i + 1, active: true }));
+
+const isCategoricalCondition = (def) => def?.type === "categorical";
+
+// "Temperatura (°C)"; sin unidad, solo la etiqueta
+const conditionLabel = (def) =>
+  def.unit ? `${def.label} (${def.unit})` : def.label;
+
+const sortConditionDefinitions = (defs) =>
+  [...defs].sort(
+    (a, b) =>
+      (a.sort_order ?? 0) - (b.sort_order ?? 0) ||
+      String(a.label).localeCompare(String(b.label))
+  );
 
-const Stats = () => {
-  const navigate = useNavigate();
-  const [loading, setLoading] = React.useState(!!supabase);
-  const [error, setError] = React.useState(null);
-
-  const [globalKpis, setGlobalKpis] = React.useState(null);
-  const [perDogStats, setPerDogStats] = React.useState([]);
-  const [scentStats, setScentStats] = React.useState([]);
-  const [conditionSeries, setConditionSeries] = React.useState({
-    temp: [],
-    hum: [],
-    press: [],
-    wind: [],
+// Carga las definiciones; sin conexión usa la última copia descargada.
+// definitions incluye las inactivas (para leer datos históricos);
+// activeDefinitions son las que se cargan en sesiones nuevas.
+const useConditionDefinitions = () => {
+  const [state, setState] = React.useState(() => {
+    try {
+      const cached = JSON.parse(localStorage.getItem(CONDITIONS_CACHE_KEY));
+      return {
+        definitions: cached?.length ? cached : DEFAULT_CONDITION_DEFINITIONS,
+        loading: true,
+        error: null,
+      };
+    } catch {
+      return {
+        definitions: DEFAULT_CONDITION_DEFINITIONS,
+        loading: true,
+        error: null,
+      };
+    }
   });
 
-  const [selectedCondition, setSelectedCondition] = React.useState("temp");
-
-  const [dogTableMode, setDogTableMode] =
-    React.useState("absolute"); 
+  const reload = React.useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from("condition_definitions")
+        .select("id, key, label, unit, type, min, max, options, sort_order, active");
+      if (error) throw error;
 
-  const chartColors = {
-    success: palette.marigold,
-    fail: palette.citrineBrown,
-    scent1: palette.marigold,
-    scent2: palette.policeBlue,
-  };
+      const definitions = data?.length
+        ? sortConditionDefinitions(data)
+        : DEFAULT_CONDITION_DEFINITIONS;
+      setState({ definitions, loading: false, error: null });
+      try {
+        localStorage.setItem(CONDITIONS_CACHE_KEY, JSON.stringify(definitions));
+      } catch {
+        // el caché es opcional
+      }
+    } catch (err) {
+      console.error(err);
+      setState((prev) => ({
+        ...prev,
+        loading: false,
+        error: err.message || "Error al cargar las condiciones.",
+      }));
+    }
+  }, []);
 
-  const conditionOptions = [
-    { key: "temp", label: "Temperatura" },
-    { key: "hum", label: "Humedad" },
-    { key: "press", label: "Presión" },
-    { key: "wind", label: "Viento" },
-  ];
+  React.useEffect(() => {
+    reload();
+  }, [reload]);
 
-  // --- Derivados para las tablas de ranking por perro ---
+  const activeDefinitions = React.useMemo(
+    () => state.definitions.filter((d) => d.active !== false),
+    [state.definitions]
+  );
 
-  const sortKeySuccess =
-    dogTableMode === "absolute" ? "success" : "successRate";
-  const sortKeyFail =
-    dogTableMode === "absolute" ? "fail" : "failRate";
+  return { ...state, activeDefinitions, reload };
+};
 
-  const successRanking = React.useMemo(() => {
-    if (!perDogStats.length) return [];
-    return [...perDogStats].sort(
-      (a, b) => b[sortKeySuccess] - a[sortKeySuccess]
+// Valida el valor de una condición según su definición.
+// Devuelve { value } (null = sin dato) o { error }.
+const parseConditionValue = (def, raw) => {
+  if (isCategoricalCondition(def)) {
+    const text = String(raw ?? "").trim();
+    if (!text || !def.options?.length) return { value: text || null };
+    const match = def.options.find(
+      (o) => o.toLowerCase() === text.toLowerCase()
     );
-  }, [perDogStats, sortKeySuccess]);
+    return match
+      ? { value: match }
+      : {
+          error: `${def.label} debe ser una de: ${def.options.join(", ")}.`,
+        };
+  }
 
-  const failRanking = React.useMemo(() => {
-    if (!perDogStats.length) return [];
-    return [...perDogStats].sort(
-      (a, b) => b[sortKeyFail] - a[sortKeyFail]
-    );
-  }, [perDogStats, sortKeyFail]);
+  const v = parseOptionalNumber(raw);
+  if (Number.isNaN(v)) {
+    return { error: `${def.label} debe ser un valor numérico.` };
+  }
+  if (v === null) return { value: null };
+  const { min, max } = def;
+  if ((min != null && v < min) || (max != null && v > max)) {
+    const unit = def.unit ? ` ${def.unit}` : "";
+    const range =
+      min != null && max != null
+        ? `entre ${min} y ${max}${unit}`
+        : min != null
+        ? `mayor o igual a ${min}${unit}`
+        : `menor o igual a ${max}${unit}`;
+    return { error: `${def.label} debe estar ${range}.` };
+  }
+  return { value: v };
+};
 
-  const successValuesForStats = successRanking.map((d) =>
-    dogTableMode === "absolute" ? d.success : d.successRate
-  );
-  const failValuesForStats = failRanking.map((d) =>
-    dogTableMode === "absolute" ? d.fail : d.failRate
-  );
+// --- Guards de rutas ---
+const RequireAuth = ({ children }) => {
+  const { user, loading } = useAuth();
 
-  const successStatsGlobal =
-    computeNumericStats(successValuesForStats);
-  const failStatsGlobal = computeNumericStats(failValuesForStats);
+  if (loading) {
+    return (
+      <Shell>
+        <p style={{ color: palette.citrineBrown }}>Cargando sesión...</p>
+      </Shell>
+    );
+  }
 
-  const currentConditionSeries =
-    conditionSeries[selectedCondition] || [];
+  if (!user) {
+    return (
+      <Shell>
+        <section className="space-y-4 text-center">
+          <h2
+            className="text-2xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Iniciá sesión para continuar
+          </h2>
+          <p style={{ color: palette.citrineBrown }}>
+            Esta página está disponible solo para usuarios autenticados.
+          </p>
+          <Button to="/" variant="primary">
+            Ir al inicio de sesión
+          </Button>
+        </section>
+      </Shell>
+    );
+  }
 
-  // --- Carga de datos desde Supabase ---
+  return children;
+};
 
-  React.useEffect(() => {
-    if (!supabase) {
-      setLoading(false);
-      setError(
-        "Supabase no está configurado correctamente. No se pueden mostrar estadísticas."
-      );
-      return;
-    }
+// Exige un permiso de la matriz; el :id de la ruta se usa como perro objetivo
+const RequirePermission = ({ action, resource, children }) => {
+  const { user, role, deactivated, can, loading } = useAuth();
+  const { id } = useParams();
 
-    (async () => {
-      try {
-        setLoading(true);
-        setError(null);
+  if (loading) {
+    return (
+      <Shell>
+        <p style={{ color: palette.citrineBrown }}>Cargando sesión...</p>
+      </Shell>
+    );
+  }
 
-        const { data, error } = await supabase
-          .from("training_sessions")
-          .select(
-            `
-            id,
-            dog_id,
-            result,
-            started_at,
-            duration_s,
-            conditions,
-            type,
-            dogs (
-              id,
-              name,
-              dog_code
-            )
-          `
-          );
+  if (!user) {
+    return (
+      <Shell>
+        <section className="space-y-4 text-center">
+          <h2
+            className="text-2xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Iniciá sesión para continuar
+          </h2>
+          <Button to="/" variant="primary">
+            Ir al inicio de sesión
+          </Button>
+        </section>
+      </Shell>
+    );
+  }
 
-        if (error) throw error;
-        const sessions = data || [];
-        processSessions(sessions);
-      } catch (err) {
-        console.error(err);
-        setError(
-          err.message || "Error al cargar las estadísticas."
+  if (!can(action, resource, { dogId: id })) {
+    return (
+      <Shell>
+        <section className="space-y-4 text-center">
+          <h2
+            className="text-2xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Acceso restringido
+          </h2>
+          <p style={{ color: palette.citrineBrown }}>
+            {deactivated ? (
+              "Tu cuenta está desactivada. Contactá a un administrador."
+            ) : (
+              <>
+                Tu rol (<strong>{ROLES[role]}</strong>) no tiene permiso para
+                acceder a esta sección.
+              </>
+            )}
+          </p>
+          <Button to="/home" variant="primary">
+            Volver al inicio
+          </Button>
+        </section>
+      </Shell>
+    );
+  }
+
+  return children;
+};
+
+// --- UI primitives ---
+const Button = ({
+  to,
+  children,
+  onClick,
+  variant = "primary",
+  type,
+  disabled = false,
+}) => {
+  const base =
+    "inline-flex items-center justify-center rounded-2xl px-5 py-3 font-semibold shadow-md transition-transform hover:scale-[1.02] focus:outline-none focus:ring-2 focus:ring-offset-2";
+  const variants = {
+    primary: `${base} text-white`,
+    ghost: `${base} border-2`,
+  };
+
+  const styleMap = {
+    primary: {
+      background: palette.policeBlue,
+      borderColor: palette.policeBlue,
+    },
+    ghost: {
+      background: "transparent",
+      color: palette.policeBlue,
+      borderColor: palette.policeBlue,
+    },
+  };
+
+  const content = (
+    <span className="flex items-center gap-2">
+      {children}
+    </span>
+  );
+
+  if (to) {
+    return (
+      <Link to={to} className={variants[variant]} style={styleMap[variant]}>
+        {content}
+      </Link>
+    );
+  }
+  return (
+    <button
+      type={type}
+      className={`${variants[variant]} disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100`}
+      style={styleMap[variant]}
+      onClick={onClick}
+      disabled={disabled}
+    >
+      {content}
+    </button>
+  );
+};
+
+const Shell = ({ children }) => {
+  const { user } = useAuth() || {};
+
+  return (
+    <div
+      className="min-h-screen w-screen"
+      style={{
+        background: `linear-gradient(160deg, ${palette.buff} 0%, ${palette.pearl} 40%, ${palette.marigold} 100%)`,
+      }}
+    >
+      <div className="w-full px-4 md:px-8 py-8">
+        <header className="flex items-center justify-between mb-8">
+          <Link
+            to={user ? "/home" : "/"}
+            className="flex items-center gap-3 group"
+          >
+            <Logo size={40} />
+            <span
+              className="text-xl font-bold"
+              style={{ color: palette.policeBlue }}
+            >
+              K-9 Smart Fetch
+            </span>
+          </Link>
+          {user && (
+            <div className="flex items-center gap-3">
+              {isDemoMode && <DemoBadge />}
+              <UnitSwitcher />
+              <SyncIndicator />
+              <button
+                className="text-sm font-semibold px-3 py-1 rounded-full border"
+                style={{
+                  borderColor: palette.policeBlue,
+                  color: palette.policeBlue,
+                }}
+                onClick={() => supabase.auth.signOut()}
+              >
+                Cerrar sesión
+              </button>
+            </div>
+          )}
+        </header>
+
+        <main className="bg-white/70 backdrop-blur rounded-none md:rounded-3xl shadow-xl p-6 md:p-10 w-full">
+          {children}
+        </main>
+
+        <footer
+          className="mt-8 text-sm text-center"
+          style={{ color: palette.policeBlue }}
+        >
+          © {new Date().getFullYear()} K-9 Smart Fetch
+        </footer>
+      </div>
+    </div>
+  );
+};
+
+// --- Indicador de sincronización (header) ---
+const SyncIndicator = () => {
+  const sync = useSync();
+  const [open, setOpen] = React.useState(false);
+  if (!sync) return null;
+
+  const { items, online, syncing, storageError, syncNow, retry, discard } =
+    sync;
+  const conflicts = items.filter((q) => q.status === "conflict");
+  const pending = items.length - conflicts.length;
+
+  let label;
+  let color = palette.policeBlue;
+  if (!online) {
+    label = pending ? `Sin conexión · ${pending} pendientes` : "Sin conexión";
+    color = palette.citrineBrown;
+  } else if (syncing) {
+    label = "Sincronizando…";
+  } else if (conflicts.length) {
+    label = `${conflicts.length} con conflicto`;
+    color = "crimson";
+  } else if (pending) {
+    label = `${pending} pendientes`;
+    color = palette.citrineBrown;
+  } else {
+    label = "Sincronizado";
+  }
+
+  const describe = (q) => {
+    const when = formatDateTime(q.payload.started_at || q.createdAt);
+    return q.kind === "dog"
+      ? `Perro ${q.payload.name} (${q.payload.dog_code})`
+      : `Sesión ${formatSessionResult(q.payload.result)} · ${when}`;
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        className="text-sm font-semibold px-3 py-1 rounded-full border bg-white/60"
+        style={{ borderColor: color, color }}
+        onClick={() => setOpen((v) => !v)}
+        title="Estado de sincronización"
+      >
+        ● {label}
+      </button>
+      {open && (
+        <div
+          className="absolute right-0 z-20 mt-2 w-80 rounded-2xl bg-white p-4 shadow-xl space-y-3 text-sm text-left"
+          style={{ border: `2px solid ${palette.buff}` }}
+        >
+          {storageError && <p style={{ color: "crimson" }}>{storageError}</p>}
+          {items.length === 0 ? (
+            <p style={{ color: palette.citrineBrown }}>
+              No hay registros pendientes de sincronizar.
+            </p>
+          ) : (
+            <ul className="space-y-2 max-h-72 overflow-y-auto">
+              {items.map((q) => (
+                <li key={q.seq} className="space-y-1">
+                  <div style={{ color: palette.policeBlue }}>{describe(q)}</div>
+                  {q.lastError && (
+                    <div
+                      className="text-xs"
+                      style={{
+                        color:
+                          q.status === "conflict"
+                            ? "crimson"
+                            : palette.citrineBrown,
+                      }}
+                    >
+                      {q.status === "conflict" ? "Conflicto: " : ""}
+                      {q.lastError}
+                      {q.status !== "conflict" && q.attempts
+                        ? ` (intento ${q.attempts})`
+                        : ""}
+                    </div>
+                  )}
+                  {q.status === "conflict" && (
+                    <div className="flex gap-3 text-xs font-semibold">
+                      <button
+                        type="button"
+                        className="underline bg-transparent p-0"
+                        style={{ color: palette.policeBlue }}
+                        onClick={() => retry(q.seq)}
+                      >
+                        Reintentar
+                      </button>
+                      <button
+                        type="button"
+                        className="underline bg-transparent p-0"
+                        style={{ color: "crimson" }}
+                        onClick={() => discard(q.seq)}
+                      >
+                        Descartar
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {online && pending > 0 && (
+            <button
+              type="button"
+              className="text-xs font-semibold underline bg-transparent p-0"
+              style={{ color: palette.policeBlue }}
+              onClick={syncNow}
+              disabled={syncing}
+            >
+              Sincronizar ahora
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Selector de unidad (header) ---
+const UnitSwitcher = () => {
+  const { units, crossUnit, activeUnitId, setActiveUnitId, unitName } =
+    useUnit() || {};
+
+  if (!units?.length) return null;
+
+  // Sin acceso cruzado solo se muestra la unidad propia
+  if (!crossUnit) {
+    return (
+      <span
+        className="text-sm font-semibold px-3 py-1 rounded-full border"
+        style={{ borderColor: palette.buff, color: palette.policeBlue }}
+      >
+        {unitName(activeUnitId)}
+      </span>
+    );
+  }
+
+  return (
+    <select
+      value={activeUnitId || ALL_UNITS}
+      onChange={(e) => setActiveUnitId(e.target.value)}
+      className="text-sm font-semibold px-3 py-1 rounded-full border bg-white"
+      style={{ borderColor: palette.policeBlue, color: palette.policeBlue }}
+      title="Unidad activa"
+    >
+      <option value={ALL_UNITS}>Todas las unidades</option>
+      {units.map((u) => (
+        <option key={u.id} value={u.id}>
+          {u.name}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+// --- Aviso de modo demo (header) ---
+const DemoBadge = () => {
+  const [confirming, setConfirming] = React.useState(false);
+
+  const handleReset = () => {
+    supabase.reset();
+    window.location.reload();
+  };
+
+  return (
+    <span
+      className="inline-flex items-center gap-2 text-sm font-semibold px-3 py-1 rounded-full"
+      style={{ background: palette.policeBlue, color: "white" }}
+      title="Los datos se guardan solo en este navegador"
+    >
+      Modo demo
+      {confirming ? (
+        <>
+          <button
+            type="button"
+            className="underline bg-transparent p-0 text-xs"
+            style={{ color: palette.buff }}
+            onClick={handleReset}
+          >
+            Confirmar
+          </button>
+          <button
+            type="button"
+            className="underline bg-transparent p-0 text-xs"
+            style={{ color: "white" }}
+            onClick={() => setConfirming(false)}
+          >
+            Cancelar
+          </button>
+        </>
+      ) : (
+        <button
+          type="button"
+          className="underline bg-transparent p-0 text-xs"
+          style={{ color: palette.buff }}
+          onClick={() => setConfirming(true)}
+        >
+          Restablecer datos
+        </button>
+      )}
+    </span>
+  );
+};
+
+// --- Logo ---
+const Logo = ({ size = 170 }) => (
+  <div
+    aria-label="K-9 Smart Fetch logo"
+    className="rounded-full shadow-xl overflow-hidden flex items-center justify-center"
+    style={{
+      width: size,
+      height: size,
+      border: `6px solid ${palette.buff}`,
+      background: "white", 
+    }}
+  >
+    <img
+      src={dogLogo}
+      alt="K-9 Smart Fetch"
+      style={{
+        width: "100%",
+        height: "100%",
+        objectFit: "contain", 
+      }}
+    />
+  </div>
+);
+
+
+// --- Página de inicio de sesión ---
+const LoginPage = () => {
+  const navigate = useNavigate();
+  const { user, loading } = useAuth();
+  const [email, setEmail] = React.useState("");
+  const [password, setPassword] = React.useState("");
+  const [error, setError] = React.useState(null);
+  const [notice, setNotice] = React.useState(null);
+  const [submitting, setSubmitting] = React.useState(false);
+  const [sendingLink, setSendingLink] = React.useState(false);
+
+  React.useEffect(() => {
+    if (!loading && user) {
+      navigate("/home", { replace: true });
+    }
+  }, [user, loading, navigate]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      setSubmitting(true);
+      const { error } = await supabase.auth.signInWithPassword({
+        email,
+        password,
+      });
+      if (error) throw error;
+      // AuthProvider se encarga de redirigir cuando haya sesión
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al iniciar sesión.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Los usuarios invitados no tienen contraseña: entran siempre con un
+  // enlace por email, que pueden volver a pedir cuando el anterior vence
+  const handleSendLink = async () => {
+    setError(null);
+    setNotice(null);
+    const normalized = email.trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(normalized)) {
+      setError("Ingresá tu email para recibir el enlace.");
+      return;
+    }
+    try {
+      setSendingLink(true);
+      const { error } = await supabase.auth.signInWithOtp({
+        email: normalized,
+        options: {
+          shouldCreateUser: false,
+          emailRedirectTo: `${window.location.origin}/home`,
+        },
+      });
+      if (error) throw error;
+      setNotice(
+        isDemoMode
+          ? `En la demo no se envían emails: entrá con la contraseña "${DEMO_PASSWORD}".`
+          : `Te enviamos un enlace de acceso a ${normalized}.`
+      );
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al enviar el enlace.");
+    } finally {
+      setSendingLink(false);
+    }
+  };
+
+  return (
+    <Shell>
+      <section className="space-y-6 max-w-md mx-auto flex flex-col items-center text-center">
+        <Logo />
+        <h1
+          className="text-3xl font-extrabold"
+          style={{ color: palette.policeBlue }}
+        >
+          Iniciar sesión
+        </h1>
+        <p style={{ color: palette.citrineBrown }}>
+          Usá tu correo y contraseña de K-9 Smart Fetch, o pedí un enlace de
+          acceso si te invitaron.
+        </p>
+
+        {isDemoMode && (
+          <div
+            className="w-full rounded-2xl p-4 text-sm text-left space-y-2"
+            style={{
+              background: palette.pearl,
+              border: `2px solid ${palette.buff}`,
+              color: palette.policeBlue,
+            }}
+          >
+            <p>
+              <strong>Modo demo:</strong> los datos se guardan solo en este
+              navegador. Usuarios disponibles (contraseña{" "}
+              <code>{DEMO_PASSWORD}</code>):
+            </p>
+            <ul className="space-y-1">
+              {DEMO_PROFILES.map((p) => (
+                <li key={p.email}>
+                  <button
+                    type="button"
+                    className="underline bg-transparent p-0 font-semibold"
+                    style={{ color: palette.policeBlue }}
+                    onClick={() => {
+                      setEmail(p.email);
+                      setPassword(DEMO_PASSWORD);
+                    }}
+                  >
+                    {p.email}
+                  </button>{" "}
+                  ({ROLES[p.role]})
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {error && <p style={{ color: "crimson" }}>{error}</p>}
+        {notice && <p style={{ color: palette.policeBlue }}>{notice}</p>}
+
+        <form onSubmit={handleSubmit} className="space-y-4 w-full text-left">
+          <div>
+            <label className="block font-medium mb-1">Email</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full rounded-xl px-3 py-2 border"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">Contraseña</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full rounded-xl px-3 py-2 border"
+              required
+            />
+          </div>
+
+          <div className="pt-2 flex justify-center">
+            <Button type="submit" variant="primary">
+              {submitting ? "Ingresando..." : "Ingresar"}
+            </Button>
+          </div>
+        </form>
+
+        <button
+          type="button"
+          className="underline bg-transparent p-0 text-sm"
+          style={{ color: palette.policeBlue }}
+          onClick={handleSendLink}
+          disabled={sendingLink}
+        >
+          {sendingLink
+            ? "Enviando enlace..."
+            : "¿Sin contraseña? Recibí un enlace de acceso por email"}
+        </button>
+      </section>
+    </Shell>
+  );
+};
+
+
+// --- Home (después de iniciar sesión) ---
+const Home = () => {
+  const { can, deactivated } = useAuth();
+  const { dogs: unitDogs, sessionsByDog } = useUnitDogSessions({
+    enabled: can("read", "dog"),
+  });
+  const alerts = React.useMemo(
+    () => regressionAlerts(unitDogs, sessionsByDog),
+    [unitDogs, sessionsByDog]
+  );
+
+  return (
+    <Shell>
+      <section className="flex flex-col items-center text-center gap-6 md:gap-10">
+        <Logo />
+        <h1
+          className="text-4xl md:text-5xl font-extrabold tracking-tight"
+          style={{ color: palette.policeBlue }}
+        >
+          K-9 Smart Fetch
+        </h1>
+        <p
+          className="max-w-2xl text-lg md:text-xl"
+          style={{ color: palette.citrineBrown }}
+        >
+          La plataforma para hacer tu entrenamiento inteligente.
+        </p>
+        {deactivated && (
+          <p style={{ color: "crimson" }}>
+            Tu cuenta está desactivada. Contactá a un administrador.
+          </p>
+        )}
+        {alerts.length > 0 && (
+          <div
+            className="w-full max-w-2xl rounded-2xl p-4 shadow-md text-left space-y-2"
+            style={{
+              background: palette.pearl,
+              border: `2px solid ${palette.buff}`,
+            }}
+          >
+            <h2
+              className="text-lg font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              Perros que necesitan atención
+            </h2>
+            <ul className="space-y-1 text-sm">
+              {alerts.map((a) => (
+                <li key={a.dog.id}>
+                  <Link
+                    to={`/records/${a.dog.id}`}
+                    className="font-semibold underline"
+                    style={{ color: palette.policeBlue }}
+                  >
+                    {a.dog.name}
+                    {a.dog.dog_code ? ` — ${a.dog.dog_code}` : ""}
+                  </Link>{" "}
+                  <span style={{ color: palette.citrineBrown }}>
+                    {describeRegression(a)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        <div className="flex flex-col gap-3 mt-4">
+          {can("read", "dog") && (
+            <Button to="/records" variant="primary">
+              Acceder a registros individuales
+            </Button>
+          )}
+          {can("read", "stats") && (
+            <Button to="/stats" variant="primary">
+              Estadísticas generales
+            </Button>
+          )}
+          {can("read", "dog") && (
+            <Button to="/maintenance" variant="primary">
+              Mantenimiento de olores
+            </Button>
+          )}
+          {can("read", "dog") && (
+            <Button to="/calendar" variant="primary">
+              Calendario de entrenamiento
+            </Button>
+          )}
+          {can("read", "session") && (
+            <Button to="/trials" variant="primary">
+              Pruebas ciegas
+            </Button>
+          )}
+          {can("create", "dog") && (
+            <Button to="/dogs/new" variant="primary">
+              Agregar un nuevo perro
+            </Button>
+          )}
+          {can("import", "session") && (
+            <Button to="/sessions/import" variant="primary">
+              Importar sesiones (CSV / Excel)
+            </Button>
+          )}
+          {can("manage", "users") && (
+            <Button to="/admin/users" variant="primary">
+              Administrar usuarios
+            </Button>
+          )}
+          {can("manage", "handlers") && (
+            <Button to="/handlers" variant="primary">
+              Guías y binomios
+            </Button>
+          )}
+          {can("manage", "conditions") && (
+            <Button to="/conditions" variant="primary">
+              Condiciones ambientales
+            </Button>
+          )}
+        </div>
+      </section>
+    </Shell>
+  );
+};
+
+/**
+ * Records: lista de perros.
+ */
+const Records = () => {
+  const navigate = useNavigate();
+  const { can, role } = useAuth();
+  const { activeUnitId, unitName } = useUnit();
+  const { items: queueItems = [], syncVersion = 0 } = useSync() || {};
+  const { dogs: unitDogs, sessionsByDog } = useUnitDogSessions();
+  const { intervals } = useMaintenanceIntervals();
+  const [dogs, setDogs] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [offlineNotice, setOfflineNotice] = React.useState(null);
+  const [showArchived, setShowArchived] = React.useState(false);
+
+  const alerts = React.useMemo(
+    () => regressionAlerts(unitDogs, sessionsByDog),
+    [unitDogs, sessionsByDog]
+  );
+  const alertFor = (dogId) =>
+    alerts.find((a) => String(a.dog.id) === String(dogId));
+  const maintenanceFor = (dogId) =>
+    summarizeMaintenance(
+      dogMaintenance(sessionsByDog.get(String(dogId)) || [], intervals)
+    );
+
+  React.useEffect(() => {
+    (async () => {
+      try {
+        setLoading(true);
+        const { data, error } = await scopeToUnit(
+          supabase
+            .from("dogs")
+            .select(
+              "id, dog_code, name, breed, sex, birthdate, notes, unit_id, active, archived_at, created_at"
+            ),
+          activeUnitId
+        ).order("created_at", { ascending: false });
+
+        if (error) throw error;
+        setDogs(data || []);
+        setOfflineNotice(null);
+        writeDogsCache(data || []);
+      } catch (err) {
+        console.error(err);
+        // Sin red: mostramos el último listado conocido
+        const cached = readDogsCache();
+        if (cached.length && isTransientError(err)) {
+          setDogs(cached);
+          setOfflineNotice(
+            "Sin conexión: se muestra el último listado descargado."
+          );
+        } else {
+          setError(err.message || "Error al cargar perros desde Supabase");
+        }
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [syncVersion, activeUnitId]);
+
+  // Los perros archivados se ocultan salvo que se pida verlos
+  const archivedCount = dogs.filter((d) => d.archived_at).length;
+  const visibleDogs = [
+    ...pendingDogsFromQueue(queueItems).filter(
+      (d) =>
+        activeUnitId === ALL_UNITS ||
+        !d.unit_id ||
+        String(d.unit_id) === String(activeUnitId)
+    ),
+    ...(showArchived ? dogs : dogs.filter((d) => !d.archived_at)),
+  ];
+
+  return (
+    <Shell>
+      <section className="space-y-6">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Registros individuales
+          </h2>
+          {can("create", "dog") && (
+            <div className="ml-auto">
+              <Button to="/dogs/new" variant="primary">
+                Agregar perro
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {archivedCount > 0 && (
+          <label
+            className="inline-flex items-center gap-2 text-sm"
+            style={{ color: palette.citrineBrown }}
+          >
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => setShowArchived(e.target.checked)}
+              className="h-4 w-4"
+            />
+            Mostrar perros archivados ({archivedCount})
+          </label>
+        )}
+
+        {loading && (
+          <p style={{ color: palette.citrineBrown }}>Cargando perros…</p>
+        )}
+        {offlineNotice && (
+          <p style={{ color: palette.citrineBrown }}>{offlineNotice}</p>
+        )}
+        {error && <p style={{ color: "crimson" }}>Error: {error}</p>}
+
+        {!loading && !error && (
+          <ul className="grid md:grid-cols-2 gap-4">
+            {visibleDogs.map((dog) => (
+              <li key={dog.id}>
+                <Link
+                  to={`/records/${dog.id}`}
+                  className="block rounded-2xl p-5 shadow-md hover:shadow-lg transition-shadow"
+                  style={{
+                    background: palette.pearl,
+                    border: `2px solid ${palette.buff}`,
+                    opacity: dog.archived_at ? 0.6 : 1,
+                  }}
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div
+                        className="text-lg font-semibold"
+                        style={{ color: palette.policeBlue }}
+                      >
+                        {dog.name} {dog.dog_code ? `— ${dog.dog_code}` : ""}
+                        {dog.archived_at && (
+                          <span
+                            className="ml-2 text-xs font-semibold uppercase"
+                            style={{ color: palette.citrineBrown }}
+                          >
+                            Archivado
+                          </span>
+                        )}
+                        {activeUnitId === ALL_UNITS && (
+                          <span
+                            className="ml-2 text-xs font-semibold uppercase"
+                            style={{ color: palette.policeBlue }}
+                          >
+                            {unitName(dog.unit_id)}
+                          </span>
+                        )}
+                        {role === "handler" &&
+                          can("create", "session", { dogId: dog.id }) && (
+                            <span
+                              className="ml-2 text-xs font-semibold uppercase"
+                              style={{ color: palette.marigold }}
+                            >
+                              Asignado
+                            </span>
+                          )}
+                        {alertFor(dog.id) && (
+                          <span
+                            className="ml-2 text-xs font-semibold uppercase"
+                            style={{ color: "crimson" }}
+                            title={describeRegression(alertFor(dog.id))}
+                          >
+                            Rendimiento en baja
+                          </span>
+                        )}
+                        <MaintenanceBadge summary={maintenanceFor(dog.id)} />
+                        {dog.pendingSync && (
+                          <span
+                            className="ml-2 text-xs font-semibold uppercase"
+                            style={{
+                              color:
+                                dog.pendingSync === "conflict"
+                                  ? "crimson"
+                                  : palette.citrineBrown,
+                            }}
+                          >
+                            {dog.pendingSync === "conflict"
+                              ? "Conflicto de sincronización"
+                              : "Pendiente de sincronizar"}
+                          </span>
+                        )}
+                      </div>
+                      <div
+                        className="text-sm"
+                        style={{ color: palette.citrineBrown }}
+                      >
+                        {dog.created_at
+                          ? `Registrado: ${String(dog.created_at).slice(
+                              0,
+                              10
+                            )}`
+                          : "Fecha no disponible"}
+                        {pendingSessionsForDog(queueItems, dog.id).length >
+                          0 &&
+                          ` · ${
+                            pendingSessionsForDog(queueItems, dog.id).length
+                          } sesiones pendientes de sincronizar`}
+                      </div>
+                    </div>
+                    <span
+                      className="text-sm font-bold"
+                      style={{ color: palette.marigold }}
+                    >
+                      Ver ▶
+                    </span>
+                  </div>
+                </Link>
+              </li>
+            ))}
+            {visibleDogs.length === 0 && (
+              <li
+                className="text-sm"
+                style={{ color: palette.citrineBrown }}
+              >
+                No hay perros cargados aún.
+              </li>
+            )}
+          </ul>
+        )}
+      </section>
+    </Shell>
+  );
+};
+
+// --- Helpers estadísticos para el detalle del perro ---
+
+// --- Modelo de resultados (outcomes) ---
+// Cada sesión cae en una celda de la matriz de confusión o se aborta.
+// Valores históricos: "success" equivale a verdadero positivo y cualquier
+// otro valor desconocido se sigue contando como falso positivo.
+const OUTCOMES = {
+  TP: "true_positive",
+  FP: "false_positive",
+  FN: "false_negative",
+  TN: "true_negative",
+  ABORTED: "aborted",
+};
+
+const OUTCOME_OPTIONS = [
+  { value: OUTCOMES.TP, label: "Verdadero positivo (marcó el objetivo)" },
+  { value: OUTCOMES.FP, label: "Falso positivo (marcó sin objetivo)" },
+  { value: OUTCOMES.FN, label: "Falso negativo (no marcó el objetivo)" },
+  { value: OUTCOMES.TN, label: "Verdadero negativo (blanco sin marca)" },
+  { value: OUTCOMES.ABORTED, label: "Abortada" },
+];
+
+const OUTCOME_SHORT_LABELS = {
+  [OUTCOMES.TP]: "Verdadero positivo",
+  [OUTCOMES.FP]: "Falso positivo",
+  [OUTCOMES.FN]: "Falso negativo",
+  [OUTCOMES.TN]: "Verdadero negativo",
+  [OUTCOMES.ABORTED]: "Abortada",
+};
+
+const OUTCOME_ALIASES = {
+  success: OUTCOMES.TP,
+  true_positive: OUTCOMES.TP,
+  tp: OUTCOMES.TP,
+  hit: OUTCOMES.TP,
+  false_positive: OUTCOMES.FP,
+  fp: OUTCOMES.FP,
+  false_negative: OUTCOMES.FN,
+  fn: OUTCOMES.FN,
+  miss: OUTCOMES.FN,
+  true_negative: OUTCOMES.TN,
+  tn: OUTCOMES.TN,
+  aborted: OUTCOMES.ABORTED,
+  abort: OUTCOMES.ABORTED,
+  cancelled: OUTCOMES.ABORTED,
+};
+
+// Normaliza cualquier valor de result a uno de OUTCOMES
+const normalizeOutcome = (result) => {
+  const key = String(result || "").trim().toLowerCase();
+  return OUTCOME_ALIASES[key] || OUTCOMES.FP;
+};
+
+// ¿Es una sesión exitosa? (decisión correcta: VP o VN)
+const isSuccessResult = (result) => {
+  const outcome = normalizeOutcome(result);
+  return outcome === OUTCOMES.TP || outcome === OUTCOMES.TN;
+};
+
+// Contenedor puntuado de una prueba ciega (type.blind_trial_id): es evidencia
+// de certificación aparte, no una búsqueda. Una prueba de 10 contenedores con
+// un olor daría 9 verdaderos negativos que inflarían acierto y especificidad.
+const isBlindTrialSession = (s) => Boolean(s.type?.blind_trial_id);
+
+// ¿Es una sesión fallida? (VP y VN son aciertos; abortadas no cuentan)
+const isFailResult = (result) => {
+  const outcome = normalizeOutcome(result);
+  return outcome === OUTCOMES.FP || outcome === OUTCOMES.FN;
+};
+
+const emptyOutcomeCounts = () => ({
+  tp: 0,
+  fp: 0,
+  fn: 0,
+  tn: 0,
+  aborted: 0,
+});
+
+const OUTCOME_COUNT_KEYS = {
+  [OUTCOMES.TP]: "tp",
+  [OUTCOMES.FP]: "fp",
+  [OUTCOMES.FN]: "fn",
+  [OUTCOMES.TN]: "tn",
+  [OUTCOMES.ABORTED]: "aborted",
+};
+
+// Suma una sesión a un acumulador de conteos (muta counts)
+const addOutcome = (counts, result) => {
+  counts[OUTCOME_COUNT_KEYS[normalizeOutcome(result)]] += 1;
+  return counts;
+};
+
+const countOutcomes = (sessions) =>
+  sessions.reduce((acc, s) => addOutcome(acc, s.result), emptyOutcomeCounts());
+
+// KPIs de detección a partir de los conteos (porcentajes; null si no hay base)
+const computeOutcomeRates = (counts) => {
+  const { tp, fp, fn, tn, aborted } = counts;
+  const scored = tp + fp + fn + tn;
+  const pct = (num, den) => (den ? (num / den) * 100 : null);
+  return {
+    total: scored + aborted,
+    scored,
+    success: tp + tn,
+    fail: fp + fn,
+    accuracy: pct(tp + tn, scored),
+    sensitivity: pct(tp, tp + fn),
+    specificity: pct(tn, tn + fp),
+    precision: pct(tp, tp + fp),
+    fpRate: pct(fp, scored),
+    fnRate: pct(fn, scored),
+    abortedRate: pct(aborted, scored + aborted),
+  };
+};
+
+// Formatea un porcentaje que puede no estar definido
+const formatPct = (v, digits = 1) =>
+  Number.isFinite(v) ? `${v.toFixed(digits)}%` : "—";
+
+// Intervalo de Wilson para una proporción (en %). z = 1.96 -> IC 95%.
+// A diferencia de la tasa cruda, no da 0% o 100% con muestras chicas.
+const wilsonInterval = (successes, n, z = 1.96) => {
+  if (!n) return null;
+  const p = successes / n;
+  const z2 = z * z;
+  const denom = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denom;
+  const margin =
+    (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denom;
+  return {
+    low: Math.max(0, center - margin) * 100,
+    high: Math.min(1, center + margin) * 100,
+  };
+};
+
+const formatCI = (ci) =>
+  ci ? `IC 95%: ${ci.low.toFixed(1)}–${ci.high.toFixed(1)}%` : "IC 95%: —";
+
+// Datos para <ErrorBar>: distancias desde la tasa hasta cada extremo
+const ciErrorRange = (rate, ci) =>
+  ci && Number.isFinite(rate)
+    ? [Math.max(0, rate - ci.low), Math.max(0, ci.high - rate)]
+    : [0, 0];
+
+// Tasa (%) con su IC y el rango para <ErrorBar>
+const rateWithCI = (successes, n) => {
+  const rate = n ? Number(((successes / n) * 100).toFixed(1)) : 0;
+  const ci = wilsonInterval(successes, n);
+  return { rate, ci, n, error: ciErrorRange(rate, ci) };
+};
+
+// Mínimo de sesiones evaluadas para entrar en los rankings por tasa
+const DEFAULT_MIN_SESSIONS = 5;
+
+// Tasas de un grupo de sesiones (perro, guía, binomio) con sus IC de Wilson.
+// Las abortadas no suman ni restan.
+const summarizeOutcomes = (counts) => {
+  const rates = computeOutcomeRates(counts);
+  return {
+    ...counts,
+    total: rates.total,
+    scored: rates.scored,
+    success: rates.success,
+    fail: rates.fail,
+    successRate: rates.accuracy ?? 0,
+    failRate: rates.scored ? 100 - rates.accuracy : 0,
+    fpRate: rates.fpRate ?? 0,
+    fnRate: rates.fnRate ?? 0,
+    successCI: wilsonInterval(rates.success, rates.scored),
+    fpCI: wilsonInterval(counts.fp, rates.scored),
+    sensitivity: rates.sensitivity,
+    specificity: rates.specificity,
+  };
+};
+
+// Agrupa sesiones por clave y resume cada grupo: [{ key, ...summarizeOutcomes }]
+const groupOutcomes = (sessions, getKey) => {
+  const map = new Map();
+  sessions.forEach((s) => {
+    const key = getKey(s);
+    if (!map.has(key)) map.set(key, emptyOutcomeCounts());
+    addOutcome(map.get(key), s.result);
+  });
+  return Array.from(map, ([key, counts]) => ({
+    key,
+    ...summarizeOutcomes(counts),
+  }));
+};
+
+// Extrae un valor numérico de conditions[key]
+const getConditionValue = (session, key) => {
+  const cond = session.conditions || {};
+  let v = cond?.[key];
+  if (typeof v === "string") v = parseFloat(v);
+  return Number.isFinite(v) ? v : null;
+};
+
+// Valor de una condición categórica (texto) o null
+const getConditionCategory = (session, key) => {
+  const v = session.conditions?.[key];
+  if (v === null || v === undefined) return null;
+  const text = String(v).trim();
+  return text || null;
+};
+
+// Cuantil con interpolación lineal sobre un array ya ordenado
+const quantileSorted = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// Media, mediana, moda, desvío estándar (muestral) y cuartiles
+const computeNumericStats = (values) => {
+  if (!values || values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const sum = sorted.reduce((acc, v) => acc + v, 0);
+  const mean = sum / n;
+
+  let median;
+  if (n % 2 === 1) {
+    median = sorted[(n - 1) / 2];
+  } else {
+    median = (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  }
+
+  const freq = new Map();
+  let mode = sorted[0];
+  let bestCount = 0;
+  sorted.forEach((v) => {
+    const c = (freq.get(v) || 0) + 1;
+    freq.set(v, c);
+    if (c > bestCount) {
+      bestCount = c;
+      mode = v;
+    }
+  });
+
+  const sd =
+    n > 1
+      ? Math.sqrt(
+          sorted.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1)
+        )
+      : null;
+  const q1 = quantileSorted(sorted, 0.25);
+  const q3 = quantileSorted(sorted, 0.75);
+
+  return { n, mean, median, mode, sd, q1, q3, iqr: q3 - q1 };
+};
+
+// Construye distribuciones (bins) y stats para una condición concreta
+const buildConditionDistributions = (
+  successSessions,
+  failSessions,
+  key,
+  binCount = 6
+) => {
+  const successVals = successSessions
+    .map((s) => getConditionValue(s, key))
+    .filter((v) => v !== null);
+  const failVals = failSessions
+    .map((s) => getConditionValue(s, key))
+    .filter((v) => v !== null);
+
+  const allVals = [...successVals, ...failVals];
+  if (allVals.length === 0) {
+    return {
+      binsSuccess: [],
+      binsFail: [],
+      statsSuccess: null,
+      statsFail: null,
+    };
+  }
+
+  const min = Math.min(...allVals);
+  const max = Math.max(...allVals);
+
+  const effectiveBinCount = min === max ? 1 : binCount;
+  const step =
+    effectiveBinCount === 1 ? 1 : (max - min) / effectiveBinCount || 1;
+
+  const bins = Array.from({ length: effectiveBinCount }, (_, i) => ({
+    start: min + i * step,
+    end:
+      i === effectiveBinCount - 1 ? max : min + (i + 1) * step,
+    success: 0,
+    fail: 0,
+  }));
+
+  const getIndex = (v) => {
+    if (effectiveBinCount === 1) return 0;
+    const idx = Math.floor((v - min) / step);
+    return Math.max(0, Math.min(effectiveBinCount - 1, idx));
+  };
+
+  successVals.forEach((v) => {
+    const idx = getIndex(v);
+    bins[idx].success += 1;
+  });
+
+  failVals.forEach((v) => {
+    const idx = getIndex(v);
+    bins[idx].fail += 1;
+  });
+
+  const formatLabel = (b) => {
+    if (effectiveBinCount === 1) return b.start.toFixed(1);
+    return `${b.start.toFixed(1)}–${b.end.toFixed(1)}`;
+  };
+
+  const binsSuccess = bins.map((b) => ({
+    range: formatLabel(b),
+    count: b.success,
+  }));
+
+  const binsFail = bins.map((b) => ({
+    range: formatLabel(b),
+    count: b.fail,
+  }));
+
+  return {
+    binsSuccess,
+    binsFail,
+    statsSuccess: computeNumericStats(successVals),
+    statsFail: computeNumericStats(failVals),
+  };
+};
+
+// Equivalente categórico: una barra por valor, en el orden de las opciones
+// definidas (los valores fuera de la lista van al final)
+const buildCategoryDistributions = (
+  successSessions,
+  failSessions,
+  key,
+  options = []
+) => {
+  const counts = new Map(options.map((o) => [o, { success: 0, fail: 0 }]));
+  const add = (sessions, field) =>
+    sessions.forEach((s) => {
+      const v = getConditionCategory(s, key);
+      if (v === null) return;
+      if (!counts.has(v)) counts.set(v, { success: 0, fail: 0 });
+      counts.get(v)[field] += 1;
+    });
+  add(successSessions, "success");
+  add(failSessions, "fail");
+
+  const entries = Array.from(counts).filter(
+    ([, c]) => c.success + c.fail > 0
+  );
+  return {
+    binsSuccess: entries.map(([range, c]) => ({ range, count: c.success })),
+    binsFail: entries.map(([range, c]) => ({ range, count: c.fail })),
+    statsSuccess: null,
+    statsFail: null,
+  };
+};
+
+// Histograma (numérica) o barras por categoría según la definición
+const conditionDistributions = (successSessions, failSessions, def) =>
+  isCategoricalCondition(def)
+    ? buildCategoryDistributions(
+        successSessions,
+        failSessions,
+        def.key,
+        def.options || []
+      )
+    : buildConditionDistributions(successSessions, failSessions, def.key);
+
+// --- Agrupamiento de condiciones en rangos (bins) ---
+// Con lecturas reales casi cada valor es único; agrupar en rangos da tasas
+// con muestra suficiente. "equal" = rangos del mismo ancho, "quantile" =
+// rangos con la misma cantidad de sesiones.
+
+const CONDITION_BIN_METHODS = {
+  equal: "Ancho igual",
+  quantile: "Cuantiles",
+};
+const CONDITION_BIN_COUNTS = [3, 4, 5, 6, 8, 10];
+const DEFAULT_CONDITION_BINS = 5;
+
+const formatBinEdge = (v) =>
+  Number.isInteger(v) ? String(v) : v.toFixed(1);
+
+// Bordes de los rangos (binCount + 1 valores, o menos si hay empates)
+const conditionBinEdges = (
+  values,
+  method = "equal",
+  binCount = DEFAULT_CONDITION_BINS
+) => {
+  if (!values.length) return [];
+  const sorted = [...values].sort((a, b) => a - b);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) return [min, max];
+
+  const edges = Array.from({ length: binCount + 1 }, (_, i) => {
+    if (i === 0) return min;
+    if (i === binCount) return max;
+    if (method !== "quantile") return min + ((max - min) * i) / binCount;
+    return quantileSorted(sorted, i / binCount);
+  });
+  return edges.filter((e, i) => i === 0 || e > edges[i - 1]);
+};
+
+// Índice del rango de v: [a, b) salvo el último, que incluye el máximo
+const binIndexOf = (edges, v) => {
+  for (let i = edges.length - 2; i > 0; i -= 1) {
+    if (v >= edges[i]) return i;
+  }
+  return 0;
+};
+
+// Rangos de una condición: numérica -> bins; categórica -> una por valor
+const conditionBins = (sessions, def, { method, bins } = {}) => {
+  if (isCategoricalCondition(def)) {
+    const seen = new Set(
+      sessions
+        .map((s) => getConditionCategory(s, def.key))
+        .filter((v) => v !== null)
+    );
+    const ordered = [
+      ...(def.options || []).filter((o) => seen.has(o)),
+      ...[...seen].filter((v) => !(def.options || []).includes(v)).sort(),
+    ];
+    return {
+      buckets: ordered.map((value) => ({ label: value })),
+      indexOf: (s) => {
+        const v = getConditionCategory(s, def.key);
+        return v === null ? -1 : ordered.indexOf(v);
+      },
+    };
+  }
+
+  const edges = conditionBinEdges(
+    sessions
+      .map((s) => getConditionValue(s, def.key))
+      .filter((v) => v !== null),
+    method,
+    bins
+  );
+  const buckets =
+    edges.length === 2 && edges[0] === edges[1]
+      ? [{ label: formatBinEdge(edges[0]), start: edges[0], end: edges[0] }]
+      : edges.slice(0, -1).map((start, i) => ({
+          label: `${formatBinEdge(start)}–${formatBinEdge(edges[i + 1])}`,
+          start,
+          end: edges[i + 1],
+        }));
+  return {
+    buckets,
+    indexOf: (s) => {
+      const v = getConditionValue(s, def.key);
+      return v === null || !buckets.length ? -1 : binIndexOf(edges, v);
+    },
+  };
+};
+
+// Tasa de acierto por rango, con IC y conteos (formato de RateCIChart)
+const binnedConditionSeries = (sessions, def, options) => {
+  const { buckets, indexOf } = conditionBins(sessions, def, options);
+  const counts = buckets.map(() => emptyOutcomeCounts());
+  sessions.forEach((s) => {
+    const i = indexOf(s);
+    if (i >= 0) addOutcome(counts[i], s.result);
+  });
+  return buckets
+    .map((b, i) => {
+      const rates = computeOutcomeRates(counts[i]);
+      return {
+        ...b,
+        total: rates.total,
+        scored: rates.scored,
+        success: rates.success,
+        fail: rates.fail,
+        ...rateWithCI(rates.success, rates.scored),
+      };
+    })
+    .filter((b) => b.total > 0);
+};
+
+// Matriz de tasas para dos condiciones (filas = y, columnas = x)
+const conditionHeatmap = (sessions, defX, defY, options) => {
+  const x = conditionBins(sessions, defX, options);
+  const y = conditionBins(sessions, defY, options);
+  const cells = y.buckets.map(() => x.buckets.map(() => emptyOutcomeCounts()));
+  sessions.forEach((s) => {
+    const xi = x.indexOf(s);
+    const yi = y.indexOf(s);
+    if (xi >= 0 && yi >= 0) addOutcome(cells[yi][xi], s.result);
+  });
+  return {
+    columns: x.buckets,
+    rows: y.buckets.map((b, yi) => ({
+      ...b,
+      cells: cells[yi].map((c) => {
+        const rates = computeOutcomeRates(c);
+        return {
+          total: rates.total,
+          scored: rates.scored,
+          success: rates.success,
+          ...rateWithCI(rates.success, rates.scored),
+        };
+      }),
+    })),
+  };
+};
+
+// --- Pruebas estadísticas ---
+// ¿La diferencia entre aciertos y errores es real o puede ser azar?
+// Numéricas: Mann-Whitney U (no asume normalidad). Categóricas: chi².
+
+const SIGNIFICANCE_LEVEL = 0.05;
+const MIN_TEST_GROUP_SIZE = 5; // por grupo, para que la aproximación valga
+
+// Función de distribución normal estándar (Abramowitz-Stegun 7.1.26)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t -
+      0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// p bilateral para un estadístico z
+const twoSidedP = (z) => Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+
+// ln Γ(x) (Lanczos), para la distribución chi²
+const logGamma = (x) => {
+  const c = [
+    76.1800917294715, -86.5053203294168, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.00000000019001;
+  c.forEach((ci) => {
+    y += 1;
+    ser += ci / y;
+  });
+  return -tmp + Math.log((2.506628274631 * ser) / x);
+};
+
+// Gamma incompleta regularizada superior Q(a, x)
+const gammaQ = (a, x) => {
+  if (x <= 0) return 1;
+  const gln = logGamma(a);
+  if (x < a + 1) {
+    // Serie para P(a, x)
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 200; n += 1) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+    }
+    return 1 - sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+  // Fracción continua (Lentz) para Q(a, x)
+  let b = x + 1 - a;
+  let c = 1e300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 200; i += 1) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - gln) * h;
+};
+
+// Mann-Whitney U con aproximación normal y corrección por empates
+const mannWhitneyTest = (a, b) => {
+  const n1 = a.length;
+  const n2 = b.length;
+  if (!n1 || !n2) return null;
+  const all = [
+    ...a.map((v) => ({ v, g: 0 })),
+    ...b.map((v) => ({ v, g: 1 })),
+  ].sort((x, y) => x.v - y.v);
+
+  let rankSumA = 0;
+  let tieTerm = 0;
+  for (let i = 0; i < all.length; ) {
+    let j = i;
+    while (j + 1 < all.length && all[j + 1].v === all[i].v) j += 1;
+    const rank = (i + j) / 2 + 1; // rango promedio del grupo empatado
+    for (let k = i; k <= j; k += 1) {
+      if (all[k].g === 0) rankSumA += rank;
+    }
+    const t = j - i + 1;
+    tieTerm += t * t * t - t;
+    i = j + 1;
+  }
+
+  const n = n1 + n2;
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const mean = (n1 * n2) / 2;
+  const variance = ((n1 * n2) / 12) * (n + 1 - tieTerm / (n * (n - 1)));
+  if (variance <= 0) return { u, z: 0, p: 1, n1, n2 };
+  // Corrección por continuidad
+  const z = (u - mean - 0.5 * Math.sign(u - mean)) / Math.sqrt(variance);
+  return { u, z, p: twoSidedP(z), n1, n2 };
+};
+
+// Chi² de independencia sobre una tabla de conteos (filas × columnas)
+const chiSquareTest = (table) => {
+  const rows = table.filter((r) => r.some((c) => c > 0));
+  if (rows.length < 2) return null;
+  const colTotals = rows[0].map((_, j) =>
+    rows.reduce((acc, r) => acc + r[j], 0)
+  );
+  const cols = colTotals.map((t, j) => j).filter((j) => colTotals[j] > 0);
+  if (cols.length < 2) return null;
+  const total = colTotals.reduce((acc, t) => acc + t, 0);
+
+  let chi2 = 0;
+  rows.forEach((r) => {
+    const rowTotal = r.reduce((acc, c) => acc + c, 0);
+    cols.forEach((j) => {
+      const expected = (rowTotal * colTotals[j]) / total;
+      chi2 += (r[j] - expected) ** 2 / expected;
+    });
+  });
+  const df = (rows.length - 1) * (cols.length - 1);
+  return { chi2, df, p: gammaQ(df / 2, chi2 / 2) };
+};
+
+const formatPValue = (p) =>
+  p < 0.001 ? "p<0.001" : `p=${p < 0.1 ? p.toFixed(3) : p.toFixed(2)}`;
+
+// Compara una condición entre sesiones exitosas y fallidas, con veredicto
+// en lenguaje llano
+const compareConditionGroups = (successSessions, failSessions, def) => {
+  const label = def.label.toLowerCase();
+  const categorical = isCategoricalCondition(def);
+  const read = (s) =>
+    categorical
+      ? getConditionCategory(s, def.key)
+      : getConditionValue(s, def.key);
+  const successVals = successSessions.map(read).filter((v) => v !== null);
+  const failVals = failSessions.map(read).filter((v) => v !== null);
+  const base = {
+    key: def.key,
+    label: conditionLabel(def),
+    test: categorical ? "Chi²" : "Mann-Whitney U",
+    nSuccess: successVals.length,
+    nFail: failVals.length,
+    p: null,
+    significant: false,
+  };
+
+  if (
+    successVals.length < MIN_TEST_GROUP_SIZE ||
+    failVals.length < MIN_TEST_GROUP_SIZE
+  ) {
+    return {
+      ...base,
+      verdict: `No hay datos suficientes para comparar ${label} (hacen falta al menos ${MIN_TEST_GROUP_SIZE} aciertos y ${MIN_TEST_GROUP_SIZE} errores con dato).`,
+    };
+  }
+
+  let result;
+  let detail = "";
+  if (categorical) {
+    const categories = [...new Set([...successVals, ...failVals])];
+    const count = (vals, c) => vals.filter((v) => v === c).length;
+    result = chiSquareTest(
+      categories.map((c) => [count(successVals, c), count(failVals, c)])
+    );
+  } else {
+    result = mannWhitneyTest(successVals, failVals);
+    const medianSuccess = computeNumericStats(successVals).median;
+    const medianFail = computeNumericStats(failVals).median;
+    const unit = def.unit ? ` ${def.unit}` : "";
+    if (medianFail !== medianSuccess) {
+      detail = `: ${
+        medianFail > medianSuccess ? "más alta" : "más baja"
+      } en los errores (mediana ${medianFail.toFixed(1)}${unit} vs ${medianSuccess.toFixed(1)}${unit})`;
+    }
+  }
+
+  if (!result) {
+    return {
+      ...base,
+      verdict: `Todas las sesiones tienen el mismo valor de ${label}; no hay nada que comparar.`,
+    };
+  }
+
+  const significant = result.p < SIGNIFICANCE_LEVEL;
+  const p = formatPValue(result.p);
+  return {
+    ...base,
+    p: result.p,
+    significant,
+    verdict: significant
+      ? `${def.label} difiere significativamente entre aciertos y errores (${p})${detail}.`
+      : `No hay evidencia de que ${label} difiera entre aciertos y errores (${p}).`,
+  };
+};
+
+// --- Regresión logística ---
+// P(acierto) ~ condiciones numéricas estandarizadas (Newton-Raphson).
+// Los coeficientes se informan como odds ratio por +1 desvío estándar.
+
+const LOGISTIC_MAX_ITER = 50;
+const LOGISTIC_EVENTS_PER_VARIABLE = 10; // regla práctica para no sobreajustar
+
+// Inversa por Gauss-Jordan; null si la matriz es singular
+const invertMatrix = (m) => {
+  const n = m.length;
+  const a = m.map((row, i) => [
+    ...row,
+    ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)),
+  ]);
+  for (let col = 0; col < n; col += 1) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r += 1) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const div = a[col][col];
+    for (let j = 0; j < 2 * n; j += 1) a[col][j] /= div;
+    for (let r = 0; r < n; r += 1) {
+      if (r === col) continue;
+      const factor = a[r][col];
+      if (!factor) continue;
+      for (let j = 0; j < 2 * n; j += 1) a[r][j] -= factor * a[col][j];
+    }
+  }
+  return a.map((row) => row.slice(n));
+};
+
+// X: filas sin intercepto; y: 0/1. Devuelve coeficientes (intercepto
+// primero), errores estándar y si convergió.
+const fitLogisticRegression = (X, y) => {
+  const rows = X.map((r) => [1, ...r]);
+  const k = rows[0].length;
+  let beta = Array(k).fill(0);
+  let covariance = null;
+  let converged = false;
+
+  for (let iter = 0; iter < LOGISTIC_MAX_ITER; iter += 1) {
+    const gradient = Array(k).fill(0);
+    const hessian = Array.from({ length: k }, () => Array(k).fill(0));
+    rows.forEach((r, i) => {
+      const eta = r.reduce((acc, v, j) => acc + v * beta[j], 0);
+      const p = 1 / (1 + Math.exp(-eta));
+      const w = p * (1 - p);
+      for (let a = 0; a < k; a += 1) {
+        gradient[a] += (y[i] - p) * r[a];
+        for (let b = 0; b < k; b += 1) hessian[a][b] += w * r[a] * r[b];
+      }
+    });
+    covariance = invertMatrix(hessian);
+    if (!covariance) return null;
+    const step = covariance.map((row) =>
+      row.reduce((acc, v, j) => acc + v * gradient[j], 0)
+    );
+    beta = beta.map((b, j) => b + step[j]);
+    if (Math.max(...step.map(Math.abs)) < 1e-8) {
+      converged = true;
+      break;
+    }
+  }
+  // Separación perfecta: los coeficientes divergen y no son interpretables
+  const diverged = beta.some((b) => !Number.isFinite(b) || Math.abs(b) > 15);
+  if (!converged || diverged) {
+    return { beta, se: null, converged: false };
+  }
+  return {
+    beta,
+    se: covariance.map((row, j) => Math.sqrt(Math.max(0, row[j]))),
+    converged: true,
+  };
+};
+
+// Modelo multivariable sobre las sesiones evaluadas con dato en todas las
+// condiciones elegidas (casos completos)
+const conditionLogisticModel = (sessions, defs) => {
+  const numericDefs = defs.filter((d) => !isCategoricalCondition(d));
+  const cases = sessions
+    .filter((s) => isSuccessResult(s.result) || isFailResult(s.result))
+    .map((s) => ({
+      y: isSuccessResult(s.result) ? 1 : 0,
+      x: numericDefs.map((d) => getConditionValue(s, d.key)),
+    }))
+    .filter((c) => c.x.every((v) => v !== null));
+
+  const n = cases.length;
+  const successes = cases.filter((c) => c.y === 1).length;
+  const events = Math.min(successes, n - successes);
+  const base = { n, successes, events, variables: numericDefs.length };
+  if (!numericDefs.length || events < 2 || n <= numericDefs.length + 1) {
+    return { ...base, status: "insufficient", rows: [] };
+  }
+
+  // Estandarizar: el OR queda "por +1 DE", comparable entre condiciones
+  const scales = numericDefs.map((_, j) => {
+    const stats = computeNumericStats(cases.map((c) => c.x[j]));
+    return { mean: stats.mean, sd: stats.sd || 0 };
+  });
+  const usable = scales.map((sc) => sc.sd > 0);
+  const usedDefs = numericDefs.filter((_, j) => usable[j]);
+  const usedScales = scales.filter((_, j) => usable[j]);
+  if (!usedDefs.length) return { ...base, status: "insufficient", rows: [] };
+  const X = cases.map((c) =>
+    c.x
+      .filter((_, j) => usable[j])
+      .map((v, j) => (v - usedScales[j].mean) / usedScales[j].sd)
+  );
+
+  const fit = fitLogisticRegression(X, cases.map((c) => c.y));
+  if (!fit || !fit.converged) {
+    return { ...base, status: "separation", rows: [] };
+  }
+
+  return {
+    ...base,
+    status:
+      events < LOGISTIC_EVENTS_PER_VARIABLE * usedDefs.length ? "few" : "ok",
+    rows: usedDefs.map((def, j) => {
+      const b = fit.beta[j + 1];
+      const se = fit.se[j + 1];
+      const z = se ? b / se : 0;
+      return {
+        key: def.key,
+        label: conditionLabel(def),
+        sd: usedScales[j].sd,
+        oddsRatio: Math.exp(b),
+        ci: { low: Math.exp(b - 1.96 * se), high: Math.exp(b + 1.96 * se) },
+        p: twoSidedP(z),
+      };
+    }),
+  };
+};
+
+// --- Tendencia y alertas de rendimiento ---
+// Tasa móvil de acierto por perro y regla de alerta: las últimas sesiones
+// contra la línea de base (todo lo anterior).
+
+const ROLLING_WINDOW_MODES = {
+  sessions: "Últimas N sesiones",
+  days: "Últimos N días",
+};
+const DEFAULT_ROLLING_WINDOW = { mode: "sessions", size: 20 };
+const ROLLING_MIN_POINTS = 5; // sesiones mínimas en la ventana para graficar
+
+const REGRESSION_RECENT_SESSIONS = 20;
+const REGRESSION_MIN_BASELINE = 20;
+const REGRESSION_MIN_DROP = 10; // puntos porcentuales
+
+// Sesiones evaluadas (sin abortadas) con fecha, de la más vieja a la más nueva
+const scoredSessionsByDate = (sessions) =>
+  sessions
+    .filter(
+      (s) =>
+        s.started_at &&
+        !isBlindTrialSession(s) &&
+        (isSuccessResult(s.result) || isFailResult(s.result))
+    )
+    .map((s) => {
+      const startedAt = new Date(s.started_at);
+      return {
+        time: startedAt.getTime(),
+        // Día local, igual que el de la tabla de sesiones
+        date: toLocalDateTimeInput(startedAt).slice(0, 10),
+        success: isSuccessResult(s.result) ? 1 : 0,
+      };
+    })
+    .filter((s) => Number.isFinite(s.time))
+    .sort((a, b) => a.time - b.time);
+
+// Tasa móvil (%) con banda de control (p-chart, ±3σ alrededor de la tasa
+// global del perro). { mode: "sessions" | "days", size }
+const rollingSuccessSeries = (
+  sessions,
+  { mode, size } = DEFAULT_ROLLING_WINDOW
+) => {
+  const scored = scoredSessionsByDate(sessions);
+  if (!scored.length) return { baseline: null, points: [] };
+  const baseline =
+    (scored.reduce((acc, s) => acc + s.success, 0) / scored.length) * 100;
+  const p = baseline / 100;
+
+  let start = 0;
+  let successes = 0;
+  const points = [];
+  scored.forEach((s, i) => {
+    successes += s.success;
+    const outside = (j) =>
+      mode === "days"
+        ? s.time - scored[j].time >= size * 86400000
+        : i - j >= size;
+    while (outside(start)) {
+      successes -= scored[start].success;
+      start += 1;
+    }
+    const n = i - start + 1;
+    if (n < Math.min(size, ROLLING_MIN_POINTS)) return;
+    const sigma = Math.sqrt((p * (1 - p)) / n) * 100;
+    points.push({
+      date: s.date,
+      n,
+      rate: Number(((successes / n) * 100).toFixed(1)),
+      upper: Number(Math.min(100, baseline + 3 * sigma).toFixed(1)),
+      lower: Number(Math.max(0, baseline - 3 * sigma).toFixed(1)),
+    });
+  });
+  return { baseline: Number(baseline.toFixed(1)), points };
+};
+
+// ¿La tasa reciente cayó significativamente respecto de la línea de base?
+// Prueba z de dos proporciones, unilateral, y una caída mínima para no
+// alertar por diferencias irrelevantes.
+const detectPerformanceRegression = (sessions) => {
+  const scored = scoredSessionsByDate(sessions);
+  const recent = scored.slice(-REGRESSION_RECENT_SESSIONS);
+  const baseline = scored.slice(0, -REGRESSION_RECENT_SESSIONS);
+  if (
+    recent.length < REGRESSION_RECENT_SESSIONS ||
+    baseline.length < REGRESSION_MIN_BASELINE
+  ) {
+    return {
+      status: "insufficient",
+      recentN: recent.length,
+      baselineN: baseline.length,
+    };
+  }
+
+  const sum = (arr) => arr.reduce((acc, s) => acc + s.success, 0);
+  const recentRate = sum(recent) / recent.length;
+  const baselineRate = sum(baseline) / baseline.length;
+  const pooled =
+    (sum(recent) + sum(baseline)) / (recent.length + baseline.length);
+  const se = Math.sqrt(
+    pooled * (1 - pooled) * (1 / recent.length + 1 / baseline.length)
+  );
+  const p = se ? normalCdf((recentRate - baselineRate) / se) : 1;
+  const drop = (baselineRate - recentRate) * 100;
+
+  return {
+    status:
+      p < SIGNIFICANCE_LEVEL && drop >= REGRESSION_MIN_DROP
+        ? "regression"
+        : "ok",
+    recentRate: recentRate * 100,
+    baselineRate: baselineRate * 100,
+    recentN: recent.length,
+    baselineN: baseline.length,
+    drop,
+    p,
+    since: recent[0].date,
+  };
+};
+
+const describeRegression = (alert) =>
+  `Últimas ${alert.recentN} sesiones: ${formatPct(alert.recentRate)} ` +
+  `vs. ${formatPct(alert.baselineRate)} de línea de base ` +
+  `(${formatPValue(alert.p)}).`;
+
+// Perros activos de la unidad con sus sesiones (solo lo necesario para
+// alertas y mantenimiento). enabled = false evita la consulta (p. ej. sin
+// permiso para ver perros).
+const useUnitDogSessions = ({ enabled = true } = {}) => {
+  const { activeUnitId } = useUnit();
+  const [state, setState] = React.useState({
+    dogs: [],
+    sessionsByDog: new Map(),
+    loading: true,
+    error: null,
+  });
+
+  React.useEffect(() => {
+    if (!enabled) return undefined;
+    let cancelled = false;
+    (async () => {
+      try {
+        const [{ rows: dogs }, { rows: sessions }] = await Promise.all([
+          fetchAllRows(() =>
+            scopeToUnit(
+              supabase
+                .from("dogs")
+                .select("id, name, dog_code, archived_at")
+                .is("archived_at", null),
+              activeUnitId
+            ).order("id", { ascending: true })
+          ),
+          fetchAllRows(() =>
+            scopeToUnit(
+              supabase
+                .from("training_sessions")
+                .select("id, dog_id, result, started_at, type"),
+              activeUnitId
+            ).order("id", { ascending: true })
+          ),
+        ]);
+
+        const sessionsByDog = new Map();
+        sessions.forEach((s) => {
+          const key = String(s.dog_id);
+          if (!sessionsByDog.has(key)) sessionsByDog.set(key, []);
+          sessionsByDog.get(key).push(s);
+        });
+        if (!cancelled) {
+          setState({ dogs, sessionsByDog, loading: false, error: null });
+        }
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) {
+          setState({
+            dogs: [],
+            sessionsByDog: new Map(),
+            loading: false,
+            error: err.message || "Error al cargar las sesiones de la unidad.",
+          });
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [activeUnitId, enabled]);
+
+  return enabled
+    ? state
+    : { dogs: [], sessionsByDog: new Map(), loading: false, error: null };
+};
+
+// Perros con regresión, de la mayor caída a la menor
+const regressionAlerts = (dogs, sessionsByDog) =>
+  dogs
+    .map((dog) => ({
+      dog,
+      ...detectPerformanceRegression(sessionsByDog.get(String(dog.id)) || []),
+    }))
+    .filter((a) => a.status === "regression")
+    .sort((a, b) => b.drop - a.drop);
+
+// --- Mantenimiento de olores ---
+// Cada perro debe trabajar cada olor que conoce (los que ya entrenó) dentro
+// de un intervalo, configurable por sustancia.
+
+const MAINTENANCE_DEFAULT_DAYS = 30;
+const MAINTENANCE_UPCOMING_DAYS = 7; // aviso previo al vencimiento
+
+const MAINTENANCE_STATUS = {
+  overdue: { label: "Vencido", color: "crimson" },
+  upcoming: { label: "Por vencer", color: palette.marigold },
+  ok: { label: "Al día", color: "#15803d" },
+};
+
+const maintenanceIntervalFor = (intervals, scent) =>
+  intervals.find((i) => i.scent === scent)?.interval_days ??
+  MAINTENANCE_DEFAULT_DAYS;
+
+// Último entrenamiento y vencimiento por sustancia, lo más urgente primero
+const dogMaintenance = (sessions, intervals, now = new Date()) => {
+  const last = new Map();
+  sessions.forEach((s) => {
+    const scent = s.type?.scent;
+    if (!scent || !s.started_at) return;
+    if (!last.has(scent) || s.started_at > last.get(scent)) {
+      last.set(scent, s.started_at);
+    }
+  });
+  return Array.from(last, ([scent, lastAt]) => {
+    const days = daysSince(lastAt, now);
+    const interval = maintenanceIntervalFor(intervals, scent);
+    const dueIn = interval - days;
+    return {
+      scent,
+      last: lastAt,
+      days,
+      interval,
+      dueIn,
+      status:
+        dueIn < 0
+          ? "overdue"
+          : dueIn <= MAINTENANCE_UPCOMING_DAYS
+          ? "upcoming"
+          : "ok",
+    };
+  }).sort((a, b) => a.dueIn - b.dueIn);
+};
+
+const summarizeMaintenance = (entries) => ({
+  entries,
+  overdue: entries.filter((e) => e.status === "overdue").length,
+  upcoming: entries.filter((e) => e.status === "upcoming").length,
+});
+
+// "Vencido hace 5 días" / "Vence en 3 días" / "Vence hoy"
+const describeDue = (dueIn) =>
+  dueIn < 0
+    ? `Vencido hace ${-dueIn} ${dueIn === -1 ? "día" : "días"}`
+    : dueIn === 0
+    ? "Vence hoy"
+    : `Vence en ${dueIn} ${dueIn === 1 ? "día" : "días"}`;
+
+// Intervalos configurados (scent_maintenance_intervals)
+const useMaintenanceIntervals = () => {
+  const [state, setState] = React.useState({
+    intervals: [],
+    loading: true,
+    error: null,
+  });
+
+  const reload = React.useCallback(async () => {
+    try {
+      const { data, error } = await supabase
+        .from("scent_maintenance_intervals")
+        .select("id, scent, interval_days")
+        .order("scent", { ascending: true });
+      if (error) throw error;
+      setState({ intervals: data || [], loading: false, error: null });
+    } catch (err) {
+      console.error(err);
+      setState((prev) => ({
+        ...prev,
+        loading: false,
+        error: err.message || "Error al cargar los intervalos de mantenimiento.",
+      }));
+    }
+  }, []);
+
+  React.useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { ...state, reload };
+};
+
+/**
+ * RecordDetail: detalle de un perro.
+ */
+const RecordDetail = () => {
+  const { id } = useParams(); // id del perro (dogs.id)
+  const navigate = useNavigate();
+  const { can, profile, user } = useAuth();
+  const canEditDog = can("update", "dog");
+  const canArchiveDog = can("archive", "dog");
+  const canDeleteDog = can("delete", "dog");
+  const canLogSession = can("create", "session", { dogId: id });
+  const { handlers, teams } = useHandlers();
+  const { definitions: conditionDefs } = useConditionDefinitions();
+  const { intervals: maintenanceIntervals } = useMaintenanceIntervals();
+  const { unitName } = useUnit();
+  const {
+    items: queueItems = [],
+    syncVersion = 0,
+    resolvedIds = {},
+  } = useSync() || {};
+
+  const [fetchedDog, setDog] = React.useState(null);
+  const [sessions, setSessions] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [offlineNotice, setOfflineNotice] = React.useState(null);
+  const [actionBusy, setActionBusy] = React.useState(false);
+  const [actionError, setActionError] = React.useState(null);
+  const [confirmingDelete, setConfirmingDelete] = React.useState(false);
+  const [deleteConfirmText, setDeleteConfirmText] = React.useState("");
+  const [report, setReport] = React.useState(null); // { from, to } abierto
+  const [reportError, setReportError] = React.useState(null);
+  const [selectedCondition, setSelectedCondition] =
+    React.useState("temp");
+  const selectedDef =
+    conditionDefs.find((d) => d.key === selectedCondition) ||
+    conditionDefs[0];
+  const [rollingWindow, setRollingWindow] = React.useState(
+    DEFAULT_ROLLING_WINDOW
+  );
+
+  // Perro dado de alta offline: vive en la cola hasta sincronizarse
+  const pendingDog = isLocalId(id)
+    ? pendingDogsFromQueue(queueItems).find((d) => d.id === id) || null
+    : null;
+  const dog = fetchedDog || pendingDog;
+  const pendingSessions = pendingSessionsForDog(queueItems, id);
+
+  // Cuando el perro local se sincroniza pasamos a su id definitivo
+  React.useEffect(() => {
+    if (resolvedIds[id]) {
+      navigate(`/records/${resolvedIds[id]}`, { replace: true });
+    }
+  }, [id, resolvedIds, navigate]);
+
+  React.useEffect(() => {
+    if (isLocalId(id)) {
+      setLoading(false);
+      return;
+    }
+    (async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setOfflineNotice(null);
+
+        const { data: dogData, error: dogError } = await supabase
+          .from("dogs")
+          .select(
+            "id, dog_code, name, breed, sex, birthdate, notes, unit_id, active, archived_at, created_at"
+          )
+          .eq("id", id)
+          .single();
+
+        if (dogError) throw dogError;
+
+        const { rows: sessData } = await fetchAllRows(() =>
+          supabase
+            .from("training_sessions")
+            .select(
+              "id, handler_id, result, started_at, duration_s, conditions, type"
+            )
+            .eq("dog_id", id)
+            .order("started_at", { ascending: true })
+            .order("id", { ascending: true })
+        );
+
+        setDog(dogData);
+        setSessions(sessData);
+      } catch (err) {
+        console.error(err);
+        const cachedDog = readDogsCache().find(
+          (d) => String(d.id) === String(id)
+        );
+        if (cachedDog && isTransientError(err)) {
+          setDog(cachedDog);
+          setOfflineNotice(
+            "Sin conexión: no se pueden mostrar las sesiones, pero podés registrar nuevas."
+          );
+        } else {
+          setError(
+            err.message ||
+              "Error al cargar el perro / sus sesiones desde Supabase"
+          );
+        }
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [id, syncVersion]);
+
+  // Cambios en vivo de otros usuarios sobre este perro y sus sesiones
+  const liveStatus = useRealtime(isLocalId(id) ? null : `dog-${id}`, [
+    {
+      table: "training_sessions",
+      filter: `dog_id=eq.${id}`,
+      onChange: (payload) => {
+        if (payload.eventType === "DELETE") return;
+        setSessions((prev) => sortSessionsByDate(upsertById(prev, payload.new)));
+      },
+    },
+    {
+      table: "training_sessions",
+      event: "DELETE",
+      onChange: (payload) =>
+        setSessions((prev) =>
+          prev.filter((s) => String(s.id) !== String(payload.old?.id))
+        ),
+    },
+    {
+      table: "dogs",
+      event: "UPDATE",
+      filter: `id=eq.${id}`,
+      onChange: (payload) =>
+        setDog((prev) => (prev ? { ...prev, ...payload.new } : payload.new)),
+    },
+    {
+      table: "dogs",
+      event: "DELETE",
+      onChange: (payload) => {
+        if (String(payload.old?.id) !== String(id)) return;
+        setDog(null);
+        setSessions([]);
+        setError("Este perro fue eliminado por otro usuario.");
+      },
+    },
+  ]);
+
+  // Archivar (baja lógica) o restaurar: las sesiones se conservan
+  const handleToggleArchive = async () => {
+    if (!dog || !canArchiveDog) return;
+    setActionError(null);
+    try {
+      setActionBusy(true);
+      const archived_at = dog.archived_at ? null : new Date().toISOString();
+      const { data, error } = await supabase
+        .from("dogs")
+        .update({ archived_at })
+        .eq("id", dog.id)
+        .select(
+          "id, dog_code, name, breed, sex, birthdate, notes, unit_id, active, archived_at, created_at"
+        )
+        .single();
+
+      if (error) throw error;
+      setDog(data);
+    } catch (err) {
+      console.error(err);
+      setActionError(err.message || "Error al archivar el perro.");
+    } finally {
+      setActionBusy(false);
+    }
+  };
+
+  // Borrado definitivo (solo admin): elimina primero sus sesiones
+  const handleDelete = async () => {
+    if (!dog || !canDeleteDog) return;
+    setActionError(null);
+    try {
+      setActionBusy(true);
+      // Sesiones, planes y pruebas se borran en cascada (on delete cascade):
+      // si falla el borrado del perro no se pierde nada
+      const { error: dogError } = await supabase
+        .from("dogs")
+        .delete()
+        .eq("id", dog.id);
+
+      if (dogError) throw dogError;
+
+      navigate("/records", { replace: true });
+    } catch (err) {
+      console.error(err);
+      setActionError(err.message || "Error al eliminar el perro.");
+      setActionBusy(false);
+    }
+  };
+
+  const deleteConfirmTarget = dog?.dog_code || dog?.name || "";
+
+  // Los contenedores de pruebas ciegas se listan pero no cuentan como
+  // búsquedas en las estadísticas ni en el informe
+  const searchSessions = React.useMemo(
+    () => sessions.filter((s) => !isBlindTrialSession(s)),
+    [sessions]
+  );
+
+  // Informe PDF: por defecto desde la primera sesión hasta hoy
+  const openReport = () => {
+    const first = sortSessionsByDate(searchSessions).find((s) => s.started_at);
+    setReportError(null);
+    setReport({
+      from: first ? toLocalDateTimeInput(new Date(first.started_at)).slice(0, 10) : "",
+      to: toLocalDateTimeInput(new Date()).slice(0, 10),
+    });
+  };
+
+  const reportSessions = report
+    ? sessionsInPeriod(searchSessions, report.from, report.to)
+    : [];
+
+  const handleGenerateReport = async () => {
+    setReportError(null);
+    try {
+      const doc = await buildDogReportPdf({
+        dog,
+        sessions: reportSessions,
+        handlers,
+        teamHandlers: handlersForDog(handlers, teams, dog.id),
+        conditionDefs,
+        unitName,
+        from: report.from,
+        to: report.to,
+        issuedBy: profile?.full_name || user?.email || "",
+      });
+      doc.save(
+        `informe-${normalizeHeader(dog.dog_code || dog.name)}-${
+          report.to || toLocalDateTimeInput(new Date()).slice(0, 10)
+        }.pdf`
+      );
+    } catch (err) {
+      console.error(err);
+      setReportError(err.message || "No se pudo generar el informe.");
+    }
+  };
+
+  // Edición / borrado de sesiones desde la tabla: el estado local se
+  // actualiza y los gráficos se recalculan en el próximo render.
+  const handleUpdateSession = async (sessionId, payload) => {
+    const { data, error } = await supabase
+      .from("training_sessions")
+      .update(payload)
+      .eq("id", sessionId)
+      .select(
+        "id, handler_id, result, started_at, duration_s, conditions, type"
+      )
+      .single();
+
+    if (error) throw error;
+    setSessions((prev) =>
+      sortSessionsByDate(prev.map((s) => (s.id === sessionId ? data : s)))
+    );
+  };
+
+  const handleDeleteSession = async (sessionId) => {
+    const { error } = await supabase
+      .from("training_sessions")
+      .delete()
+      .eq("id", sessionId);
+
+    if (error) throw error;
+    setSessions((prev) => prev.filter((s) => s.id !== sessionId));
+  };
+
+  // Derivados: partición de sesiones
+  const successSessions = searchSessions.filter((s) =>
+    isSuccessResult(s.result)
+  );
+  const failSessions = searchSessions.filter((s) => isFailResult(s.result));
+  const totalSessions = searchSessions.length;
+  const blindTrialSessions = sessions.length - searchSessions.length;
+
+  const outcomeCounts = countOutcomes(searchSessions);
+  const outcomeRates = computeOutcomeRates(outcomeCounts);
+
+  // Desglose por guía: ¿los errores del perro siguen a un guía en particular?
+  const teamHandlers = handlersForDog(handlers, teams, id);
+  const handlerBreakdown = groupOutcomes(searchSessions, (s) =>
+    String(s.handler_id || NO_HANDLER)
+  )
+    .map((h) => ({
+      ...h,
+      name: handlerName(handlers, h.key === NO_HANDLER ? null : h.key),
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  // Tasas sobre sesiones evaluadas (las abortadas se informan aparte)
+  const rateHistogramData = [
+    {
+      label: "Aciertos",
+      ...rateWithCI(outcomeRates.success, outcomeRates.scored),
+    },
+    {
+      label: "Falsos positivos",
+      ...rateWithCI(outcomeCounts.fp, outcomeRates.scored),
+    },
+    {
+      label: "Falsos negativos",
+      ...rateWithCI(outcomeCounts.fn, outcomeRates.scored),
+    },
+  ];
+
+  // Distribuciones por condición seleccionada
+  const {
+    binsSuccess,
+    binsFail,
+    statsSuccess,
+    statsFail,
+  } = React.useMemo(
+    () => conditionDistributions(successSessions, failSessions, selectedDef),
+    [successSessions, failSessions, selectedDef]
+  );
+
+  // ¿Cada condición difiere entre aciertos y errores? (una prueba por condición)
+  const conditionComparisons = conditionDefs.map((def) =>
+    compareConditionGroups(successSessions, failSessions, def)
+  );
+  const selectedComparison = conditionComparisons.find(
+    (c) => c.key === selectedDef?.key
+  );
+
+  // La matriz perro × sustancia de Stats, solo con este perro
+  const scentMatrix = React.useMemo(
+    () => dogScentMatrix(searchSessions.map((s) => ({ ...s, dogs: dog }))),
+    [searchSessions, dog]
+  );
+
+  // Tendencia: tasa móvil con banda de control y alerta de regresión
+  const rolling = React.useMemo(
+    () => rollingSuccessSeries(searchSessions, rollingWindow),
+    [searchSessions, rollingWindow]
+  );
+  const regression = React.useMemo(
+    () => detectPerformanceRegression(searchSessions),
+    [searchSessions]
+  );
+
+  // Serie temporal de duración
+  const durationSeries = searchSessions.map((s) => ({
+    date: s.started_at
+      ? String(s.started_at).slice(0, 10)
+      : "Sin fecha",
+    duration: s.duration_s || 0,
+  }));
+
+  // Datos exportables: sesiones, desglose por guía, sustancias y condiciones
+  const exportStats = React.useMemo(
+    () => ({
+      ...aggregateSessions(searchSessions, [], conditionDefs),
+      histogram: conditionHistogramRows(searchSessions, conditionDefs),
+    }),
+    [searchSessions, conditionDefs]
+  );
+  const exportDatasets = [
+    {
+      key: "sessions",
+      label: "Sesiones",
+      columns: sessionExportColumns({ handlers, conditionDefs }),
+      rows: sessions.map((s) => ({ ...s, dogs: dog })),
+    },
+    {
+      key: "handlers",
+      label: "Desempeño por guía",
+      columns: outcomeExportColumns([{ header: "Guía", value: (r) => r.name }]),
+      rows: handlerBreakdown,
+    },
+    {
+      key: "scents",
+      label: "Sustancias",
+      columns: outcomeExportColumns([
+        { header: "Sustancia", value: (r) => r.scent },
+      ]),
+      rows: exportStats.scentStats,
+    },
+    {
+      key: "conditions",
+      label: "Series por condición",
+      columns: conditionSeriesExportColumns,
+      rows: flattenConditionSeries(exportStats.conditionSeries, conditionDefs),
+    },
+    {
+      key: "histograms",
+      label: "Histogramas por condición",
+      columns: histogramExportColumns,
+      rows: exportStats.histogram,
+    },
+  ];
+
+  return (
+    <Shell>
+      <section className="space-y-8">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            {dog ? dog.name : "Perro"}
+          </h2>
+          {dog && !dog.pendingSync && <LiveBadge status={liveStatus} />}
+          {dog && (
+            <div className="ml-auto flex flex-wrap gap-2">
+              {!dog.archived_at && canLogSession && (
+                <Button
+                  to={`/records/${dog.id}/sessions/new`}
+                  variant="primary"
+                >
+                  Registrar sesión
+                </Button>
+              )}
+              {!dog.pendingSync && !offlineNotice && (
+                <>
+                  <Button variant="ghost" onClick={openReport}>
+                    Generar informe
+                  </Button>
+                  {canEditDog && (
+                    <Button to={`/dogs/${dog.id}/edit`} variant="ghost">
+                      Editar
+                    </Button>
+                  )}
+                  {canArchiveDog && (
+                    <Button
+                      variant="ghost"
+                      onClick={handleToggleArchive}
+                      disabled={actionBusy}
+                    >
+                      {dog.archived_at ? "Restaurar" : "Archivar"}
+                    </Button>
+                  )}
+                  {canDeleteDog && (
+                    <Button
+                      variant="ghost"
+                      onClick={() => {
+                        setConfirmingDelete(true);
+                        setDeleteConfirmText("");
+                      }}
+                    >
+                      Eliminar
+                    </Button>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        {actionError && (
+          <p style={{ color: "crimson" }}>Error: {actionError}</p>
+        )}
+
+        {dog && report && (
+          <div
+            className="rounded-2xl p-5 shadow-md space-y-3"
+            style={{
+              background: palette.pearl,
+              border: `2px solid ${palette.buff}`,
+            }}
+          >
+            <h3
+              className="text-lg font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              Informe de confiabilidad (PDF)
+            </h3>
+            <p className="text-sm" style={{ color: palette.citrineBrown }}>
+              Incluye identificación del perro, tasas de acierto y falsos
+              positivos con IC 95%, desempeño por sustancia, distribuciones
+              por condición, el historial de sesiones del período y líneas de
+              firma.
+            </p>
+            <div className="grid md:grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium mb-1">Desde</label>
+                <input
+                  type="date"
+                  value={report.from}
+                  onChange={(e) =>
+                    setReport((prev) => ({ ...prev, from: e.target.value }))
+                  }
+                  className="w-full rounded-xl px-3 py-2 border"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Hasta</label>
+                <input
+                  type="date"
+                  value={report.to}
+                  onChange={(e) =>
+                    setReport((prev) => ({ ...prev, to: e.target.value }))
+                  }
+                  className="w-full rounded-xl px-3 py-2 border"
+                />
+              </div>
+            </div>
+            <SampleSize n={reportSessions.length} detail="en el período" />
+            {reportError && (
+              <p style={{ color: "crimson" }}>Error: {reportError}</p>
+            )}
+            <div className="flex gap-2">
+              <Button
+                variant="primary"
+                onClick={handleGenerateReport}
+                disabled={reportSessions.length === 0}
+              >
+                Descargar PDF
+              </Button>
+              <Button variant="ghost" onClick={() => setReport(null)}>
+                Cancelar
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {dog && canDeleteDog && confirmingDelete && (
+          <div
+            className="rounded-2xl p-5 shadow-md space-y-3"
+            style={{ background: "white", border: "2px solid crimson" }}
+          >
+            <h3 className="text-lg font-semibold" style={{ color: "crimson" }}>
+              Eliminar definitivamente
+            </h3>
+            <p style={{ color: palette.citrineBrown }}>
+              Se eliminarán el perro y sus {sessions.length} sesiones
+              registradas. Esta acción no se puede deshacer; si solo querés
+              ocultarlo, usá <strong>Archivar</strong>.
+            </p>
+            <label className="block text-sm font-medium">
+              Escribí <strong>{deleteConfirmTarget}</strong> para confirmar:
+            </label>
+            <input
+              type="text"
+              value={deleteConfirmText}
+              onChange={(e) => setDeleteConfirmText(e.target.value)}
+              className="w-full rounded-xl px-3 py-2 border"
+            />
+            <div className="flex gap-2">
+              <Button
+                variant="primary"
+                onClick={handleDelete}
+                disabled={
+                  actionBusy ||
+                  deleteConfirmText.trim() !== deleteConfirmTarget
+                }
+              >
+                {actionBusy ? "Eliminando..." : "Eliminar perro y sesiones"}
+              </Button>
+              <Button
+                variant="ghost"
+                onClick={() => setConfirmingDelete(false)}
+              >
+                Cancelar
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {loading && (
+          <p style={{ color: palette.citrineBrown }}>Cargando…</p>
+        )}
+        {offlineNotice && (
+          <p style={{ color: palette.citrineBrown }}>{offlineNotice}</p>
+        )}
+        {dog?.pendingSync && (
+          <p
+            style={{
+              color:
+                dog.pendingSync === "conflict"
+                  ? "crimson"
+                  : palette.citrineBrown,
+            }}
+          >
+            {dog.pendingSync === "conflict"
+              ? "Este perro no se pudo sincronizar. Revisá el detalle en el indicador de sincronización."
+              : "Este perro se cargó sin conexión y está pendiente de sincronizar."}
+          </p>
+        )}
+        {error && (
+          <p style={{ color: "crimson" }}>Error: {error}</p>
+        )}
+
+        {dog ? (
+          <>
+            <ExportMenu
+              datasets={exportDatasets}
+              baseName={`k9-${normalizeHeader(dog.dog_code || dog.name)}`}
+            />
+
+            <div className="space-y-6">
+              <div
+                className="rounded-2xl p-5 shadow-md"
+                style={{
+                  background: palette.pearl,
+                  border: `2px solid ${palette.buff}`,
+                }}
+              >
+                <h3
+                  className="text-xl font-semibold mb-3"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Información básica
+                </h3>
+                <dl className="space-y-2">
+                  <div className="flex justify-between">
+                    <dt className="font-medium">Nombre</dt>
+                    <dd>{dog.name}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="font-medium">Código</dt>
+                    <dd>{dog.dog_code || "—"}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="font-medium">Raza</dt>
+                    <dd>{dog.breed || "—"}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="font-medium">Sexo</dt>
+                    <dd>{dog.sex || "—"}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="font-medium">Nacimiento</dt>
+                    <dd>{dog.birthdate || "—"}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="font-medium">Activo</dt>
+                    <dd>{dog.active ? "Sí" : "No"}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="font-medium">Unidad</dt>
+                    <dd>{unitName(dog.unit_id)}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="font-medium">Guías</dt>
+                    <dd>
+                      {teamHandlers.length
+                        ? teamHandlers.map((h) => h.name).join(", ")
+                        : "Sin asignar"}
+                    </dd>
+                  </div>
+                  {dog.archived_at && (
+                    <div className="flex justify-between">
+                      <dt className="font-medium">Archivado</dt>
+                      <dd>{String(dog.archived_at).slice(0, 10)}</dd>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <dt className="font-medium">Registrado</dt>
+                    <dd>
+                      {dog.created_at
+                        ? String(dog.created_at).slice(0, 10)
+                        : "—"}
+                    </dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="font-medium">
+                      Sesiones registradas
+                    </dt>
+                    <dd>
+                      {totalSessions}
+                      {blindTrialSessions > 0 &&
+                        ` (+${blindTrialSessions} de pruebas ciegas)`}
+                    </dd>
+                  </div>
+                </dl>
+              </div>
+
+              <div
+                className="rounded-2xl p-5 shadow-md"
+                style={{
+                  background: palette.pearl,
+                  border: `2px solid ${palette.buff}`,
+                }}
+              >
+                <h3
+                  className="text-xl font-semibold mb-3"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Notas
+                </h3>
+                <p style={{ color: palette.citrineBrown }}>
+                  {dog.notes || "Sin notas"}
+                </p>
+              </div>
+            </div>
+
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Tasas de aciertos y errores
+              </h3>
+
+              {totalSessions === 0 ? (
+                <p style={{ color: palette.citrineBrown }}>
+                  Todavía no hay sesiones registradas para este
+                  perro.
+                </p>
+              ) : (
+                <div className="space-y-4">
+                  <div className="grid md:grid-cols-4 gap-4">
+                    <KpiCard
+                      label="Tasa de acierto"
+                      value={formatPct(outcomeRates.accuracy)}
+                    />
+                    <KpiCard
+                      label="Sensibilidad (VP / (VP + FN))"
+                      value={formatPct(outcomeRates.sensitivity)}
+                    />
+                    <KpiCard
+                      label="Especificidad (VN / (VN + FP))"
+                      value={formatPct(outcomeRates.specificity)}
+                    />
+                    <KpiCard
+                      label="Precisión (VP / (VP + FP))"
+                      value={formatPct(outcomeRates.precision)}
+                    />
+                  </div>
+                  <ConfusionMatrix counts={outcomeCounts} />
+                  <div className="h-64">
+                    <RateCIChart data={rateHistogramData} labelKey="label" />
+                  </div>
+                </div>
+              )}
+            </section>
+
+            {/* Desglose por guía */}
+            {handlerBreakdown.length > 0 && (
+              <section className="space-y-4">
+                <h3
+                  className="text-xl font-semibold"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Desempeño por guía
+                </h3>
+                <div
+                  className="overflow-x-auto rounded-2xl shadow-md"
+                  style={{ border: `2px solid ${palette.buff}` }}
+                >
+                  <table className="min-w-full text-sm text-left">
+                    <thead
+                      style={{
+                        background: palette.buff,
+                        color: palette.policeBlue,
+                      }}
+                    >
+                      <tr>
+                        <th className="px-3 py-2">Guía</th>
+                        <th className="px-3 py-2">Sesiones</th>
+                        <th className="px-3 py-2">Acierto</th>
+                        <th className="px-3 py-2">Falsos positivos</th>
+                        <th className="px-3 py-2">Falsos negativos</th>
+                      </tr>
+                    </thead>
+                    <tbody style={{ background: palette.pearl }}>
+                      {handlerBreakdown.map((h) => (
+                        <tr
+                          key={h.key}
+                          className="border-t"
+                          style={{ borderColor: palette.buff }}
+                        >
+                          <td className="px-3 py-2 font-medium">{h.name}</td>
+                          <td className="px-3 py-2">
+                            {h.total}
+                            {h.scored !== h.total && ` (${h.scored} evaluadas)`}
+                          </td>
+                          <td className="px-3 py-2">
+                            {h.scored ? formatPct(h.successRate) : "—"}{" "}
+                            <span
+                              className="text-xs"
+                              style={{ color: palette.citrineBrown }}
+                            >
+                              {formatCI(h.successCI)}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2">
+                            {h.fp} · {h.scored ? formatPct(h.fpRate) : "—"}{" "}
+                            <span
+                              className="text-xs"
+                              style={{ color: palette.citrineBrown }}
+                            >
+                              {formatCI(h.fpCI)}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2">
+                            {h.fn} · {h.scored ? formatPct(h.fnRate) : "—"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-xs" style={{ color: palette.citrineBrown }}>
+                  Tasas sobre sesiones evaluadas (sin abortadas). Si los
+                  intervalos de un guía no se solapan con los del resto, la
+                  diferencia probablemente no sea casual.
+                </p>
+              </section>
+            )}
+
+            {/* Distribuciones por condición */}
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Distribución de condiciones ambientales
+              </h3>
+
+              <div className="flex flex-wrap items-center gap-3">
+                <span
+                  className="font-medium"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Condición:
+                </span>
+                <select
+                  value={selectedDef?.key}
+                  onChange={(e) =>
+                    setSelectedCondition(e.target.value)
+                  }
+                  className="rounded-xl px-3 py-2 border bg-white"
+                >
+                  {conditionDefs.map((def) => (
+                    <option key={def.key} value={def.key}>
+                      {conditionLabel(def)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {binsSuccess.length === 0 &&
+              binsFail.length === 0 ? (
+                <p style={{ color: palette.citrineBrown }}>
+                  No hay datos para esta condición en las sesiones de este
+                  perro.
+                </p>
+              ) : (
+                <div className="grid md:grid-cols-2 gap-6">
+                  {/* Éxitos */}
+                  <div
+                    className="rounded-2xl p-4 shadow-md"
+                    style={{
+                      background: palette.pearl,
+                      border: `2px solid ${palette.buff}`,
+                    }}
+                  >
+                    <h4
+                      className="font-semibold mb-2"
+                      style={{ color: palette.policeBlue }}
+                    >
+                      Entrenamientos exitosos
+                    </h4>
+                    <div className="h-56 mb-2">
+                      <ResponsiveContainer
+                        width="100%"
+                        height="100%"
+                      >
+                        <BarChart data={binsSuccess}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="range" />
+                          <YAxis />
+                          <Tooltip />
+                          <Bar
+                            dataKey="count"
+                            name="Frecuencia"
+                            fill={palette.marigold}
+                          />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                    {!isCategoricalCondition(selectedDef) && (
+                      <StatsSummary stats={statsSuccess} />
+                    )}
+                  </div>
+
+                  {/* Fallos */}
+                  <div
+                    className="rounded-2xl p-4 shadow-md"
+                    style={{
+                      background: palette.pearl,
+                      border: `2px solid ${palette.buff}`,
+                    }}
+                  >
+                    <h4
+                      className="font-semibold mb-2"
+                      style={{ color: palette.policeBlue }}
+                    >
+                      Errores (falsos positivos y negativos)
+                    </h4>
+                    <div className="h-56 mb-2">
+                      <ResponsiveContainer
+                        width="100%"
+                        height="100%"
+                      >
+                        <BarChart data={binsFail}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="range" />
+                          <YAxis />
+                          <Tooltip />
+                          <Bar
+                            dataKey="count"
+                            name="Frecuencia"
+                            fill={palette.citrineBrown}
+                          />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                    {!isCategoricalCondition(selectedDef) && (
+                      <StatsSummary stats={statsFail} />
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {selectedComparison && (
+                <p
+                  className="font-medium"
+                  style={{
+                    color: selectedComparison.significant
+                      ? palette.citrineBrown
+                      : palette.policeBlue,
+                  }}
+                >
+                  {selectedComparison.verdict}
+                </p>
+              )}
+
+              <ConditionComparisonTable comparisons={conditionComparisons} />
+            </section>
+
+            {/* Matriz por sustancia */}
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Rendimiento por sustancia
+              </h3>
+              <DogScentMatrix
+                matrix={scentMatrix}
+                minSessions={DEFAULT_MIN_SESSIONS}
+                intervals={maintenanceIntervals}
+                linkDogs={false}
+              />
+              <MaintenanceTable
+                entries={dogMaintenance(sessions, maintenanceIntervals)}
+              />
+            </section>
+
+            {/* Tendencia de la tasa de acierto */}
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Tendencia de la tasa de acierto
+              </h3>
+
+              {regression.status === "regression" && (
+                <p
+                  className="rounded-2xl p-3 font-medium"
+                  style={{ border: "2px solid crimson", color: "crimson" }}
+                >
+                  Rendimiento en baja desde el {regression.since}.{" "}
+                  {describeRegression(regression)}
+                </p>
+              )}
+
+              <div className="flex flex-wrap items-center gap-3">
+                <span
+                  className="font-medium"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Ventana:
+                </span>
+                <select
+                  value={rollingWindow.mode}
+                  onChange={(e) =>
+                    setRollingWindow((prev) => ({
+                      ...prev,
+                      mode: e.target.value,
+                    }))
+                  }
+                  className="rounded-xl px-3 py-2 border bg-white"
+                >
+                  {Object.entries(ROLLING_WINDOW_MODES).map(
+                    ([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    )
+                  )}
+                </select>
+                <input
+                  type="number"
+                  min="2"
+                  max="365"
+                  value={rollingWindow.size}
+                  onChange={(e) =>
+                    setRollingWindow((prev) => ({
+                      ...prev,
+                      size: Math.max(2, Number(e.target.value) || 2),
+                    }))
+                  }
+                  className="w-24 rounded-xl px-3 py-2 border"
+                  aria-label="Tamaño de la ventana"
+                />
+              </div>
+
+              {rolling.points.length === 0 ? (
+                <p style={{ color: palette.citrineBrown }}>
+                  No hay sesiones evaluadas suficientes para la ventana
+                  elegida.
+                </p>
+              ) : (
+                <>
+                  <div className="h-72">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={rolling.points}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="date" />
+                        <YAxis unit="%" domain={[0, 100]} />
+                        <Tooltip
+                          formatter={(v, name) => [`${v}%`, name]}
+                          labelFormatter={(v, items) =>
+                            `${v} · n=${items?.[0]?.payload?.n ?? "—"}`
+                          }
+                        />
+                        <Legend />
+                        <ReferenceLine
+                          y={rolling.baseline}
+                          stroke={palette.citrineBrown}
+                          strokeDasharray="4 4"
+                        />
+                        <Line
+                          type="monotone"
+                          dataKey="upper"
+                          name="Límite superior"
+                          stroke={palette.buff}
+                          strokeDasharray="5 5"
+                          dot={false}
+                        />
+                        <Line
+                          type="monotone"
+                          dataKey="lower"
+                          name="Límite inferior"
+                          stroke={palette.citrineBrown}
+                          strokeDasharray="5 5"
+                          dot={false}
+                        />
+                        <Line
+                          type="monotone"
+                          dataKey="rate"
+                          name="Tasa móvil"
+                          stroke={palette.policeBlue}
+                          strokeWidth={2}
+                          dot={false}
+                        />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <p className="text-xs" style={{ color: palette.citrineBrown }}>
+                    Línea punteada horizontal: tasa global del perro (
+                    {formatPct(rolling.baseline)}). La banda marca ±3 desvíos
+                    para el tamaño de cada ventana; si la tasa móvil queda por
+                    debajo del límite inferior, la caída difícilmente sea azar.
+                  </p>
+                </>
+              )}
+            </section>
+
+            {/* Serie temporal de duración */}
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Evolución temporal de la duración de las sesiones
+              </h3>
+
+              {durationSeries.length === 0 ? (
+                <p style={{ color: palette.citrineBrown }}>
+                  No hay datos de duración para las sesiones.
+                </p>
+              ) : (
+                <div className="h-72">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={durationSeries}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="date" />
+                      <YAxis />
+                      <Tooltip />
+                      <Line
+                        type="monotone"
+                        dataKey="duration"
+                        name="Duración (s)"
+                        stroke={palette.policeBlue}
+                        strokeWidth={2}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+            </section>
+
+            {/* Listado de sesiones */}
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Sesiones registradas
+              </h3>
+
+              {sessions.length === 0 ? (
+                <p style={{ color: palette.citrineBrown }}>
+                  Todavía no hay sesiones registradas para este
+                  perro.
+                </p>
+              ) : (
+                <SessionTable
+                  sessions={sessions}
+                  onUpdate={handleUpdateSession}
+                  onDelete={handleDeleteSession}
+                  handlers={handlers}
+                  conditionDefs={conditionDefs}
+                  canEdit={
+                    can("update", "session") && can("delete", "session")
+                  }
+                />
+              )}
+            </section>
+
+            {pendingSessions.length > 0 && (
+              <section className="space-y-3">
+                <h3
+                  className="text-xl font-semibold"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Pendientes de sincronizar ({pendingSessions.length})
+                </h3>
+                <p className="text-sm" style={{ color: palette.citrineBrown }}>
+                  Estas sesiones se guardaron en el dispositivo y se suben
+                  automáticamente cuando haya conexión. Todavía no cuentan en
+                  los gráficos.
+                </p>
+                <ul className="space-y-1 text-sm">
+                  {pendingSessions.map((q) => (
+                    <li
+                      key={q.seq}
+                      className="flex flex-wrap justify-between gap-2 rounded-xl px-3 py-2"
+                      style={{ background: palette.pearl }}
+                    >
+                      <span>
+                        {formatDateTime(q.payload.started_at)}{" "}
+                        · {formatSessionResult(q.payload.result)}
+                        {q.payload.type?.scent
+                          ? ` · ${q.payload.type.scent}`
+                          : ""}
+                      </span>
+                      <span
+                        style={{
+                          color:
+                            q.status === "conflict"
+                              ? "crimson"
+                              : palette.citrineBrown,
+                        }}
+                      >
+                        {q.status === "conflict"
+                          ? `Conflicto: ${q.lastError}`
+                          : q.lastError
+                          ? `Reintentando (${q.attempts})`
+                          : "En cola"}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+          </>
+        ) : (
+          !loading &&
+          !error && (
+            <p style={{ color: palette.citrineBrown }}>
+              No encontramos el registro solicitado.
+            </p>
+          )
+        )}
+      </section>
+    </Shell>
+  );
+};
+
+
+// --- Agregación de sesiones para Stats ---
+
+// KPIs globales, rankings por perro / guía / binomio, rendimiento por
+// sustancia y series por condición a partir de una lista de sesiones (con el
+// join a dogs). handlers se usa solo para los nombres de los guías.
+const aggregateSessions = (
+  sessions,
+  handlers = [],
+  conditionDefs = DEFAULT_CONDITION_DEFINITIONS
+) => {
+  if (!sessions.length) {
+    return {
+      globalKpis: {
+        totalSessions: 0,
+        totalDogs: 0,
+        counts: emptyOutcomeCounts(),
+        rates: computeOutcomeRates(emptyOutcomeCounts()),
+      },
+      perDogStats: [],
+      perHandlerStats: [],
+      perTeamStats: [],
+      scentStats: [],
+      conditionSeries: Object.fromEntries(conditionDefs.map((d) => [d.key, []])),
+    };
+  }
+
+  const perDogMap = new Map();
+  const scentMap = new Map();
+  // Una serie por condición: valor numérico o categoría -> conteos
+  const condMaps = Object.fromEntries(
+    conditionDefs.map((d) => [d.key, new Map()])
+  );
+
+  const totalCounts = emptyOutcomeCounts();
+
+  sessions.forEach((s) => {
+    const dog = s.dogs;
+    const dogId = dog?.id || s.dog_id;
+    const dogName = dog?.name || "Perro sin nombre";
+    const dogCode = dog?.dog_code || "";
+
+    addOutcome(totalCounts, s.result);
+
+    if (!perDogMap.has(dogId)) {
+      perDogMap.set(dogId, {
+        dogId,
+        name: dogName,
+        code: dogCode,
+        counts: emptyOutcomeCounts(),
+      });
+    }
+    addOutcome(perDogMap.get(dogId).counts, s.result);
+
+    const scent = getSessionScent(s);
+    if (!scentMap.has(scent)) {
+      scentMap.set(scent, { scent, counts: emptyOutcomeCounts() });
+    }
+    addOutcome(scentMap.get(scent).counts, s.result);
+
+    conditionDefs.forEach((def) => {
+      const v = isCategoricalCondition(def)
+        ? getConditionCategory(s, def.key)
+        : getConditionValue(s, def.key);
+      if (v === null) return;
+
+      const map = condMaps[def.key];
+      let entry = map.get(v);
+      if (!entry) {
+        entry = { value: v, counts: emptyOutcomeCounts() };
+        map.set(v, entry);
+      }
+      addOutcome(entry.counts, s.result);
+    });
+  });
+
+  const globalKpis = {
+    totalSessions: sessions.length,
+    totalDogs: perDogMap.size,
+    counts: totalCounts,
+    rates: computeOutcomeRates(totalCounts),
+  };
+
+  const perDogArr = Array.from(perDogMap.values()).map((d) => ({
+    key: d.dogId,
+    dogId: d.dogId,
+    name: d.name,
+    code: d.code,
+    ...summarizeOutcomes(d.counts),
+  }));
+
+  const perHandlerArr = groupOutcomes(sessions, (s) =>
+    String(s.handler_id || NO_HANDLER)
+  ).map((h) => ({
+    ...h,
+    handlerId: h.key,
+    name: handlerName(handlers, h.key === NO_HANDLER ? null : h.key),
+  }));
+
+  // Binomio = perro + guía; las sesiones sin guía no forman binomio
+  const perTeamArr = groupOutcomes(
+    sessions.filter((s) => s.handler_id),
+    (s) => `${s.dogs?.id || s.dog_id}|${s.handler_id}`
+  ).map((t) => {
+    const [dogId, handlerId] = t.key.split("|");
+    const dog = perDogArr.find((d) => String(d.dogId) === dogId);
+    return {
+      ...t,
+      dogId,
+      handlerId,
+      name: `${dog?.name || "Perro sin nombre"} + ${handlerName(
+        handlers,
+        handlerId
+      )}`,
+    };
+  });
+
+  const scentArr = Array.from(scentMap.values()).map((e) => {
+    const rates = computeOutcomeRates(e.counts);
+    return {
+      scent: e.scent,
+      ...e.counts,
+      total: rates.total,
+      scored: rates.scored,
+      success: rates.success,
+      fail: rates.fail,
+      successRate: Math.round(rates.accuracy ?? 0),
+      successCI: wilsonInterval(rates.success, rates.scored),
+    };
+  });
+
+  const buildSeries = (map, categorical) => {
+    const arr = Array.from(map.values())
+      .map((e) => {
+        const rates = computeOutcomeRates(e.counts);
+        return {
+          value: e.value,
+          total: rates.total,
+          success: rates.success,
+          fail: rates.fail,
+          successRate: rates.scored ? Math.round(rates.accuracy) : null,
+        };
+      })
+      .filter((e) => e.successRate !== null);
+    arr.sort((a, b) =>
+      categorical
+        ? String(a.value).localeCompare(String(b.value))
+        : a.value - b.value
+    );
+    return arr;
+  };
+
+  return {
+    globalKpis,
+    perDogStats: perDogArr,
+    perHandlerStats: perHandlerArr,
+    perTeamStats: perTeamArr,
+    scentStats: scentArr,
+    conditionSeries: Object.fromEntries(
+      conditionDefs.map((d) => [
+        d.key,
+        buildSeries(condMaps[d.key], isCategoricalCondition(d)),
+      ])
+    ),
+  };
+};
+
+// --- Matriz perro × sustancia ---
+// Tasa de acierto, muestra y último entrenamiento de cada perro con cada
+// sustancia: dónde flojea cada perro y qué olores no se refrescan hace rato.
+
+const dogScentMatrix = (allSessions) => {
+  const sessions = allSessions.filter((s) => !isBlindTrialSession(s));
+  const scents = Array.from(new Set(sessions.map(getSessionScent))).sort();
+  const dogs = new Map();
+  sessions.forEach((s) => {
+    const dogId = String(s.dogs?.id || s.dog_id);
+    if (!dogs.has(dogId)) {
+      dogs.set(dogId, {
+        dogId,
+        name: s.dogs?.name || "Perro sin nombre",
+        code: s.dogs?.dog_code || "",
+        cells: new Map(),
+      });
+    }
+    const cells = dogs.get(dogId).cells;
+    const scent = getSessionScent(s);
+    if (!cells.has(scent)) {
+      cells.set(scent, { counts: emptyOutcomeCounts(), last: null });
+    }
+    const cell = cells.get(scent);
+    addOutcome(cell.counts, s.result);
+    if (s.started_at && (!cell.last || s.started_at > cell.last)) {
+      cell.last = s.started_at;
+    }
+  });
+
+  const rows = Array.from(dogs.values())
+    .map((d) => ({
+      dogId: d.dogId,
+      name: d.name,
+      code: d.code,
+      cells: scents.map((scent) => {
+        const cell = d.cells.get(scent);
+        if (!cell) return { scent, total: 0, scored: 0, last: null };
+        const rates = computeOutcomeRates(cell.counts);
+        return {
+          scent,
+          total: rates.total,
+          scored: rates.scored,
+          success: rates.success,
+          last: cell.last,
+          ...rateWithCI(rates.success, rates.scored),
+        };
+      }),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return { scents, rows };
+};
+
+// Días desde el último entrenamiento (null si nunca)
+const daysSince = (iso, now = new Date()) =>
+  iso ? Math.floor((now - new Date(iso)) / 86400000) : null;
+
+// --- Filtros de Stats (estado en la URL) ---
+
+const STATS_RANGE_PRESETS = [
+  { key: "all", label: "Todo", days: null },
+  { key: "7", label: "Últimos 7 días", days: 7 },
+  { key: "30", label: "Últimos 30 días", days: 30 },
+  { key: "90", label: "Últimos 90 días", days: 90 },
+  { key: "custom", label: "Personalizado", days: null },
+];
+
+const STATS_DOG_STATUS_OPTIONS = [
+  { key: "all", label: "Todos los perros" },
+  { key: "active", label: "Solo activos" },
+  { key: "archived", label: "Solo archivados" },
+];
+
+const parseMinSessions = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_MIN_SESSIONS;
+};
+
+// Lista de un filtro. Los enlaces guardados antes de repetir el parámetro
+// traen la lista unida con comas (?dogs=a,b): se separa solo ese caso, un
+// único valor con coma que no coincide con ningún ítem conocido
+const listParam = (searchParams, name, known = []) => {
+  const values = searchParams.getAll(name).filter(Boolean);
+  if (
+    values.length === 1 &&
+    values[0].includes(",") &&
+    !known.includes(values[0])
+  ) {
+    return values[0].split(",").filter(Boolean);
+  }
+  return values;
+};
+
+// Lee los filtros de los query params. Las listas van como parámetros
+// repetidos porque un olor o un guía puede tener comas en el nombre
+// (?range=30&dogs=a&dogs=b&scents=x&handlers=h&status=active). known
+// trae los valores existentes por lista para reconocer el formato viejo.
+
+const parseStatsFilters = (searchParams, known = {}) => {
+  const range = searchParams.get("range") || "all";
+  const status = searchParams.get("status") || "all";
+  return {
+    range: STATS_RANGE_PRESETS.some((p) => p.key === range) ? range : "all",
+    from: searchParams.get("from") || "",
+    to: searchParams.get("to") || "",
+    dogs: listParam(searchParams, "dogs", known.dogs),
+    scents: listParam(searchParams, "scents", known.scents),
+    handlers: listParam(searchParams, "handlers", known.handlers),
+    status: STATS_DOG_STATUS_OPTIONS.some((o) => o.key === status)
+      ? status
+      : "all",
+    minSessions: parseMinSessions(searchParams.get("min")),
+    compareUnits: searchParams.get("compare") === "units",
+  };
+};
+
+// Inverso de parseStatsFilters: omite los valores por defecto
+const serializeStatsFilters = (filters) => {
+  const params = {};
+  if (filters.range !== "all") params.range = filters.range;
+  if (filters.range === "custom") {
+    if (filters.from) params.from = filters.from;
+    if (filters.to) params.to = filters.to;
+  }
+  if (filters.dogs.length) params.dogs = filters.dogs;
+  if (filters.scents.length) params.scents = filters.scents;
+  if (filters.handlers.length) params.handlers = filters.handlers;
+  if (filters.status !== "all") params.status = filters.status;
+  if (filters.minSessions !== DEFAULT_MIN_SESSIONS) {
+    params.min = String(filters.minSessions);
+  }
+  if (filters.compareUnits) params.compare = "units";
+  return params;
+};
+
+const isDefaultStatsFilters = (filters) =>
+  Object.keys(serializeStatsFilters(filters)).length === 0;
+
+const getSessionScent = (s) => String(s.type?.scent || "Desconocido");
+
+// Aplica los filtros de Stats a las sesiones cargadas
+const applyStatsFilters = (sessions, filters, now = new Date()) => {
+  const preset = STATS_RANGE_PRESETS.find((p) => p.key === filters.range);
+  let fromDay = null;
+  let toDay = null;
+  if (preset?.days) {
+    const from = new Date(now);
+    from.setDate(from.getDate() - preset.days);
+    fromDay = toLocalDateTimeInput(from).slice(0, 10);
+  } else if (filters.range === "custom") {
+    fromDay = filters.from || null;
+    toDay = filters.to || null;
+  }
+
+  const dogSet = new Set(filters.dogs);
+  const scentSet = new Set(filters.scents);
+  const handlerSet = new Set(filters.handlers);
+
+  return sessions.filter((s) => {
+    if (isBlindTrialSession(s)) return false;
+    if (fromDay || toDay) {
+      if (!s.started_at) return false;
+      const day = toLocalDateTimeInput(new Date(s.started_at)).slice(0, 10);
+      if (fromDay && day < fromDay) return false;
+      if (toDay && day > toDay) return false;
+    }
+    const dogId = String(s.dogs?.id || s.dog_id);
+    if (dogSet.size && !dogSet.has(dogId)) return false;
+    if (scentSet.size && !scentSet.has(getSessionScent(s))) return false;
+    if (handlerSet.size && !handlerSet.has(String(s.handler_id || NO_HANDLER))) {
+      return false;
+    }
+    if (filters.status === "active" && s.dogs?.archived_at) return false;
+    if (filters.status === "archived" && !s.dogs?.archived_at) return false;
+    return true;
+  });
+};
+
+// Desplegable con casillas para selección múltiple
+const MultiSelect = ({ label, options, selected, onChange, allLabel }) => {
+  const selectedSet = new Set(selected);
+  const toggle = (value) => {
+    onChange(
+      selectedSet.has(value)
+        ? selected.filter((v) => v !== value)
+        : [...selected, value]
+    );
+  };
+  const summary = selected.length
+    ? `${selected.length} seleccionados`
+    : allLabel;
+
+  return (
+    <div className="flex flex-col gap-1 text-sm">
+      <span className="font-medium" style={{ color: palette.policeBlue }}>
+        {label}
+      </span>
+      <details className="relative">
+        <summary className="cursor-pointer rounded-xl px-3 py-2 border bg-white list-none">
+          {summary} ▾
+        </summary>
+        <div
+          className="absolute z-10 mt-1 max-h-64 overflow-y-auto rounded-xl border bg-white p-2 shadow-lg min-w-[14rem]"
+          style={{ borderColor: palette.buff }}
+        >
+          {options.length === 0 && (
+            <p className="px-2 py-1" style={{ color: palette.citrineBrown }}>
+              Sin opciones
+            </p>
+          )}
+          {options.map((opt) => (
+            <label
+              key={opt.value}
+              className="flex items-center gap-2 px-2 py-1 rounded hover:bg-gray-100"
+            >
+              <input
+                type="checkbox"
+                checked={selectedSet.has(opt.value)}
+                onChange={() => toggle(opt.value)}
+                className="h-4 w-4"
+              />
+              {opt.label}
+            </label>
+          ))}
+          {selected.length > 0 && (
+            <button
+              type="button"
+              onClick={() => onChange([])}
+              className="mt-1 px-2 py-1 text-xs font-semibold underline bg-transparent"
+              style={{ color: palette.policeBlue }}
+            >
+              Quitar selección
+            </button>
+          )}
+        </div>
+      </details>
+    </div>
+  );
+};
+
+// Ordena perros (o guías / binomios) para un ranking. En modo tasa se ordena
+// por el extremo inferior del IC de Wilson, así 1/1 no le gana a 95/100. Los
+// que tienen menos de minSessions sesiones evaluadas van a una lista aparte.
+const rankDogs = (dogs, { mode, countKey, rateKey, ciKey, minSessions }) => {
+  const compare =
+    mode === "absolute"
+      ? (a, b) => b[countKey] - a[countKey]
+      : (a, b) =>
+          (b[ciKey]?.low ?? -1) - (a[ciKey]?.low ?? -1) ||
+          b[rateKey] - a[rateKey];
+  return {
+    ranked: dogs.filter((d) => d.scored >= minSessions).sort(compare),
+    insufficient: dogs.filter((d) => d.scored < minSessions).sort(compare),
+  };
+};
+
+// Tarjeta de ranking (lista principal + datos insuficientes)
+const RankingCard = ({
+  title,
+  entity = "perro",
+  ranking,
+  mode,
+  countKey,
+  rateKey,
+  ciKey,
+  minSessions,
+  stats,
+}) => {
+  const renderValue = (d) =>
+    mode === "absolute" ? (
+      d[countKey]
+    ) : (
+      <>
+        {d[rateKey].toFixed(1)}%{" "}
+        <span className="text-xs" style={{ color: palette.citrineBrown }}>
+          ({formatCI(d[ciKey])}, n={d.scored})
+        </span>
+      </>
+    );
+
+  return (
+    <div
+      className="rounded-2xl p-4 shadow-md"
+      style={{
+        background: palette.pearl,
+        border: `2px solid ${palette.buff}`,
+      }}
+    >
+      <h4 className="font-semibold mb-2" style={{ color: palette.policeBlue }}>
+        {title}
+      </h4>
+      {ranking.ranked.length === 0 ? (
+        <p className="text-sm" style={{ color: palette.citrineBrown }}>
+          Ningún {entity} alcanza el mínimo de {minSessions} sesiones.
+        </p>
+      ) : (
+        <ul className="space-y-1 font-mono text-sm">
+          {ranking.ranked.map((d, index) => (
+            <li key={d.key} className="flex justify-between gap-2">
+              <span>
+                {index + 1}. {d.name}
+              </span>
+              <span className="text-right">{renderValue(d)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {ranking.insufficient.length > 0 && (
+        <div className="mt-3">
+          <p
+            className="text-xs font-semibold uppercase"
+            style={{ color: palette.citrineBrown }}
+          >
+            Datos insuficientes (menos de {minSessions} sesiones)
+          </p>
+          <ul
+            className="space-y-1 font-mono text-sm opacity-70"
+            style={{ color: palette.citrineBrown }}
+          >
+            {ranking.insufficient.map((d) => (
+              <li key={d.key} className="flex justify-between gap-2">
+                <span>{d.name}</span>
+                <span className="text-right">{renderValue(d)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <div className="mt-3">
+        <StatsSummary stats={stats} />
+      </div>
+    </div>
+  );
+};
+
+// Barra de filtros de Stats
+const StatsFilterBar = ({
+  filters,
+  onChange,
+  dogOptions,
+  scentOptions,
+  handlerOptions,
+}) => {
+  const update = (patch) => onChange({ ...filters, ...patch });
+
+  return (
+    <div
+      className="rounded-2xl p-4 shadow-md flex flex-wrap items-end gap-4"
+      style={{ background: palette.pearl, border: `2px solid ${palette.buff}` }}
+    >
+      <div className="flex flex-col gap-1 text-sm">
+        <span className="font-medium" style={{ color: palette.policeBlue }}>
+          Período
+        </span>
+        <select
+          value={filters.range}
+          onChange={(e) => update({ range: e.target.value })}
+          className="rounded-xl px-3 py-2 border bg-white"
+        >
+          {STATS_RANGE_PRESETS.map((p) => (
+            <option key={p.key} value={p.key}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {filters.range === "custom" && (
+        <>
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="font-medium" style={{ color: palette.policeBlue }}>
+              Desde
+            </span>
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => update({ from: e.target.value })}
+              className="rounded-xl px-3 py-2 border"
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="font-medium" style={{ color: palette.policeBlue }}>
+              Hasta
+            </span>
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => update({ to: e.target.value })}
+              className="rounded-xl px-3 py-2 border"
+            />
+          </label>
+        </>
+      )}
+
+      <MultiSelect
+        label="Perros"
+        options={dogOptions}
+        selected={filters.dogs}
+        onChange={(dogs) => update({ dogs })}
+        allLabel="Todos los perros"
+      />
+
+      <MultiSelect
+        label="Sustancias"
+        options={scentOptions}
+        selected={filters.scents}
+        onChange={(scents) => update({ scents })}
+        allLabel="Todas las sustancias"
+      />
+
+      <MultiSelect
+        label="Guías"
+        options={handlerOptions}
+        selected={filters.handlers}
+        onChange={(handlers) => update({ handlers })}
+        allLabel="Todos los guías"
+      />
+
+      <div className="flex flex-col gap-1 text-sm">
+        <span className="font-medium" style={{ color: palette.policeBlue }}>
+          Estado del perro
+        </span>
+        <select
+          value={filters.status}
+          onChange={(e) => update({ status: e.target.value })}
+          className="rounded-xl px-3 py-2 border bg-white"
+        >
+          {STATS_DOG_STATUS_OPTIONS.map((o) => (
+            <option key={o.key} value={o.key}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!isDefaultStatsFilters(filters) && (
+        <button
+          type="button"
+          onClick={() =>
+            onChange(parseStatsFilters(new URLSearchParams()))
+          }
+          className="text-sm font-semibold underline bg-transparent px-0"
+          style={{ color: palette.policeBlue }}
+        >
+          Limpiar filtros
+        </button>
+      )}
+    </div>
+  );
+};
+
+const Stats = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [sessions, setSessions] = React.useState([]);
+  const { handlers } = useHandlers();
+  const { definitions: conditionDefs } = useConditionDefinitions();
+  const { intervals: maintenanceIntervals } = useMaintenanceIntervals();
+  const { crossUnit, activeUnitId, unitName } = useUnit();
+
+  const dogOptions = React.useMemo(() => {
+    const map = new Map();
+    sessions.forEach((s) => {
+      const dogId = String(s.dogs?.id || s.dog_id);
+      if (map.has(dogId)) return;
+      const name = s.dogs?.name || "Perro sin nombre";
+      const code = s.dogs?.dog_code;
+      map.set(dogId, {
+        value: dogId,
+        label: `${name}${code ? ` — ${code}` : ""}${
+          s.dogs?.archived_at ? " (archivado)" : ""
+        }`,
+      });
+    });
+    return Array.from(map.values()).sort((a, b) =>
+      a.label.localeCompare(b.label)
+    );
+  }, [sessions]);
+
+  const scentOptions = React.useMemo(
+    () =>
+      Array.from(new Set(sessions.map(getSessionScent)))
+        .sort()
+        .map((scent) => ({ value: scent, label: scent })),
+    [sessions]
+  );
+
+  // Los filtros viven en la URL para poder compartir la vista
+  const filters = React.useMemo(
+    () =>
+      parseStatsFilters(searchParams, {
+        scents: scentOptions.map((o) => o.value),
+      }),
+    [searchParams, scentOptions]
+  );
+  const handleFiltersChange = (next) =>
+    setSearchParams(serializeStatsFilters(next), { replace: true });
+
+  const handlerOptions = React.useMemo(() => {
+    const ids = new Set(sessions.map((s) => String(s.handler_id || NO_HANDLER)));
+    return Array.from(ids)
+      .map((value) => ({
+        value,
+        label: handlerName(handlers, value === NO_HANDLER ? null : value),
+      }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }, [sessions, handlers]);
+
+  const filteredSessions = React.useMemo(
+    () => applyStatsFilters(sessions, filters),
+    [sessions, filters]
+  );
+
+  const {
+    globalKpis,
+    perDogStats,
+    perHandlerStats,
+    perTeamStats,
+    scentStats,
+    conditionSeries,
+  } = React.useMemo(
+    () => aggregateSessions(filteredSessions, handlers, conditionDefs),
+    [filteredSessions, handlers, conditionDefs]
+  );
+
+  // Comparación entre unidades: las mismas tasas, una fila por unidad
+  const unitComparison = React.useMemo(() => {
+    if (!crossUnit || !filters.compareUnits) return [];
+    const dogsByUnit = new Map();
+    filteredSessions.forEach((s) => {
+      const key = String(s.unit_id || "");
+      if (!dogsByUnit.has(key)) dogsByUnit.set(key, new Set());
+      dogsByUnit.get(key).add(String(s.dog_id));
+    });
+    return groupOutcomes(filteredSessions, (s) => String(s.unit_id || ""))
+      .map((u) => ({
+        ...u,
+        name: unitName(u.key),
+        dogs: dogsByUnit.get(u.key)?.size || 0,
+        ...rateWithCI(u.success, u.scored),
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [crossUnit, filters.compareUnits, filteredSessions, unitName]);
+
+  const [selectedCondition, setSelectedCondition] = React.useState("temp");
+  const [binMethod, setBinMethod] = React.useState("equal");
+  const [binCount, setBinCount] = React.useState(DEFAULT_CONDITION_BINS);
+  const [heatmapKeys, setHeatmapKeys] = React.useState({
+    x: "temp",
+    y: "hum",
+  });
+  const [rowInfo, setRowInfo] = React.useState(null); // { loaded, expected }
+
+  const [dogTableMode, setDogTableMode] =
+    React.useState("absolute"); 
+  const [rankBy, setRankBy] = React.useState("dog"); // dog | handler | team
+
+  const chartColors = {
+    success: palette.marigold,
+    fail: palette.citrineBrown,
+    scent1: palette.marigold,
+    scent2: palette.policeBlue,
+  };
+
+  const selectedDef =
+    conditionDefs.find((d) => d.key === selectedCondition) ||
+    conditionDefs[0];
+
+  // --- Derivados para las tablas de ranking (perro, guía o binomio) ---
+
+  const { minSessions } = filters;
+
+  const rankGroups = {
+    dog: { label: "Perro", entity: "perro", plural: "perros", stats: perDogStats },
+    handler: {
+      label: "Guía",
+      entity: "guía",
+      plural: "guías",
+      stats: perHandlerStats,
+    },
+    team: {
+      label: "Binomio",
+      entity: "binomio",
+      plural: "binomios",
+      stats: perTeamStats,
+    },
+  };
+  const rankGroup = rankGroups[rankBy];
+  const rankStats = rankGroup.stats;
+
+  const successRanking = React.useMemo(
+    () =>
+      rankDogs(rankStats, {
+        mode: dogTableMode,
+        countKey: "success",
+        rateKey: "successRate",
+        ciKey: "successCI",
+        minSessions,
+      }),
+    [rankStats, dogTableMode, minSessions]
+  );
+
+  const failRanking = React.useMemo(
+    () =>
+      rankDogs(rankStats, {
+        mode: dogTableMode,
+        countKey: "fp",
+        rateKey: "fpRate",
+        ciKey: "fpCI",
+        minSessions,
+      }),
+    [rankStats, dogTableMode, minSessions]
+  );
+
+  const successValuesForStats = successRanking.ranked.map((d) =>
+    dogTableMode === "absolute" ? d.success : d.successRate
+  );
+  const failValuesForStats = failRanking.ranked.map((d) =>
+    dogTableMode === "absolute" ? d.fp : d.fpRate
+  );
+
+  const successStatsGlobal =
+    computeNumericStats(successValuesForStats);
+  const failStatsGlobal = computeNumericStats(failValuesForStats);
+
+  const binnedSeries = React.useMemo(
+    () =>
+      selectedDef
+        ? binnedConditionSeries(filteredSessions, selectedDef, {
+            method: binMethod,
+            bins: binCount,
+          })
+        : [],
+    [filteredSessions, selectedDef, binMethod, binCount]
+  );
+  const binnedScored = binnedSeries.reduce((acc, e) => acc + e.scored, 0);
+  const binnedAborted =
+    binnedSeries.reduce((acc, e) => acc + e.total, 0) - binnedScored;
+
+  // Mapa de calor: dos condiciones distintas (si no existen, las primeras)
+  const heatmapX =
+    conditionDefs.find((d) => d.key === heatmapKeys.x) || conditionDefs[0];
+  const heatmapY =
+    conditionDefs.find(
+      (d) => d.key === heatmapKeys.y && d.key !== heatmapX?.key
+    ) || conditionDefs.find((d) => d.key !== heatmapX?.key);
+
+  const heatmap = React.useMemo(
+    () =>
+      heatmapX && heatmapY
+        ? conditionHeatmap(filteredSessions, heatmapX, heatmapY, {
+            method: binMethod,
+            bins: binCount,
+          })
+        : null,
+    [filteredSessions, heatmapX, heatmapY, binMethod, binCount]
+  );
+
+  const scentMatrix = React.useMemo(
+    () => dogScentMatrix(filteredSessions),
+    [filteredSessions]
+  );
+
+  // Datos exportables de la vista filtrada
+  const histogramRows = React.useMemo(
+    () => conditionHistogramRows(filteredSessions, conditionDefs),
+    [filteredSessions, conditionDefs]
+  );
+  const exportDatasets = [
+    {
+      key: "sessions",
+      label: "Sesiones filtradas",
+      columns: sessionExportColumns({ handlers, unitName, conditionDefs }),
+      rows: filteredSessions,
+    },
+    {
+      key: "dogs",
+      label: "Ranking por perro",
+      columns: outcomeExportColumns([
+        { header: "Perro", value: (r) => r.name },
+        { header: "Código", value: (r) => r.code },
+      ]),
+      rows: perDogStats,
+    },
+    {
+      key: "handlers",
+      label: "Ranking por guía",
+      columns: outcomeExportColumns([{ header: "Guía", value: (r) => r.name }]),
+      rows: perHandlerStats,
+    },
+    {
+      key: "teams",
+      label: "Ranking por binomio",
+      columns: outcomeExportColumns([
+        { header: "Binomio", value: (r) => r.name },
+      ]),
+      rows: perTeamStats,
+    },
+    {
+      key: "scents",
+      label: "Sustancias",
+      columns: outcomeExportColumns([
+        { header: "Sustancia", value: (r) => r.scent },
+      ]),
+      rows: scentStats,
+    },
+    {
+      key: "conditions",
+      label: "Series por condición",
+      columns: conditionSeriesExportColumns,
+      rows: flattenConditionSeries(conditionSeries, conditionDefs),
+    },
+    {
+      key: "histograms",
+      label: "Histogramas por condición",
+      columns: histogramExportColumns,
+      rows: histogramRows,
+    },
+    {
+      key: "scentMatrix",
+      label: "Matriz perro × sustancia",
+      columns: scentMatrixExportColumns,
+      rows: flattenScentMatrix(scentMatrix),
+    },
+    {
+      key: "binned",
+      label: `Tasa por rango — ${selectedDef ? conditionLabel(selectedDef) : ""}`,
+      columns: binnedRateExportColumns([
+        { header: "Rango", value: (r) => r.label },
+      ]),
+      rows: binnedSeries,
+    },
+    ...(heatmap
+      ? [
+          {
+            key: "heatmap",
+            label: `Mapa de calor — ${heatmapX.label} × ${heatmapY.label}`,
+            columns: binnedRateExportColumns([
+              { header: conditionLabel(heatmapX), value: (r) => r.x },
+              { header: conditionLabel(heatmapY), value: (r) => r.y },
+            ]),
+            rows: flattenConditionHeatmap(heatmap),
+          },
+        ]
+      : []),
+    ...(unitComparison.length
+      ? [
+          {
+            key: "units",
+            label: "Comparación entre unidades",
+            columns: outcomeExportColumns([
+              { header: "Unidad", value: (r) => r.name },
+              { header: "Perros", value: (r) => r.dogs },
+            ]),
+            rows: unitComparison,
+          },
+        ]
+      : []),
+  ];
+
+  // --- Carga de datos desde Supabase ---
+
+  // La comparación entre unidades (plana mayor) ignora la unidad activa
+  const compareUnits = crossUnit && filters.compareUnits;
+  const queryUnitId = compareUnits ? ALL_UNITS : activeUnitId;
+
+  React.useEffect(() => {
+    // Al cambiar de unidad la respuesta anterior puede llegar tarde
+    let cancelled = false;
+    (async () => {
+      try {
+        setLoading(true);
+        setError(null);
+
+        const { rows, expected } = await fetchAllRows((first) =>
+          scopeToUnit(
+            supabase.from("training_sessions").select(
+              `
+            id,
+            dog_id,
+            unit_id,
+            handler_id,
+            result,
+            started_at,
+            duration_s,
+            conditions,
+            type,
+            dogs (
+              id,
+              name,
+              dog_code,
+              archived_at
+            )
+          `,
+              first ? { count: "exact" } : undefined
+            ),
+            queryUnitId
+          ).order("id", { ascending: true })
+        );
+
+        if (cancelled) return;
+        setRowInfo({ loaded: rows.length, expected });
+        setSessions(rows);
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) {
+          setError(
+            err.message || "Error al cargar las estadísticas."
+          );
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [queryUnitId]);
+
+  // --- Cambios en vivo: se aplican sobre las sesiones en memoria ---
+
+  const sessionsRef = React.useRef(sessions);
+  React.useEffect(() => {
+    sessionsRef.current = sessions;
+  }, [sessions]);
+
+  // El payload de Realtime no trae el embed de dogs: lo reusamos o lo pedimos
+  const withDogEmbed = async (row) => {
+    const known = sessionsRef.current.find(
+      (s) => String(s.dog_id) === String(row.dog_id) && s.dogs
+    );
+    if (known) return { ...row, dogs: known.dogs };
+    const { data } = await supabase
+      .from("dogs")
+      .select("id, name, dog_code, archived_at")
+      .eq("id", row.dog_id)
+      .maybeSingle();
+    return { ...row, dogs: data || null };
+  };
+
+  const liveStatus = useRealtime("stats", [
+    {
+      table: "training_sessions",
+      onChange: async (payload) => {
+        if (payload.eventType === "DELETE") {
+          const removedId = String(payload.old?.id);
+          if (!sessionsRef.current.some((s) => String(s.id) === removedId)) {
+            return;
+          }
+          setSessions((prev) => prev.filter((s) => String(s.id) !== removedId));
+          setRowInfo((prev) =>
+            prev && {
+              loaded: prev.loaded - 1,
+              expected: Math.max(prev.expected - 1, 0),
+            }
+          );
+          return;
+        }
+        // Filas de otras unidades no corresponden a esta vista (si la sesión
+        // cambió de unidad, se saca)
+        if (
+          queryUnitId &&
+          queryUnitId !== ALL_UNITS &&
+          String(payload.new.unit_id) !== String(queryUnitId)
+        ) {
+          setSessions((prev) =>
+            prev.filter((s) => String(s.id) !== String(payload.new.id))
+          );
+          return;
+        }
+        const isNew = !sessionsRef.current.some(
+          (s) => String(s.id) === String(payload.new.id)
+        );
+        const row = await withDogEmbed(payload.new);
+        setSessions((prev) => upsertById(prev, row));
+        if (isNew) {
+          setRowInfo((prev) =>
+            prev && { loaded: prev.loaded + 1, expected: prev.expected + 1 }
+          );
+        }
+      },
+    },
+    // Renombres y archivados; al borrar un perro sus sesiones se eliminan en
+    // cascada y llegan como DELETE de training_sessions
+    {
+      table: "dogs",
+      event: "UPDATE",
+      onChange: (payload) => {
+        const dog = payload.new;
+        setSessions((prev) =>
+          prev.map((s) =>
+            String(s.dog_id) === String(dog.id)
+              ? {
+                  ...s,
+                  dogs: {
+                    id: dog.id,
+                    name: dog.name,
+                    dog_code: dog.dog_code,
+                    archived_at: dog.archived_at,
+                  },
+                }
+              : s
+          )
+        );
+      },
+    },
+  ]);
+
+  return (
+    <Shell>
+      <section className="space-y-8">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Estadísticas generales
+          </h2>
+          <LiveBadge status={liveStatus} />
+          {crossUnit && (
+            <div className="ml-auto">
+              <Button
+                variant="ghost"
+                onClick={() =>
+                  handleFiltersChange({
+                    ...filters,
+                    compareUnits: !filters.compareUnits,
+                  })
+                }
+              >
+                {compareUnits ? "Salir de la comparación" : "Comparar unidades"}
+              </Button>
+            </div>
+          )}
+        </div>
+
+        {loading && (
+          <p style={{ color: palette.citrineBrown }}>
+            Cargando estadísticas…
+          </p>
+        )}
+        {error && (
+          <p style={{ color: "crimson" }}>Error: {error}</p>
+        )}
+
+        {!loading && !error && (
+          <StatsFilterBar
+            filters={filters}
+            onChange={handleFiltersChange}
+            dogOptions={dogOptions}
+            scentOptions={scentOptions}
+            handlerOptions={handlerOptions}
+          />
+        )}
+
+        {!loading && !error && globalKpis && (
+          <>
+            {rowInfo && (
+              <p
+                className="text-sm"
+                style={{
+                  color:
+                    rowInfo.loaded < rowInfo.expected
+                      ? "crimson"
+                      : palette.citrineBrown,
+                }}
+              >
+                Sesiones analizadas: {rowInfo.loaded} de {rowInfo.expected}{" "}
+                registradas
+                {!isDefaultStatsFilters(filters) &&
+                  ` · ${filteredSessions.length} cumplen los filtros`}
+                {rowInfo.loaded < rowInfo.expected &&
+                  " — los resultados están incompletos, recargá la página."}
+              </p>
+            )}
+
+            <ExportMenu datasets={exportDatasets} baseName="k9-estadisticas" />
+
+            {/* Comparación entre unidades (acceso cruzado) */}
+            {compareUnits && (
+              <section className="space-y-4">
+                <h3
+                  className="text-xl font-semibold"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Comparación entre unidades
+                </h3>
+                <div
+                  className="overflow-x-auto rounded-2xl shadow-md"
+                  style={{ border: `2px solid ${palette.buff}` }}
+                >
+                  <table className="min-w-full text-sm text-left">
+                    <thead
+                      style={{
+                        background: palette.buff,
+                        color: palette.policeBlue,
+                      }}
+                    >
+                      <tr>
+                        <th className="px-3 py-2">Unidad</th>
+                        <th className="px-3 py-2">Perros</th>
+                        <th className="px-3 py-2">Sesiones</th>
+                        <th className="px-3 py-2">Acierto</th>
+                        <th className="px-3 py-2">Sensibilidad</th>
+                        <th className="px-3 py-2">Especificidad</th>
+                        <th className="px-3 py-2">Falsos positivos</th>
+                      </tr>
+                    </thead>
+                    <tbody style={{ background: palette.pearl }}>
+                      {unitComparison.map((u) => (
+                        <tr
+                          key={u.key}
+                          className="border-t"
+                          style={{ borderColor: palette.buff }}
+                        >
+                          <td className="px-3 py-2 font-medium">{u.name}</td>
+                          <td className="px-3 py-2">{u.dogs}</td>
+                          <td className="px-3 py-2">{u.total}</td>
+                          <td className="px-3 py-2">
+                            {formatPct(u.scored ? u.successRate : null)}{" "}
+                            <span
+                              className="text-xs"
+                              style={{ color: palette.citrineBrown }}
+                            >
+                              {formatCI(u.successCI)}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2">
+                            {formatPct(u.sensitivity)}
+                          </td>
+                          <td className="px-3 py-2">
+                            {formatPct(u.specificity)}
+                          </td>
+                          <td className="px-3 py-2">
+                            {u.fp} · {formatPct(u.scored ? u.fpRate : null)}
+                          </td>
+                        </tr>
+                      ))}
+                      {unitComparison.length === 0 && (
+                        <tr>
+                          <td
+                            colSpan={7}
+                            className="px-3 py-4 text-center"
+                            style={{ color: palette.citrineBrown }}
+                          >
+                            No hay sesiones que cumplan los filtros.
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+                {unitComparison.length > 1 && (
+                  <div className="h-64">
+                    <RateCIChart data={unitComparison} labelKey="name" />
+                  </div>
+                )}
+                <p className="text-xs" style={{ color: palette.citrineBrown }}>
+                  Tasa de acierto por unidad con IC 95%. El resto de la página
+                  agrega todas las unidades juntas.
+                </p>
+              </section>
+            )}
+            {/* KPIs globales */}
+            <section className="grid md:grid-cols-4 gap-4">
+              <KpiCard
+                label="Entrenamientos totales"
+                value={globalKpis.totalSessions}
+              />
+              <KpiCard
+                label="Canes con entrenamientos registrados"
+                value={globalKpis.totalDogs}
+              />
+              <KpiCard
+                label="Tasa de acierto global"
+                value={formatPct(globalKpis.rates.accuracy, 0)}
+              />
+              <KpiCard
+                label="Falsos positivos totales"
+                value={globalKpis.counts.fp}
+              />
+              <KpiCard
+                label="Sensibilidad (VP / (VP + FN))"
+                value={formatPct(globalKpis.rates.sensitivity)}
+              />
+              <KpiCard
+                label="Especificidad (VN / (VN + FP))"
+                value={formatPct(globalKpis.rates.specificity)}
+              />
+              <KpiCard
+                label="Precisión (VP / (VP + FP))"
+                value={formatPct(globalKpis.rates.precision)}
+              />
+              <KpiCard
+                label="Falsos negativos totales"
+                value={globalKpis.counts.fn}
+              />
+              <div className="md:col-span-4">
+                <SampleSize
+                  n={globalKpis.totalSessions}
+                  detail={`${globalKpis.rates.scored} evaluadas · ${globalKpis.counts.aborted} abortadas`}
+                />
+              </div>
+            </section>
+
+            {/* Matriz de confusión global */}
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Matriz de confusión
+              </h3>
+              <ConfusionMatrix counts={globalKpis.counts} />
+            </section>
+
+            {/* Ranking por perro, guía o binomio: éxitos / falsos positivos */}
+            <section className="space-y-4">
+              <div className="flex flex-wrap items-center gap-3 justify-between">
+                <h3
+                  className="text-xl font-semibold"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Rankings
+                </h3>
+                <div className="flex flex-wrap items-center gap-2">
+                  <span
+                    className="text-sm"
+                    style={{ color: palette.citrineBrown }}
+                  >
+                    Por:
+                  </span>
+                  <div
+                    className="inline-flex rounded-xl overflow-hidden border"
+                    style={{ borderColor: palette.buff }}
+                  >
+                    {Object.entries(rankGroups).map(([key, group]) => (
+                      <button
+                        key={key}
+                        type="button"
+                        onClick={() => setRankBy(key)}
+                        className={`px-3 py-1 text-sm ${
+                          rankBy === key ? "font-semibold" : ""
+                        }`}
+                        style={{
+                          background: rankBy === key ? palette.buff : "white",
+                          color: palette.policeBlue,
+                        }}
+                      >
+                        {group.label}
+                      </button>
+                    ))}
+                  </div>
+                  <span
+                    className="text-sm"
+                    style={{ color: palette.citrineBrown }}
+                  >
+                    Mostrar:
+                  </span>
+                  <div
+                    className="inline-flex rounded-xl overflow-hidden border"
+                    style={{ borderColor: palette.buff }}
+                  >
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setDogTableMode("absolute")
+                      }
+                      className={`px-3 py-1 text-sm ${
+                        dogTableMode === "absolute"
+                          ? "font-semibold"
+                          : ""
+                      }`}
+                      style={{
+                        background:
+                          dogTableMode === "absolute"
+                            ? palette.buff
+                            : "white",
+                        color: palette.policeBlue,
+                      }}
+                    >
+                      Valores absolutos
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setDogTableMode("rate")}
+                      className={`px-3 py-1 text-sm ${
+                        dogTableMode === "rate"
+                          ? "font-semibold"
+                          : ""
+                      }`}
+                      style={{
+                        background:
+                          dogTableMode === "rate"
+                            ? palette.buff
+                            : "white",
+                        color: palette.policeBlue,
+                      }}
+                    >
+                      Valores ponderados
+                    </button>
+                  </div>
+                  <label
+                    className="flex items-center gap-2 text-sm"
+                    style={{ color: palette.citrineBrown }}
+                  >
+                    Mínimo de sesiones:
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={minSessions}
+                      onChange={(e) =>
+                        handleFiltersChange({
+                          ...filters,
+                          minSessions: parseMinSessions(e.target.value),
+                        })
+                      }
+                      className="w-20 rounded-xl px-2 py-1 border bg-white"
+                    />
+                  </label>
+                </div>
+              </div>
+
+              <SampleSize
+                n={rankStats.reduce((acc, d) => acc + d.total, 0)}
+                detail={`${rankStats.length} ${rankGroup.plural}`}
+              />
+
+              {rankStats.length === 0 ? (
+                <p style={{ color: palette.citrineBrown }}>
+                  {rankBy === "team"
+                    ? "No hay sesiones con guía registrado."
+                    : "No hay sesiones registradas todavía."}
+                </p>
+              ) : (
+                <div className="grid md:grid-cols-2 gap-4">
+                  <RankingCard
+                    title={
+                      dogTableMode === "absolute"
+                        ? "Aciertos totales (VP + VN)"
+                        : "Tasa de acierto"
+                    }
+                    ranking={successRanking}
+                    entity={rankGroup.entity}
+                    mode={dogTableMode}
+                    countKey="success"
+                    rateKey="successRate"
+                    ciKey="successCI"
+                    minSessions={minSessions}
+                    stats={successStatsGlobal}
+                  />
+                  <RankingCard
+                    title={
+                      dogTableMode === "absolute"
+                        ? "Falsos positivos totales"
+                        : "Tasa de falsos positivos"
+                    }
+                    ranking={failRanking}
+                    entity={rankGroup.entity}
+                    mode={dogTableMode}
+                    countKey="fp"
+                    rateKey="fpRate"
+                    ciKey="fpCI"
+                    minSessions={minSessions}
+                    stats={failStatsGlobal}
+                  />
+                </div>
+              )}
+            </section>
+
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Rendimiento por sustancia
+              </h3>
+
+              <SampleSize
+                n={scentStats.reduce((acc, e) => acc + e.total, 0)}
+                detail={`${scentStats.length} sustancias`}
+              />
+
+              {scentStats.length === 0 ? (
+                <p style={{ color: palette.citrineBrown }}>
+                  No hay suficientes datos para esta gráfica.
+                </p>
+              ) : (
+                <div className="h-80">
+                  <ResponsiveContainer
+                    width="100%"
+                    height="100%"
+                  >
+                    <BarChart
+                      data={scentStats}
+                      margin={{
+                        top: 10,
+                        right: 30,
+                        left: 0,
+                        bottom: 40,
+                      }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="scent"
+                        angle={-15}
+                        textAnchor="end"
+                        height={60}
+                      />
+                      <YAxis />
+                      <Tooltip />
+                      <Legend />
+                      <Bar
+                        dataKey="success"
+                        name="Aciertos"
+                        fill={chartColors.scent1}
+                      />
+                      <Bar
+                        dataKey="fp"
+                        name="Falsos positivos"
+                        fill={chartColors.scent2}
+                      />
+                      <Bar
+                        dataKey="fn"
+                        name="Falsos negativos"
+                        fill={chartColors.fail}
+                      />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              )}
+
+              {scentStats.length > 0 && (
+                <>
+                  <h4
+                    className="font-semibold"
+                    style={{ color: palette.policeBlue }}
+                  >
+                    Tasa de acierto por sustancia (IC 95%)
+                  </h4>
+                  <div className="h-72">
+                    <RateCIChart
+                      data={scentStats.map((e) => ({
+                        scent: e.scent,
+                        ...rateWithCI(e.success, e.scored),
+                      }))}
+                      labelKey="scent"
+                    />
+                  </div>
+                </>
+              )}
+            </section>
+
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Matriz perro × sustancia
+              </h3>
+              <DogScentMatrix
+                matrix={scentMatrix}
+                minSessions={minSessions}
+                intervals={maintenanceIntervals}
+              />
+            </section>
+
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Tasa de acierto según condiciones ambientales
+              </h3>
+
+              <div className="flex flex-wrap items-center gap-3">
+                <span
+                  className="font-medium"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Condición:
+                </span>
+                <select
+                  value={selectedDef?.key}
+                  onChange={(e) =>
+                    setSelectedCondition(e.target.value)
+                  }
+                  className="rounded-xl px-3 py-2 border bg-white"
+                >
+                  {conditionDefs.map((def) => (
+                    <option key={def.key} value={def.key}>
+                      {conditionLabel(def)}
+                    </option>
+                  ))}
+                </select>
+                <span
+                  className="font-medium"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Rangos:
+                </span>
+                <select
+                  value={binMethod}
+                  onChange={(e) => setBinMethod(e.target.value)}
+                  className="rounded-xl px-3 py-2 border bg-white"
+                >
+                  {Object.entries(CONDITION_BIN_METHODS).map(
+                    ([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    )
+                  )}
+                </select>
+                <select
+                  value={binCount}
+                  onChange={(e) => setBinCount(Number(e.target.value))}
+                  className="rounded-xl px-3 py-2 border bg-white"
+                  aria-label="Cantidad de rangos"
+                >
+                  {CONDITION_BIN_COUNTS.map((n) => (
+                    <option key={n} value={n}>
+                      {n} rangos
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {/* n = evaluadas, el mismo denominador que la tasa */}
+              <SampleSize
+                n={binnedScored}
+                detail={`evaluadas con dato para esta condición${
+                  binnedAborted > 0 ? ` · ${binnedAborted} abortadas` : ""
+                }`}
+              />
+
+              {binnedSeries.length === 0 ? (
+                <p style={{ color: palette.citrineBrown }}>
+                  No hay datos para esta condición.
+                </p>
+              ) : (
+                <>
+                  {/* Numérica: una barra por rango; categórica: por valor */}
+                  <div className="h-80">
+                    <RateCIChart data={binnedSeries} labelKey="label" />
+                  </div>
+                  <BinnedRateTable
+                    rows={binnedSeries}
+                    label={conditionLabel(selectedDef)}
+                  />
+                </>
+              )}
+            </section>
+
+            {heatmap && (
+              <section className="space-y-4">
+                <h3
+                  className="text-xl font-semibold"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Mapa de calor: tasa de acierto según dos condiciones
+                </h3>
+
+                <div className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={heatmapX.key}
+                    onChange={(e) =>
+                      setHeatmapKeys((prev) => ({
+                        x: e.target.value,
+                        y: prev.y === e.target.value ? prev.x : prev.y,
+                      }))
+                    }
+                    className="rounded-xl px-3 py-2 border bg-white"
+                    aria-label="Condición en columnas"
+                  >
+                    {conditionDefs.map((def) => (
+                      <option key={def.key} value={def.key}>
+                        {conditionLabel(def)}
+                      </option>
+                    ))}
+                  </select>
+                  <span
+                    className="font-medium"
+                    style={{ color: palette.policeBlue }}
+                  >
+                    ×
+                  </span>
+                  <select
+                    value={heatmapY.key}
+                    onChange={(e) =>
+                      setHeatmapKeys((prev) => ({
+                        x: prev.x === e.target.value ? prev.y : prev.x,
+                        y: e.target.value,
+                      }))
+                    }
+                    className="rounded-xl px-3 py-2 border bg-white"
+                    aria-label="Condición en filas"
+                  >
+                    {conditionDefs.map((def) => (
+                      <option key={def.key} value={def.key}>
+                        {conditionLabel(def)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <ConditionHeatmap
+                  heatmap={heatmap}
+                  xDef={heatmapX}
+                  yDef={heatmapY}
+                  minSessions={minSessions}
+                />
+              </section>
+            )}
+
+            <section className="space-y-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Regresión logística: condiciones y probabilidad de acierto
+              </h3>
+              <LogisticRegressionPanel
+                sessions={filteredSessions}
+                conditionDefs={conditionDefs}
+              />
+            </section>
+          </>
+        )}
+      </section>
+    </Shell>
+  );
+};
+
+const KpiCard = ({ label, value }) => (
+  <div
+    className="rounded-2xl p-4 shadow-md"
+    style={{ background: palette.pearl, border: `2px solid ${palette.buff}` }}
+  >
+    <div
+      className="text-sm font-medium mb-1"
+      style={{ color: palette.citrineBrown }}
+    >
+      {label}
+    </div>
+    <div
+      className="text-2xl font-bold"
+      style={{ color: palette.policeBlue }}
+    >
+      {value}
+    </div>
+  </div>
+);
+
+// Barras de tasa (%) con barras de error del IC de Wilson.
+// data: [{ [labelKey], rate, ci, n, error }] (ver rateWithCI)
+const RateCIChart = ({ data, labelKey }) => (
+  <ResponsiveContainer width="100%" height="100%">
+    <BarChart
+      data={data}
+      margin={{
+        top: 10,
+        right: 30,
+        left: 0,
+        bottom: 20,
+      }}
+    >
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey={labelKey} />
+      <YAxis unit="%" domain={[0, 100]} />
+      <Tooltip
+        formatter={(v, _name, item) => [
+          `${v}% (${formatCI(item.payload.ci)}, n=${item.payload.n})`,
+          "Tasa",
+        ]}
+      />
+      <Bar dataKey="rate" name="Tasa (%)" fill={palette.marigold}>
+        <ErrorBar
+          dataKey="error"
+          width={8}
+          strokeWidth={2}
+          stroke={palette.policeBlue}
+        />
+      </Bar>
+    </BarChart>
+  </ResponsiveContainer>
+);
+
+/**
+ * BinnedRateTable: conteos y tasa por rango de una condición.
+ */
+const BinnedRateTable = ({ rows, label }) => (
+  <div
+    className="overflow-x-auto rounded-2xl shadow-md"
+    style={{ border: `2px solid ${palette.buff}` }}
+  >
+    <table className="min-w-full text-sm text-left">
+      <thead style={{ background: palette.buff, color: palette.policeBlue }}>
+        <tr>
+          <th className="px-3 py-2">{label}</th>
+          <th className="px-3 py-2">Sesiones</th>
+          <th className="px-3 py-2">Aciertos</th>
+          <th className="px-3 py-2">Tasa de acierto</th>
+        </tr>
+      </thead>
+      <tbody style={{ background: palette.pearl }}>
+        {rows.map((r) => (
+          <tr
+            key={r.label}
+            className="border-t"
+            style={{ borderColor: palette.buff }}
+          >
+            <td className="px-3 py-2 font-medium">{r.label}</td>
+            <td className="px-3 py-2">
+              {r.total}
+              {r.scored !== r.total && ` (${r.scored} evaluadas)`}
+            </td>
+            <td className="px-3 py-2">{r.success}</td>
+            <td className="px-3 py-2">
+              {r.scored ? formatPct(r.rate) : "—"}{" "}
+              <span className="text-xs" style={{ color: palette.citrineBrown }}>
+                {formatCI(r.ci)}
+              </span>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// Rojo (0%) -> verde (100%), claro para que se lea el texto
+const heatmapColor = (rate) => `hsl(${Math.round(rate * 1.2)}, 65%, 78%)`;
+
+/**
+ * ConditionHeatmap: tasa de acierto por combinación de rangos de dos
+ * condiciones. Las celdas con menos de minSessions evaluadas se atenúan.
+ */
+const ConditionHeatmap = ({ heatmap, xDef, yDef, minSessions }) => {
+  const withData = heatmap.rows.some((r) => r.cells.some((c) => c.scored));
+  if (!withData) {
+    return (
+      <p style={{ color: palette.citrineBrown }}>
+        No hay sesiones con dato para ambas condiciones.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table
+          className="text-sm rounded-2xl overflow-hidden shadow-md"
+          style={{ border: `2px solid ${palette.buff}` }}
+        >
+          <thead style={{ background: palette.buff, color: palette.policeBlue }}>
+            <tr>
+              <th className="px-3 py-2 text-left">
+                {yDef.label} ↓ / {xDef.label} →
+              </th>
+              {heatmap.columns.map((c) => (
+                <th key={c.label} className="px-3 py-2 whitespace-nowrap">
+                  {c.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {heatmap.rows.map((row) => (
+              <tr key={row.label}>
+                <th
+                  className="px-3 py-2 text-left whitespace-nowrap"
+                  style={{ background: palette.pearl, color: palette.policeBlue }}
+                >
+                  {row.label}
+                </th>
+                {row.cells.map((cell, i) => (
+                  <td
+                    key={heatmap.columns[i].label}
+                    className="px-3 py-2 text-center"
+                    style={{
+                      background: cell.scored
+                        ? heatmapColor(cell.rate)
+                        : palette.pearl,
+                      opacity:
+                        cell.scored && cell.scored < minSessions ? 0.5 : 1,
+                      color: palette.policeBlue,
+                    }}
+                    title={
+                      cell.scored
+                        ? `${cell.success}/${cell.scored} aciertos · ${formatCI(
+                            cell.ci
+                          )}`
+                        : "Sin sesiones evaluadas"
+                    }
+                  >
+                    <div className="font-semibold">
+                      {cell.scored ? formatPct(cell.rate, 0) : "—"}
+                    </div>
+                    <div className="text-xs">n={cell.scored}</div>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs" style={{ color: palette.citrineBrown }}>
+        Rojo = tasa baja, verde = tasa alta. Atenuadas: menos de {minSessions}{" "}
+        sesiones evaluadas (el mínimo de los rankings).
+      </p>
+    </div>
+  );
+};
+
+/**
+ * ConditionComparisonTable: prueba aciertos vs. errores para cada condición.
+ */
+const ConditionComparisonTable = ({ comparisons }) => (
+  <div className="space-y-2">
+    <div
+      className="overflow-x-auto rounded-2xl shadow-md"
+      style={{ border: `2px solid ${palette.buff}` }}
+    >
+      <table className="min-w-full text-sm text-left">
+        <thead style={{ background: palette.buff, color: palette.policeBlue }}>
+          <tr>
+            <th className="px-3 py-2">Condición</th>
+            <th className="px-3 py-2">Prueba</th>
+            <th className="px-3 py-2">Aciertos / errores con dato</th>
+            <th className="px-3 py-2">p</th>
+            <th className="px-3 py-2">Conclusión</th>
+          </tr>
+        </thead>
+        <tbody style={{ background: palette.pearl }}>
+          {comparisons.map((c) => (
+            <tr
+              key={c.key}
+              className="border-t"
+              style={{ borderColor: palette.buff }}
+            >
+              <td className="px-3 py-2 font-medium">{c.label}</td>
+              <td className="px-3 py-2">{c.test}</td>
+              <td className="px-3 py-2">
+                {c.nSuccess} / {c.nFail}
+              </td>
+              <td
+                className="px-3 py-2 whitespace-nowrap"
+                style={{ fontWeight: c.significant ? 700 : 400 }}
+              >
+                {c.p === null ? "—" : formatPValue(c.p)}
+              </td>
+              <td className="px-3 py-2">{c.verdict}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+    <p className="text-xs" style={{ color: palette.citrineBrown }}>
+      Significativo = p menor a {SIGNIFICANCE_LEVEL}. Con muchas condiciones
+      alguna puede salir significativa por azar: tomalo como una pista para
+      planificar, no como prueba.
+    </p>
+  </div>
+);
+
+/**
+ * LogisticRegressionPanel: efecto conjunto de varias condiciones numéricas
+ * sobre la probabilidad de acierto.
+ */
+const LogisticRegressionPanel = ({ sessions, conditionDefs }) => {
+  const numericDefs = conditionDefs.filter((d) => !isCategoricalCondition(d));
+  const [selected, setSelected] = React.useState([]); // vacío = todas
+
+  const model = React.useMemo(() => {
+    const numeric = conditionDefs.filter((d) => !isCategoricalCondition(d));
+    return conditionLogisticModel(
+      sessions,
+      selected.length
+        ? numeric.filter((d) => selected.includes(d.key))
+        : numeric
+    );
+  }, [sessions, conditionDefs, selected]);
+
+  const formatOR = (v) =>
+    Number.isFinite(v) ? v.toFixed(2) : "—";
+
+  return (
+    <div className="space-y-3">
+      <MultiSelect
+        label="Condiciones del modelo"
+        options={numericDefs.map((d) => ({
+          value: d.key,
+          label: conditionLabel(d),
+        }))}
+        selected={selected}
+        onChange={setSelected}
+        allLabel="Todas las numéricas"
+      />
+
+      <SampleSize
+        n={model.n}
+        detail="evaluadas con dato en todas las condiciones del modelo"
+      />
+
+      {model.status === "insufficient" && (
+        <p style={{ color: palette.citrineBrown }}>
+          No hay datos suficientes para ajustar el modelo con estas
+          condiciones.
+        </p>
+      )}
+      {model.status === "separation" && (
+        <p style={{ color: palette.citrineBrown }}>
+          El modelo no converge: con estos datos alguna condición separa
+          perfectamente aciertos de errores (o hay muy pocos errores). Probá
+          con menos condiciones o un rango de fechas más amplio.
+        </p>
+      )}
+      {model.status === "few" && (
+        <p style={{ color: palette.citrineBrown }}>
+          Pocos eventos para {model.variables} condiciones (se recomiendan al
+          menos {LOGISTIC_EVENTS_PER_VARIABLE} por condición): los resultados
+          son orientativos.
+        </p>
+      )}
+
+      {model.rows.length > 0 && (
+        <div
+          className="overflow-x-auto rounded-2xl shadow-md"
+          style={{ border: `2px solid ${palette.buff}` }}
+        >
+          <table className="min-w-full text-sm text-left">
+            <thead
+              style={{ background: palette.buff, color: palette.policeBlue }}
+            >
+              <tr>
+                <th className="px-3 py-2">Condición</th>
+                <th className="px-3 py-2">+1 DE equivale a</th>
+                <th className="px-3 py-2">Odds ratio</th>
+                <th className="px-3 py-2">IC 95%</th>
+                <th className="px-3 py-2">p</th>
+              </tr>
+            </thead>
+            <tbody style={{ background: palette.pearl }}>
+              {model.rows.map((r) => (
+                <tr
+                  key={r.key}
+                  className="border-t"
+                  style={{
+                    borderColor: palette.buff,
+                    fontWeight: r.p < SIGNIFICANCE_LEVEL ? 700 : 400,
+                  }}
+                >
+                  <td className="px-3 py-2">{r.label}</td>
+                  <td className="px-3 py-2">{r.sd.toFixed(1)}</td>
+                  <td className="px-3 py-2">{formatOR(r.oddsRatio)}</td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    {formatOR(r.ci.low)}–{formatOR(r.ci.high)}
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    {formatPValue(r.p)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-xs" style={{ color: palette.citrineBrown }}>
+        Odds ratio mayor a 1: al subir la condición un desvío estándar
+        aumentan las chances de acierto, manteniendo las demás fijas; menor a
+        1, disminuyen. Si el IC incluye 1, el efecto no es concluyente. Solo
+        entran condiciones numéricas y sesiones evaluadas (sin abortadas).
+      </p>
+    </div>
+  );
+};
+
+/**
+ * DogScentMatrix: tasa de acierto por perro y sustancia, con muestra y días
+ * desde el último entrenamiento. Con una sola fila sirve para un perro.
+ */
+const DogScentMatrix = ({
+  matrix,
+  minSessions,
+  intervals = [],
+  linkDogs = true,
+}) => {
+  if (!matrix.rows.length) {
+    return (
+      <p style={{ color: palette.citrineBrown }}>
+        No hay sesiones para armar la matriz.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table
+          className="text-sm rounded-2xl overflow-hidden shadow-md"
+          style={{ border: `2px solid ${palette.buff}` }}
+        >
+          <thead style={{ background: palette.buff, color: palette.policeBlue }}>
+            <tr>
+              <th className="px-3 py-2 text-left">Perro</th>
+              {matrix.scents.map((scent) => (
+                <th key={scent} className="px-3 py-2 whitespace-nowrap">
+                  {scent}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.rows.map((row) => (
+              <tr key={row.dogId}>
+                <th
+                  className="px-3 py-2 text-left whitespace-nowrap"
+                  style={{ background: palette.pearl, color: palette.policeBlue }}
+                >
+                  {linkDogs ? (
+                    <Link to={`/records/${row.dogId}`} className="underline">
+                      {row.name}
+                    </Link>
+                  ) : (
+                    row.name
+                  )}
+                  {row.code && (
+                    <span
+                      className="ml-1 text-xs font-normal"
+                      style={{ color: palette.citrineBrown }}
+                    >
+                      {row.code}
+                    </span>
+                  )}
+                </th>
+                {row.cells.map((cell) => {
+                  const days = daysSince(cell.last);
+                  const stale =
+                    days !== null &&
+                    days > maintenanceIntervalFor(intervals, cell.scent);
+                  return (
+                    <td
+                      key={cell.scent}
+                      className="px-3 py-2 text-center"
+                      style={{
+                        background: cell.scored
+                          ? heatmapColor(cell.rate)
+                          : palette.pearl,
+                        opacity:
+                          cell.scored && cell.scored < minSessions ? 0.5 : 1,
+                        color: palette.policeBlue,
+                      }}
+                      title={
+                        cell.scored
+                          ? `${cell.success}/${cell.scored} aciertos · ${formatCI(
+                              cell.ci
+                            )}`
+                          : undefined
+                      }
+                    >
+                      {cell.total === 0 ? (
+                        <span style={{ color: palette.citrineBrown }}>
+                          Sin entrenar
+                        </span>
+                      ) : (
+                        <>
+                          <div className="font-semibold">
+                            {cell.scored ? formatPct(cell.rate, 0) : "—"}
+                          </div>
+                          <div className="text-xs">n={cell.scored}</div>
+                          <div
+                            className="text-xs whitespace-nowrap"
+                            style={{
+                              color: stale ? "crimson" : palette.policeBlue,
+                              fontWeight: stale ? 700 : 400,
+                            }}
+                          >
+                            {days === null
+                              ? "Sin fecha"
+                              : days === 0
+                              ? "Hoy"
+                              : `Hace ${days} d`}
+                          </div>
+                        </>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs" style={{ color: palette.citrineBrown }}>
+        Color: rojo = tasa baja, verde = tasa alta. Atenuadas: menos de{" "}
+        {minSessions} sesiones evaluadas. En rojo, sustancias con el
+        mantenimiento vencido (sin entrenar más allá del intervalo de cada
+        sustancia).
+      </p>
+    </div>
+  );
+};
+
+/**
+ * MaintenanceBadge: olores vencidos y por vencer en la tarjeta del perro.
+ */
+const MaintenanceBadge = ({ summary }) => (
+  <>
+    {summary.overdue > 0 && (
+      <span
+        className="ml-2 text-xs font-semibold uppercase"
+        style={{ color: MAINTENANCE_STATUS.overdue.color }}
+        title={summary.entries
+          .filter((e) => e.status === "overdue")
+          .map((e) => `${e.scent}: ${describeDue(e.dueIn)}`)
+          .join("\n")}
+      >
+        {summary.overdue === 1
+          ? "1 olor vencido"
+          : `${summary.overdue} olores vencidos`}
+      </span>
+    )}
+    {summary.upcoming > 0 && (
+      <span
+        className="ml-2 text-xs font-semibold uppercase"
+        style={{ color: MAINTENANCE_STATUS.upcoming.color }}
+        title={summary.entries
+          .filter((e) => e.status === "upcoming")
+          .map((e) => `${e.scent}: ${describeDue(e.dueIn)}`)
+          .join("\n")}
+      >
+        {summary.upcoming === 1
+          ? "1 olor por vencer"
+          : `${summary.upcoming} olores por vencer`}
+      </span>
+    )}
+  </>
+);
+
+/**
+ * MaintenanceTable: último entrenamiento por sustancia contra su intervalo.
+ * Con showDog las filas llevan { dog } (listado de la unidad).
+ */
+const MaintenanceTable = ({ entries, showDog = false }) => {
+  if (!entries.length) {
+    return (
+      <p style={{ color: palette.citrineBrown }}>
+        No hay olores para mostrar.
+      </p>
+    );
+  }
+
+  return (
+    <div
+      className="overflow-x-auto rounded-2xl shadow-md"
+      style={{ border: `2px solid ${palette.buff}` }}
+    >
+      <table className="min-w-full text-sm text-left">
+        <thead style={{ background: palette.buff, color: palette.policeBlue }}>
+          <tr>
+            {showDog && <th className="px-3 py-2">Perro</th>}
+            <th className="px-3 py-2">Sustancia</th>
+            <th className="px-3 py-2">Último entrenamiento</th>
+            <th className="px-3 py-2">Intervalo</th>
+            <th className="px-3 py-2">Estado</th>
+          </tr>
+        </thead>
+        <tbody style={{ background: palette.pearl }}>
+          {entries.map((e) => (
+            <tr
+              key={`${e.dog?.id || ""}|${e.scent}`}
+              className="border-t"
+              style={{ borderColor: palette.buff }}
+            >
+              {showDog && (
+                <td className="px-3 py-2 font-medium">
+                  <Link to={`/records/${e.dog.id}`} className="underline">
+                    {e.dog.name}
+                  </Link>
+                  {e.dog.dog_code && (
+                    <span
+                      className="ml-1 text-xs"
+                      style={{ color: palette.citrineBrown }}
+                    >
+                      {e.dog.dog_code}
+                    </span>
+                  )}
+                </td>
+              )}
+              <td className="px-3 py-2">{e.scent}</td>
+              <td className="px-3 py-2 whitespace-nowrap">
+                {String(e.last).slice(0, 10)} (hace {e.days} d)
+              </td>
+              <td className="px-3 py-2">{e.interval} días</td>
+              <td
+                className="px-3 py-2 font-semibold whitespace-nowrap"
+                style={{ color: MAINTENANCE_STATUS[e.status].color }}
+              >
+                {MAINTENANCE_STATUS[e.status].label} · {describeDue(e.dueIn)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Tamaño de muestra detrás de una figura
+const SampleSize = ({ n, detail }) => (
+  <p className="text-xs" style={{ color: palette.citrineBrown }}>
+    Basado en {n} {n === 1 ? "sesión" : "sesiones"}
+    {detail ? ` · ${detail}` : ""}
+  </p>
+);
+
+// Indicador del estado de la suscripción en tiempo real
+const LIVE_STATUS = {
+  live: {
+    label: "En vivo",
+    color: "#15803d",
+    title: "Los cambios de otros usuarios se aplican al instante.",
+  },
+  connecting: {
+    label: "Conectando…",
+    color: palette.citrineBrown,
+    title: "Conectando con el servidor de tiempo real.",
+  },
+  unavailable: {
+    label: "Sin tiempo real",
+    color: palette.citrineBrown,
+    title: "Los datos no se actualizan solos: recargá la página para ver cambios nuevos.",
+  },
+};
+
+const LiveBadge = ({ status }) => {
+  const info = LIVE_STATUS[status] || LIVE_STATUS.unavailable;
+  return (
+    <span
+      className="inline-flex items-center gap-1.5 text-xs font-semibold px-2 py-0.5 rounded-full border"
+      style={{ borderColor: info.color, color: info.color }}
+      title={info.title}
+    >
+      <span
+        className={`inline-block w-2 h-2 rounded-full${
+          status === "live" ? " animate-pulse" : ""
+        }`}
+        style={{ background: info.color }}
+      />
+      {info.label}
+    </span>
+  );
+};
+
+// Matriz de confusión 2x2 (objetivo presente/ausente × marca sí/no)
+const ConfusionMatrix = ({ counts }) => {
+  const cell = (label, value, good) => (
+    <td
+      className="px-4 py-3 text-center"
+      style={{
+        background: good ? palette.buff : palette.pearl,
+        color: good ? palette.policeBlue : palette.citrineBrown,
+      }}
+    >
+      <div className="text-2xl font-bold">{value}</div>
+      <div className="text-xs font-medium">{label}</div>
+    </td>
+  );
+
+  return (
+    <div className="overflow-x-auto">
+      <table
+        className="text-sm rounded-2xl overflow-hidden shadow-md"
+        style={{ border: `2px solid ${palette.buff}` }}
+      >
+        <thead style={{ color: palette.policeBlue }}>
+          <tr>
+            <th className="px-4 py-2" />
+            <th className="px-4 py-2">Marcó</th>
+            <th className="px-4 py-2">No marcó</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <th
+              className="px-4 py-2 text-left"
+              style={{ color: palette.policeBlue }}
+            >
+              Con objetivo
+            </th>
+            {cell("Verdaderos positivos", counts.tp, true)}
+            {cell("Falsos negativos", counts.fn, false)}
+          </tr>
+          <tr>
+            <th
+              className="px-4 py-2 text-left"
+              style={{ color: palette.policeBlue }}
+            >
+              Sin objetivo (blanco)
+            </th>
+            {cell("Falsos positivos", counts.fp, false)}
+            {cell("Verdaderos negativos", counts.tn, true)}
+          </tr>
+        </tbody>
+      </table>
+      <p className="text-sm mt-2" style={{ color: palette.citrineBrown }}>
+        Sesiones abortadas (excluidas de las tasas): {counts.aborted}
+      </p>
+    </div>
+  );
+};
+
+
+/**
+ * DogForm: alta (/dogs/new) y edición (/dogs/:id/edit) de un perro.
+ */
+const DogForm = () => {
+  const { id } = useParams(); // presente solo en modo edición
+  const isEdit = Boolean(id);
+  const navigate = useNavigate();
+  const { saveOrQueue } = useSync() || {};
+  const { units, crossUnit, homeUnitId, activeUnitId } = useUnit();
+  const [form, setForm] = React.useState({
+    dog_code: "",
+    name: "",
+    breed: "",
+    sex: "",
+    birthdate: "",
+    notes: "",
+    unit_id:
+      activeUnitId && activeUnitId !== ALL_UNITS
+        ? activeUnitId
+        : homeUnitId || "",
+    active: true,
+  });
+  const [loading, setLoading] = React.useState(false);
+  const [loadingDog, setLoadingDog] = React.useState(isEdit);
+  const [error, setError] = React.useState(null);
+
+  const title = isEdit ? "Editar perro" : "Agregar un nuevo perro";
+
+  // En modo edición, precarga el formulario con los datos actuales
+  React.useEffect(() => {
+    if (!isEdit) return;
+
+    (async () => {
+      try {
+        setLoadingDog(true);
+        const { data, error } = await supabase
+          .from("dogs")
+          .select(
+            "id, dog_code, name, breed, sex, birthdate, notes, unit_id, active"
+          )
+          .eq("id", id)
+          .single();
+
+        if (error) throw error;
+
+        setForm({
+          dog_code: data.dog_code || "",
+          name: data.name || "",
+          breed: data.breed || "",
+          sex: data.sex || "",
+          birthdate: data.birthdate || "",
+          notes: data.notes || "",
+          unit_id: data.unit_id || "",
+          active: data.active ?? true,
+        });
+      } catch (err) {
+        console.error(err);
+        setError(err.message || "Error al cargar el perro.");
+      } finally {
+        setLoadingDog(false);
+      }
+    })();
+  }, [id, isEdit]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!form.dog_code.trim() || !form.name.trim()) {
+      setError("Los campos Código y Nombre son obligatorios.");
+      return;
+    }
+    if (units.length && !form.unit_id) {
+      setError("Elegí la unidad del perro.");
+      return;
+    }
+
+    try {
+      setLoading(true);
+
+      const payload = {
+        dog_code: form.dog_code.trim(),
+        name: form.name.trim(),
+        breed: form.breed.trim() || null,
+        sex: form.sex.trim() || null,
+        birthdate: form.birthdate || null,
+        notes: form.notes.trim() || null,
+        unit_id: form.unit_id || null,
+        active: form.active,
+      };
+
+      if (!isEdit) {
+        // Las altas funcionan sin conexión (quedan en cola)
+        const { id: newId } = await saveOrQueue("dog", payload);
+        navigate(`/records/${newId}`);
+        return;
+      }
+
+      const { data, error } = await supabase
+        .from("dogs")
+        .update(payload)
+        .eq("id", id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      navigate(`/records/${data.id}`);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al guardar el perro.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Shell>
+      <section className="space-y-6 max-w-xl mx-auto">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            {title}
+          </h2>
+        </div>
+
+        <p style={{ color: palette.citrineBrown }}>
+          Completá los datos del perro. Los campos marcados con * son
+          obligatorios.
+        </p>
+
+        {loadingDog && (
+          <p style={{ color: palette.citrineBrown }}>Cargando perro…</p>
+        )}
+        {error && <p style={{ color: "crimson" }}>{error}</p>}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block font-medium mb-1">
+              Código del perro* (dog_code)
+            </label>
+            <input
+              type="text"
+              name="dog_code"
+              value={form.dog_code}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">
+              Nombre* (name)
+            </label>
+            <input
+              type="text"
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">Raza (breed)</label>
+            <input
+              type="text"
+              name="breed"
+              value={form.breed}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border"
+            />
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">Sexo (sex)</label>
+            <input
+              type="text"
+              name="sex"
+              value={form.sex}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border"
+              placeholder="M para macho / H para hembra"
+            />
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">
+              Fecha de nacimiento (birthdate)
+            </label>
+            <input
+              type="date"
+              name="birthdate"
+              value={form.birthdate}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border"
+            />
+          </div>
+
+          {crossUnit && (
+            <div>
+              <label className="block font-medium mb-1">
+                Unidad* (unit_id)
+              </label>
+              <select
+                name="unit_id"
+                value={form.unit_id}
+                onChange={handleChange}
+                className="w-full rounded-xl px-3 py-2 border bg-white"
+                required
+              >
+                <option value="">Elegí una unidad</option>
+                {units.map((u) => (
+                  <option key={u.id} value={u.id}>
+                    {u.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block font-medium mb-1">Notas (notes)</label>
+            <textarea
+              name="notes"
+              value={form.notes}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border"
+              rows={3}
+            />
+          </div>
+
+          <div className="flex items-center gap-2">
+            <input
+              id="active"
+              type="checkbox"
+              name="active"
+              checked={form.active}
+              onChange={handleChange}
+              className="h-4 w-4"
+            />
+            <label htmlFor="active" className="font-medium">
+              Activo para entrenamiento (active)
+            </label>
+          </div>
+
+          <div className="pt-2">
+            <Button
+              type="submit"
+              variant="primary"
+              disabled={loadingDog || loading}
+            >
+              {loading
+                ? "Guardando..."
+                : isEdit
+                ? "Guardar cambios"
+                : "Guardar perro"}
+            </Button>
+          </div>
+        </form>
+      </section>
+    </Shell>
+  );
+};
+
+// Opciones de resultado para registrar una sesión
+const SESSION_RESULT_OPTIONS = OUTCOME_OPTIONS;
+
+// Devuelve "YYYY-MM-DDTHH:mm" en hora local (formato de <input type="datetime-local">)
+const toLocalDateTimeInput = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+};
+
+// Parsea un campo numérico opcional del formulario: "" -> null, inválido -> NaN
+const parseOptionalNumber = (raw) => {
+  const str = String(raw ?? "").trim().replace(",", ".");
+  if (!str) return null;
+  const v = Number(str);
+  return Number.isFinite(v) ? v : NaN;
+};
+
+// Estado inicial del formulario de sesión
+const emptySessionForm = () => ({
+  result: OUTCOMES.TP,
+  started_at: toLocalDateTimeInput(new Date()),
+  duration_s: "",
+  scent: "",
+  handler_id: "",
+  conditions: {}, // clave de condición -> texto del input
+});
+
+// Convierte una fila de training_sessions al estado del formulario
+const sessionToForm = (session) => {
+  const startedAt = session.started_at ? new Date(session.started_at) : null;
+  return {
+    result: normalizeOutcome(session.result),
+    started_at:
+      startedAt && !Number.isNaN(startedAt.getTime())
+        ? toLocalDateTimeInput(startedAt)
+        : "",
+    duration_s: session.duration_s ?? "",
+    scent: session.type?.scent || "",
+    // El resto de type (p. ej. datos de prueba ciega) se conserva al guardar
+    type: session.type || {},
+    handler_id: session.handler_id || "",
+    conditions: Object.fromEntries(
+      Object.entries(session.conditions || {}).map(([key, v]) => [
+        key,
+        v ?? "",
+      ])
+    ),
+  };
+};
+
+// Valida el formulario y arma el payload para training_sessions.
+// Devuelve { error } o { payload } (sin dog_id). Las condiciones sin
+// definición (p. ej. importadas) y las demás claves de type se conservan.
+const buildSessionPayload = (
+  form,
+  conditionDefs = DEFAULT_CONDITION_DEFINITIONS
+) => {
+  if (!form.result || !form.started_at) {
+    return { error: "Los campos Resultado y Fecha/hora son obligatorios." };
+  }
+
+  const startedAt = new Date(form.started_at);
+  if (Number.isNaN(startedAt.getTime())) {
+    return { error: "La fecha/hora de inicio no es válida." };
+  }
+
+  const duration = parseOptionalNumber(form.duration_s);
+  if (Number.isNaN(duration) || (duration !== null && duration < 0)) {
+    return {
+      error: "La duración debe ser un número de segundos mayor o igual a 0.",
+    };
+  }
+
+  const conditions = {};
+  Object.entries(form.conditions || {}).forEach(([key, v]) => {
+    if (v !== "" && !conditionDefs.some((d) => d.key === key)) {
+      conditions[key] = v;
+    }
+  });
+  for (const def of conditionDefs) {
+    const { value, error } = parseConditionValue(def, form.conditions?.[def.key]);
+    if (error) return { error };
+    if (value !== null) conditions[def.key] = value;
+  }
+
+  const scent = String(form.scent || "").trim();
+  const { scent: _previousScent, ...otherType } = form.type || {};
+  return {
+    payload: {
+      result: form.result,
+      started_at: startedAt.toISOString(),
+      duration_s: duration === null ? null : Math.round(duration),
+      conditions,
+      type: scent ? { ...otherType, scent } : otherType,
+      handler_id: form.handler_id || null,
+    },
+  };
+};
+
+// Input de una condición según su tipo: número, lista de opciones o texto
+const ConditionInput = ({ def, value, onChange, className }) => {
+  const handle = (e) => onChange(def.key, e.target.value);
+  if (isCategoricalCondition(def) && def.options?.length) {
+    return (
+      <select
+        value={value ?? ""}
+        onChange={handle}
+        className={`${className} bg-white`}
+      >
+        <option value="">—</option>
+        {def.options.map((o) => (
+          <option key={o} value={o}>
+            {o}
+          </option>
+        ))}
+      </select>
+    );
+  }
+  return (
+    <input
+      type={isCategoricalCondition(def) ? "text" : "number"}
+      value={value ?? ""}
+      onChange={handle}
+      className={className}
+      min={def.min ?? undefined}
+      max={def.max ?? undefined}
+      step="any"
+    />
+  );
+};
+
+/**
+ * NewSession: registro de una sesión de entrenamiento para un perro.
+ */
+const NewSession = () => {
+  const { id } = useParams(); // id del perro (dogs.id)
+  const [searchParams] = useSearchParams();
+  const planId = searchParams.get("plan"); // sesión planificada (calendario)
+  const navigate = useNavigate();
+  const { items: queueItems = [], saveOrQueue } = useSync() || {};
+  const { role, ownHandlerIds = [] } = useAuth();
+  const { handlers, teams } = useHandlers();
+  const { activeDefinitions } = useConditionDefinitions();
+  const [fetchedDog, setDog] = React.useState(null);
+  const [plan, setPlan] = React.useState(null);
+  const [form, setForm] = React.useState(emptySessionForm);
+  const [loading, setLoading] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  const dog =
+    fetchedDog ||
+    pendingDogsFromQueue(queueItems).find((d) => d.id === id) ||
+    null;
+
+  React.useEffect(() => {
+    if (isLocalId(id)) return;
+
+    (async () => {
+      const { data, error, status } = await supabase
+        .from("dogs")
+        .select("id, dog_code, name")
+        .eq("id", id)
+        .single();
+
+      if (error) {
+        // Sin red igual se puede registrar: la sesión queda en cola
+        const cachedDog = readDogsCache().find(
+          (d) => String(d.id) === String(id)
+        );
+        if (cachedDog && isTransientError({ ...error, status })) {
+          setDog(cachedDog);
+          return;
+        }
+        console.error(error);
+        setError(error.message || "Error al cargar el perro.");
+        return;
+      }
+      setDog(data);
+    })();
+  }, [id]);
+
+  // Desde el calendario: precarga fecha, guía y sustancia del plan
+  React.useEffect(() => {
+    if (!planId) return;
+
+    (async () => {
+      const { data, error } = await supabase
+        .from("training_plans")
+        .select("id, dog_id, handler_id, scent, location, planned_at, session_id")
+        .eq("id", planId)
+        .eq("dog_id", id)
+        .maybeSingle();
+      if (error || !data) {
+        if (error) console.error(error);
+        return;
+      }
+      setPlan(data);
+      setForm((prev) => ({
+        ...prev,
+        started_at: toLocalDateTimeInput(new Date(data.planned_at)),
+        scent: data.scent || prev.scent,
+        handler_id: data.handler_id || prev.handler_id,
+      }));
+    })();
+  }, [id, planId]);
+
+  // Un guía solo registra sus propias sesiones; el resto elige entre los
+  // guías del binomio primero y los demás activos después
+  const teamHandlers = handlersForDog(handlers, teams, id);
+  const ownHandlers = handlers.filter((h) =>
+    ownHandlerIds.some((hid) => String(hid) === String(h.id))
+  );
+  const otherHandlers = handlers.filter(
+    (h) => h.active && !teamHandlers.some((t) => t.id === h.id)
+  );
+  const defaultHandlerId =
+    teamHandlers.find((h) => ownHandlers.some((o) => o.id === h.id))?.id ||
+    (role === "handler" ? ownHandlers[0]?.id : null) ||
+    (teamHandlers.length === 1 ? teamHandlers[0].id : "");
+
+  React.useEffect(() => {
+    if (!defaultHandlerId) return;
+    setForm((prev) =>
+      prev.handler_id ? prev : { ...prev, handler_id: defaultHandlerId }
+    );
+  }, [defaultHandlerId]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleConditionChange = (key, value) =>
+    setForm((prev) => ({
+      ...prev,
+      conditions: { ...prev.conditions, [key]: value },
+    }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const { payload, error: validationError } = buildSessionPayload(
+      form,
+      activeDefinitions
+    );
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      setLoading(true);
+
+      // El plan se vincula al guardar la sesión (o al sincronizarla si
+      // quedó en cola); sin red el plan no se pudo leer y vale el de la URL
+      await saveOrQueue(
+        "session",
+        { ...payload, dog_id: id },
+        { planId: plan?.id ?? planId }
+      );
+
+      navigate(`/records/${id}`);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al guardar la sesión.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Shell>
+      <section className="space-y-6 max-w-xl mx-auto">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Registrar sesión{dog ? ` — ${dog.name}` : ""}
+          </h2>
+        </div>
+
+        <p style={{ color: palette.citrineBrown }}>
+          Completá los datos de la sesión. Los campos marcados con * son
+          obligatorios; las condiciones ambientales son opcionales.
+        </p>
+
+        {plan && (
+          <p
+            className="rounded-2xl p-3 text-sm"
+            style={{
+              background: palette.pearl,
+              border: `2px solid ${palette.buff}`,
+              color: palette.policeBlue,
+            }}
+          >
+            Sesión planificada para el {formatDateTime(plan.planned_at)}
+            {plan.location ? ` en ${plan.location}` : ""}: los datos del plan
+            ya están cargados.
+            {plan.session_id && " Este plan ya tiene una sesión registrada."}
+          </p>
+        )}
+
+        {error && <p style={{ color: "crimson" }}>{error}</p>}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block font-medium mb-1">
+              Resultado* (result)
+            </label>
+            <select
+              name="result"
+              value={form.result}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border bg-white"
+              required
+            >
+              {SESSION_RESULT_OPTIONS.map((opt) => (
+                <option key={opt.value} value={opt.value}>
+                  {opt.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">
+              Guía (handler_id)
+            </label>
+            <select
+              name="handler_id"
+              value={form.handler_id}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border bg-white"
+            >
+              {role === "handler" ? (
+                ownHandlers.map((h) => (
+                  <option key={h.id} value={h.id}>
+                    {h.name}
+                  </option>
+                ))
+              ) : (
+                <>
+                  <option value="">Sin guía</option>
+                  {teamHandlers.length > 0 && (
+                    <optgroup label="Binomios de este perro">
+                      {teamHandlers.map((h) => (
+                        <option key={h.id} value={h.id}>
+                          {h.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                  {otherHandlers.length > 0 && (
+                    <optgroup label="Otros guías">
+                      {otherHandlers.map((h) => (
+                        <option key={h.id} value={h.id}>
+                          {h.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                </>
+              )}
+            </select>
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">
+              Fecha y hora de inicio* (started_at)
+            </label>
+            <input
+              type="datetime-local"
+              name="started_at"
+              value={form.started_at}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">
+              Duración en segundos (duration_s)
+            </label>
+            <input
+              type="number"
+              name="duration_s"
+              value={form.duration_s}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border"
+              min="0"
+              step="1"
+            />
+          </div>
+
+          <div>
+            <label className="block font-medium mb-1">
+              Sustancia (type.scent)
+            </label>
+            <input
+              type="text"
+              name="scent"
+              value={form.scent}
+              onChange={handleChange}
+              className="w-full rounded-xl px-3 py-2 border"
+              placeholder="Ej.: cocaína, marihuana, explosivos"
+            />
+          </div>
+
+          <fieldset className="grid md:grid-cols-2 gap-4">
+            <legend className="font-medium mb-2">
+              Condiciones ambientales (conditions)
+            </legend>
+            {activeDefinitions.map((def) => (
+              <div key={def.key}>
+                <label className="block text-sm mb-1">
+                  {conditionLabel(def)}
+                </label>
+                <ConditionInput
+                  def={def}
+                  value={form.conditions[def.key]}
+                  onChange={handleConditionChange}
+                  className="w-full rounded-xl px-3 py-2 border"
+                />
+              </div>
+            ))}
+          </fieldset>
+
+          <div className="pt-2">
+            <Button type="submit" variant="primary">
+              {loading ? "Guardando..." : "Guardar sesión"}
+            </Button>
+          </div>
+        </form>
+      </section>
+    </Shell>
+  );
+};
+
+// Etiqueta legible para un valor de result
+const formatSessionResult = (result) =>
+  OUTCOME_SHORT_LABELS[normalizeOutcome(result)];
+
+// Ordena sesiones cronológicamente (started_at ascendente)
+const sortSessionsByDate = (sessions) =>
+  [...sessions].sort((a, b) =>
+    String(a.started_at || "").localeCompare(String(b.started_at || ""))
+  );
+
+// Valor por el que se ordena una columna de la tabla de sesiones
+const getSessionSortValue = (s, key, handlers = []) => {
+  switch (key) {
+    case "date":
+      return s.started_at ? String(s.started_at) : null;
+    case "result":
+      return formatSessionResult(s.result);
+    case "duration":
+      return Number.isFinite(s.duration_s) ? s.duration_s : null;
+    case "scent":
+      return s.type?.scent ? String(s.type.scent) : null;
+    case "handler":
+      return s.handler_id ? handlerName(handlers, s.handler_id) : null;
+    default: {
+      // "cond:<clave>": número si se puede, si no el texto de la categoría
+      const condKey = key.replace(/^cond:/, "");
+      return getConditionValue(s, condKey) ?? getConditionCategory(s, condKey);
+    }
+  }
+};
+
+/**
+ * SessionTable: listado de sesiones de un perro con orden, filtros y
+ * edición / borrado en línea.
+ */
+const SessionTable = ({
+  sessions,
+  onUpdate,
+  onDelete,
+  canEdit,
+  handlers = [],
+  conditionDefs = DEFAULT_CONDITION_DEFINITIONS,
+}) => {
+  const [sort, setSort] = React.useState({ key: "date", dir: "desc" });
+  const [filters, setFilters] = React.useState({
+    result: "all",
+    scent: "all",
+    from: "",
+    to: "",
+  });
+  const [editingId, setEditingId] = React.useState(null);
+  const [editForm, setEditForm] = React.useState(null);
+  const [confirmDeleteId, setConfirmDeleteId] = React.useState(null);
+  const [busyId, setBusyId] = React.useState(null);
+  const [rowError, setRowError] = React.useState(null);
+
+  const columns = [
+    { key: "date", label: "Fecha" },
+    { key: "result", label: "Resultado" },
+    { key: "duration", label: "Duración (s)" },
+    { key: "scent", label: "Sustancia" },
+    { key: "handler", label: "Guía" },
+    ...conditionDefs.map((def) => ({
+      key: `cond:${def.key}`,
+      label: conditionLabel(def),
+      def,
+    })),
+  ];
+
+  const scentOptions = React.useMemo(
+    () =>
+      Array.from(
+        new Set(sessions.map((s) => s.type?.scent).filter(Boolean))
+      ).sort(),
+    [sessions]
+  );
+
+  const visibleSessions = React.useMemo(() => {
+    const filtered = sessions.filter((s) => {
+      if (filters.result === "success" && !isSuccessResult(s.result)) {
+        return false;
+      }
+      if (filters.result === "fail" && !isFailResult(s.result)) {
+        return false;
+      }
+      if (
+        OUTCOME_SHORT_LABELS[filters.result] &&
+        normalizeOutcome(s.result) !== filters.result
+      ) {
+        return false;
+      }
+      if (filters.scent !== "all" && s.type?.scent !== filters.scent) {
+        return false;
+      }
+      // Día local, igual que el que muestra la tabla
+      const day = s.started_at
+        ? toLocalDateTimeInput(new Date(s.started_at)).slice(0, 10)
+        : "";
+      if (filters.from && (!day || day < filters.from)) return false;
+      if (filters.to && (!day || day > filters.to)) return false;
+      return true;
+    });
+
+    const dir = sort.dir === "asc" ? 1 : -1;
+    return filtered.sort((a, b) => {
+      const va = getSessionSortValue(a, sort.key, handlers);
+      const vb = getSessionSortValue(b, sort.key, handlers);
+      // Los valores vacíos siempre van al final
+      if (va === null && vb === null) return 0;
+      if (va === null) return 1;
+      if (vb === null) return -1;
+      if (typeof va === "number" && typeof vb === "number") {
+        return (va - vb) * dir;
+      }
+      return String(va).localeCompare(String(vb)) * dir;
+    });
+  }, [sessions, filters, sort, handlers]);
+
+  const toggleSort = (key) => {
+    setSort((prev) =>
+      prev.key === key
+        ? { key, dir: prev.dir === "asc" ? "desc" : "asc" }
+        : { key, dir: "asc" }
+    );
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const startEdit = (session) => {
+    setRowError(null);
+    setConfirmDeleteId(null);
+    setEditingId(session.id);
+    setEditForm(sessionToForm(session));
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setEditForm(null);
+    setRowError(null);
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleEditConditionChange = (key, value) =>
+    setEditForm((prev) => ({
+      ...prev,
+      conditions: { ...prev.conditions, [key]: value },
+    }));
+
+  const saveEdit = async () => {
+    setRowError(null);
+    const { payload, error } = buildSessionPayload(editForm, conditionDefs);
+    if (error) {
+      setRowError(error);
+      return;
+    }
+    try {
+      setBusyId(editingId);
+      await onUpdate(editingId, payload);
+      setEditingId(null);
+      setEditForm(null);
+    } catch (err) {
+      console.error(err);
+      setRowError(err.message || "Error al guardar la sesión.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const confirmDelete = async (sessionId) => {
+    setRowError(null);
+    try {
+      setBusyId(sessionId);
+      await onDelete(sessionId);
+      setConfirmDeleteId(null);
+    } catch (err) {
+      console.error(err);
+      setRowError(err.message || "Error al eliminar la sesión.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const cellInput = "w-full min-w-[5rem] rounded-lg px-2 py-1 border text-sm";
+  const linkButton = "text-sm font-semibold underline disabled:opacity-50";
+
+  const renderCell = (s, { key, def }) => {
+    switch (key) {
+      case "date":
+        return s.started_at ? formatDateTime(s.started_at) : "Sin fecha";
+      case "result":
+        return formatSessionResult(s.result);
+      case "duration":
+        return s.duration_s ?? "—";
+      case "scent":
+        return s.type?.scent || "—";
+      case "handler":
+        return s.handler_id ? handlerName(handlers, s.handler_id) : "—";
+      default: {
+        const v = isCategoricalCondition(def)
+          ? getConditionCategory(s, def.key)
+          : getConditionValue(s, def.key);
+        return v === null ? "—" : v;
+      }
+    }
+  };
+
+  const renderEditCell = ({ key, def }) => {
+    switch (key) {
+      case "date":
+        return (
+          <input
+            type="datetime-local"
+            name="started_at"
+            value={editForm.started_at}
+            onChange={handleEditChange}
+            className={cellInput}
+          />
+        );
+      case "result":
+        return (
+          <select
+            name="result"
+            value={editForm.result}
+            onChange={handleEditChange}
+            className={`${cellInput} bg-white`}
+          >
+            {SESSION_RESULT_OPTIONS.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {opt.label}
+              </option>
+            ))}
+          </select>
+        );
+      case "duration":
+        return (
+          <input
+            type="number"
+            name="duration_s"
+            value={editForm.duration_s}
+            onChange={handleEditChange}
+            className={cellInput}
+            min="0"
+            step="1"
+          />
+        );
+      case "scent":
+        return (
+          <input
+            type="text"
+            name="scent"
+            value={editForm.scent}
+            onChange={handleEditChange}
+            className={cellInput}
+          />
+        );
+      case "handler":
+        return (
+          <select
+            name="handler_id"
+            value={editForm.handler_id}
+            onChange={handleEditChange}
+            className={`${cellInput} bg-white`}
+          >
+            <option value="">Sin guía</option>
+            {handlers.map((h) => (
+              <option key={h.id} value={h.id}>
+                {h.name}
+              </option>
+            ))}
+          </select>
+        );
+      default:
+        return (
+          <ConditionInput
+            def={def}
+            value={editForm.conditions[def.key]}
+            onChange={handleEditConditionChange}
+            className={cellInput}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3 text-sm">
+        <label className="flex flex-col gap-1">
+          <span className="font-medium" style={{ color: palette.policeBlue }}>
+            Resultado
+          </span>
+          <select
+            name="result"
+            value={filters.result}
+            onChange={handleFilterChange}
+            className="rounded-xl px-3 py-2 border bg-white"
+          >
+            <option value="all">Todos</option>
+            <option value="success">Aciertos (VP + VN)</option>
+            <option value="fail">Errores (FP + FN)</option>
+            {OUTCOME_OPTIONS.map((opt) => (
+              <option key={opt.value} value={opt.value}>
+                {OUTCOME_SHORT_LABELS[opt.value]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="font-medium" style={{ color: palette.policeBlue }}>
+            Sustancia
+          </span>
+          <select
+            name="scent"
+            value={filters.scent}
+            onChange={handleFilterChange}
+            className="rounded-xl px-3 py-2 border bg-white"
+          >
+            <option value="all">Todas</option>
+            {scentOptions.map((scent) => (
+              <option key={scent} value={scent}>
+                {scent}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="font-medium" style={{ color: palette.policeBlue }}>
+            Desde
+          </span>
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={handleFilterChange}
+            className="rounded-xl px-3 py-2 border"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="font-medium" style={{ color: palette.policeBlue }}>
+            Hasta
+          </span>
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            onChange={handleFilterChange}
+            className="rounded-xl px-3 py-2 border"
+          />
+        </label>
+        <span style={{ color: palette.citrineBrown }}>
+          {visibleSessions.length} de {sessions.length} sesiones
+        </span>
+      </div>
+
+      {rowError && <p style={{ color: "crimson" }}>Error: {rowError}</p>}
+
+      <div
+        className="overflow-x-auto rounded-2xl shadow-md"
+        style={{ border: `2px solid ${palette.buff}` }}
+      >
+        <table className="min-w-full text-sm text-left">
+          <thead style={{ background: palette.buff, color: palette.policeBlue }}>
+            <tr>
+              {columns.map((col) => (
+                <th key={col.key} className="px-3 py-2 whitespace-nowrap">
+                  <button
+                    type="button"
+                    onClick={() => toggleSort(col.key)}
+                    className="font-semibold bg-transparent p-0"
+                    style={{ color: palette.policeBlue }}
+                  >
+                    {col.label}
+                    {sort.key === col.key
+                      ? sort.dir === "asc"
+                        ? " ▲"
+                        : " ▼"
+                      : ""}
+                  </button>
+                </th>
+              ))}
+              {canEdit && <th className="px-3 py-2">Acciones</th>}
+            </tr>
+          </thead>
+          <tbody style={{ background: palette.pearl }}>
+            {visibleSessions.map((s) => {
+              const isEditing = editingId === s.id;
+              const isBusy = busyId === s.id;
+              return (
+                <tr
+                  key={s.id}
+                  className="border-t"
+                  style={{ borderColor: palette.buff }}
+                >
+                  {columns.map((col) => (
+                    <td key={col.key} className="px-3 py-2 whitespace-nowrap">
+                      {isEditing ? renderEditCell(col) : renderCell(s, col)}
+                    </td>
+                  ))}
+                  {canEdit && (
+                    <td
+                      className="px-3 py-2 whitespace-nowrap space-x-3"
+                      style={{ color: palette.policeBlue }}
+                    >
+                      {isBlindTrialSession(s) ? (
+                        // Puntuada por el cierre de la prueba: no se toca
+                        <span
+                          className="text-sm"
+                          style={{ color: palette.citrineBrown }}
+                        >
+                          Prueba ciega
+                        </span>
+                      ) : isEditing ? (
+                        <>
+                          <button
+                            type="button"
+                            className={`${linkButton} bg-transparent p-0`}
+                            onClick={saveEdit}
+                            disabled={isBusy}
+                          >
+                            {isBusy ? "Guardando..." : "Guardar"}
+                          </button>
+                          <button
+                            type="button"
+                            className={`${linkButton} bg-transparent p-0`}
+                            onClick={cancelEdit}
+                            disabled={isBusy}
+                          >
+                            Cancelar
+                          </button>
+                        </>
+                      ) : confirmDeleteId === s.id ? (
+                        <>
+                          <span>¿Eliminar?</span>
+                          <button
+                            type="button"
+                            className={`${linkButton} bg-transparent p-0`}
+                            style={{ color: "crimson" }}
+                            onClick={() => confirmDelete(s.id)}
+                            disabled={isBusy}
+                          >
+                            {isBusy ? "Eliminando..." : "Sí, eliminar"}
+                          </button>
+                          <button
+                            type="button"
+                            className={`${linkButton} bg-transparent p-0`}
+                            onClick={() => setConfirmDeleteId(null)}
+                            disabled={isBusy}
+                          >
+                            No
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            type="button"
+                            className={`${linkButton} bg-transparent p-0`}
+                            onClick={() => startEdit(s)}
+                            disabled={editingId !== null}
+                          >
+                            Editar
+                          </button>
+                          <button
+                            type="button"
+                            className={`${linkButton} bg-transparent p-0`}
+                            style={{ color: "crimson" }}
+                            onClick={() => {
+                              setRowError(null);
+                              setConfirmDeleteId(s.id);
+                            }}
+                            disabled={editingId !== null}
+                          >
+                            Eliminar
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+            {visibleSessions.length === 0 && (
+              <tr>
+                <td
+                  colSpan={columns.length + (canEdit ? 1 : 0)}
+                  className="px-3 py-4 text-center"
+                  style={{ color: palette.citrineBrown }}
+                >
+                  Ninguna sesión coincide con los filtros.
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// --- Administración de usuarios (solo admin) ---
+
+// Fecha y hora local legible ("2026-10-19 14:05")
+const formatDateTime = (value) =>
+  value ? toLocalDateTimeInput(new Date(value)).replace("T", " ") : "—";
+
+const ROLE_OPTIONS = Object.entries(ROLES).map(([value, label]) => ({
+  value,
+  label,
+}));
+
+/**
+ * AdminUsers: perfiles, roles, invitaciones y auditoría de cambios de rol.
+ */
+const AdminUsers = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  // Solo un admin con acceso a todas las unidades reparte unidades
+  const { units, crossUnit, homeUnitId, unitName } = useUnit();
+  const [profiles, setProfiles] = React.useState([]);
+  const [invitations, setInvitations] = React.useState([]);
+  const [roleChanges, setRoleChanges] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [busyId, setBusyId] = React.useState(null);
+  const [notice, setNotice] = React.useState(null);
+  const [invite, setInvite] = React.useState({
+    email: "",
+    full_name: "",
+    role: "trainer",
+    unit_id: homeUnitId || "",
+  });
+  const [inviting, setInviting] = React.useState(false);
+
+  const loadAll = React.useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [profilesRes, invitationsRes, changesRes] = await Promise.all([
+        supabase
+          .from("profiles")
+          .select(
+            "id, email, full_name, role, unit_id, cross_unit, deactivated_at, last_sign_in_at, created_at"
+          )
+          .order("full_name", { ascending: true }),
+        supabase
+          .from("user_invitations")
+          .select(
+            "id, email, full_name, role, unit_id, invited_by, invited_at, accepted_at"
+          )
+          .order("invited_at", { ascending: false }),
+        supabase
+          .from("profile_role_changes")
+          .select("id, profile_id, old_role, new_role, changed_by, changed_at")
+          .order("changed_at", { ascending: false })
+          .limit(50),
+      ]);
+
+      if (profilesRes.error) throw profilesRes.error;
+      if (invitationsRes.error) throw invitationsRes.error;
+      if (changesRes.error) throw changesRes.error;
+
+      setProfiles(profilesRes.data || []);
+      setInvitations(invitationsRes.data || []);
+      setRoleChanges(changesRes.data || []);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al cargar los usuarios.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  React.useEffect(() => {
+    loadAll();
+  }, [loadAll]);
+
+  const profileName = (profileId) => {
+    const p = profiles.find((x) => String(x.id) === String(profileId));
+    return p ? p.full_name || p.email : "Sistema";
+  };
+
+  // Cambios sobre un perfil; el historial de roles lo registra la base
+  const updateProfile = async (profileId, patch, okMessage) => {
+    setError(null);
+    setNotice(null);
+    try {
+      setBusyId(profileId);
+      const { error } = await supabase
+        .from("profiles")
+        .update(patch)
+        .eq("id", profileId);
+      if (error) throw error;
+      setNotice(okMessage);
+      await loadAll();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al actualizar el usuario.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // El invitado entra con este enlace; sin contraseña, vuelve a pedir uno
+  // desde la página de inicio de sesión cuando lo necesite
+  const sendInvitationEmail = (email) =>
+    supabase.auth.signInWithOtp({
+      email,
+      options: {
+        shouldCreateUser: true,
+        emailRedirectTo: `${window.location.origin}/home`,
+      },
+    });
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setNotice(null);
+
+    const email = invite.email.trim().toLowerCase();
+    if (!/^\S+@\S+\.\S+$/.test(email)) {
+      setError("Ingresá un email válido.");
+      return;
+    }
+    if (profiles.some((p) => p.email === email)) {
+      setError("Ya existe un usuario con ese email.");
+      return;
+    }
+
+    try {
+      setInviting(true);
+      // La invitación fija el rol con el que se crea el perfil
+      const { error: inviteError } = await supabase
+        .from("user_invitations")
+        .insert({
+          email,
+          full_name: invite.full_name.trim() || null,
+          role: invite.role,
+          unit_id: invite.unit_id || null,
+          invited_by: user?.id || null,
+          invited_at: new Date().toISOString(),
+        });
+      if (inviteError) throw inviteError;
+
+      const { error: mailError } = await sendInvitationEmail(email);
+      if (mailError) throw mailError;
+
+      setInvite({ ...invite, email: "", full_name: "" });
+      setNotice(
+        isDemoMode
+          ? `Usuario ${email} creado: en la demo entra con la contraseña "${DEMO_PASSWORD}".`
+          : `Invitación enviada a ${email}. Para volver a entrar puede pedir un enlace desde el inicio de sesión.`
+      );
+      await loadAll();
+    } catch (err) {
+      console.error(err);
+      setError(
+        err.code === "23505"
+          ? "Ya hay una invitación para ese email."
+          : err.message || "Error al enviar la invitación."
+      );
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleResend = async (invitation) => {
+    setError(null);
+    setNotice(null);
+    try {
+      setBusyId(invitation.id);
+      const { error } = await sendInvitationEmail(invitation.email);
+      if (error) throw error;
+      setNotice(`Invitación reenviada a ${invitation.email}.`);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al reenviar la invitación.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Invitaciones cuyo usuario todavía no inició sesión
+  const pendingInvitations = invitations.filter((i) => {
+    const p = profiles.find((x) => x.email === i.email);
+    return !p?.last_sign_in_at;
+  });
+
+  const thClass = "px-3 py-2 text-left";
+  const tdClass = "px-3 py-2";
+
+  return (
+    <Shell>
+      <section className="space-y-8">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Usuarios
+          </h2>
+        </div>
+
+        {loading && (
+          <p style={{ color: palette.citrineBrown }}>Cargando usuarios…</p>
+        )}
+        {error && <p style={{ color: "crimson" }}>Error: {error}</p>}
+        {notice && <p style={{ color: palette.policeBlue }}>{notice}</p>}
+
+        {/* Invitar */}
+        <form
+          onSubmit={handleInvite}
+          className="rounded-2xl p-4 shadow-md space-y-3"
+          style={{
+            background: palette.pearl,
+            border: `2px solid ${palette.buff}`,
+          }}
+        >
+          <h3
+            className="text-xl font-semibold"
+            style={{ color: palette.policeBlue }}
+          >
+            Invitar usuario
+          </h3>
+          <div className="grid md:grid-cols-4 gap-3">
+            <div>
+              <label className="block text-sm font-medium mb-1">Email*</label>
+              <input
+                type="email"
+                value={invite.email}
+                onChange={(e) =>
+                  setInvite((prev) => ({ ...prev, email: e.target.value }))
+                }
+                className="w-full rounded-xl px-3 py-2 border"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                Nombre completo
+              </label>
+              <input
+                type="text"
+                value={invite.full_name}
+                onChange={(e) =>
+                  setInvite((prev) => ({ ...prev, full_name: e.target.value }))
+                }
+                className="w-full rounded-xl px-3 py-2 border"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Rol</label>
+              <select
+                value={invite.role}
+                onChange={(e) =>
+                  setInvite((prev) => ({ ...prev, role: e.target.value }))
+                }
+                className="w-full rounded-xl px-3 py-2 border bg-white"
+              >
+                {ROLE_OPTIONS.map((o) => (
+                  <option key={o.value} value={o.value}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Unidad</label>
+              <select
+                value={invite.unit_id}
+                onChange={(e) =>
+                  setInvite((prev) => ({ ...prev, unit_id: e.target.value }))
+                }
+                disabled={!crossUnit}
+                className="w-full rounded-xl px-3 py-2 border bg-white"
+              >
+                <option value="">Sin unidad</option>
+                {units.map((u) => (
+                  <option key={u.id} value={u.id}>
+                    {u.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <Button type="submit" variant="primary" disabled={inviting}>
+            {inviting ? "Enviando..." : "Enviar invitación"}
+          </Button>
+        </form>
+
+        {/* Perfiles */}
+        {!loading && (
+          <section className="space-y-3">
+            <h3
+              className="text-xl font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              Perfiles ({profiles.length})
+            </h3>
+            <div
+              className="overflow-x-auto rounded-2xl shadow-md"
+              style={{ border: `2px solid ${palette.buff}` }}
+            >
+              <table className="min-w-full text-sm">
+                <thead style={{ background: palette.pearl }}>
+                  <tr style={{ color: palette.policeBlue }}>
+                    <th className={thClass}>Nombre</th>
+                    <th className={thClass}>Email</th>
+                    <th className={thClass}>Rol</th>
+                    <th className={thClass}>Unidad</th>
+                    <th className={thClass}>Estado</th>
+                    <th className={thClass}>Último ingreso</th>
+                    <th className={thClass}>Acciones</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white">
+                  {profiles.map((p) => {
+                    const isSelf = String(p.id) === String(user?.id);
+                    const isBusy = busyId === p.id;
+                    return (
+                      <tr
+                        key={p.id}
+                        className="border-t"
+                        style={{ opacity: p.deactivated_at ? 0.6 : 1 }}
+                      >
+                        <td className={tdClass}>
+                          {p.full_name || "—"}
+                          {isSelf && (
+                            <span
+                              className="ml-2 text-xs"
+                              style={{ color: palette.citrineBrown }}
+                            >
+                              (vos)
+                            </span>
+                          )}
+                        </td>
+                        <td className={tdClass}>{p.email || "—"}</td>
+                        <td className={tdClass}>
+                          <select
+                            value={normalizeRole(p.role)}
+                            onChange={(e) =>
+                              updateProfile(
+                                p.id,
+                                { role: e.target.value },
+                                `Rol de ${p.full_name || p.email} actualizado.`
+                              )
+                            }
+                            disabled={isSelf || isBusy}
+                            title={
+                              isSelf
+                                ? "No podés cambiar tu propio rol."
+                                : undefined
+                            }
+                            className="rounded-lg px-2 py-1 border bg-white"
+                          >
+                            {ROLE_OPTIONS.map((o) => (
+                              <option key={o.value} value={o.value}>
+                                {o.label}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className={tdClass}>
+                          <div className="flex flex-col gap-1">
+                            <select
+                              value={p.unit_id || ""}
+                              onChange={(e) =>
+                                updateProfile(
+                                  p.id,
+                                  { unit_id: e.target.value || null },
+                                  `Unidad de ${p.full_name || p.email} actualizada.`
+                                )
+                              }
+                              disabled={!crossUnit || isBusy}
+                              className="rounded-lg px-2 py-1 border bg-white"
+                            >
+                              <option value="">Sin unidad</option>
+                              {units.map((u) => (
+                                <option key={u.id} value={u.id}>
+                                  {u.name}
+                                </option>
+                              ))}
+                            </select>
+                            <label className="inline-flex items-center gap-1 text-xs">
+                              <input
+                                type="checkbox"
+                                checked={Boolean(p.cross_unit)}
+                                onChange={(e) =>
+                                  updateProfile(
+                                    p.id,
+                                    { cross_unit: e.target.checked },
+                                    e.target.checked
+                                      ? `${p.full_name || p.email} ve todas las unidades.`
+                                      : `${p.full_name || p.email} ve solo su unidad.`
+                                  )
+                                }
+                                disabled={!crossUnit || isSelf || isBusy}
+                                className="h-3 w-3"
+                              />
+                              Todas las unidades
+                            </label>
+                          </div>
+                        </td>
+                        <td className={tdClass}>
+                          {p.deactivated_at
+                            ? `Desactivado (${formatDateTime(
+                                p.deactivated_at
+                              ).slice(0, 10)})`
+                            : "Activo"}
+                        </td>
+                        <td className={tdClass}>
+                          {p.last_sign_in_at
+                            ? formatDateTime(p.last_sign_in_at)
+                            : "Nunca"}
+                        </td>
+                        <td className={tdClass}>
+                          {!isSelf && (
+                            <button
+                              type="button"
+                              className="underline bg-transparent p-0 font-semibold"
+                              style={{
+                                color: p.deactivated_at
+                                  ? palette.policeBlue
+                                  : "crimson",
+                              }}
+                              disabled={isBusy}
+                              onClick={() =>
+                                updateProfile(
+                                  p.id,
+                                  {
+                                    deactivated_at: p.deactivated_at
+                                      ? null
+                                      : new Date().toISOString(),
+                                  },
+                                  p.deactivated_at
+                                    ? "Cuenta reactivada."
+                                    : "Cuenta desactivada."
+                                )
+                              }
+                            >
+                              {p.deactivated_at ? "Reactivar" : "Desactivar"}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {/* Invitaciones pendientes */}
+        {!loading && pendingInvitations.length > 0 && (
+          <section className="space-y-3">
+            <h3
+              className="text-xl font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              Invitaciones sin usar
+            </h3>
+            <ul className="space-y-2 text-sm">
+              {pendingInvitations.map((i) => (
+                <li
+                  key={i.id}
+                  className="flex flex-wrap items-center gap-3"
+                  style={{ color: palette.citrineBrown }}
+                >
+                  <span>
+                    <strong style={{ color: palette.policeBlue }}>
+                      {i.email}
+                    </strong>{" "}
+                    · {ROLES[normalizeRole(i.role)]} ·{" "}
+                    {unitName(i.unit_id)} · enviada{" "}
+                    {formatDateTime(i.invited_at)} por{" "}
+                    {profileName(i.invited_by)}
+                  </span>
+                  <button
+                    type="button"
+                    className="underline bg-transparent p-0 font-semibold"
+                    style={{ color: palette.policeBlue }}
+                    disabled={busyId === i.id}
+                    onClick={() => handleResend(i)}
+                  >
+                    Reenviar
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {/* Auditoría */}
+        {!loading && (
+          <section className="space-y-3">
+            <h3
+              className="text-xl font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              Historial de cambios de rol
+            </h3>
+            {roleChanges.length === 0 ? (
+              <p className="text-sm" style={{ color: palette.citrineBrown }}>
+                Todavía no hay cambios de rol registrados.
+              </p>
+            ) : (
+              <ul className="space-y-1 text-sm">
+                {roleChanges.map((c) => (
+                  <li key={c.id} style={{ color: palette.citrineBrown }}>
+                    {formatDateTime(c.changed_at)} ·{" "}
+                    <strong style={{ color: palette.policeBlue }}>
+                      {profileName(c.profile_id)}
+                    </strong>
+                    : {ROLES[c.old_role] || c.old_role || "—"} →{" "}
+                    {ROLES[c.new_role] || c.new_role} (por{" "}
+                    {profileName(c.changed_by)})
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+      </section>
+    </Shell>
+  );
+};
+
+/**
+ * HandlersAdmin: alta de guías (vinculados a un perfil o independientes) y
+ * armado de binomios guía–perro.
+ */
+const HandlersAdmin = () => {
+  const navigate = useNavigate();
+  const { handlers, teams, loading, error: loadError, reload } = useHandlers();
+  const [dogs, setDogs] = React.useState([]);
+  const [profiles, setProfiles] = React.useState([]);
+  const [error, setError] = React.useState(null);
+  const [busyId, setBusyId] = React.useState(null);
+  const [form, setForm] = React.useState({ name: "", profile_id: "" });
+  const [saving, setSaving] = React.useState(false);
+
+  React.useEffect(() => {
+    (async () => {
+      const [dogsRes, profilesRes] = await Promise.all([
+        supabase
+          .from("dogs")
+          .select("id, name, dog_code, archived_at")
+          .order("name", { ascending: true }),
+        supabase
+          .from("profiles")
+          .select("id, full_name, email, role")
+          .order("full_name", { ascending: true }),
+      ]);
+      if (dogsRes.error || profilesRes.error) {
+        const err = dogsRes.error || profilesRes.error;
+        console.error(err);
+        setError(err.message || "Error al cargar perros y perfiles.");
+        return;
+      }
+      setDogs(dogsRes.data || []);
+      setProfiles(profilesRes.data || []);
+    })();
+  }, []);
+
+  const dogOptions = dogs.map((d) => ({
+    value: String(d.id),
+    label: `${d.name}${d.dog_code ? ` — ${d.dog_code}` : ""}${
+      d.archived_at ? " (archivado)" : ""
+    }`,
+  }));
+
+  // Perfiles que todavía no tienen un guía vinculado
+  const linkableProfiles = profiles.filter(
+    (p) => !handlers.some((h) => String(h.profile_id) === String(p.id))
+  );
+
+  const profileLabel = (profileId) => {
+    const p = profiles.find((x) => String(x.id) === String(profileId));
+    return p ? p.full_name || p.email : "—";
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const profile = profiles.find(
+      (p) => String(p.id) === String(form.profile_id)
+    );
+    const name = form.name.trim() || profile?.full_name || "";
+    if (!name) {
+      setError("Indicá un nombre o vinculá un perfil.");
+      return;
+    }
+    try {
+      setSaving(true);
+      const { error } = await supabase.from("handlers").insert({
+        name,
+        profile_id: form.profile_id || null,
+        active: true,
+      });
+      if (error) throw error;
+      setForm({ name: "", profile_id: "" });
+      await reload();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al crear el guía.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (handler) => {
+    setError(null);
+    try {
+      setBusyId(handler.id);
+      const { error } = await supabase
+        .from("handlers")
+        .update({ active: !handler.active })
+        .eq("id", handler.id);
+      if (error) throw error;
+      await reload();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al actualizar el guía.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Sincroniza los binomios del guía con la selección de perros
+  const updateTeams = async (handler, dogIds) => {
+    setError(null);
+    const current = teams.filter(
+      (t) => String(t.handler_id) === String(handler.id)
+    );
+    const toRemove = current.filter((t) => !dogIds.includes(String(t.dog_id)));
+    const toAdd = dogIds.filter(
+      (dogId) => !current.some((t) => String(t.dog_id) === dogId)
+    );
+    try {
+      setBusyId(handler.id);
+      if (toRemove.length) {
+        const { error } = await supabase
+          .from("handler_dogs")
+          .delete()
+          .in("id", toRemove.map((t) => t.id));
+        if (error) throw error;
+      }
+      if (toAdd.length) {
+        const { error } = await supabase.from("handler_dogs").insert(
+          toAdd.map((dogId) => ({ handler_id: handler.id, dog_id: dogId }))
         );
+        if (error) throw error;
+      }
+      await reload();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al actualizar los binomios.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Shell>
+      <section className="space-y-8">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Guías y binomios
+          </h2>
+        </div>
+
+        {loading && (
+          <p style={{ color: palette.citrineBrown }}>Cargando guías…</p>
+        )}
+        {(error || loadError) && (
+          <p style={{ color: "crimson" }}>Error: {error || loadError}</p>
+        )}
+
+        <form
+          onSubmit={handleCreate}
+          className="rounded-2xl p-4 shadow-md space-y-3"
+          style={{
+            background: palette.pearl,
+            border: `2px solid ${palette.buff}`,
+          }}
+        >
+          <h3
+            className="text-xl font-semibold"
+            style={{ color: palette.policeBlue }}
+          >
+            Nuevo guía
+          </h3>
+          <div className="grid md:grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium mb-1">Nombre</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, name: e.target.value }))
+                }
+                className="w-full rounded-xl px-3 py-2 border"
+                placeholder="Ej.: Sgto. Pérez"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                Perfil vinculado (opcional)
+              </label>
+              <select
+                value={form.profile_id}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, profile_id: e.target.value }))
+                }
+                className="w-full rounded-xl px-3 py-2 border bg-white"
+              >
+                <option value="">Sin usuario (guía independiente)</option>
+                {linkableProfiles.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.full_name || p.email} ({ROLES[normalizeRole(p.role)]})
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-xs" style={{ color: palette.citrineBrown }}>
+            Un guía vinculado a un usuario con rol Guía puede registrar
+            sesiones de los perros de sus binomios.
+          </p>
+          <Button type="submit" variant="primary" disabled={saving}>
+            {saving ? "Guardando..." : "Agregar guía"}
+          </Button>
+        </form>
+
+        {!loading && (
+          <ul className="grid md:grid-cols-2 gap-4">
+            {handlers.map((h) => {
+              const teamDogIds = teams
+                .filter((t) => String(t.handler_id) === String(h.id))
+                .map((t) => String(t.dog_id));
+              return (
+                <li
+                  key={h.id}
+                  className="rounded-2xl p-4 shadow-md space-y-3"
+                  style={{
+                    background: palette.pearl,
+                    border: `2px solid ${palette.buff}`,
+                    opacity: h.active ? 1 : 0.6,
+                  }}
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div
+                        className="text-lg font-semibold"
+                        style={{ color: palette.policeBlue }}
+                      >
+                        {h.name}
+                        {!h.active && (
+                          <span
+                            className="ml-2 text-xs font-semibold uppercase"
+                            style={{ color: palette.citrineBrown }}
+                          >
+                            Inactivo
+                          </span>
+                        )}
+                      </div>
+                      <div
+                        className="text-sm"
+                        style={{ color: palette.citrineBrown }}
+                      >
+                        Usuario:{" "}
+                        {h.profile_id ? profileLabel(h.profile_id) : "ninguno"}
+                      </div>
+                    </div>
+                    <button
+                      type="button"
+                      className="text-sm underline bg-transparent p-0 font-semibold"
+                      style={{ color: palette.policeBlue }}
+                      disabled={busyId === h.id}
+                      onClick={() => toggleActive(h)}
+                    >
+                      {h.active ? "Desactivar" : "Reactivar"}
+                    </button>
+                  </div>
+                  <MultiSelect
+                    label="Perros del binomio"
+                    options={dogOptions}
+                    selected={teamDogIds}
+                    onChange={(ids) => updateTeams(h, ids)}
+                    allLabel="Sin perros asignados"
+                  />
+                  {teamDogIds.length > 0 && (
+                    <p
+                      className="text-sm"
+                      style={{ color: palette.citrineBrown }}
+                    >
+                      {dogOptions
+                        .filter((o) => teamDogIds.includes(o.value))
+                        .map((o) => o.label)
+                        .join(" · ")}
+                    </p>
+                  )}
+                </li>
+              );
+            })}
+            {handlers.length === 0 && (
+              <li className="text-sm" style={{ color: palette.citrineBrown }}>
+                Todavía no hay guías cargados.
+              </li>
+            )}
+          </ul>
+        )}
+      </section>
+    </Shell>
+  );
+};
+
+const EMPTY_CONDITION_FORM = {
+  key: "",
+  label: "",
+  unit: "",
+  type: "numeric",
+  min: "",
+  max: "",
+  options: "",
+  sort_order: "",
+};
+
+const conditionToForm = (def) => ({
+  key: def.key,
+  label: def.label || "",
+  unit: def.unit || "",
+  type: def.type || "numeric",
+  min: def.min ?? "",
+  max: def.max ?? "",
+  options: (def.options || []).join(", "),
+  sort_order: def.sort_order ?? "",
+});
+
+/**
+ * ConditionsAdmin: definiciones de condiciones ambientales (clave, etiqueta,
+ * unidad, tipo y rango válido) que usan el formulario de sesión y los gráficos.
+ */
+const ConditionsAdmin = () => {
+  const navigate = useNavigate();
+  const {
+    definitions,
+    loading,
+    error: loadError,
+    reload,
+  } = useConditionDefinitions();
+  const [form, setForm] = React.useState(EMPTY_CONDITION_FORM);
+  const [editingId, setEditingId] = React.useState(null);
+  const [error, setError] = React.useState(null);
+  const [saving, setSaving] = React.useState(false);
+  const [busyId, setBusyId] = React.useState(null);
+
+  const categorical = form.type === "categorical";
+
+  const setField = (name, value) =>
+    setForm((prev) => ({ ...prev, [name]: value }));
+
+  const resetForm = () => {
+    setForm(EMPTY_CONDITION_FORM);
+    setEditingId(null);
+  };
+
+  const handleEdit = (def) => {
+    setError(null);
+    setEditingId(def.id);
+    setForm(conditionToForm(def));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const key = form.key.trim();
+    const label = form.label.trim();
+    if (!/^[a-z][a-z0-9_]*$/.test(key)) {
+      setError(
+        "La clave debe empezar con una letra y usar solo minúsculas, números y guion bajo."
+      );
+      return;
+    }
+    if (!label) {
+      setError("Indicá una etiqueta.");
+      return;
+    }
+    if (
+      !editingId &&
+      definitions.some((d) => d.key === key && d.id != null)
+    ) {
+      setError(`Ya existe una condición con la clave "${key}".`);
+      return;
+    }
+
+    const min = categorical ? null : parseOptionalNumber(form.min);
+    const max = categorical ? null : parseOptionalNumber(form.max);
+    if (Number.isNaN(min) || Number.isNaN(max)) {
+      setError("El mínimo y el máximo deben ser numéricos.");
+      return;
+    }
+    if (min !== null && max !== null && min > max) {
+      setError("El mínimo no puede ser mayor que el máximo.");
+      return;
+    }
+    const options = categorical
+      ? [
+          ...new Set(
+            form.options
+              .split(",")
+              .map((o) => o.trim())
+              .filter(Boolean)
+          ),
+        ]
+      : [];
+    const sortOrder = parseOptionalNumber(form.sort_order);
+    if (Number.isNaN(sortOrder)) {
+      setError("El orden debe ser numérico.");
+      return;
+    }
+
+    const payload = {
+      label,
+      unit: form.unit.trim() || null,
+      type: form.type,
+      min,
+      max,
+      options: options.length ? options : null,
+      sort_order:
+        sortOrder ??
+        Math.max(0, ...definitions.map((d) => d.sort_order || 0)) + 10,
+    };
+
+    try {
+      setSaving(true);
+      const { error } = editingId
+        ? await supabase
+            .from("condition_definitions")
+            .update(payload)
+            .eq("id", editingId)
+        : await supabase
+            .from("condition_definitions")
+            .insert({ ...payload, key, active: true });
+      if (error) throw error;
+      resetForm();
+      await reload();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al guardar la condición.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // No se borran: las sesiones ya cargadas conservan sus valores
+  const toggleActive = async (def) => {
+    setError(null);
+    try {
+      setBusyId(def.id);
+      const { error } = await supabase
+        .from("condition_definitions")
+        .update({ active: def.active === false })
+        .eq("id", def.id);
+      if (error) throw error;
+      await reload();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al actualizar la condición.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const describeRange = (def) => {
+    if (isCategoricalCondition(def)) {
+      return def.options?.length ? def.options.join(" · ") : "Texto libre";
+    }
+    if (def.min == null && def.max == null) return "Sin límites";
+    return `${def.min ?? "−∞"} a ${def.max ?? "∞"}${
+      def.unit ? ` ${def.unit}` : ""
+    }`;
+  };
+
+  return (
+    <Shell>
+      <section className="space-y-8">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Condiciones ambientales
+          </h2>
+        </div>
+
+        {loading && (
+          <p style={{ color: palette.citrineBrown }}>Cargando condiciones…</p>
+        )}
+        {(error || loadError) && (
+          <p style={{ color: "crimson" }}>Error: {error || loadError}</p>
+        )}
+
+        <form
+          onSubmit={handleSubmit}
+          className="rounded-2xl p-4 shadow-md space-y-3"
+          style={{
+            background: palette.pearl,
+            border: `2px solid ${palette.buff}`,
+          }}
+        >
+          <h3
+            className="text-xl font-semibold"
+            style={{ color: palette.policeBlue }}
+          >
+            {editingId ? "Editar condición" : "Nueva condición"}
+          </h3>
+          <div className="grid md:grid-cols-3 gap-3">
+            <div>
+              <label className="block text-sm font-medium mb-1">Clave</label>
+              <input
+                type="text"
+                value={form.key}
+                onChange={(e) => setField("key", e.target.value)}
+                className="w-full rounded-xl px-3 py-2 border"
+                placeholder="Ej.: surface"
+                disabled={!!editingId}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Etiqueta</label>
+              <input
+                type="text"
+                value={form.label}
+                onChange={(e) => setField("label", e.target.value)}
+                className="w-full rounded-xl px-3 py-2 border"
+                placeholder="Ej.: Superficie"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">Tipo</label>
+              <select
+                value={form.type}
+                onChange={(e) => setField("type", e.target.value)}
+                className="w-full rounded-xl px-3 py-2 border bg-white"
+              >
+                {Object.entries(CONDITION_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                Unidad (opcional)
+              </label>
+              <input
+                type="text"
+                value={form.unit}
+                onChange={(e) => setField("unit", e.target.value)}
+                className="w-full rounded-xl px-3 py-2 border"
+                placeholder="Ej.: °C, km/h, min"
+              />
+            </div>
+            {categorical ? (
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium mb-1">
+                  Opciones (separadas por coma)
+                </label>
+                <input
+                  type="text"
+                  value={form.options}
+                  onChange={(e) => setField("options", e.target.value)}
+                  className="w-full rounded-xl px-3 py-2 border"
+                  placeholder="Ej.: Pasto, Tierra, Asfalto"
+                />
+              </div>
+            ) : (
+              <>
+                <div>
+                  <label className="block text-sm font-medium mb-1">
+                    Mínimo válido
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={form.min}
+                    onChange={(e) => setField("min", e.target.value)}
+                    className="w-full rounded-xl px-3 py-2 border"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium mb-1">
+                    Máximo válido
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={form.max}
+                    onChange={(e) => setField("max", e.target.value)}
+                    className="w-full rounded-xl px-3 py-2 border"
+                  />
+                </div>
+              </>
+            )}
+            <div>
+              <label className="block text-sm font-medium mb-1">Orden</label>
+              <input
+                type="number"
+                value={form.sort_order}
+                onChange={(e) => setField("sort_order", e.target.value)}
+                className="w-full rounded-xl px-3 py-2 border"
+              />
+            </div>
+          </div>
+          <p className="text-xs" style={{ color: palette.citrineBrown }}>
+            La clave es el nombre con el que se guarda el valor en cada sesión
+            y no se puede cambiar. Las categóricas se grafican con barras por
+            categoría; sin opciones aceptan texto libre.
+          </p>
+          <div className="flex gap-2">
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving
+                ? "Guardando..."
+                : editingId
+                ? "Guardar cambios"
+                : "Agregar condición"}
+            </Button>
+            {editingId && (
+              <Button type="button" variant="ghost" onClick={resetForm}>
+                Cancelar
+              </Button>
+            )}
+          </div>
+        </form>
+
+        {!loading && (
+          <div
+            className="overflow-x-auto rounded-2xl shadow-md"
+            style={{ border: `2px solid ${palette.buff}` }}
+          >
+            <table className="min-w-full text-sm text-left">
+              <thead
+                style={{
+                  background: palette.buff,
+                  color: palette.policeBlue,
+                }}
+              >
+                <tr>
+                  <th className="px-3 py-2">Orden</th>
+                  <th className="px-3 py-2">Clave</th>
+                  <th className="px-3 py-2">Etiqueta</th>
+                  <th className="px-3 py-2">Tipo</th>
+                  <th className="px-3 py-2">Rango / opciones</th>
+                  <th className="px-3 py-2">Acciones</th>
+                </tr>
+              </thead>
+              <tbody style={{ background: palette.pearl }}>
+                {definitions.map((def) => (
+                  <tr
+                    key={def.id ?? def.key}
+                    className="border-t"
+                    style={{
+                      borderColor: palette.buff,
+                      opacity: def.active === false ? 0.6 : 1,
+                    }}
+                  >
+                    <td className="px-3 py-2">{def.sort_order ?? "—"}</td>
+                    <td className="px-3 py-2 font-mono">{def.key}</td>
+                    <td className="px-3 py-2">
+                      {conditionLabel(def)}
+                      {def.active === false && (
+                        <span
+                          className="ml-2 text-xs font-semibold uppercase"
+                          style={{ color: palette.citrineBrown }}
+                        >
+                          Inactiva
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2">
+                      {CONDITION_TYPES[def.type] || CONDITION_TYPES.numeric}
+                    </td>
+                    <td className="px-3 py-2">{describeRange(def)}</td>
+                    <td className="px-3 py-2 space-x-3">
+                      {def.id != null ? (
+                        <>
+                          <button
+                            type="button"
+                            className="underline bg-transparent p-0 font-semibold"
+                            style={{ color: palette.policeBlue }}
+                            onClick={() => handleEdit(def)}
+                          >
+                            Editar
+                          </button>
+                          <button
+                            type="button"
+                            className="underline bg-transparent p-0 font-semibold"
+                            style={{ color: palette.policeBlue }}
+                            disabled={busyId === def.id}
+                            onClick={() => toggleActive(def)}
+                          >
+                            {def.active === false ? "Reactivar" : "Desactivar"}
+                          </button>
+                        </>
+                      ) : (
+                        <span style={{ color: palette.citrineBrown }}>
+                          Predeterminada
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </Shell>
+  );
+};
+
+/**
+ * MaintenancePage: olores vencidos y por vencer de toda la unidad, para
+ * planificar el próximo día de entrenamiento, y los intervalos por sustancia.
+ */
+const MaintenancePage = () => {
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const canManage = can("manage", "maintenance");
+  const {
+    dogs,
+    sessionsByDog,
+    loading,
+    error: loadError,
+  } = useUnitDogSessions();
+  const {
+    intervals,
+    error: intervalsError,
+    reload: reloadIntervals,
+  } = useMaintenanceIntervals();
+  const [showUpcoming, setShowUpcoming] = React.useState(true);
+  const [drafts, setDrafts] = React.useState({}); // scent -> días (texto)
+  const [busyScent, setBusyScent] = React.useState(null);
+  const [error, setError] = React.useState(null);
+
+  const entries = React.useMemo(
+    () =>
+      dogs
+        .flatMap((dog) =>
+          dogMaintenance(sessionsByDog.get(String(dog.id)) || [], intervals).map(
+            (e) => ({ ...e, dog })
+          )
+        )
+        .sort((a, b) => a.dueIn - b.dueIn),
+    [dogs, sessionsByDog, intervals]
+  );
+  const pending = entries.filter(
+    (e) => e.status === "overdue" || (showUpcoming && e.status === "upcoming")
+  );
+
+  // Por sustancia: qué perros conviene llevar a cada olor
+  const byScent = Array.from(
+    pending.reduce((map, e) => {
+      if (!map.has(e.scent)) map.set(e.scent, { overdue: [], upcoming: [] });
+      map.get(e.scent)[e.status].push(e.dog.name);
+      return map;
+    }, new Map())
+  ).sort((a, b) => b[1].overdue.length - a[1].overdue.length);
+
+  // Sustancias conocidas: las configuradas más las entrenadas
+  const scents = Array.from(
+    new Set([
+      ...intervals.map((i) => i.scent),
+      ...entries.map((e) => e.scent),
+    ])
+  ).sort();
+
+  const saveInterval = async (scent) => {
+    setError(null);
+    const days = Number(drafts[scent]);
+    if (!Number.isInteger(days) || days < 1) {
+      setError("El intervalo debe ser un número entero de días (1 o más).");
+      return;
+    }
+    const existing = intervals.find((i) => i.scent === scent);
+    try {
+      setBusyScent(scent);
+      const { error } = existing
+        ? await supabase
+            .from("scent_maintenance_intervals")
+            .update({ interval_days: days })
+            .eq("id", existing.id)
+        : await supabase
+            .from("scent_maintenance_intervals")
+            .insert({ scent, interval_days: days });
+      if (error) throw error;
+      setDrafts((prev) => {
+        const next = { ...prev };
+        delete next[scent];
+        return next;
+      });
+      await reloadIntervals();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al guardar el intervalo.");
+    } finally {
+      setBusyScent(null);
+    }
+  };
+
+  return (
+    <Shell>
+      <section className="space-y-8">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Mantenimiento de olores
+          </h2>
+        </div>
+
+        {loading && (
+          <p style={{ color: palette.citrineBrown }}>Cargando sesiones…</p>
+        )}
+        {(error || loadError || intervalsError) && (
+          <p style={{ color: "crimson" }}>
+            Error: {error || loadError || intervalsError}
+          </p>
+        )}
+
+        {!loading && (
+          <section className="space-y-4">
+            <div className="flex flex-wrap items-center gap-4">
+              <h3
+                className="text-xl font-semibold"
+                style={{ color: palette.policeBlue }}
+              >
+                Olores vencidos
+              </h3>
+              <label
+                className="inline-flex items-center gap-2 text-sm"
+                style={{ color: palette.citrineBrown }}
+              >
+                <input
+                  type="checkbox"
+                  checked={showUpcoming}
+                  onChange={(e) => setShowUpcoming(e.target.checked)}
+                  className="h-4 w-4"
+                />
+                Incluir los que vencen en los próximos{" "}
+                {MAINTENANCE_UPCOMING_DAYS} días
+              </label>
+            </div>
+
+            {byScent.length > 0 && (
+              <ul className="grid md:grid-cols-2 gap-3">
+                {byScent.map(([scent, groups]) => (
+                  <li
+                    key={scent}
+                    className="rounded-2xl p-4 shadow-md text-sm space-y-1"
+                    style={{
+                      background: palette.pearl,
+                      border: `2px solid ${palette.buff}`,
+                    }}
+                  >
+                    <div
+                      className="text-lg font-semibold"
+                      style={{ color: palette.policeBlue }}
+                    >
+                      {scent}
+                    </div>
+                    {groups.overdue.length > 0 && (
+                      <div style={{ color: MAINTENANCE_STATUS.overdue.color }}>
+                        Vencidos: {groups.overdue.join(", ")}
+                      </div>
+                    )}
+                    {groups.upcoming.length > 0 && (
+                      <div style={{ color: palette.citrineBrown }}>
+                        Por vencer: {groups.upcoming.join(", ")}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {pending.length === 0 ? (
+              <p style={{ color: palette.citrineBrown }}>
+                Todos los perros tienen sus olores al día.
+              </p>
+            ) : (
+              <MaintenanceTable entries={pending} showDog />
+            )}
+          </section>
+        )}
+
+        <section className="space-y-4">
+          <h3
+            className="text-xl font-semibold"
+            style={{ color: palette.policeBlue }}
+          >
+            Intervalos por sustancia
+          </h3>
+          <p className="text-sm" style={{ color: palette.citrineBrown }}>
+            Días máximos entre dos entrenamientos de un perro con cada olor.
+            Sin intervalo propio se usan {MAINTENANCE_DEFAULT_DAYS} días.
+          </p>
+          <div
+            className="overflow-x-auto rounded-2xl shadow-md"
+            style={{ border: `2px solid ${palette.buff}` }}
+          >
+            <table className="min-w-full text-sm text-left">
+              <thead
+                style={{ background: palette.buff, color: palette.policeBlue }}
+              >
+                <tr>
+                  <th className="px-3 py-2">Sustancia</th>
+                  <th className="px-3 py-2">Intervalo (días)</th>
+                  {canManage && <th className="px-3 py-2" />}
+                </tr>
+              </thead>
+              <tbody style={{ background: palette.pearl }}>
+                {scents.map((scent) => {
+                  const configured = intervals.find((i) => i.scent === scent);
+                  const value =
+                    drafts[scent] ?? String(configured?.interval_days ?? "");
+                  return (
+                    <tr
+                      key={scent}
+                      className="border-t"
+                      style={{ borderColor: palette.buff }}
+                    >
+                      <td className="px-3 py-2 font-medium">{scent}</td>
+                      <td className="px-3 py-2">
+                        {canManage ? (
+                          <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={value}
+                            placeholder={String(MAINTENANCE_DEFAULT_DAYS)}
+                            onChange={(e) =>
+                              setDrafts((prev) => ({
+                                ...prev,
+                                [scent]: e.target.value,
+                              }))
+                            }
+                            className="w-24 rounded-xl px-3 py-1 border"
+                          />
+                        ) : (
+                          configured?.interval_days ??
+                          `${MAINTENANCE_DEFAULT_DAYS} (predeterminado)`
+                        )}
+                      </td>
+                      {canManage && (
+                        <td className="px-3 py-2">
+                          <button
+                            type="button"
+                            className="underline bg-transparent p-0 font-semibold"
+                            style={{ color: palette.policeBlue }}
+                            disabled={
+                              busyScent === scent || drafts[scent] === undefined
+                            }
+                            onClick={() => saveInterval(scent)}
+                          >
+                            {busyScent === scent ? "Guardando..." : "Guardar"}
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  );
+                })}
+                {scents.length === 0 && (
+                  <tr>
+                    <td
+                      className="px-3 py-2"
+                      colSpan={canManage ? 3 : 2}
+                      style={{ color: palette.citrineBrown }}
+                    >
+                      Todavía no hay sustancias entrenadas.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+      </section>
+    </Shell>
+  );
+};
+
+// --- Calendario de entrenamiento ---
+// Sesiones registradas (training_sessions) y planificadas (training_plans)
+// por mes o por semana. Un plan se registra como sesión con sus datos
+// precargados y los planes se exportan a iCalendar (.ics) para cargarlos en
+// el teléfono del guía.
+
+const CALENDAR_VIEWS = { month: "Mes", week: "Semana" };
+const CALENDAR_WEEKDAYS = ["Lun", "Mar", "Mié", "Jue", "Vie", "Sáb", "Dom"];
+const CALENDAR_MONTHS = [
+  "enero",
+  "febrero",
+  "marzo",
+  "abril",
+  "mayo",
+  "junio",
+  "julio",
+  "agosto",
+  "septiembre",
+  "octubre",
+  "noviembre",
+  "diciembre",
+];
+const CALENDAR_DAY_LIMIT = 3; // eventos por día en la vista mensual
+const PLAN_DEFAULT_HOUR = 9;
+const PLAN_DEFAULT_DURATION_MIN = 60;
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const addDays = (date, n) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+};
+
+// Lunes de la semana de date
+const startOfWeek = (date) => {
+  const d = startOfDay(date);
+  return addDays(d, -((d.getDay() + 6) % 7));
+};
+
+// "YYYY-MM-DD" en hora local
+const localDateKey = (date) => toLocalDateTimeInput(new Date(date)).slice(0, 10);
+
+// Días visibles: la semana de anchor o las semanas completas (lunes a
+// domingo) que cubren su mes
+const calendarDays = (anchor, view) => {
+  if (view === "week") {
+    const start = startOfWeek(anchor);
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+  }
+  const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  const days = [];
+  for (
+    let d = startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+    d <= last || days.length % 7;
+    d = addDays(d, 1)
+  ) {
+    days.push(d);
+  }
+  return days;
+};
+
+// Mes o semana anterior (dir = -1) / siguiente (dir = 1)
+const shiftCalendar = (anchor, view, dir) =>
+  view === "week"
+    ? addDays(anchor, 7 * dir)
+    : new Date(anchor.getFullYear(), anchor.getMonth() + dir, 1);
+
+const calendarTitle = (anchor, view) => {
+  if (view === "month") {
+    return `${CALENDAR_MONTHS[anchor.getMonth()]} de ${anchor.getFullYear()}`;
+  }
+  const start = startOfWeek(anchor);
+  const end = addDays(start, 6);
+  const dayMonth = (d) => `${d.getDate()} de ${CALENDAR_MONTHS[d.getMonth()]}`;
+  return `Semana del ${dayMonth(start)} al ${dayMonth(end)} de ${end.getFullYear()}`;
+};
+
+// Agrupa filas por día local de la columna de fecha indicada
+const groupByDay = (rows, column) =>
+  rows.reduce((map, row) => {
+    const key = localDateKey(row[column]);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(row);
+    return map;
+  }, new Map());
+
+const formatTime = (value) => toLocalDateTimeInput(new Date(value)).slice(11);
+
+const sessionEventColor = (result) => {
+  if (isSuccessResult(result)) return "#2E7D32";
+  if (isFailResult(result)) return "crimson";
+  return palette.citrineBrown;
+};
+
+const emptyPlanForm = (date = new Date()) => {
+  const plannedAt = startOfDay(date);
+  plannedAt.setHours(PLAN_DEFAULT_HOUR);
+  return {
+    dog_ids: [], // alta: un plan por perro
+    dog_id: "", // edición
+    handler_id: "",
+    scent: "",
+    location: "",
+    planned_at: toLocalDateTimeInput(plannedAt),
+    duration_min: String(PLAN_DEFAULT_DURATION_MIN),
+    notes: "",
+  };
+};
+
+const planToForm = (plan) => ({
+  ...emptyPlanForm(),
+  dog_id: plan.dog_id,
+  handler_id: plan.handler_id || "",
+  scent: plan.scent || "",
+  location: plan.location || "",
+  planned_at: toLocalDateTimeInput(new Date(plan.planned_at)),
+  duration_min: plan.duration_min ?? "",
+  notes: plan.notes || "",
+});
+
+// Valida el formulario del plan y arma el payload (sin dog_id)
+const buildPlanPayload = (form) => {
+  const plannedAt = new Date(form.planned_at);
+  if (!form.planned_at || Number.isNaN(plannedAt.getTime())) {
+    return { error: "La fecha/hora del plan es obligatoria." };
+  }
+  const duration = parseOptionalNumber(form.duration_min);
+  if (
+    Number.isNaN(duration) ||
+    (duration !== null && (!Number.isInteger(duration) || duration < 1))
+  ) {
+    return { error: "La duración debe ser un número entero de minutos." };
+  }
+  return {
+    payload: {
+      handler_id: form.handler_id || null,
+      scent: form.scent.trim() || null,
+      location: form.location.trim() || null,
+      planned_at: plannedAt.toISOString(),
+      duration_min: duration,
+      notes: form.notes.trim() || null,
+    },
+  };
+};
+
+// --- Exportación iCalendar (RFC 5545) ---
+
+const ICS_PRODID = "-//K-9 Smart Fetch//Calendario de entrenamiento//ES";
+
+const icsEscape = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Fecha en UTC: 20261019T120000Z
+const icsDate = (value) =>
+  new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Las líneas no pueden pasar de 75 octetos: se continúan con un espacio
+const icsFold = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// Un VEVENT por plan; plans trae el perro embebido (dogs)
+const plansToIcs = (plans, { handlers = [], now = new Date() } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICS_PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:K-9 Smart Fetch",
+  ];
+  plans.forEach((plan) => {
+    const start = new Date(plan.planned_at);
+    const end = new Date(
+      start.getTime() +
+        (plan.duration_min || PLAN_DEFAULT_DURATION_MIN) * 60000
+    );
+    const dogName = plan.dogs?.name || "Perro";
+    const description = [
+      `Perro: ${dogName}${plan.dogs?.dog_code ? ` (${plan.dogs.dog_code})` : ""}`,
+      `Guía: ${handlerName(handlers, plan.handler_id)}`,
+      plan.scent && `Sustancia: ${plan.scent}`,
+      plan.notes && `Notas: ${plan.notes}`,
+    ].filter(Boolean);
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${plan.id}@k9-smart-fetch`,
+      `DTSTAMP:${icsDate(now)}`,
+      `DTSTART:${icsDate(start)}`,
+      `DTEND:${icsDate(end)}`,
+      `SUMMARY:${icsEscape(
+        `Entrenamiento: ${dogName}${plan.scent ? ` — ${plan.scent}` : ""}`
+      )}`
+    );
+    if (plan.location) lines.push(`LOCATION:${icsEscape(plan.location)}`);
+    lines.push(`DESCRIPTION:${icsEscape(description.join("\n"))}`, "END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return `${lines.map(icsFold).join("\r\n")}\r\n`;
+};
+
+const downloadIcs = (plans, handlers, fileName) =>
+  downloadBlob(
+    new Blob([plansToIcs(plans, { handlers })], {
+      type: "text/calendar;charset=utf-8",
+    }),
+    fileName
+  );
+
+/**
+ * CalendarPage: sesiones registradas y planificadas por mes o semana.
+ */
+const CalendarPage = () => {
+  const navigate = useNavigate();
+  const { can, role, ownHandlerIds = [] } = useAuth();
+  const { activeUnitId } = useUnit();
+  const { handlers } = useHandlers();
+  const canManage = can("manage", "plan");
+  const [view, setView] = React.useState("month");
+  const [anchor, setAnchor] = React.useState(() => startOfDay(new Date()));
+  // Un guía ve primero su propia agenda
+  const [handlerFilter, setHandlerFilter] = React.useState(() =>
+    role === "handler" && ownHandlerIds[0] ? String(ownHandlerIds[0]) : ""
+  );
+  const [dogs, setDogs] = React.useState([]);
+  const [sessions, setSessions] = React.useState([]);
+  const [plans, setPlans] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [selectedPlanId, setSelectedPlanId] = React.useState(null);
+  const [confirmDelete, setConfirmDelete] = React.useState(false);
+  const [form, setForm] = React.useState(null); // null = formulario cerrado
+  const [editingId, setEditingId] = React.useState(null);
+  const [saving, setSaving] = React.useState(false);
+  const [formError, setFormError] = React.useState(null);
+
+  const days = React.useMemo(() => calendarDays(anchor, view), [anchor, view]);
+  const fromIso = days[0].toISOString();
+  const toIso = addDays(days[days.length - 1], 1).toISOString();
+  const todayKey = localDateKey(new Date());
+
+  const load = React.useCallback(async () => {
+    setError(null);
+    try {
+      const [{ rows: sessionRows }, { rows: planRows }] = await Promise.all([
+        fetchAllRows(() =>
+          scopeToUnit(
+            supabase
+              .from("training_sessions")
+              .select(
+                "id, dog_id, handler_id, result, started_at, type, dogs ( id, name, dog_code )"
+              )
+              .gte("started_at", fromIso)
+              .lt("started_at", toIso),
+            activeUnitId
+          ).order("started_at", { ascending: true })
+        ),
+        fetchAllRows(() =>
+          scopeToUnit(
+            supabase
+              .from("training_plans")
+              .select(
+                "id, dog_id, handler_id, scent, location, planned_at, duration_min, notes, session_id, dogs ( id, name, dog_code )"
+              )
+              .gte("planned_at", fromIso)
+              .lt("planned_at", toIso),
+            activeUnitId
+          ).order("planned_at", { ascending: true })
+        ),
+      ]);
+      setSessions(sessionRows);
+      setPlans(planRows);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al cargar el calendario.");
+    } finally {
+      setLoading(false);
+    }
+  }, [activeUnitId, fromIso, toIso]);
+
+  React.useEffect(() => {
+    load();
+  }, [load]);
+
+  React.useEffect(() => {
+    if (!canManage) return;
+    (async () => {
+      const { data, error } = await scopeToUnit(
+        supabase
+          .from("dogs")
+          .select("id, name, dog_code")
+          .is("archived_at", null),
+        activeUnitId
+      ).order("name", { ascending: true });
+      if (error) {
+        console.error(error);
+        return;
+      }
+      setDogs(data || []);
+    })();
+  }, [activeUnitId, canManage]);
+
+  const matchesHandler = (row) =>
+    !handlerFilter || String(row.handler_id) === handlerFilter;
+  // Los planes ya registrados se ven como su sesión
+  const pendingPlans = plans.filter((p) => !p.session_id && matchesHandler(p));
+  const sessionsByDay = groupByDay(sessions.filter(matchesHandler), "started_at");
+  const plansByDay = groupByDay(pendingPlans, "planned_at");
+  const selectedPlan = plans.find((p) => p.id === selectedPlanId) || null;
+
+  const openNewPlan = (date) => {
+    setFormError(null);
+    setEditingId(null);
+    setForm({
+      ...emptyPlanForm(date),
+      handler_id: handlerFilter,
+    });
+  };
+
+  const openEditPlan = (plan) => {
+    setFormError(null);
+    setEditingId(plan.id);
+    setForm(planToForm(plan));
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const savePlan = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+    const { payload, error: validationError } = buildPlanPayload(form);
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+    if (editingId ? !form.dog_id : form.dog_ids.length === 0) {
+      setFormError("Elegí al menos un perro.");
+      return;
+    }
+    try {
+      setSaving(true);
+      const { error } = editingId
+        ? await supabase
+            .from("training_plans")
+            .update({ ...payload, dog_id: form.dog_id })
+            .eq("id", editingId)
+        : await supabase
+            .from("training_plans")
+            .insert(form.dog_ids.map((dogId) => ({ ...payload, dog_id: dogId })));
+      if (error) throw error;
+      setForm(null);
+      setEditingId(null);
+      await load();
+    } catch (err) {
+      console.error(err);
+      setFormError(err.message || "Error al guardar el plan.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deletePlan = async () => {
+    setError(null);
+    try {
+      setSaving(true);
+      const { error } = await supabase
+        .from("training_plans")
+        .delete()
+        .eq("id", selectedPlan.id);
+      if (error) throw error;
+      setSelectedPlanId(null);
+      setConfirmDelete(false);
+      await load();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al eliminar el plan.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const dogLabel = (dog) =>
+    dog ? `${dog.name}${dog.dog_code ? ` — ${dog.dog_code}` : ""}` : "Perro";
+  const linkButton =
+    "underline bg-transparent p-0 font-semibold disabled:opacity-50";
+
+  return (
+    <Shell>
+      <section className="space-y-8">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Calendario de entrenamiento
+          </h2>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="flex items-center gap-2">
+            <Button
+              variant="ghost"
+              onClick={() => setAnchor(shiftCalendar(anchor, view, -1))}
+            >
+              ‹
+            </Button>
+            <Button variant="ghost" onClick={() => setAnchor(startOfDay(new Date()))}>
+              Hoy
+            </Button>
+            <Button
+              variant="ghost"
+              onClick={() => setAnchor(shiftCalendar(anchor, view, 1))}
+            >
+              ›
+            </Button>
+          </div>
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="font-medium" style={{ color: palette.policeBlue }}>
+              Vista
+            </span>
+            <select
+              value={view}
+              onChange={(e) => setView(e.target.value)}
+              className="rounded-xl px-3 py-2 border bg-white"
+            >
+              {Object.entries(CALENDAR_VIEWS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="font-medium" style={{ color: palette.policeBlue }}>
+              Guía
+            </span>
+            <select
+              value={handlerFilter}
+              onChange={(e) => setHandlerFilter(e.target.value)}
+              className="rounded-xl px-3 py-2 border bg-white"
+            >
+              <option value="">Todos los guías</option>
+              {handlers.map((h) => (
+                <option key={h.id} value={String(h.id)}>
+                  {h.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <Button
+            variant="ghost"
+            disabled={pendingPlans.length === 0}
+            onClick={() =>
+              downloadIcs(
+                pendingPlans,
+                handlers,
+                `plan-entrenamiento-${localDateKey(days[0])}.ics`
+              )
+            }
+          >
+            Exportar planes (.ics)
+          </Button>
+          {canManage && (
+            <Button variant="primary" onClick={() => openNewPlan(anchor)}>
+              Planificar sesión
+            </Button>
+          )}
+        </div>
+
+        <h3
+          className="text-xl font-semibold first-letter:uppercase"
+          style={{ color: palette.policeBlue }}
+        >
+          {calendarTitle(anchor, view)}
+        </h3>
+
+        {loading && (
+          <p style={{ color: palette.citrineBrown }}>Cargando calendario…</p>
+        )}
+        {error && <p style={{ color: "crimson" }}>Error: {error}</p>}
+
+        <div className="overflow-x-auto">
+          <div
+            className="grid grid-cols-7 min-w-[49rem] rounded-2xl shadow-md overflow-hidden"
+            style={{ border: `2px solid ${palette.buff}` }}
+          >
+            {CALENDAR_WEEKDAYS.map((name) => (
+              <div
+                key={name}
+                className="px-2 py-1 text-sm font-semibold"
+                style={{ background: palette.buff, color: palette.policeBlue }}
+              >
+                {name}
+              </div>
+            ))}
+            {days.map((day) => {
+              const key = localDateKey(day);
+              const daySessions = sessionsByDay.get(key) || [];
+              const dayPlans = plansByDay.get(key) || [];
+              const events = [
+                ...dayPlans.map((p) => ({ kind: "plan", at: p.planned_at, row: p })),
+                ...daySessions.map((s) => ({
+                  kind: "session",
+                  at: s.started_at,
+                  row: s,
+                })),
+              ].sort((a, b) => (a.at < b.at ? -1 : 1));
+              const visible =
+                view === "month" ? events.slice(0, CALENDAR_DAY_LIMIT) : events;
+              const outside =
+                view === "month" && day.getMonth() !== anchor.getMonth();
+
+              return (
+                <div
+                  key={key}
+                  className={`border-t border-l p-1 text-xs space-y-1 ${
+                    view === "month" ? "min-h-[7rem]" : "min-h-[18rem]"
+                  }`}
+                  style={{
+                    borderColor: palette.buff,
+                    background: palette.pearl,
+                    opacity: outside ? 0.55 : 1,
+                  }}
+                >
+                  <div className="flex items-center justify-between">
+                    <span
+                      className="font-semibold px-1 rounded"
+                      style={
+                        key === todayKey
+                          ? { background: palette.policeBlue, color: "white" }
+                          : { color: palette.policeBlue }
+                      }
+                    >
+                      {day.getDate()}
+                    </span>
+                    {canManage && (
+                      <button
+                        type="button"
+                        className="bg-transparent p-0 font-semibold"
+                        style={{ color: palette.policeBlue }}
+                        title="Planificar sesión este día"
+                        onClick={() => openNewPlan(day)}
+                      >
+                        +
+                      </button>
+                    )}
+                  </div>
+                  {visible.map(({ kind, row }) =>
+                    kind === "plan" ? (
+                      <button
+                        key={`p-${row.id}`}
+                        type="button"
+                        className="block w-full text-left rounded px-1 border border-dashed truncate"
+                        style={{
+                          borderColor:
+                            new Date(row.planned_at) < new Date()
+                              ? "crimson"
+                              : palette.policeBlue,
+                          color: palette.policeBlue,
+                          background:
+                            row.id === selectedPlanId ? palette.buff : "white",
+                        }}
+                        onClick={() => {
+                          setConfirmDelete(false);
+                          setSelectedPlanId(row.id);
+                        }}
+                      >
+                        {formatTime(row.planned_at)} {row.dogs?.name || "Perro"}
+                        {row.scent ? ` · ${row.scent}` : ""}
+                      </button>
+                    ) : (
+                      <Link
+                        key={`s-${row.id}`}
+                        to={`/records/${row.dog_id}`}
+                        className="block rounded px-1 truncate text-white"
+                        style={{ background: sessionEventColor(row.result) }}
+                        title={OUTCOME_SHORT_LABELS[normalizeOutcome(row.result)]}
+                      >
+                        {formatTime(row.started_at)} {row.dogs?.name || "Perro"}
+                        {row.type?.scent ? ` · ${row.type.scent}` : ""}
+                      </Link>
+                    )
+                  )}
+                  {events.length > visible.length && (
+                    <button
+                      type="button"
+                      className="bg-transparent p-0 underline"
+                      style={{ color: palette.citrineBrown }}
+                      onClick={() => {
+                        setView("week");
+                        setAnchor(day);
+                      }}
+                    >
+                      +{events.length - visible.length} más
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <p className="text-sm" style={{ color: palette.citrineBrown }}>
+          Sesiones registradas en color según el resultado (verde: acierto,
+          rojo: error). Planes con borde punteado; en rojo los que ya pasaron
+          sin registrarse. Los planes registrados se muestran como su sesión.
+        </p>
+
+        {selectedPlan && (
+          <div
+            className="rounded-2xl p-4 shadow-md text-sm space-y-2 max-w-xl"
+            style={{
+              background: palette.pearl,
+              border: `2px solid ${palette.buff}`,
+            }}
+          >
+            <div
+              className="text-lg font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              Plan: {dogLabel(selectedPlan.dogs)}
+            </div>
+            <div>Fecha/hora: {formatDateTime(selectedPlan.planned_at)}</div>
+            <div>
+              Duración:{" "}
+              {selectedPlan.duration_min
+                ? `${selectedPlan.duration_min} min`
+                : "—"}
+            </div>
+            <div>Guía: {handlerName(handlers, selectedPlan.handler_id)}</div>
+            <div>Sustancia: {selectedPlan.scent || "—"}</div>
+            <div>Lugar: {selectedPlan.location || "—"}</div>
+            {selectedPlan.notes && <div>Notas: {selectedPlan.notes}</div>}
+            <div className="flex flex-wrap gap-4 pt-2">
+              {can("create", "session", { dogId: selectedPlan.dog_id }) && (
+                <button
+                  type="button"
+                  className={linkButton}
+                  style={{ color: palette.policeBlue }}
+                  onClick={() =>
+                    navigate(
+                      `/records/${selectedPlan.dog_id}/sessions/new?plan=${selectedPlan.id}`
+                    )
+                  }
+                >
+                  Registrar sesión
+                </button>
+              )}
+              <button
+                type="button"
+                className={linkButton}
+                style={{ color: palette.policeBlue }}
+                onClick={() =>
+                  downloadIcs(
+                    [selectedPlan],
+                    handlers,
+                    `plan-${localDateKey(selectedPlan.planned_at)}-${normalizeHeader(
+                      selectedPlan.dogs?.name || "perro"
+                    )}.ics`
+                  )
+                }
+              >
+                Exportar .ics
+              </button>
+              {canManage &&
+                (confirmDelete ? (
+                  <>
+                    <span>¿Eliminar?</span>
+                    <button
+                      type="button"
+                      className={linkButton}
+                      style={{ color: "crimson" }}
+                      disabled={saving}
+                      onClick={deletePlan}
+                    >
+                      {saving ? "Eliminando..." : "Sí, eliminar"}
+                    </button>
+                    <button
+                      type="button"
+                      className={linkButton}
+                      disabled={saving}
+                      onClick={() => setConfirmDelete(false)}
+                    >
+                      No
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      type="button"
+                      className={linkButton}
+                      style={{ color: palette.policeBlue }}
+                      onClick={() => openEditPlan(selectedPlan)}
+                    >
+                      Editar
+                    </button>
+                    <button
+                      type="button"
+                      className={linkButton}
+                      style={{ color: "crimson" }}
+                      onClick={() => setConfirmDelete(true)}
+                    >
+                      Eliminar
+                    </button>
+                  </>
+                ))}
+              <button
+                type="button"
+                className={linkButton}
+                onClick={() => setSelectedPlanId(null)}
+              >
+                Cerrar
+              </button>
+            </div>
+          </div>
+        )}
+
+        {canManage && form && (
+          <form
+            onSubmit={savePlan}
+            className="rounded-2xl p-4 shadow-md space-y-4 max-w-xl"
+            style={{
+              background: palette.pearl,
+              border: `2px solid ${palette.buff}`,
+            }}
+          >
+            <h3
+              className="text-xl font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              {editingId ? "Editar plan" : "Planificar sesión"}
+            </h3>
+            {formError && <p style={{ color: "crimson" }}>{formError}</p>}
+
+            {editingId ? (
+              <label className="block">
+                <span className="block font-medium mb-1">Perro*</span>
+                <select
+                  name="dog_id"
+                  value={form.dog_id}
+                  onChange={handleFormChange}
+                  className="w-full rounded-xl px-3 py-2 border bg-white"
+                >
+                  {dogs.map((d) => (
+                    <option key={d.id} value={d.id}>
+                      {dogLabel(d)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ) : (
+              <MultiSelect
+                label="Perros* (un plan por perro)"
+                options={dogs.map((d) => ({ value: d.id, label: dogLabel(d) }))}
+                selected={form.dog_ids}
+                onChange={(dogIds) =>
+                  setForm((prev) => ({ ...prev, dog_ids: dogIds }))
+                }
+                allLabel="Elegí los perros"
+              />
+            )}
+
+            <label className="block">
+              <span className="block font-medium mb-1">Fecha y hora*</span>
+              <input
+                type="datetime-local"
+                name="planned_at"
+                value={form.planned_at}
+                onChange={handleFormChange}
+                className="w-full rounded-xl px-3 py-2 border"
+                required
+              />
+            </label>
+
+            <label className="block">
+              <span className="block font-medium mb-1">Duración (min)</span>
+              <input
+                type="number"
+                name="duration_min"
+                value={form.duration_min}
+                onChange={handleFormChange}
+                className="w-full rounded-xl px-3 py-2 border"
+                min="1"
+                step="1"
+              />
+            </label>
+
+            <label className="block">
+              <span className="block font-medium mb-1">Guía</span>
+              <select
+                name="handler_id"
+                value={form.handler_id}
+                onChange={handleFormChange}
+                className="w-full rounded-xl px-3 py-2 border bg-white"
+              >
+                <option value="">Sin guía</option>
+                {handlers
+                  .filter(
+                    (h) => h.active || String(h.id) === String(form.handler_id)
+                  )
+                  .map((h) => (
+                    <option key={h.id} value={h.id}>
+                      {h.name}
+                    </option>
+                  ))}
+              </select>
+            </label>
+
+            <label className="block">
+              <span className="block font-medium mb-1">Sustancia</span>
+              <input
+                type="text"
+                name="scent"
+                value={form.scent}
+                onChange={handleFormChange}
+                className="w-full rounded-xl px-3 py-2 border"
+                placeholder="Ej.: cocaína, marihuana, explosivos"
+              />
+            </label>
+
+            <label className="block">
+              <span className="block font-medium mb-1">Lugar</span>
+              <input
+                type="text"
+                name="location"
+                value={form.location}
+                onChange={handleFormChange}
+                className="w-full rounded-xl px-3 py-2 border"
+              />
+            </label>
+
+            <label className="block">
+              <span className="block font-medium mb-1">Notas</span>
+              <textarea
+                name="notes"
+                value={form.notes}
+                onChange={handleFormChange}
+                className="w-full rounded-xl px-3 py-2 border"
+                rows={3}
+              />
+            </label>
+
+            <div className="flex gap-3">
+              <Button type="submit" variant="primary" disabled={saving}>
+                {saving ? "Guardando..." : "Guardar"}
+              </Button>
+              <Button
+                type="button"
+                variant="ghost"
+                onClick={() => {
+                  setForm(null);
+                  setEditingId(null);
+                }}
+              >
+                Cancelar
+              </Button>
+            </div>
+          </form>
+        )}
+      </section>
+    </Shell>
+  );
+};
+
+// --- Pruebas ciegas y doble ciego ---
+// La app sortea qué contenedores (o áreas) llevan olor, incluidas pasadas en
+// blanco. Las colocaciones quedan selladas para el guía, que solo registra
+// las marcas; al cerrar la pasada cada contenedor se puntúa como una sesión
+// (trigger score_blind_trial) y recién ahí se revelan las colocaciones.
+
+const BLIND_TRIAL_PROTOCOLS = {
+  double_blind: {
+    label: "Doble ciego",
+    help: "Nadie presente en la pasada conoce las colocaciones: quedan selladas hasta el cierre.",
+  },
+  blind: {
+    label: "Ciego",
+    help: "El guía no conoce las colocaciones; quien las preparó puede consultarlas durante la pasada.",
+  },
+};
+
+const BLIND_TRIAL_STATUS = {
+  setup: "En preparación",
+  sealed: "Sellada (en curso)",
+  closed: "Cerrada",
+};
+
+const BLIND_TRIAL_BLANK_RATE = 0.2; // probabilidad de pasada en blanco
+const BLIND_TRIAL_MAX_CONTAINERS = 30;
+
+// Azar no predecible (crypto) para que nadie pueda anticipar el sorteo
+const secureRandom = () => {
+  if (globalThis.crypto?.getRandomValues) {
+    const buf = new Uint32Array(1);
+    globalThis.crypto.getRandomValues(buf);
+    return buf[0] / 4294967296;
+  }
+  return Math.random();
+};
+
+// Reparte `hides` olores entre `count` contenedores. Devuelve un booleano
+// por contenedor (true = con olor).
+const placeHides = (count, hides, random = secureRandom) => {
+  // Fisher-Yates parcial: las primeras `hides` posiciones llevan olor
+  const positions = Array.from({ length: count }, (_, i) => i);
+  for (let i = 0; i < hides; i += 1) {
+    const j = i + Math.floor(random() * (count - i));
+    [positions[i], positions[j]] = [positions[j], positions[i]];
+  }
+  const hidden = new Set(positions.slice(0, hides));
+  return positions.map((_, i) => hidden.has(i));
+};
+
+// Sortea las colocaciones: con probabilidad blankRate ningún contenedor
+// lleva olor; si no, entre 1 y maxHides al azar
+const generatePlacements = (
+  count,
+  { maxHides = 1, blankRate = BLIND_TRIAL_BLANK_RATE, random = secureRandom } = {}
+) => {
+  const hides =
+    random() < blankRate
+      ? 0
+      : 1 + Math.floor(random() * Math.max(1, Math.min(maxHides, count)));
+  return placeHides(count, hides, random);
+};
+
+// Resultado de un contenedor según colocación y marca del perro
+const blindTrialResult = (hasHide, indicated) => {
+  if (hasHide) return indicated ? OUTCOMES.TP : OUTCOMES.FN;
+  return indicated ? OUTCOMES.FP : OUTCOMES.TN;
+};
+
+const EMPTY_TRIAL_FORM = {
+  dog_id: "",
+  handler_id: "",
+  scent: "",
+  protocol: "double_blind",
+  container_count: "6",
+  label_prefix: "Caja",
+  max_hides: "1",
+  blank_rate: String(BLIND_TRIAL_BLANK_RATE * 100),
+};
+
+// Valida el formulario de preparación
+const validateTrialForm = (form) => {
+  const count = Number(form.container_count);
+  const maxHides = Number(form.max_hides);
+  const blankRate = Number(form.blank_rate);
+  if (!form.dog_id) return { error: "Elegí el perro." };
+  if (
+    !Number.isInteger(count) ||
+    count < 1 ||
+    count > BLIND_TRIAL_MAX_CONTAINERS
+  ) {
+    return {
+      error: `La cantidad de contenedores debe estar entre 1 y ${BLIND_TRIAL_MAX_CONTAINERS}.`,
+    };
+  }
+  if (!Number.isInteger(maxHides) || maxHides < 1 || maxHides > count) {
+    return {
+      error: "Los olores por pasada deben estar entre 1 y la cantidad de contenedores.",
+    };
+  }
+  if (!Number.isFinite(blankRate) || blankRate < 0 || blankRate > 100) {
+    return { error: "La probabilidad de pasada en blanco debe estar entre 0 y 100." };
+  }
+  return { count, maxHides, blankRate: blankRate / 100 };
+};
+
+// ¿Puede este usuario ver las colocaciones? (espeja la RLS de
+// blind_trial_placements)
+const canSeePlacements = (trial, userId) =>
+  trial.status === "closed" ||
+  (String(trial.created_by) === String(userId) &&
+    (trial.status === "setup" || trial.protocol === "blind"));
+
+const BlindTrialStatusBadge = ({ status }) => (
+  <span
+    className="inline-block rounded-full px-2 py-0.5 text-xs font-semibold"
+    style={{
+      background: status === "closed" ? palette.buff : palette.policeBlue,
+      color: status === "closed" ? palette.policeBlue : "white",
+    }}
+  >
+    {BLIND_TRIAL_STATUS[status] || status}
+  </span>
+);
+
+/** BlindTrialTable: contenedores con marca y, si corresponde, colocación y resultado. */
+const BlindTrialTable = ({
+  containers,
+  showPlacement = false,
+  showResult = false,
+  hasHide,
+  onToggle = null,
+}) => (
+  <div
+    className="overflow-x-auto rounded-2xl shadow-md"
+    style={{ border: `2px solid ${palette.buff}` }}
+  >
+    <table className="min-w-full text-sm text-left">
+      <thead style={{ background: palette.buff, color: palette.policeBlue }}>
+        <tr>
+          <th className="px-3 py-2">Contenedor</th>
+          {showPlacement && <th className="px-3 py-2">Colocación</th>}
+          {!showPlacement || showResult ? (
+            <th className="px-3 py-2">Marca</th>
+          ) : null}
+          {showResult && <th className="px-3 py-2">Resultado</th>}
+        </tr>
+      </thead>
+      <tbody style={{ background: palette.pearl }}>
+        {containers.map((c) => {
+          const result = showResult
+            ? blindTrialResult(hasHide(c.id), c.indicated)
+            : null;
+          return (
+            <tr
+              key={c.id}
+              className="border-t"
+              style={{ borderColor: palette.buff }}
+            >
+              <td className="px-3 py-2 font-medium">{c.label}</td>
+              {showPlacement && (
+                <td className="px-3 py-2">
+                  {hasHide(c.id) ? "Con olor" : "Blanco"}
+                </td>
+              )}
+              {(!showPlacement || showResult) && (
+                <td className="px-3 py-2">
+                  {onToggle ? (
+                    <label className="inline-flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={c.indicated}
+                        onChange={() => onToggle(c)}
+                        className="h-4 w-4"
+                      />
+                      Marcó
+                    </label>
+                  ) : c.indicated ? (
+                    "Marcó"
+                  ) : (
+                    "Sin marca"
+                  )}
+                </td>
+              )}
+              {showResult && (
+                <td
+                  className="px-3 py-2 font-semibold"
+                  style={{ color: sessionEventColor(result) }}
+                >
+                  {OUTCOME_SHORT_LABELS[result]}
+                </td>
+              )}
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * BlindTrials: listado de pruebas ciegas y preparación de una nueva.
+ */
+const BlindTrials = () => {
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const { activeUnitId } = useUnit();
+  const { handlers, teams } = useHandlers();
+  const canManage = can("manage", "trial");
+  const [trials, setTrials] = React.useState([]);
+  const [dogs, setDogs] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [form, setForm] = React.useState(EMPTY_TRIAL_FORM);
+  const [formError, setFormError] = React.useState(null);
+  const [saving, setSaving] = React.useState(false);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const [trialsRes, dogsRes] = await Promise.all([
+          scopeToUnit(
+            supabase
+              .from("blind_trials")
+              .select(
+                "id, dog_id, handler_id, scent, protocol, status, container_count, created_at, closed_at, dogs ( id, name, dog_code )"
+              ),
+            activeUnitId
+          ).order("created_at", { ascending: false }),
+          scopeToUnit(
+            supabase
+              .from("dogs")
+              .select("id, name, dog_code")
+              .is("archived_at", null),
+            activeUnitId
+          ).order("name", { ascending: true }),
+        ]);
+        if (trialsRes.error) throw trialsRes.error;
+        if (dogsRes.error) throw dogsRes.error;
+        if (!cancelled) {
+          setTrials(trialsRes.data || []);
+          setDogs(dogsRes.data || []);
+        }
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) {
+          setError(err.message || "Error al cargar las pruebas.");
+        }
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     })();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [activeUnitId]);
+
+  const teamHandlers = handlersForDog(handlers, teams, form.dog_id);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({
+      ...prev,
+      [name]: value,
+      // Al cambiar de perro se propone su guía si tiene uno solo
+      ...(name === "dog_id"
+        ? {
+            handler_id:
+              handlersForDog(handlers, teams, value).length === 1
+                ? handlersForDog(handlers, teams, value)[0].id
+                : "",
+          }
+        : {}),
+    }));
+  };
+
+  const createTrial = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+    const { error: validationError, count, maxHides, blankRate } =
+      validateTrialForm(form);
+    if (validationError) {
+      setFormError(validationError);
+      return;
+    }
+
+    let trialId = null;
+    try {
+      setSaving(true);
+      const { data: trial, error: trialError } = await supabase
+        .from("blind_trials")
+        .insert({
+          dog_id: form.dog_id,
+          handler_id: form.handler_id || null,
+          scent: form.scent.trim() || null,
+          protocol: form.protocol,
+          container_count: count,
+        })
+        .select()
+        .single();
+      if (trialError) throw trialError;
+      trialId = trial.id;
+
+      const prefix = form.label_prefix.trim() || "Contenedor";
+      const { data: containers, error: containersError } = await supabase
+        .from("blind_trial_containers")
+        .insert(
+          Array.from({ length: count }, (_, i) => ({
+            trial_id: trialId,
+            position: i + 1,
+            label: `${prefix} ${i + 1}`,
+            indicated: false,
+          }))
+        )
+        .select();
+      if (containersError) throw containersError;
+
+      const placements = generatePlacements(count, { maxHides, blankRate });
+      const { error: placementsError } = await supabase
+        .from("blind_trial_placements")
+        .insert(
+          containers
+            .sort((a, b) => a.position - b.position)
+            .map((c, i) => ({
+              trial_id: trialId,
+              container_id: c.id,
+              has_hide: placements[i],
+            }))
+        );
+      if (placementsError) throw placementsError;
+
+      navigate(`/trials/${trialId}`);
+    } catch (err) {
+      console.error(err);
+      // No dejar pruebas a medio crear
+      if (trialId) {
+        await supabase.from("blind_trials").delete().eq("id", trialId);
+      }
+      setFormError(err.message || "Error al preparar la prueba.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Shell>
+      <section className="space-y-8">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Pruebas ciegas
+          </h2>
+        </div>
+
+        <p style={{ color: palette.citrineBrown }}>
+          La app sortea en qué contenedores va el olor (a veces en ninguno) y
+          lo oculta al guía. El guía registra las marcas del perro; al cerrar
+          la pasada se revelan las colocaciones y cada contenedor queda
+          registrado como una sesión.
+        </p>
+
+        {loading && (
+          <p style={{ color: palette.citrineBrown }}>Cargando pruebas…</p>
+        )}
+        {error && <p style={{ color: "crimson" }}>Error: {error}</p>}
+
+        {!loading && (
+          <div
+            className="overflow-x-auto rounded-2xl shadow-md"
+            style={{ border: `2px solid ${palette.buff}` }}
+          >
+            <table className="min-w-full text-sm text-left">
+              <thead
+                style={{ background: palette.buff, color: palette.policeBlue }}
+              >
+                <tr>
+                  <th className="px-3 py-2">Fecha</th>
+                  <th className="px-3 py-2">Perro</th>
+                  <th className="px-3 py-2">Guía</th>
+                  <th className="px-3 py-2">Sustancia</th>
+                  <th className="px-3 py-2">Protocolo</th>
+                  <th className="px-3 py-2">Contenedores</th>
+                  <th className="px-3 py-2">Estado</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody style={{ background: palette.pearl }}>
+                {trials.map((t) => (
+                  <tr
+                    key={t.id}
+                    className="border-t"
+                    style={{ borderColor: palette.buff }}
+                  >
+                    <td className="px-3 py-2">{formatDateTime(t.created_at)}</td>
+                    <td className="px-3 py-2">{t.dogs?.name || "—"}</td>
+                    <td className="px-3 py-2">
+                      {handlerName(handlers, t.handler_id)}
+                    </td>
+                    <td className="px-3 py-2">{t.scent || "—"}</td>
+                    <td className="px-3 py-2">
+                      {BLIND_TRIAL_PROTOCOLS[t.protocol]?.label || t.protocol}
+                    </td>
+                    <td className="px-3 py-2">{t.container_count}</td>
+                    <td className="px-3 py-2">
+                      <BlindTrialStatusBadge status={t.status} />
+                    </td>
+                    <td className="px-3 py-2">
+                      <Link
+                        to={`/trials/${t.id}`}
+                        className="underline font-semibold"
+                        style={{ color: palette.policeBlue }}
+                      >
+                        {t.status === "sealed" ? "Registrar marcas" : "Abrir"}
+                      </Link>
+                    </td>
+                  </tr>
+                ))}
+                {trials.length === 0 && (
+                  <tr>
+                    <td
+                      className="px-3 py-2"
+                      colSpan={8}
+                      style={{ color: palette.citrineBrown }}
+                    >
+                      Todavía no hay pruebas ciegas.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {canManage && (
+          <form
+            onSubmit={createTrial}
+            className="rounded-2xl p-4 shadow-md space-y-4 max-w-xl"
+            style={{
+              background: palette.pearl,
+              border: `2px solid ${palette.buff}`,
+            }}
+          >
+            <h3
+              className="text-xl font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              Preparar una prueba
+            </h3>
+            {formError && <p style={{ color: "crimson" }}>{formError}</p>}
+
+            <label className="block">
+              <span className="block font-medium mb-1">Perro*</span>
+              <select
+                name="dog_id"
+                value={form.dog_id}
+                onChange={handleChange}
+                className="w-full rounded-xl px-3 py-2 border bg-white"
+              >
+                <option value="">Elegí un perro</option>
+                {dogs.map((d) => (
+                  <option key={d.id} value={d.id}>
+                    {d.name}
+                    {d.dog_code ? ` — ${d.dog_code}` : ""}
+                  </option>
+                ))}
+              </select>
+            </label>
 
-  const processSessions = (sessions) => {
-    if (!sessions.length) {
-      setGlobalKpis({
-        totalSessions: 0,
-        totalDogs: 0,
-        successRate: 0,
-        totalFails: 0,
-      });
-      setPerDogStats([]);
-      setScentStats([]);
-      setConditionSeries({
-        temp: [],
-        hum: [],
-        press: [],
-        wind: [],
-      });
-      return;
-    }
+            <label className="block">
+              <span className="block font-medium mb-1">Guía</span>
+              <select
+                name="handler_id"
+                value={form.handler_id}
+                onChange={handleChange}
+                className="w-full rounded-xl px-3 py-2 border bg-white"
+              >
+                <option value="">Sin guía</option>
+                {(teamHandlers.length ? teamHandlers : handlers)
+                  .filter((h) => h.active)
+                  .map((h) => (
+                    <option key={h.id} value={h.id}>
+                      {h.name}
+                    </option>
+                  ))}
+              </select>
+            </label>
 
-    const perDogMap = new Map();
-    const scentMap = new Map();
-    const condMaps = {
-      temp: new Map(),
-      hum: new Map(),
-      press: new Map(),
-      wind: new Map(),
-    };
+            <label className="block">
+              <span className="block font-medium mb-1">Sustancia</span>
+              <input
+                type="text"
+                name="scent"
+                value={form.scent}
+                onChange={handleChange}
+                className="w-full rounded-xl px-3 py-2 border"
+                placeholder="Ej.: cocaína, marihuana, explosivos"
+              />
+            </label>
 
-    let totalSessions = 0;
-    let totalSuccess = 0;
-    let totalFail = 0;
+            <label className="block">
+              <span className="block font-medium mb-1">Protocolo</span>
+              <select
+                name="protocol"
+                value={form.protocol}
+                onChange={handleChange}
+                className="w-full rounded-xl px-3 py-2 border bg-white"
+              >
+                {Object.entries(BLIND_TRIAL_PROTOCOLS).map(([value, p]) => (
+                  <option key={value} value={value}>
+                    {p.label}
+                  </option>
+                ))}
+              </select>
+              <span
+                className="block text-sm mt-1"
+                style={{ color: palette.citrineBrown }}
+              >
+                {BLIND_TRIAL_PROTOCOLS[form.protocol].help}
+              </span>
+            </label>
 
-    sessions.forEach((s) => {
-      const resultStr = String(s.result || "").toLowerCase();
-      const isSuccess = resultStr === "success";
-
-      const dog = s.dogs;
-      const dogId = dog?.id || s.dog_id;
-      const dogName = dog?.name || "Perro sin nombre";
-      const dogCode = dog?.dog_code || "";
-
-      totalSessions += 1;
-      if (isSuccess) totalSuccess += 1;
-      else totalFail += 1;
-
-      if (!perDogMap.has(dogId)) {
-        perDogMap.set(dogId, {
-          dogId,
-          name: dogName,
-          code: dogCode,
-          total: 0,
-          success: 0,
-          fail: 0,
-        });
-      }
-      const dEntry = perDogMap.get(dogId);
-      dEntry.total += 1;
-      if (isSuccess) dEntry.success += 1;
-      else dEntry.fail += 1;
-
-      const typeObj = s.type || {};
-      const scent = String(typeObj.scent || "Desconocido");
-      if (!scentMap.has(scent)) {
-        scentMap.set(scent, {
-          scent,
-          total: 0,
-          success: 0,
-          fail: 0,
-        });
-      }
-      const scentEntry = scentMap.get(scent);
-      scentEntry.total += 1;
-      if (isSuccess) scentEntry.success += 1;
-      else scentEntry.fail += 1;
-
-      const cond = s.conditions || {};
-      ["temp", "hum", "press", "wind"].forEach((key) => {
-        let v = cond?.[key];
-        if (typeof v === "string") v = parseFloat(v);
-        if (!Number.isFinite(v)) return;
-
-        const map = condMaps[key];
-        let entry = map.get(v);
-        if (!entry) {
-          entry = {
-            value: v,
-            total: 0,
-            success: 0,
-            fail: 0,
-          };
-          map.set(v, entry);
-        }
-        entry.total += 1;
-        if (isSuccess) entry.success += 1;
-        else entry.fail += 1;
-      });
-    });
+            <div className="grid md:grid-cols-2 gap-4">
+              <label className="block">
+                <span className="block font-medium mb-1">
+                  Contenedores / áreas*
+                </span>
+                <input
+                  type="number"
+                  name="container_count"
+                  value={form.container_count}
+                  onChange={handleChange}
+                  className="w-full rounded-xl px-3 py-2 border"
+                  min="1"
+                  max={BLIND_TRIAL_MAX_CONTAINERS}
+                  step="1"
+                />
+              </label>
+              <label className="block">
+                <span className="block font-medium mb-1">Nombre</span>
+                <input
+                  type="text"
+                  name="label_prefix"
+                  value={form.label_prefix}
+                  onChange={handleChange}
+                  className="w-full rounded-xl px-3 py-2 border"
+                  placeholder="Caja, Área, Valija…"
+                />
+              </label>
+              <label className="block">
+                <span className="block font-medium mb-1">
+                  Máximo de olores por pasada
+                </span>
+                <input
+                  type="number"
+                  name="max_hides"
+                  value={form.max_hides}
+                  onChange={handleChange}
+                  className="w-full rounded-xl px-3 py-2 border"
+                  min="1"
+                  step="1"
+                />
+              </label>
+              <label className="block">
+                <span className="block font-medium mb-1">
+                  Pasada en blanco (%)
+                </span>
+                <input
+                  type="number"
+                  name="blank_rate"
+                  value={form.blank_rate}
+                  onChange={handleChange}
+                  className="w-full rounded-xl px-3 py-2 border"
+                  min="0"
+                  max="100"
+                  step="1"
+                />
+              </label>
+            </div>
 
-    setGlobalKpis({
-      totalSessions,
-      totalDogs: perDogMap.size,
-      successRate: totalSessions
-        ? Math.round((totalSuccess / totalSessions) * 100)
-        : 0,
-      totalFails: totalFail,
-    });
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? "Sorteando..." : "Sortear colocaciones"}
+            </Button>
+          </form>
+        )}
+      </section>
+    </Shell>
+  );
+};
 
-    const perDogArr = Array.from(perDogMap.values()).map(
-      (d) => {
-        const successRate = d.total
-          ? (d.success / d.total) * 100
-          : 0;
-        const failRate = d.total ? (d.fail / d.total) * 100 : 0;
-        return {
-          ...d,
-          successRate,
-          failRate,
-        };
+/**
+ * BlindTrialDetail: colocación, registro de marcas y revelado de una prueba.
+ */
+const BlindTrialDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user, can } = useAuth();
+  const { handlers } = useHandlers();
+  const [trial, setTrial] = React.useState(null);
+  const [containers, setContainers] = React.useState([]);
+  const [placements, setPlacements] = React.useState([]);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [busy, setBusy] = React.useState(false);
+  const [confirmClose, setConfirmClose] = React.useState(false);
+
+  const load = React.useCallback(async () => {
+    setError(null);
+    try {
+      const [trialRes, containersRes] = await Promise.all([
+        supabase
+          .from("blind_trials")
+          .select(
+            "id, dog_id, handler_id, scent, protocol, status, container_count, created_by, created_at, sealed_at, closed_at, dogs ( id, name, dog_code )"
+          )
+          .eq("id", id)
+          .single(),
+        supabase
+          .from("blind_trial_containers")
+          .select("id, position, label, indicated, session_id")
+          .eq("trial_id", id)
+          .order("position", { ascending: true }),
+      ]);
+      if (trialRes.error) throw trialRes.error;
+      if (containersRes.error) throw containersRes.error;
+
+      // Las colocaciones selladas ni se piden
+      let placementRows = [];
+      if (canSeePlacements(trialRes.data, user?.id)) {
+        const { data, error } = await supabase
+          .from("blind_trial_placements")
+          .select("id, container_id, has_hide")
+          .eq("trial_id", id);
+        if (error) throw error;
+        placementRows = data || [];
       }
+
+      setTrial(trialRes.data);
+      setContainers(containersRes.data || []);
+      setPlacements(placementRows);
+    } catch (err) {
+      console.error(err);
+      setError(err.message || "Error al cargar la prueba.");
+    } finally {
+      setLoading(false);
+    }
+  }, [id, user?.id]);
+
+  React.useEffect(() => {
+    load();
+  }, [load]);
+
+  const hasHide = (containerId) =>
+    placements.some(
+      (p) => String(p.container_id) === String(containerId) && p.has_hide
     );
-    setPerDogStats(perDogArr);
-
-    const scentArr = Array.from(scentMap.values()).map(
-      (s) => ({
-        ...s,
-        successRate: s.total
-          ? Math.round((s.success / s.total) * 100)
-          : 0,
-      })
-    );
-    setScentStats(scentArr);
-
-    const buildSeries = (map) => {
-      const arr = Array.from(map.values()).map((e) => ({
-        value: e.value,
-        total: e.total,
-        success: e.success,
-        fail: e.fail,
-        successRate: e.total
-          ? Math.round((e.success / e.total) * 100)
-          : 0,
-      }));
-      arr.sort((a, b) => a.value - b.value);
-      return arr;
-    };
+  const hideCount = containers.filter((c) => hasHide(c.id)).length;
+  const isCreator = trial && String(trial.created_by) === String(user?.id);
+  const canManage = can("manage", "trial");
+  const canRecord =
+    trial && can("create", "session", { dogId: trial.dog_id });
 
-    setConditionSeries({
-      temp: buildSeries(condMaps.temp),
-      hum: buildSeries(condMaps.hum),
-      press: buildSeries(condMaps.press),
-      wind: buildSeries(condMaps.wind),
-    });
+  const runAction = async (action, fallbackMessage) => {
+    setError(null);
+    try {
+      setBusy(true);
+      await action();
+      await load();
+    } catch (err) {
+      console.error(err);
+      setError(err.message || fallbackMessage);
+    } finally {
+      setBusy(false);
+    }
   };
 
+  // Vuelve a sortear los contenedores manteniendo la cantidad de olores
+  const redraw = () =>
+    runAction(async () => {
+      const next = placeHides(containers.length, hideCount);
+      for (const [i, c] of containers.entries()) {
+        const placement = placements.find(
+          (p) => String(p.container_id) === String(c.id)
+        );
+        const { error } = await supabase
+          .from("blind_trial_placements")
+          .update({ has_hide: next[i] })
+          .eq("id", placement.id);
+        if (error) throw error;
+      }
+    }, "Error al volver a sortear.");
+
+  const seal = () =>
+    runAction(async () => {
+      const { error } = await supabase
+        .from("blind_trials")
+        .update({ status: "sealed" })
+        .eq("id", id);
+      if (error) throw error;
+    }, "Error al sellar la prueba.");
+
+  const toggleIndication = (container) =>
+    runAction(async () => {
+      const { error } = await supabase
+        .from("blind_trial_containers")
+        .update({ indicated: !container.indicated })
+        .eq("id", container.id);
+      if (error) throw error;
+    }, "Error al registrar la marca.");
+
+  const closeRun = () =>
+    runAction(async () => {
+      const { error } = await supabase
+        .from("blind_trials")
+        .update({ status: "closed" })
+        .eq("id", id);
+      if (error) throw error;
+      setConfirmClose(false);
+    }, "Error al cerrar la pasada.");
+
+  const counts = countOutcomes(
+    containers.map((c) => ({ result: blindTrialResult(hasHide(c.id), c.indicated) }))
+  );
+  const rates = computeOutcomeRates(counts);
+  const linkButton =
+    "underline bg-transparent p-0 font-semibold disabled:opacity-50";
+
   return (
     <Shell>
-      <section className="space-y-8">
+      <section className="space-y-6 max-w-3xl mx-auto">
         <div className="flex items-center gap-3">
-          <Button variant="ghost" onClick={() => navigate(-1)}>
+          <Button variant="ghost" onClick={() => navigate("/trials")}>
             ← Volver
           </Button>
           <h2
             className="text-3xl font-bold"
             style={{ color: palette.policeBlue }}
           >
-            Estadísticas generales
+            Prueba ciega{trial?.dogs ? ` — ${trial.dogs.name}` : ""}
           </h2>
         </div>
 
         {loading && (
-          <p style={{ color: palette.citrineBrown }}>
-            Cargando estadísticas…
-          </p>
-        )}
-        {error && (
-          <p style={{ color: "crimson" }}>Error: {error}</p>
+          <p style={{ color: palette.citrineBrown }}>Cargando prueba…</p>
         )}
+        {error && <p style={{ color: "crimson" }}>Error: {error}</p>}
 
-        {!loading && !error && globalKpis && (
+        {trial && (
           <>
-            {/* KPIs globales */}
-            <section className="grid md:grid-cols-4 gap-4">
-              <KpiCard
-                label="Entrenamientos totales"
-                value={globalKpis.totalSessions}
-              />
-              <KpiCard
-                label="Canes con entrenamientos registrados"
-                value={globalKpis.totalDogs}
-              />
-              <KpiCard
-                label="Tasa de éxito global"
-                value={`${globalKpis.successRate}%`}
-              />
-              <KpiCard
-                label="Falsos positivos totales"
-                value={globalKpis.totalFails}
-              />
-            </section>
+            <div
+              className="rounded-2xl p-4 shadow-md text-sm space-y-1"
+              style={{
+                background: palette.pearl,
+                border: `2px solid ${palette.buff}`,
+              }}
+            >
+              <div>
+                <BlindTrialStatusBadge status={trial.status} />
+              </div>
+              <div>
+                Protocolo: {BLIND_TRIAL_PROTOCOLS[trial.protocol]?.label}
+              </div>
+              <div>Guía: {handlerName(handlers, trial.handler_id)}</div>
+              <div>Sustancia: {trial.scent || "—"}</div>
+              <div>Preparada: {formatDateTime(trial.created_at)}</div>
+              {trial.sealed_at && (
+                <div>Sellada: {formatDateTime(trial.sealed_at)}</div>
+              )}
+              {trial.closed_at && (
+                <div>Cerrada: {formatDateTime(trial.closed_at)}</div>
+              )}
+            </div>
 
-            {/* Ranking por perro: éxitos / falsos positivos */}
-            <section className="space-y-4">
-              <div className="flex flex-wrap items-center gap-3 justify-between">
+            {trial.status === "setup" &&
+              (isCreator ? (
+                <section className="space-y-4">
+                  <h3
+                    className="text-xl font-semibold"
+                    style={{ color: palette.policeBlue }}
+                  >
+                    Planilla de colocación
+                  </h3>
+                  <p style={{ color: palette.citrineBrown }}>
+                    {hideCount === 0
+                      ? "Pasada en blanco: ningún contenedor lleva olor."
+                      : `Colocá el olor en ${hideCount} de ${containers.length} contenedores.`}{" "}
+                    Al sellar, las colocaciones dejan de verse
+                    {trial.protocol === "double_blind"
+                      ? " (también para vos) hasta el cierre"
+                      : " para el guía"}
+                    .
+                  </p>
+                  <BlindTrialTable
+                    containers={containers}
+                    showPlacement
+                    hasHide={hasHide}
+                  />
+                  <div className="flex gap-3">
+                    <Button variant="ghost" disabled={busy} onClick={redraw}>
+                      Volver a sortear
+                    </Button>
+                    <Button variant="primary" disabled={busy} onClick={seal}>
+                      Sellar y entregar al guía
+                    </Button>
+                  </div>
+                </section>
+              ) : (
+                <p style={{ color: palette.citrineBrown }}>
+                  La prueba está en preparación. Se podrán registrar las
+                  marcas cuando quien la preparó la selle.
+                </p>
+              ))}
+
+            {trial.status === "sealed" && (
+              <section className="space-y-4">
                 <h3
                   className="text-xl font-semibold"
                   style={{ color: palette.policeBlue }}
                 >
-                  Rankings
+                  Marcas del perro
                 </h3>
-                <div className="flex items-center gap-2">
-                  <span
-                    className="text-sm"
-                    style={{ color: palette.citrineBrown }}
-                  >
-                    Mostrar:
-                  </span>
-                  <div
-                    className="inline-flex rounded-xl overflow-hidden border"
-                    style={{ borderColor: palette.buff }}
-                  >
-                    <button
-                      type="button"
-                      onClick={() =>
-                        setDogTableMode("absolute")
-                      }
-                      className={`px-3 py-1 text-sm ${
-                        dogTableMode === "absolute"
-                          ? "font-semibold"
-                          : ""
-                      }`}
-                      style={{
-                        background:
-                          dogTableMode === "absolute"
-                            ? palette.buff
-                            : "white",
-                        color: palette.policeBlue,
-                      }}
+                <p style={{ color: palette.citrineBrown }}>
+                  Marcá cada contenedor en el que el perro hizo una indicación.
+                  Las colocaciones se revelan al cerrar la pasada.
+                </p>
+                <BlindTrialTable
+                  containers={containers}
+                  onToggle={canRecord && !busy ? toggleIndication : null}
+                />
+                {isCreator && trial.protocol === "blind" && (
+                  <details className="text-sm">
+                    <summary
+                      className="cursor-pointer font-semibold"
+                      style={{ color: palette.policeBlue }}
                     >
-                      Valores absolutos
-                    </button>
-                    <button
-                      type="button"
-                      onClick={() => setDogTableMode("rate")}
-                      className={`px-3 py-1 text-sm ${
-                        dogTableMode === "rate"
-                          ? "font-semibold"
-                          : ""
-                      }`}
-                      style={{
-                        background:
-                          dogTableMode === "rate"
-                            ? palette.buff
-                            : "white",
-                        color: palette.policeBlue,
-                      }}
+                      Colocaciones (solo para quien preparó la prueba)
+                    </summary>
+                    <div className="mt-2">
+                      <BlindTrialTable
+                        containers={containers}
+                        showPlacement
+                        hasHide={hasHide}
+                      />
+                    </div>
+                  </details>
+                )}
+                {(canRecord || canManage) &&
+                  (confirmClose ? (
+                    <div className="flex flex-wrap items-center gap-4">
+                      <span>
+                        ¿Cerrar la pasada? Las marcas ya no se podrán cambiar.
+                      </span>
+                      <button
+                        type="button"
+                        className={linkButton}
+                        style={{ color: "crimson" }}
+                        disabled={busy}
+                        onClick={closeRun}
+                      >
+                        {busy ? "Cerrando..." : "Sí, cerrar y revelar"}
+                      </button>
+                      <button
+                        type="button"
+                        className={linkButton}
+                        disabled={busy}
+                        onClick={() => setConfirmClose(false)}
+                      >
+                        No
+                      </button>
+                    </div>
+                  ) : (
+                    <Button
+                      variant="primary"
+                      disabled={busy}
+                      onClick={() => setConfirmClose(true)}
                     >
-                      Valores ponderados
-                    </button>
-                  </div>
-                </div>
-              </div>
+                      Cerrar pasada y revelar
+                    </Button>
+                  ))}
+              </section>
+            )}
+
+            {trial.status === "closed" && (
+              <section className="space-y-4">
+                <h3
+                  className="text-xl font-semibold"
+                  style={{ color: palette.policeBlue }}
+                >
+                  Resultado
+                </h3>
+                <p style={{ color: palette.citrineBrown }}>
+                  {hideCount === 0
+                    ? "Era una pasada en blanco. "
+                    : `${hideCount} de ${containers.length} contenedores llevaban olor. `}
+                  Acierto: {formatPct(rates.accuracy)} ({rates.success} de{" "}
+                  {rates.scored}). Cada contenedor quedó registrado como una
+                  sesión de{" "}
+                  <Link
+                    to={`/records/${trial.dog_id}`}
+                    className="underline font-semibold"
+                    style={{ color: palette.policeBlue }}
+                  >
+                    {trial.dogs?.name || "el perro"}
+                  </Link>
+                  .
+                </p>
+                <BlindTrialTable
+                  containers={containers}
+                  showPlacement
+                  showResult
+                  hasHide={hasHide}
+                />
+              </section>
+            )}
+          </>
+        )}
+      </section>
+    </Shell>
+  );
+};
+
+// --- Importación de sesiones (CSV / Excel) ---
+// Planillas históricas -> training_sessions. Cada columna se asigna a un
+// campo; las que no son campos fijos pueden ir a conditions o a type.
+
+const IMPORT_BATCH_SIZE = 200;
+const IMPORT_PREVIEW_LIMIT = 300; // filas mostradas en la vista previa
+const IMPORT_EXTRA_CONDITION = "conditions:*"; // clave = nombre de la columna
+const IMPORT_EXTRA_TYPE = "type:*";
+
+// "Temperatura (°C)" -> "temperatura_c"
+const normalizeHeader = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+// Campos fijos de la sesión más una entrada por condición definida
+const importFieldsFor = (conditionDefs) => [
+  {
+    value: "dog_code",
+    label: "Código del perro*",
+    required: true,
+    aliases: ["dog_code", "codigo", "codigo_perro", "perro", "cod"],
+  },
+  {
+    value: "started_at",
+    label: "Fecha/hora*",
+    required: true,
+    aliases: ["started_at", "fecha", "fecha_hora", "date", "inicio"],
+  },
+  {
+    value: "result",
+    label: "Resultado*",
+    required: true,
+    aliases: ["result", "resultado", "outcome"],
+  },
+  {
+    value: "duration_s",
+    label: "Duración (s)",
+    aliases: ["duration_s", "duracion", "duracion_s", "duration", "segundos"],
+  },
+  {
+    value: "handler",
+    label: "Guía (nombre)",
+    aliases: ["handler", "guia", "handler_name"],
+  },
+  {
+    value: "type:scent",
+    label: "Olor (type.scent)",
+    aliases: ["scent", "olor", "sustancia", "tipo"],
+  },
+  ...conditionDefs.map((def) => ({
+    value: `conditions:${def.key}`,
+    label: `${def.label} (conditions.${def.key})`,
+    aliases: [
+      normalizeHeader(def.key),
+      normalizeHeader(def.label),
+      normalizeHeader(conditionLabel(def)),
+    ],
+  })),
+];
+
+// Resultados como suelen escribirse en las planillas
+const IMPORT_RESULT_ALIASES = {
+  ...OUTCOME_ALIASES,
+  vp: OUTCOMES.TP,
+  verdadero_positivo: OUTCOMES.TP,
+  acierto: OUTCOMES.TP,
+  falso_positivo: OUTCOMES.FP,
+  falso_negativo: OUTCOMES.FN,
+  vn: OUTCOMES.TN,
+  verdadero_negativo: OUTCOMES.TN,
+  abortada: OUTCOMES.ABORTED,
+  abortado: OUTCOMES.ABORTED,
+  cancelada: OUTCOMES.ABORTED,
+};
+
+const parseImportResult = (raw) =>
+  IMPORT_RESULT_ALIASES[normalizeHeader(raw)] || null;
+
+// Fechas de planilla: Date (xlsx), serial de Excel, "dd/mm/aaaa hh:mm" o
+// ISO. Sin zona horaria se interpretan en hora local.
+const parseImportDate = (raw) => {
+  if (raw instanceof Date) return Number.isNaN(raw.getTime()) ? null : raw;
+  if (typeof raw === "number") {
+    // Serial de Excel: días desde el 30/12/1899 y la fracción es la hora
+    if (!Number.isFinite(raw) || raw < 1) return null;
+    const days = Math.floor(raw);
+    const seconds = Math.round((raw - days) * 86400);
+    return new Date(1899, 11, 30 + days, 0, 0, seconds);
+  }
+
+  const str = String(raw ?? "").trim();
+  if (!str) return null;
+  const time = "(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?$";
+  let m = str.match(new RegExp(`^(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{2}|\\d{4})${time}`));
+  let parts = null;
+  if (m) {
+    const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    parts = [year, Number(m[2]), Number(m[1]), m[4], m[5], m[6]];
+  } else if ((m = str.match(new RegExp(`^(\\d{4})-(\\d{1,2})-(\\d{1,2})${time}`)))) {
+    parts = [Number(m[1]), Number(m[2]), Number(m[3]), m[4], m[5], m[6]];
+  }
+
+  if (!parts) {
+    // ISO con zona horaria ("2021-03-05T10:30:00Z", "...-03:00")
+    if (!/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(str)) return null;
+    const date = new Date(str);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const [y, mo, d, hh = 0, mm = 0, ss = 0] = parts;
+  const date = new Date(y, mo - 1, d, Number(hh), Number(mm), Number(ss));
+  // Descarta desbordes como 31/02 o 25:00
+  if (
+    date.getFullYear() !== y ||
+    date.getMonth() !== mo - 1 ||
+    date.getDate() !== d ||
+    date.getHours() !== Number(hh)
+  ) {
+    return null;
+  }
+  return date;
+};
+
+// Lee la primera hoja del archivo: { headers, rows } con rows como objetos.
+// SheetJS se carga recién al importar: no pesa en el resto de la app.
+const readImportFile = async (file) => {
+  const XLSX = await import("xlsx");
+  const isCsv = /\.(csv|txt)$/i.test(file.name) || file.type === "text/csv";
+  const workbook = isCsv
+    ? XLSX.read(await file.text(), { type: "string", raw: true })
+    : XLSX.read(await file.arrayBuffer(), { type: "array", cellDates: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw new Error("El archivo no tiene hojas.");
+
+  const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    defval: "",
+    blankrows: false,
+  });
+  // Encabezados vacíos o repetidos reciben un nombre único
+  const headers = [];
+  headerRow.forEach((h, i) => {
+    const base = String(h ?? "").trim() || `Columna ${i + 1}`;
+    let name = base;
+    for (let n = 2; headers.includes(name); n += 1) name = `${base} (${n})`;
+    headers.push(name);
+  });
+  if (!headers.length) throw new Error("El archivo no tiene encabezados.");
+
+  const rows = dataRows.map((values) =>
+    Object.fromEntries(headers.map((h, i) => [h, values[i] ?? ""]))
+  );
+  return { headers, rows };
+};
+
+// Asignación inicial de columnas por nombre; cada campo fijo se usa una vez
+const guessImportMapping = (headers, fields) => {
+  const used = new Set();
+  return Object.fromEntries(
+    headers.map((h) => {
+      const key = normalizeHeader(h);
+      const field = fields.find(
+        (f) => !used.has(f.value) && f.aliases.includes(key)
+      );
+      if (field) used.add(field.value);
+      return [h, field ? field.value : ""];
+    })
+  );
+};
+
+// Errores de la asignación que impiden validar las filas
+const validateImportMapping = (mapping, fields) => {
+  const targets = Object.values(mapping).filter(
+    (t) => t && t !== IMPORT_EXTRA_CONDITION && t !== IMPORT_EXTRA_TYPE
+  );
+  const errors = [];
+  const missing = fields.filter(
+    (f) => f.required && !targets.includes(f.value)
+  );
+  if (missing.length) {
+    errors.push(
+      `Asigná una columna para: ${missing
+        .map((f) => f.label.replace("*", ""))
+        .join(", ")}.`
+    );
+  }
+  fields.forEach((f) => {
+    if (targets.filter((t) => t === f.value).length > 1) {
+      errors.push(`${f.label.replace("*", "")} está asignado a más de una columna.`);
+    }
+  });
+  return errors;
+};
+
+const isBlankCell = (raw) =>
+  !(raw instanceof Date) && String(raw ?? "").trim() === "";
+
+// Valida una fila y arma el payload de training_sessions.
+// Devuelve { line, dogCode, dog, payload, errors }.
+const parseImportRow = (
+  row,
+  index,
+  mapping,
+  { dogsByCode, handlers, conditionDefs }
+) => {
+  const errors = [];
+  const fields = {};
+  const conditions = {};
+  const type = {};
+
+  Object.entries(mapping).forEach(([header, target]) => {
+    const raw = row[header];
+    if (!target || isBlankCell(raw)) return;
+    const text = raw instanceof Date ? raw.toISOString() : String(raw).trim();
+
+    if (target === IMPORT_EXTRA_CONDITION) {
+      // Condición adicional: numérica si se puede, si no categórica
+      const v = parseOptionalNumber(text);
+      conditions[normalizeHeader(header)] = Number.isNaN(v) ? text : v;
+    } else if (target === IMPORT_EXTRA_TYPE) {
+      type[normalizeHeader(header)] = text;
+    } else if (target.startsWith("type:")) {
+      type[target.slice(5)] = text;
+    } else if (target.startsWith("conditions:")) {
+      const def = conditionDefs.find((d) => d.key === target.slice(11));
+      if (!def) return;
+      const { value, error } = parseConditionValue(def, text);
+      if (error) errors.push(`${error} Valor: "${text}".`);
+      else if (value !== null) conditions[def.key] = value;
+    } else {
+      fields[target] = target === "started_at" ? raw : text;
+    }
+  });
+
+  const dogCode = fields.dog_code || "";
+  const dog = dogCode ? dogsByCode.get(dogCode.toLowerCase()) : null;
+  if (!dogCode) errors.push("Falta el código del perro.");
+  else if (!dog) errors.push(`Perro desconocido: "${dogCode}".`);
+
+  const startedAt = parseImportDate(fields.started_at);
+  if (fields.started_at === undefined) errors.push("Falta la fecha.");
+  else if (!startedAt) errors.push(`Fecha inválida: "${fields.started_at}".`);
+
+  const result = parseImportResult(fields.result);
+  if (!fields.result) errors.push("Falta el resultado.");
+  else if (!result) errors.push(`Resultado desconocido: "${fields.result}".`);
+
+  const duration = parseOptionalNumber(fields.duration_s);
+  if (Number.isNaN(duration) || (duration !== null && duration < 0)) {
+    errors.push(`Duración: "${fields.duration_s}" no es un número válido.`);
+  }
+
+  let handlerId = null;
+  if (fields.handler) {
+    const key = normalizeHeader(fields.handler);
+    const handler = handlers.find((h) => normalizeHeader(h.name) === key);
+    if (handler) handlerId = handler.id;
+    else errors.push(`Guía desconocido: "${fields.handler}".`);
+  }
+
+  return {
+    line: index + 2, // fila 1 = encabezados
+    dogCode,
+    dog,
+    errors,
+    payload: errors.length
+      ? null
+      : {
+          dog_id: dog.id,
+          result,
+          started_at: startedAt.toISOString(),
+          duration_s: duration === null ? null : Math.round(duration),
+          conditions,
+          type,
+          handler_id: handlerId,
+        },
+  };
+};
+
+/**
+ * SessionImport: asistente para importar sesiones históricas desde CSV/XLSX.
+ */
+const SessionImport = () => {
+  const navigate = useNavigate();
+  const { activeUnitId } = useUnit();
+  const { handlers, loading: handlersLoading } = useHandlers();
+  const { activeDefinitions: conditionDefs } = useConditionDefinitions();
+  const importFields = React.useMemo(
+    () => importFieldsFor(conditionDefs),
+    [conditionDefs]
+  );
+  const [dogs, setDogs] = React.useState([]);
+  const [dogsLoading, setDogsLoading] = React.useState(true);
+  const [file, setFile] = React.useState(null); // { name, headers, rows }
+  const [mapping, setMapping] = React.useState({});
+  const [error, setError] = React.useState(null);
+  const [reading, setReading] = React.useState(false);
+  const [onlyErrors, setOnlyErrors] = React.useState(false);
+  const [progress, setProgress] = React.useState(null); // { done, total }
+  const [summary, setSummary] = React.useState(null);
 
-              {perDogStats.length === 0 ? (
-                <p style={{ color: palette.citrineBrown }}>
-                  No hay sesiones registradas todavía.
-                </p>
-              ) : (
-                <div className="grid md:grid-cols-2 gap-4">
-                  {/* Éxitos */}
-                  <div
-                    className="rounded-2xl p-4 shadow-md"
-                    style={{
-                      background: palette.pearl,
-                      border: `2px solid ${palette.buff}`,
-                    }}
-                  >
-                    <h4
-                      className="font-semibold mb-2"
-                      style={{ color: palette.policeBlue }}
-                    >
-                      {dogTableMode === "absolute"
-                        ? "Entrenamientos exitosos totales"
-                        : "Tasa de entrenamientos exitosos totales"}
-                    </h4>
-                    <ul className="space-y-1 font-mono text-sm">
-                      {successRanking.map((d, index) => (
-                        <li
-                          key={d.dogId}
-                          className="flex justify-between"
-                        >
-                          <span>
-                            {index + 1}. {d.name}
-                          </span>
-                          <span>
-                            {dogTableMode === "absolute"
-                              ? d.success
-                              : `${d.successRate.toFixed(1)}%`}
-                          </span>
-                        </li>
-                      ))}
-                    </ul>
-                    <div className="mt-3">
-                      <StatsSummary stats={successStatsGlobal} />
-                    </div>
-                  </div>
+  React.useEffect(() => {
+    (async () => {
+      try {
+        setDogsLoading(true);
+        const { rows } = await fetchAllRows((withCount) =>
+          scopeToUnit(
+            supabase
+              .from("dogs")
+              .select(
+                "id, name, dog_code, unit_id",
+                withCount ? { count: "exact" } : undefined
+              ),
+            activeUnitId
+          ).order("dog_code", { ascending: true })
+        );
+        setDogs(rows);
+      } catch (err) {
+        console.error(err);
+        setError(err.message || "Error al cargar los perros.");
+      } finally {
+        setDogsLoading(false);
+      }
+    })();
+  }, [activeUnitId]);
 
-                  {/* Falsos positivos */}
-                  <div
-                    className="rounded-2xl p-4 shadow-md"
-                    style={{
-                      background: palette.pearl,
-                      border: `2px solid ${palette.buff}`,
-                    }}
-                  >
-                    <h4
-                      className="font-semibold mb-2"
-                      style={{ color: palette.policeBlue }}
-                    >
-                      {dogTableMode === "absolute"
-                        ? "Falsos positivos totales"
-                        : "Tasa de falsos positivos"}
-                    </h4>
-                    <ul className="space-y-1 font-mono text-sm">
-                      {failRanking.map((d, index) => (
-                        <li
-                          key={d.dogId}
-                          className="flex justify-between"
-                        >
-                          <span>
-                            {index + 1}. {d.name}
-                          </span>
-                          <span>
-                            {dogTableMode === "absolute"
-                              ? d.fail
-                              : `${d.failRate.toFixed(1)}%`}
-                          </span>
-                        </li>
-                      ))}
-                    </ul>
-                    <div className="mt-3">
-                      <StatsSummary stats={failStatsGlobal} />
-                    </div>
-                  </div>
-                </div>
-              )}
-            </section>
+  const dogsByCode = React.useMemo(
+    () =>
+      new Map(
+        dogs
+          .filter((d) => d.dog_code)
+          .map((d) => [String(d.dog_code).toLowerCase(), d])
+      ),
+    [dogs]
+  );
 
-            <section className="space-y-4">
-              <h3
-                className="text-xl font-semibold"
-                style={{ color: palette.policeBlue }}
-              >
-                Rendimiento por sustancia
-              </h3>
+  const mappingErrors = React.useMemo(
+    () => (file ? validateImportMapping(mapping, importFields) : []),
+    [file, mapping, importFields]
+  );
 
-              {scentStats.length === 0 ? (
-                <p style={{ color: palette.citrineBrown }}>
-                  No hay suficientes datos para esta gráfica.
-                </p>
-              ) : (
-                <div className="h-80">
-                  <ResponsiveContainer
-                    width="100%"
-                    height="100%"
-                  >
-                    <BarChart
-                      data={scentStats}
-                      margin={{
-                        top: 10,
-                        right: 30,
-                        left: 0,
-                        bottom: 40,
-                      }}
-                    >
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis
-                        dataKey="scent"
-                        angle={-15}
-                        textAnchor="end"
-                        height={60}
-                      />
-                      <YAxis />
-                      <Tooltip />
-                      <Legend />
-                      <Bar
-                        dataKey="success"
-                        name="Éxitos"
-                        fill={chartColors.scent1}
-                      />
-                      <Bar
-                        dataKey="fail"
-                        name="Fallos"
-                        fill={chartColors.scent2}
-                      />
-                    </BarChart>
-                  </ResponsiveContainer>
-                </div>
-              )}
-            </section>
+  const parsedRows = React.useMemo(() => {
+    if (!file || mappingErrors.length || dogsLoading || handlersLoading) {
+      return [];
+    }
+    return file.rows.map((row, i) =>
+      parseImportRow(row, i, mapping, { dogsByCode, handlers, conditionDefs })
+    );
+  }, [
+    file,
+    mapping,
+    mappingErrors,
+    dogsByCode,
+    handlers,
+    conditionDefs,
+    dogsLoading,
+    handlersLoading,
+  ]);
+
+  const validRows = parsedRows.filter((r) => r.payload);
+  const invalidCount = parsedRows.length - validRows.length;
+  const previewRows = (
+    onlyErrors ? parsedRows.filter((r) => r.errors.length) : parsedRows
+  ).slice(0, IMPORT_PREVIEW_LIMIT);
+  const importing = Boolean(progress) && !summary;
+
+  const handleFile = async (e) => {
+    const picked = e.target.files?.[0];
+    e.target.value = "";
+    if (!picked) return;
+    setError(null);
+    setSummary(null);
+    setProgress(null);
+    try {
+      setReading(true);
+      const { headers, rows } = await readImportFile(picked);
+      if (!rows.length) throw new Error("El archivo no tiene filas de datos.");
+      setFile({ name: picked.name, headers, rows });
+      setMapping(guessImportMapping(headers, importFields));
+    } catch (err) {
+      console.error(err);
+      setFile(null);
+      setError(err.message || "No se pudo leer el archivo.");
+    } finally {
+      setReading(false);
+    }
+  };
 
-            <section className="space-y-4">
+  const handleImport = async () => {
+    setError(null);
+    const total = validRows.length;
+    let inserted = 0;
+    const failed = [];
+    setProgress({ done: 0, total });
+
+    for (let i = 0; i < total; i += IMPORT_BATCH_SIZE) {
+      const batch = validRows.slice(i, i + IMPORT_BATCH_SIZE);
+      const { error } = await supabase
+        .from("training_sessions")
+        .insert(batch.map((r) => r.payload));
+      if (error) {
+        console.error(error);
+        failed.push({
+          from: batch[0].line,
+          to: batch[batch.length - 1].line,
+          count: batch.length,
+          message: error.message || "Error al insertar el lote.",
+        });
+      } else {
+        inserted += batch.length;
+      }
+      setProgress({ done: Math.min(i + IMPORT_BATCH_SIZE, total), total });
+    }
+
+    setSummary({ inserted, failed, skipped: invalidCount });
+  };
+
+  const reset = () => {
+    setFile(null);
+    setMapping({});
+    setSummary(null);
+    setProgress(null);
+    setOnlyErrors(false);
+  };
+
+  const cardStyle = {
+    background: palette.pearl,
+    border: `2px solid ${palette.buff}`,
+  };
+  const thClass = "px-3 py-2 text-left font-semibold";
+  const tdClass = "px-3 py-2 align-top";
+
+  const exampleValue = (header) => {
+    const row = file.rows.find((r) => !isBlankCell(r[header]));
+    if (!row) return "—";
+    const v = row[header];
+    return v instanceof Date ? formatDateTime(v) : String(v);
+  };
+
+  return (
+    <Shell>
+      <section className="space-y-8">
+        <div className="flex items-center gap-3">
+          <Button variant="ghost" onClick={() => navigate(-1)}>
+            ← Volver
+          </Button>
+          <h2
+            className="text-3xl font-bold"
+            style={{ color: palette.policeBlue }}
+          >
+            Importar sesiones
+          </h2>
+        </div>
+
+        {error && <p style={{ color: "crimson" }}>Error: {error}</p>}
+
+        <div className="rounded-2xl p-4 shadow-md space-y-3" style={cardStyle}>
+          <h3
+            className="text-xl font-semibold"
+            style={{ color: palette.policeBlue }}
+          >
+            1. Archivo
+          </h3>
+          <p className="text-sm" style={{ color: palette.citrineBrown }}>
+            CSV (coma o punto y coma) o Excel (.xlsx). Se lee la primera hoja;
+            la primera fila debe tener los nombres de las columnas. Los perros
+            se buscan por código y las fechas sin zona horaria se toman en hora
+            local (dd/mm/aaaa o aaaa-mm-dd).
+          </p>
+          <input
+            type="file"
+            accept=".csv,.txt,.xlsx,.xls,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            onChange={handleFile}
+            disabled={reading || importing}
+          />
+          {reading && (
+            <p style={{ color: palette.citrineBrown }}>Leyendo archivo…</p>
+          )}
+          {file && (
+            <p className="text-sm" style={{ color: palette.policeBlue }}>
+              {file.name}: {file.rows.length} filas, {file.headers.length}{" "}
+              columnas.
+            </p>
+          )}
+        </div>
+
+        {file && (
+          <div
+            className="rounded-2xl p-4 shadow-md space-y-3"
+            style={cardStyle}
+          >
+            <h3
+              className="text-xl font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              2. Columnas
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead style={{ background: palette.buff }}>
+                  <tr>
+                    <th className={thClass}>Columna</th>
+                    <th className={thClass}>Ejemplo</th>
+                    <th className={thClass}>Campo</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {file.headers.map((h) => (
+                    <tr key={h} className="border-t">
+                      <td className={tdClass}>{h}</td>
+                      <td
+                        className={tdClass}
+                        style={{ color: palette.citrineBrown }}
+                      >
+                        {exampleValue(h)}
+                      </td>
+                      <td className={tdClass}>
+                        <select
+                          value={mapping[h] || ""}
+                          onChange={(e) =>
+                            setMapping((prev) => ({
+                              ...prev,
+                              [h]: e.target.value,
+                            }))
+                          }
+                          disabled={importing}
+                          className="rounded-lg px-2 py-1 border bg-white"
+                        >
+                          <option value="">— Ignorar —</option>
+                          {importFields.map((f) => (
+                            <option key={f.value} value={f.value}>
+                              {f.label}
+                            </option>
+                          ))}
+                          <option value={IMPORT_EXTRA_CONDITION}>
+                            Otra condición (conditions.{normalizeHeader(h)})
+                          </option>
+                          <option value={IMPORT_EXTRA_TYPE}>
+                            Otro dato de tipo (type.{normalizeHeader(h)})
+                          </option>
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {mappingErrors.map((msg) => (
+              <p key={msg} style={{ color: "crimson" }}>
+                {msg}
+              </p>
+            ))}
+          </div>
+        )}
+
+        {file && !mappingErrors.length && (
+          <div
+            className="rounded-2xl p-4 shadow-md space-y-3"
+            style={cardStyle}
+          >
+            <div className="flex flex-wrap items-center justify-between gap-3">
               <h3
                 className="text-xl font-semibold"
                 style={{ color: palette.policeBlue }}
               >
-                Tasa de éxito según condiciones ambientales
+                3. Vista previa
               </h3>
-
-              <div className="flex flex-wrap items-center gap-3">
-                <span
-                  className="font-medium"
-                  style={{ color: palette.policeBlue }}
-                >
-                  Condición:
-                </span>
-                <select
-                  value={selectedCondition}
-                  onChange={(e) =>
-                    setSelectedCondition(e.target.value)
-                  }
-                  className="rounded-xl px-3 py-2 border bg-white"
-                >
-                  {conditionOptions.map((opt) => (
-                    <option key={opt.key} value={opt.key}>
-                      {opt.label}
-                    </option>
-                  ))}
-                </select>
-              </div>
-
-              {currentConditionSeries.length === 0 ? (
-                <p style={{ color: palette.citrineBrown }}>
-                  No hay datos para esta condición.
+              <label className="inline-flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={onlyErrors}
+                  onChange={(e) => setOnlyErrors(e.target.checked)}
+                  className="h-4 w-4"
+                />
+                Solo filas con errores
+              </label>
+            </div>
+            {dogsLoading || handlersLoading ? (
+              <p style={{ color: palette.citrineBrown }}>
+                Cargando perros y guías…
+              </p>
+            ) : (
+              <>
+                <p className="text-sm" style={{ color: palette.policeBlue }}>
+                  {validRows.length} filas válidas · {invalidCount} con
+                  errores (no se importan).
+                  {previewRows.length === IMPORT_PREVIEW_LIMIT &&
+                    ` Se muestran las primeras ${IMPORT_PREVIEW_LIMIT}.`}
                 </p>
-              ) : (
-                <div className="h-80">
-                  <ResponsiveContainer
-                    width="100%"
-                    height="100%"
-                  >
-                    <LineChart data={currentConditionSeries}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis
-                        dataKey="value"
-                        type="number"
-                        domain={["dataMin", "dataMax"]}
-                        tickFormatter={(v) => v.toFixed(1)}
-                      />
-                      <YAxis unit="%" />
-                      <Tooltip
-                        formatter={(v) => `${v}%`}
-                        labelFormatter={(v) =>
-                          `Valor: ${v.toFixed(2)}`
-                        }
-                      />
-                      <Line
-                        type="monotone"
-                        dataKey="successRate"
-                        name="Tasa de éxito"
-                        stroke={palette.policeBlue}
-                        strokeWidth={2}
-                      />
-                    </LineChart>
-                  </ResponsiveContainer>
+                <div className="overflow-x-auto rounded-2xl shadow-md">
+                  <table className="min-w-full text-sm">
+                    <thead style={{ background: palette.buff }}>
+                      <tr>
+                        <th className={thClass}>Fila</th>
+                        <th className={thClass}>Perro</th>
+                        <th className={thClass}>Fecha</th>
+                        <th className={thClass}>Resultado</th>
+                        <th className={thClass}>Condiciones</th>
+                        <th className={thClass}>Estado</th>
+                      </tr>
+                    </thead>
+                    <tbody style={{ background: palette.pearl }}>
+                      {previewRows.map((r) => (
+                        <tr key={r.line} className="border-t">
+                          <td className={tdClass}>{r.line}</td>
+                          <td className={tdClass}>
+                            {r.dog ? `${r.dog.name} (${r.dogCode})` : r.dogCode || "—"}
+                          </td>
+                          <td className={tdClass}>
+                            {r.payload
+                              ? formatDateTime(r.payload.started_at)
+                              : "—"}
+                          </td>
+                          <td className={tdClass}>
+                            {r.payload
+                              ? OUTCOME_SHORT_LABELS[r.payload.result]
+                              : "—"}
+                          </td>
+                          <td className={tdClass}>
+                            {r.payload
+                              ? Object.entries({
+                                  ...r.payload.type,
+                                  ...r.payload.conditions,
+                                })
+                                  .map(([k, v]) => `${k}: ${v}`)
+                                  .join(" · ") || "—"
+                              : "—"}
+                          </td>
+                          <td className={tdClass}>
+                            {r.errors.length ? (
+                              <ul style={{ color: "crimson" }}>
+                                {r.errors.map((msg) => (
+                                  <li key={msg}>{msg}</li>
+                                ))}
+                              </ul>
+                            ) : (
+                              <span style={{ color: palette.policeBlue }}>
+                                OK
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                      {previewRows.length === 0 && (
+                        <tr>
+                          <td
+                            colSpan={6}
+                            className="px-3 py-4 text-center"
+                            style={{ color: palette.citrineBrown }}
+                          >
+                            No hay filas para mostrar.
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
                 </div>
-              )}
-            </section>
-          </>
+                {!summary && (
+                  <Button
+                    variant="primary"
+                    onClick={handleImport}
+                    disabled={importing || validRows.length === 0}
+                  >
+                    {importing
+                      ? `Importando ${progress.done}/${progress.total}…`
+                      : `Importar ${validRows.length} sesiones`}
+                  </Button>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
+        {summary && (
+          <div
+            className="rounded-2xl p-4 shadow-md space-y-2"
+            style={cardStyle}
+          >
+            <h3
+              className="text-xl font-semibold"
+              style={{ color: palette.policeBlue }}
+            >
+              Resultado de la importación
+            </h3>
+            <p>
+              {summary.inserted} sesiones importadas · {summary.skipped} filas
+              omitidas por errores
+              {summary.failed.length > 0 &&
+                ` · ${summary.failed.reduce((acc, f) => acc + f.count, 0)} no se pudieron guardar`}
+              .
+            </p>
+            {summary.failed.map((f) => (
+              <p key={f.from} style={{ color: "crimson" }}>
+                Filas {f.from}–{f.to}: {f.message}
+              </p>
+            ))}
+            <div className="flex flex-wrap gap-3">
+              <Button variant="primary" to="/stats">
+                Ver estadísticas
+              </Button>
+              <Button variant="ghost" onClick={reset}>
+                Importar otro archivo
+              </Button>
+            </div>
+          </div>
         )}
       </section>
     </Shell>
   );
 };
 
-const KpiCard = ({ label, value }) => (
-  <div
-    className="rounded-2xl p-4 shadow-md"
-    style={{ background: palette.pearl, border: `2px solid ${palette.buff}` }}
-  >
-    <div
-      className="text-sm font-medium mb-1"
-      style={{ color: palette.citrineBrown }}
-    >
-      {label}
-    </div>
-    <div
-      className="text-2xl font-bold"
-      style={{ color: palette.policeBlue }}
-    >
-      {value}
-    </div>
-  </div>
-);
+// --- Exportación (CSV / XLSX / JSON) ---
+// Cada vista arma sus datasets { key, label, columns, rows }; las columnas
+// llevan el encabezado visible y una función que extrae el valor de la fila.
+
+const EXPORT_FORMATS = [
+  { value: "xlsx", label: "Excel (XLSX)" },
+  { value: "csv", label: "CSV" },
+  { value: "json", label: "JSON" },
+];
+
+// Redondea para planillas; null si no hay valor
+const exportNumber = (v, digits = 1) =>
+  Number.isFinite(v) ? Number(v.toFixed(digits)) : null;
+
+const exportPct = (num, den) => (den ? exportNumber((num / den) * 100) : null);
+
+// Columnas de sesiones crudas (una por campo y una por condición definida)
+const sessionExportColumns = ({
+  handlers = [],
+  unitName,
+  conditionDefs = DEFAULT_CONDITION_DEFINITIONS,
+} = {}) => [
+  { header: "Fecha", value: (s) => (s.started_at ? formatDateTime(s.started_at) : "") },
+  { header: "Perro", value: (s) => s.dogs?.name || "" },
+  { header: "Código", value: (s) => s.dogs?.dog_code || "" },
+  ...(unitName ? [{ header: "Unidad", value: (s) => unitName(s.unit_id) }] : []),
+  { header: "Guía", value: (s) => (s.handler_id ? handlerName(handlers, s.handler_id) : "") },
+  { header: "Resultado", value: (s) => OUTCOME_SHORT_LABELS[normalizeOutcome(s.result)] },
+  { header: "Duración (s)", value: (s) => s.duration_s ?? null },
+  { header: "Sustancia", value: (s) => s.type?.scent || "" },
+  ...conditionDefs.map((def) => ({
+    header: conditionLabel(def),
+    value: (s) =>
+      isCategoricalCondition(def)
+        ? getConditionCategory(s, def.key)
+        : getConditionValue(s, def.key),
+  })),
+  {
+    header: "Otras condiciones",
+    value: (s) => {
+      const extra = Object.entries(s.conditions || {}).filter(
+        ([key]) => !conditionDefs.some((d) => d.key === key)
+      );
+      return extra.length ? JSON.stringify(Object.fromEntries(extra)) : "";
+    },
+  },
+  { header: "ID sesión", value: (s) => s.id },
+];
+
+// Conteos y tasas de cualquier fila con tp/fp/fn/tn/aborted
+const outcomeExportColumns = (leading) => [
+  ...leading,
+  { header: "Sesiones", value: (r) => r.tp + r.fp + r.fn + r.tn + r.aborted },
+  { header: "Evaluadas", value: (r) => r.tp + r.fp + r.fn + r.tn },
+  { header: "Verdaderos positivos", value: (r) => r.tp },
+  { header: "Falsos positivos", value: (r) => r.fp },
+  { header: "Falsos negativos", value: (r) => r.fn },
+  { header: "Verdaderos negativos", value: (r) => r.tn },
+  { header: "Abortadas", value: (r) => r.aborted },
+  {
+    header: "Tasa de acierto (%)",
+    value: (r) => exportPct(r.tp + r.tn, r.tp + r.fp + r.fn + r.tn),
+  },
+  {
+    header: "IC 95% inferior (%)",
+    value: (r) =>
+      exportNumber(wilsonInterval(r.tp + r.tn, r.tp + r.fp + r.fn + r.tn)?.low),
+  },
+  {
+    header: "IC 95% superior (%)",
+    value: (r) =>
+      exportNumber(wilsonInterval(r.tp + r.tn, r.tp + r.fp + r.fn + r.tn)?.high),
+  },
+  {
+    header: "Tasa de falsos positivos (%)",
+    value: (r) => exportPct(r.fp, r.tp + r.fp + r.fn + r.tn),
+  },
+  {
+    header: "Tasa de falsos negativos (%)",
+    value: (r) => exportPct(r.fn, r.tp + r.fp + r.fn + r.tn),
+  },
+  { header: "Sensibilidad (%)", value: (r) => exportPct(r.tp, r.tp + r.fn) },
+  { header: "Especificidad (%)", value: (r) => exportPct(r.tn, r.tn + r.fp) },
+];
+
+const conditionSeriesExportColumns = [
+  { header: "Condición", value: (r) => r.condition },
+  { header: "Valor", value: (r) => r.value },
+  { header: "Sesiones", value: (r) => r.total },
+  { header: "Aciertos", value: (r) => r.success },
+  { header: "Fallos", value: (r) => r.fail },
+  { header: "Tasa de acierto (%)", value: (r) => r.successRate },
+];
+
+const histogramExportColumns = [
+  { header: "Condición", value: (r) => r.condition },
+  { header: "Rango", value: (r) => r.range },
+  { header: "Aciertos", value: (r) => r.success },
+  { header: "Fallos", value: (r) => r.fail },
+];
 
+// Matriz perro × sustancia en formato largo (una fila por celda con datos)
+const scentMatrixExportColumns = [
+  { header: "Perro", value: (r) => r.name },
+  { header: "Código", value: (r) => r.code },
+  { header: "Sustancia", value: (r) => r.scent },
+  { header: "Sesiones", value: (r) => r.total },
+  { header: "Evaluadas", value: (r) => r.scored },
+  { header: "Aciertos", value: (r) => r.success },
+  { header: "Tasa de acierto (%)", value: (r) => exportPct(r.success, r.scored) },
+  { header: "Último entrenamiento", value: (r) => r.last },
+  { header: "Días sin entrenar", value: (r) => daysSince(r.last) },
+];
 
-const NewDog = () => {
-  const navigate = useNavigate();
-  const [form, setForm] = React.useState({
-    dog_code: "",
-    name: "",
-    breed: "",
-    sex: "",
-    birthdate: "",
-    notes: "",
-    active: true,
-  });
-  const [loading, setLoading] = React.useState(false);
-  const [error, setError] = React.useState(null);
+const flattenScentMatrix = (matrix) =>
+  matrix.rows.flatMap((row) =>
+    row.cells
+      .filter((cell) => cell.total > 0)
+      .map((cell) => ({ ...cell, name: row.name, code: row.code }))
+  );
 
-  if (!supabase) {
-    return (
-      <Shell>
-        <section className="space-y-6">
-          <h2
-            className="text-3xl font-bold"
-            style={{ color: palette.policeBlue }}
-          >
-            Agregar un nuevo perro
-          </h2>
-          <p style={{ color: palette.citrineBrown }}>
-            Supabase no está configurado correctamente. No se pueden guardar
-            perros nuevos.
-          </p>
-        </section>
-      </Shell>
-    );
-  }
+// Tasa por rango (binnedConditionSeries / celdas de conditionHeatmap)
+const binnedRateExportColumns = (leading) => [
+  ...leading,
+  { header: "Sesiones", value: (r) => r.total },
+  { header: "Evaluadas", value: (r) => r.scored },
+  { header: "Aciertos", value: (r) => r.success },
+  { header: "Tasa de acierto (%)", value: (r) => exportPct(r.success, r.scored) },
+  { header: "IC 95% inferior (%)", value: (r) => exportNumber(r.ci?.low) },
+  { header: "IC 95% superior (%)", value: (r) => exportNumber(r.ci?.high) },
+];
 
-  const handleChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    setForm((prev) => ({
-      ...prev,
-      [name]: type === "checkbox" ? checked : value,
+// Mapa de calor en formato largo: una fila por celda con datos
+const flattenConditionHeatmap = (heatmap) =>
+  (heatmap?.rows || []).flatMap((row) =>
+    row.cells
+      .map((cell, i) => ({
+        ...cell,
+        x: heatmap.columns[i].label,
+        y: row.label,
+      }))
+      .filter((cell) => cell.total > 0)
+  );
+
+// conditionSeries de aggregateSessions en una sola tabla
+const flattenConditionSeries = (conditionSeries, conditionDefs) =>
+  conditionDefs.flatMap((def) =>
+    (conditionSeries[def.key] || []).map((e) => ({
+      ...e,
+      condition: conditionLabel(def),
+    }))
+  );
+
+// Bins de histograma (o categorías) para todas las condiciones
+const conditionHistogramRows = (sessions, conditionDefs) => {
+  const successSessions = sessions.filter((s) => isSuccessResult(s.result));
+  const failSessions = sessions.filter((s) => isFailResult(s.result));
+  return conditionDefs.flatMap((def) => {
+    const { binsSuccess, binsFail } = conditionDistributions(
+      successSessions,
+      failSessions,
+      def
+    );
+    return binsSuccess.map((b, i) => ({
+      condition: conditionLabel(def),
+      range: b.range,
+      success: b.count,
+      fail: binsFail[i].count,
     }));
-  };
+  });
+};
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError(null);
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
 
-    if (!form.dog_code.trim() || !form.name.trim()) {
-      setError("Los campos Código y Nombre son obligatorios.");
-      return;
-    }
+// Descarga un dataset en el formato elegido (SheetJS se carga a demanda)
+const downloadExport = async ({ label, columns, rows }, format, baseName) => {
+  const date = toLocalDateTimeInput(new Date()).slice(0, 10);
+  const fileBase = `${baseName}-${normalizeHeader(label)}-${date}`;
+  const values = rows.map((r) => columns.map((c) => c.value(r) ?? null));
 
-    try {
-      setLoading(true);
+  if (format === "json") {
+    const data = values.map((v) =>
+      Object.fromEntries(columns.map((c, i) => [c.header, v[i]]))
+    );
+    downloadBlob(
+      new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+      `${fileBase}.json`
+    );
+    return;
+  }
 
-      const payload = {
-        dog_code: form.dog_code.trim(),
-        name: form.name.trim(),
-        breed: form.breed.trim() || null,
-        sex: form.sex.trim() || null,
-        birthdate: form.birthdate || null,
-        notes: form.notes.trim() || null,
-        active: form.active,
-      };
+  const XLSX = await import("xlsx");
+  const sheet = XLSX.utils.aoa_to_sheet([columns.map((c) => c.header), ...values]);
+  if (format === "csv") {
+    // BOM para que Excel detecte UTF-8 (tildes, °)
+    downloadBlob(
+      new Blob(["\ufeff", XLSX.utils.sheet_to_csv(sheet)], {
+        type: "text/csv;charset=utf-8",
+      }),
+      `${fileBase}.csv`
+    );
+    return;
+  }
 
-      const { data, error } = await supabase
-        .from("dogs")
-        .insert([payload])
-        .select()
-        .single();
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    sheet,
+    label.replace(/[[\]:*?/\\]/g, " ").slice(0, 31)
+  );
+  XLSX.writeFile(workbook, `${fileBase}.xlsx`);
+};
 
-      if (error) throw error;
+/**
+ * ExportMenu: descarga los datos de la vista (dataset + formato).
+ */
+const ExportMenu = ({ datasets, baseName }) => {
+  const [datasetKey, setDatasetKey] = React.useState(datasets[0]?.key);
+  const [format, setFormat] = React.useState(EXPORT_FORMATS[0].value);
+  const [error, setError] = React.useState(null);
+  const dataset = datasets.find((d) => d.key === datasetKey) || datasets[0];
 
-      navigate(`/records/${data.id}`);
+  const handleExport = async () => {
+    setError(null);
+    try {
+      await downloadExport(dataset, format, baseName);
     } catch (err) {
       console.error(err);
-      setError(err.message || "Error al guardar el perro.");
-    } finally {
-      setLoading(false);
+      setError(err.message || "No se pudo generar el archivo.");
     }
   };
 
-  return (
-    <Shell>
-      <section className="space-y-6 max-w-xl mx-auto">
-        <div className="flex items-center gap-3">
-          <Button variant="ghost" onClick={() => navigate(-1)}>
-            ← Volver
-          </Button>
-          <h2
-            className="text-3xl font-bold"
-            style={{ color: palette.policeBlue }}
-          >
-            Agregar un nuevo perro
-          </h2>
-        </div>
+  if (!dataset) return null;
 
-        <p style={{ color: palette.citrineBrown }}>
-          Completá los datos del perro. Los campos marcados con * son
-          obligatorios.
-        </p>
+  return (
+    <div
+      className="rounded-2xl p-4 shadow-md flex flex-wrap items-end gap-3"
+      style={{
+        background: palette.pearl,
+        border: `2px solid ${palette.buff}`,
+      }}
+    >
+      <div>
+        <label className="block text-sm font-medium mb-1">Exportar</label>
+        <select
+          value={dataset.key}
+          onChange={(e) => setDatasetKey(e.target.value)}
+          className="rounded-xl px-3 py-2 border bg-white"
+        >
+          {datasets.map((d) => (
+            <option key={d.key} value={d.key}>
+              {d.label} ({d.rows.length})
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium mb-1">Formato</label>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          className="rounded-xl px-3 py-2 border bg-white"
+        >
+          {EXPORT_FORMATS.map((f) => (
+            <option key={f.value} value={f.value}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <Button
+        variant="ghost"
+        onClick={handleExport}
+        disabled={dataset.rows.length === 0}
+      >
+        Descargar
+      </Button>
+      {error && <p style={{ color: "crimson" }}>Error: {error}</p>}
+    </div>
+  );
+};
 
-        {error && <p style={{ color: "crimson" }}>{error}</p>}
+// --- Informe de confiabilidad (PDF) ---
+// Informe por perro para tribunales y mesas de certificación. Se genera en
+// el navegador a partir de las mismas sesiones que carga RecordDetail.
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block font-medium mb-1">
-              Código del perro* (dog_code)
-            </label>
-            <input
-              type="text"
-              name="dog_code"
-              value={form.dog_code}
-              onChange={handleChange}
-              className="w-full rounded-xl px-3 py-2 border"
-              required
-            />
-          </div>
+const REPORT_SIGNATURES = ["Guía", "Instructor / entrenador", "Jefe de unidad"];
 
-          <div>
-            <label className="block font-medium mb-1">
-              Nombre* (name)
-            </label>
-            <input
-              type="text"
-              name="name"
-              value={form.name}
-              onChange={handleChange}
-              className="w-full rounded-xl px-3 py-2 border"
-              required
-            />
-          </div>
+// Sesiones con fecha dentro de [from, to] ("YYYY-MM-DD", ambos inclusive)
+const sessionsInPeriod = (sessions, from, to) => {
+  const start = from ? new Date(`${from}T00:00:00`) : null;
+  const end = to ? new Date(`${to}T23:59:59.999`) : null;
+  return sessions.filter((s) => {
+    if (!s.started_at) return !start && !end;
+    const date = new Date(s.started_at);
+    return (!start || date >= start) && (!end || date <= end);
+  });
+};
 
-          <div>
-            <label className="block font-medium mb-1">Raza (breed)</label>
-            <input
-              type="text"
-              name="breed"
-              value={form.breed}
-              onChange={handleChange}
-              className="w-full rounded-xl px-3 py-2 border"
-            />
-          </div>
+const formatReportNumber = (v, digits = 1) =>
+  Number.isFinite(v) ? v.toFixed(digits) : "—";
+
+const formatReportCI = (ci) =>
+  ci ? `${ci.low.toFixed(1)}–${ci.high.toFixed(1)}%` : "—";
+
+// Arma el PDF (jsPDF) del informe de un perro para el período elegido.
+// jsPDF y autotable se cargan recién al generar el informe.
+const buildDogReportPdf = async ({
+  dog,
+  sessions,
+  handlers,
+  teamHandlers,
+  conditionDefs = DEFAULT_CONDITION_DEFINITIONS,
+  unitName,
+  from,
+  to,
+  issuedBy,
+}) => {
+  const [{ jsPDF }, { autoTable }] = await Promise.all([
+    import("jspdf"),
+    import("jspdf-autotable"),
+  ]);
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 15;
+  let y = margin;
+
+  const ensureSpace = (needed) => {
+    if (y + needed > pageHeight - 20) {
+      doc.addPage();
+      y = margin;
+    }
+  };
 
-          <div>
-            <label className="block font-medium mb-1">Sexo (sex)</label>
-            <input
-              type="text"
-              name="sex"
-              value={form.sex}
-              onChange={handleChange}
-              className="w-full rounded-xl px-3 py-2 border"
-              placeholder="M para macho / H para hembra"
-            />
-          </div>
+  const heading = (text) => {
+    ensureSpace(16);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(12);
+    doc.setTextColor(palette.policeBlue);
+    doc.text(text, margin, y);
+    y += 3;
+  };
 
-          <div>
-            <label className="block font-medium mb-1">
-              Fecha de nacimiento (birthdate)
-            </label>
-            <input
-              type="date"
-              name="birthdate"
-              value={form.birthdate}
-              onChange={handleChange}
-              className="w-full rounded-xl px-3 py-2 border"
-            />
-          </div>
+  const note = (text) => {
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.setTextColor(palette.citrineBrown);
+    const lines = doc.splitTextToSize(text, pageWidth - 2 * margin);
+    ensureSpace(lines.length * 4);
+    doc.text(lines, margin, y);
+    y += lines.length * 4 + 2;
+  };
 
-          <div>
-            <label className="block font-medium mb-1">Notas (notes)</label>
-            <textarea
-              name="notes"
-              value={form.notes}
-              onChange={handleChange}
-              className="w-full rounded-xl px-3 py-2 border"
-              rows={3}
-            />
-          </div>
+  const table = (options) => {
+    autoTable(doc, {
+      startY: y,
+      margin: { left: margin, right: margin, bottom: 20 },
+      styles: { fontSize: 8, cellPadding: 1.5 },
+      headStyles: { fillColor: palette.policeBlue, textColor: "#ffffff" },
+      footStyles: { fillColor: palette.pearl, textColor: palette.policeBlue },
+      ...options,
+    });
+    y = doc.lastAutoTable.finalY + 8;
+  };
 
-          <div className="flex items-center gap-2">
-            <input
-              id="active"
-              type="checkbox"
-              name="active"
-              checked={form.active}
-              onChange={handleChange}
-              className="h-4 w-4"
-            />
-            <label htmlFor="active" className="font-medium">
-              Activo para entrenamiento (active)
-            </label>
-          </div>
+  // Encabezado
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(18);
+  doc.setTextColor(palette.policeBlue);
+  doc.text("Informe de confiabilidad", margin, y + 4);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.setTextColor(palette.citrineBrown);
+  doc.text(`Emitido: ${formatDateTime(new Date())}`, pageWidth - margin, y, {
+    align: "right",
+  });
+  if (issuedBy) {
+    doc.text(`Por: ${issuedBy}`, pageWidth - margin, y + 5, { align: "right" });
+  }
+  y += 10;
+  doc.text("Perro de detección · K-9 Smart Fetch", margin, y);
+  y += 5;
+  doc.text(
+    `Período: ${from || "desde el primer registro"} a ${to || "la fecha"}`,
+    margin,
+    y
+  );
+  y += 8;
+
+  // Identificación
+  heading("Identificación");
+  table({
+    theme: "plain",
+    body: [
+      ["Nombre", dog.name || "—"],
+      ["Código", dog.dog_code || "—"],
+      ["Raza", dog.breed || "—"],
+      ["Sexo", dog.sex || "—"],
+      ["Nacimiento", dog.birthdate || "—"],
+      ["Unidad", unitName(dog.unit_id)],
+      [
+        "Guías",
+        teamHandlers.length
+          ? teamHandlers.map((h) => h.name).join(", ")
+          : "Sin asignar",
+      ],
+      [
+        "Estado",
+        dog.archived_at
+          ? `Archivado (${String(dog.archived_at).slice(0, 10)})`
+          : dog.active
+          ? "Activo"
+          : "Inactivo",
+      ],
+      ["Alta en el sistema", dog.created_at ? String(dog.created_at).slice(0, 10) : "—"],
+    ],
+    columnStyles: { 0: { fontStyle: "bold", cellWidth: 45 } },
+  });
 
-          <div className="pt-2">
-            <Button type="submit" variant="primary">
-              {loading ? "Guardando..." : "Guardar perro"}
-            </Button>
-          </div>
-        </form>
-      </section>
-    </Shell>
+  // Tasas con intervalos de confianza
+  const counts = countOutcomes(sessions);
+  const rates = computeOutcomeRates(counts);
+  const rateRow = (label, successes, n) => {
+    const { rate, ci } = rateWithCI(successes, n);
+    return [label, n ? `${rate.toFixed(1)}%` : "—", formatReportCI(ci), `${successes} / ${n}`];
+  };
+  heading("Confiabilidad en el período");
+  table({
+    head: [["Indicador", "Tasa", "IC 95%", "Casos / base"]],
+    body: [
+      rateRow("Acierto (VP + VN)", rates.success, rates.scored),
+      rateRow("Falsos positivos", counts.fp, rates.scored),
+      rateRow("Falsos negativos", counts.fn, rates.scored),
+      rateRow("Sensibilidad (VP / objetivo presente)", counts.tp, counts.tp + counts.fn),
+      rateRow("Especificidad (VN / objetivo ausente)", counts.tn, counts.tn + counts.fp),
+    ],
+    foot: [
+      [
+        {
+          content: `Sesiones: ${rates.total} · evaluadas: ${rates.scored} · abortadas: ${counts.aborted}`,
+          colSpan: 2,
+        },
+        {
+          content: `VP ${counts.tp} · FP ${counts.fp} · FN ${counts.fn} · VN ${counts.tn}`,
+          colSpan: 2,
+        },
+      ],
+    ],
+  });
+  note(
+    "Las tasas se calculan sobre sesiones evaluadas (sin abortadas). El IC 95% es el intervalo de Wilson; con pocas sesiones el intervalo es amplio y la tasa puntual debe leerse con cautela."
   );
+
+  // Desempeño por sustancia
+  const { scentStats } = aggregateSessions(sessions, handlers, conditionDefs);
+  heading("Desempeño por sustancia");
+  table({
+    head: [["Sustancia", "Sesiones", "Evaluadas", "VP", "FP", "FN", "VN", "Acierto", "IC 95%"]],
+    body: scentStats
+      .sort((a, b) => b.total - a.total)
+      .map((e) => [
+        e.scent,
+        e.total,
+        e.scored,
+        e.tp,
+        e.fp,
+        e.fn,
+        e.tn,
+        e.scored ? `${((e.success / e.scored) * 100).toFixed(1)}%` : "—",
+        formatReportCI(e.successCI),
+      ]),
+  });
+
+  // Distribuciones por condición (aciertos vs. fallos)
+  const successSessions = sessions.filter((s) => isSuccessResult(s.result));
+  const failSessions = sessions.filter((s) => isFailResult(s.result));
+  heading("Condiciones ambientales");
+  let conditionTables = 0;
+  conditionDefs.forEach((def) => {
+    const { binsSuccess, binsFail, statsSuccess, statsFail } =
+      conditionDistributions(successSessions, failSessions, def);
+    if (!binsSuccess.length) return;
+    conditionTables += 1;
+    ensureSpace(30);
+    table({
+      head: [[conditionLabel(def), "Aciertos", "Fallos"]],
+      body: binsSuccess.map((b, i) => [b.range, b.count, binsFail[i].count]),
+      foot: isCategoricalCondition(def) ? [] : [
+        [
+          "Media / mediana",
+          statsSuccess
+            ? `${formatReportNumber(statsSuccess.mean)} / ${formatReportNumber(statsSuccess.median)}`
+            : "—",
+          statsFail
+            ? `${formatReportNumber(statsFail.mean)} / ${formatReportNumber(statsFail.median)}`
+            : "—",
+        ],
+      ],
+    });
+  });
+  if (!conditionTables) note("No hay condiciones registradas en el período.");
+
+  // Historial de sesiones (las condiciones van en una sola columna)
+  const sessionConditions = (s) =>
+    conditionDefs
+      .map((def) => {
+        const v = isCategoricalCondition(def)
+          ? getConditionCategory(s, def.key)
+          : getConditionValue(s, def.key);
+        return v === null ? null : `${def.label}: ${v}${def.unit ? ` ${def.unit}` : ""}`;
+      })
+      .filter(Boolean)
+      .join("; ") || "—";
+  heading("Historial de sesiones");
+  table({
+    head: [["Fecha", "Resultado", "Sustancia", "Guía", "Duración (s)", "Condiciones"]],
+    body: sortSessionsByDate(sessions).map((s) => [
+      s.started_at ? formatDateTime(s.started_at) : "—",
+      OUTCOME_SHORT_LABELS[normalizeOutcome(s.result)],
+      s.type?.scent || "—",
+      s.handler_id ? handlerName(handlers, s.handler_id) : "—",
+      s.duration_s ?? "—",
+      sessionConditions(s),
+    ]),
+    columnStyles: { 5: { cellWidth: 70 } },
+  });
+
+  // Firmas
+  ensureSpace(40);
+  y += 15;
+  const slotWidth = (pageWidth - 2 * margin) / REPORT_SIGNATURES.length;
+  doc.setDrawColor(palette.policeBlue);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(8);
+  doc.setTextColor(palette.policeBlue);
+  REPORT_SIGNATURES.forEach((role, i) => {
+    const x = margin + i * slotWidth;
+    doc.line(x + 4, y, x + slotWidth - 4, y);
+    doc.text(`Firma — ${role}`, x + 4, y + 4);
+    doc.text("Aclaración:", x + 4, y + 11);
+    doc.text("Fecha:", x + 4, y + 17);
+  });
+
+  // Pie de página en todas las hojas
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page += 1) {
+    doc.setPage(page);
+    doc.setFontSize(7);
+    doc.setTextColor(palette.citrineBrown);
+    doc.text(
+      `K-9 Smart Fetch — ${dog.name}${dog.dog_code ? ` (${dog.dog_code})` : ""}`,
+      margin,
+      pageHeight - 8
+    );
+    doc.text(`Página ${page} de ${pages}`, pageWidth - margin, pageHeight - 8, {
+      align: "right",
+    });
+  }
+
+  return doc;
 };
 
 // --- App (Router) ---
@@ -1985,50 +13482,134 @@ export default function App() {
   return (
     <BrowserRouter>
       <AuthProvider>
-        <Routes>
-          <Route path="/" element={<LoginPage />} />
-          <Route
-            path="/home"
-            element={
-              <RequireAuth>
-                <Home />
-              </RequireAuth>
-            }
-          />
-          <Route
-            path="/records"
-            element={
-              <RequireAuth>
-                <Records />
-              </RequireAuth>
-            }
-          />
-          <Route
-            path="/records/:id"
-            element={
-              <RequireAuth>
-                <RecordDetail />
-              </RequireAuth>
-            }
-          />
-          <Route
-            path="/stats"
-            element={
-              <RequireAuth>
-                <Stats />
-              </RequireAuth>
-            }
-          />
-          <Route
-            path="/dogs/new"
-            element={
-              <RequireAdmin>
-                <NewDog />
-              </RequireAdmin>
-            }
-          />
-          <Route path="*" element={<NotFound />} />
-        </Routes>
+        <UnitProvider>
+          <SyncProvider>
+            <Routes>
+              <Route path="/" element={<LoginPage />} />
+              <Route
+                path="/home"
+                element={
+                  <RequireAuth>
+                    <Home />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/records"
+                element={
+                  <RequirePermission action="read" resource="dog">
+                    <Records />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/records/:id"
+                element={
+                  <RequirePermission action="read" resource="dog">
+                    <RecordDetail />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/records/:id/sessions/new"
+                element={
+                  <RequirePermission action="create" resource="session">
+                    <NewSession />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/sessions/import"
+                element={
+                  <RequirePermission action="import" resource="session">
+                    <SessionImport />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/stats"
+                element={
+                  <RequirePermission action="read" resource="stats">
+                    <Stats />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/dogs/new"
+                element={
+                  <RequirePermission action="create" resource="dog">
+                    <DogForm key="new" />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/dogs/:id/edit"
+                element={
+                  <RequirePermission action="update" resource="dog">
+                    <DogForm key="edit" />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/admin/users"
+                element={
+                  <RequirePermission action="manage" resource="users">
+                    <AdminUsers />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/handlers"
+                element={
+                  <RequirePermission action="manage" resource="handlers">
+                    <HandlersAdmin />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/maintenance"
+                element={
+                  <RequirePermission action="read" resource="dog">
+                    <MaintenancePage />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/calendar"
+                element={
+                  <RequirePermission action="read" resource="dog">
+                    <CalendarPage />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/trials"
+                element={
+                  <RequirePermission action="read" resource="session">
+                    <BlindTrials />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/trials/:id"
+                element={
+                  <RequirePermission action="read" resource="session">
+                    <BlindTrialDetail />
+                  </RequirePermission>
+                }
+              />
+              <Route
+                path="/conditions"
+                element={
+                  <RequirePermission action="manage" resource="conditions">
+                    <ConditionsAdmin />
+                  </RequirePermission>
+                }
+              />
+              <Route path="*" element={<NotFound />} />
+            </Routes>
+          </SyncProvider>
+        </UnitProvider>
       </AuthProvider>
     </BrowserRouter>
   );
@@ -2058,7 +13639,13 @@ const StatsSummary = ({ stats }) => {
       <span className="font-medium">Mediana:</span>{" "}
       {format(stats.median)} ·{" "}
       <span className="font-medium">Moda:</span>{" "}
-      {format(stats.mode)}
+      {format(stats.mode)} ·{" "}
+      <span className="font-medium">DE:</span>{" "}
+      {format(stats.sd)} ·{" "}
+      <span className="font-medium">Q1–Q3:</span>{" "}
+      {format(stats.q1)}–{format(stats.q3)} ·{" "}
+      <span className="font-medium">RIC:</span>{" "}
+      {format(stats.iqr)}
     </p>
   );
 };
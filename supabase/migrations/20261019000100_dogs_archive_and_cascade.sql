@@ -0,0 +1,26 @@
+-- Baja lógica de perros y borrado en cascada de sus sesiones.
+
+alter table public.dogs
+  add column if not exists archived_at timestamptz;
+
+create index if not exists dogs_archived_at_idx
+  on public.dogs (archived_at);
+
+-- Al borrar definitivamente un perro se eliminan sus sesiones.
+alter table public.training_sessions
+  drop constraint if exists training_sessions_dog_id_fkey;
+
+alter table public.training_sessions
+  add constraint training_sessions_dog_id_fkey
+  foreign key (dog_id) references public.dogs (id) on delete cascade;
+
+-- Solo los administradores pueden borrar perros.
+drop policy if exists "dogs_delete_admin" on public.dogs;
+create policy "dogs_delete_admin" on public.dogs
+  for delete to authenticated
+  using (
+    exists (
+      select 1 from public.profiles p
+      where p.id = auth.uid() and p.role = 'admin'
+    )
+  );
@@ -0,0 +1,21 @@
+-- Publica los cambios de sesiones y perros para Supabase Realtime
+-- (Stats y el detalle del perro se actualizan en vivo).
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime'
+      and schemaname = 'public' and tablename = 'training_sessions'
+  ) then
+    alter publication supabase_realtime add table public.training_sessions;
+  end if;
+
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime'
+      and schemaname = 'public' and tablename = 'dogs'
+  ) then
+    alter publication supabase_realtime add table public.dogs;
+  end if;
+end $$;
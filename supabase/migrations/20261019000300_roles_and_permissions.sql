@@ -0,0 +1,102 @@
+-- Roles granulares: admin / trainer / handler / viewer.
+-- La matriz de permisos del front (PERMISSIONS en src/App.jsx) se replica acá
+-- con RLS para que no dependa solo de la UI.
+
+update public.profiles
+  set role = 'viewer'
+  where role is null or role not in ('admin', 'trainer', 'handler', 'viewer');
+
+alter table public.profiles
+  alter column role set default 'viewer',
+  alter column role set not null;
+
+alter table public.profiles
+  drop constraint if exists profiles_role_check;
+
+alter table public.profiles
+  add constraint profiles_role_check
+  check (role in ('admin', 'trainer', 'handler', 'viewer'));
+
+-- Rol del usuario autenticado (security definer para evitar recursión de RLS)
+create or replace function public.auth_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select role from public.profiles where id = auth.uid()),
+    'viewer'
+  );
+$$;
+
+-- Perros asignados a cada guía
+create table if not exists public.dog_assignments (
+  id uuid primary key default gen_random_uuid(),
+  dog_id uuid not null references public.dogs (id) on delete cascade,
+  profile_id uuid not null references public.profiles (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (dog_id, profile_id)
+);
+
+create index if not exists dog_assignments_profile_idx
+  on public.dog_assignments (profile_id);
+
+alter table public.dog_assignments enable row level security;
+
+drop policy if exists "dog_assignments_select" on public.dog_assignments;
+create policy "dog_assignments_select" on public.dog_assignments
+  for select to authenticated
+  using (profile_id = auth.uid() or public.auth_role() = 'admin');
+
+drop policy if exists "dog_assignments_write_admin" on public.dog_assignments;
+create policy "dog_assignments_write_admin" on public.dog_assignments
+  for all to authenticated
+  using (public.auth_role() = 'admin')
+  with check (public.auth_role() = 'admin');
+
+-- Perros: lectura para todos, altas y cambios solo admin
+drop policy if exists "dogs_insert_admin" on public.dogs;
+create policy "dogs_insert_admin" on public.dogs
+  for insert to authenticated
+  with check (public.auth_role() = 'admin');
+
+drop policy if exists "dogs_update_admin" on public.dogs;
+create policy "dogs_update_admin" on public.dogs
+  for update to authenticated
+  using (public.auth_role() = 'admin')
+  with check (public.auth_role() = 'admin');
+
+drop policy if exists "dogs_delete_admin" on public.dogs;
+create policy "dogs_delete_admin" on public.dogs
+  for delete to authenticated
+  using (public.auth_role() = 'admin');
+
+-- Sesiones: admin y trainer sobre cualquier perro; handler solo altas de
+-- sus perros asignados; viewer solo lectura
+drop policy if exists "training_sessions_insert" on public.training_sessions;
+create policy "training_sessions_insert" on public.training_sessions
+  for insert to authenticated
+  with check (
+    public.auth_role() in ('admin', 'trainer')
+    or (
+      public.auth_role() = 'handler'
+      and exists (
+        select 1 from public.dog_assignments a
+        where a.dog_id = training_sessions.dog_id
+          and a.profile_id = auth.uid()
+      )
+    )
+  );
+
+drop policy if exists "training_sessions_update" on public.training_sessions;
+create policy "training_sessions_update" on public.training_sessions
+  for update to authenticated
+  using (public.auth_role() in ('admin', 'trainer'))
+  with check (public.auth_role() in ('admin', 'trainer'));
+
+drop policy if exists "training_sessions_delete" on public.training_sessions;
+create policy "training_sessions_delete" on public.training_sessions
+  for delete to authenticated
+  using (public.auth_role() in ('admin', 'trainer'));
@@ -0,0 +1,177 @@
+-- Administración de usuarios desde /admin/users: email y último ingreso en
+-- profiles, invitaciones con rol, desactivación de cuentas y auditoría de
+-- cambios de rol.
+
+alter table public.profiles
+  add column if not exists email text,
+  add column if not exists last_sign_in_at timestamptz,
+  add column if not exists deactivated_at timestamptz;
+
+update public.profiles p
+  set email = u.email, last_sign_in_at = u.last_sign_in_at
+  from auth.users u
+  where u.id = p.id;
+
+-- Invitaciones: fijan el rol con el que se crea el perfil
+create table if not exists public.user_invitations (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  full_name text,
+  role text not null default 'viewer'
+    check (role in ('admin', 'trainer', 'handler', 'viewer')),
+  invited_by uuid references public.profiles (id) on delete set null,
+  invited_at timestamptz not null default now(),
+  accepted_at timestamptz
+);
+
+alter table public.user_invitations enable row level security;
+
+drop policy if exists "user_invitations_admin" on public.user_invitations;
+create policy "user_invitations_admin" on public.user_invitations
+  for all to authenticated
+  using (public.auth_role() = 'admin')
+  with check (public.auth_role() = 'admin');
+
+-- Historial de cambios de rol (solo lo escribe el trigger)
+create table if not exists public.profile_role_changes (
+  id uuid primary key default gen_random_uuid(),
+  profile_id uuid not null references public.profiles (id) on delete cascade,
+  old_role text,
+  new_role text not null,
+  changed_by uuid references public.profiles (id) on delete set null,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists profile_role_changes_profile_idx
+  on public.profile_role_changes (profile_id, changed_at desc);
+
+alter table public.profile_role_changes enable row level security;
+
+drop policy if exists "profile_role_changes_select_admin" on public.profile_role_changes;
+create policy "profile_role_changes_select_admin" on public.profile_role_changes
+  for select to authenticated
+  using (public.auth_role() = 'admin');
+
+-- Las cuentas desactivadas pierden todos los permisos
+create or replace function public.auth_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when p.deactivated_at is not null then null
+    else p.role
+  end
+  from public.profiles p
+  where p.id = auth.uid();
+$$;
+
+-- Perfiles: cada uno ve el suyo; el admin ve y modifica todos
+drop policy if exists "profiles_select_own_or_admin" on public.profiles;
+create policy "profiles_select_own_or_admin" on public.profiles
+  for select to authenticated
+  using (id = auth.uid() or public.auth_role() = 'admin');
+
+drop policy if exists "profiles_update_admin" on public.profiles;
+create policy "profiles_update_admin" on public.profiles
+  for update to authenticated
+  using (public.auth_role() = 'admin')
+  with check (public.auth_role() = 'admin');
+
+-- Alta de perfil al crearse el usuario (invitación o registro)
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invitation public.user_invitations%rowtype;
+begin
+  select * into invitation
+    from public.user_invitations
+    where email = lower(new.email);
+
+  insert into public.profiles (id, email, full_name, role)
+  values (
+    new.id,
+    lower(new.email),
+    invitation.full_name,
+    coalesce(invitation.role, 'viewer')
+  )
+  on conflict (id) do update set email = excluded.email;
+
+  update public.user_invitations
+    set accepted_at = now()
+    where id = invitation.id;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_created on auth.users;
+create trigger on_auth_user_created
+  after insert on auth.users
+  for each row execute function public.handle_new_user();
+
+-- Copia el último ingreso de auth.users al perfil
+create or replace function public.sync_last_sign_in()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.profiles
+    set last_sign_in_at = new.last_sign_in_at
+    where id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_auth_user_signed_in on auth.users;
+create trigger on_auth_user_signed_in
+  after update of last_sign_in_at on auth.users
+  for each row execute function public.sync_last_sign_in();
+
+-- Cambios de rol y desactivación: solo admin, con auditoría y bloqueo de login
+create or replace function public.handle_profile_admin_changes()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.role is distinct from old.role
+     or new.deactivated_at is distinct from old.deactivated_at then
+    -- auth.uid() es null cuando cambia el service role (consola, scripts)
+    if auth.uid() is not null and public.auth_role() is distinct from 'admin' then
+      raise exception 'Solo un administrador puede cambiar roles o desactivar cuentas'
+        using errcode = '42501';
+    end if;
+  end if;
+
+  if new.role is distinct from old.role then
+    insert into public.profile_role_changes (profile_id, old_role, new_role, changed_by)
+    values (new.id, old.role, new.role, auth.uid());
+  end if;
+
+  if new.deactivated_at is distinct from old.deactivated_at then
+    update auth.users
+      set banned_until = case
+        when new.deactivated_at is null then null
+        else 'infinity'::timestamptz
+      end
+      where id = new.id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists on_profile_admin_changes on public.profiles;
+create trigger on_profile_admin_changes
+  before update on public.profiles
+  for each row execute function public.handle_profile_admin_changes();
@@ -0,0 +1,98 @@
+-- Guías (handlers) y binomios guía–perro. Cada sesión registra su guía.
+-- Reemplaza dog_assignments: los perros asignados a un usuario con rol
+-- handler son ahora los de los binomios del guía vinculado a su perfil.
+
+create table if not exists public.handlers (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  profile_id uuid unique references public.profiles (id) on delete set null,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.handler_dogs (
+  id uuid primary key default gen_random_uuid(),
+  handler_id uuid not null references public.handlers (id) on delete cascade,
+  dog_id uuid not null references public.dogs (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (handler_id, dog_id)
+);
+
+create index if not exists handler_dogs_dog_idx on public.handler_dogs (dog_id);
+
+alter table public.training_sessions
+  add column if not exists handler_id uuid
+    references public.handlers (id) on delete set null;
+
+create index if not exists training_sessions_handler_idx
+  on public.training_sessions (handler_id);
+
+-- Migración de las asignaciones existentes
+insert into public.handlers (name, profile_id)
+select distinct coalesce(p.full_name, p.email, 'Guía'), p.id
+from public.dog_assignments a
+join public.profiles p on p.id = a.profile_id
+on conflict (profile_id) do nothing;
+
+insert into public.handler_dogs (handler_id, dog_id)
+select h.id, a.dog_id
+from public.dog_assignments a
+join public.handlers h on h.profile_id = a.profile_id
+on conflict (handler_id, dog_id) do nothing;
+
+-- Perros de los binomios del usuario actual
+create or replace function public.is_assigned_dog(target_dog uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.handler_dogs hd
+    join public.handlers h on h.id = hd.handler_id
+    where hd.dog_id = target_dog
+      and h.profile_id = auth.uid()
+      and h.active
+  );
+$$;
+
+drop policy if exists "training_sessions_insert" on public.training_sessions;
+create policy "training_sessions_insert" on public.training_sessions
+  for insert to authenticated
+  with check (
+    public.auth_role() in ('admin', 'trainer')
+    or (
+      public.auth_role() = 'handler'
+      and public.is_assigned_dog(training_sessions.dog_id)
+    )
+  );
+
+drop table if exists public.dog_assignments;
+
+-- Lectura para cualquier usuario activo; cambios solo admin
+alter table public.handlers enable row level security;
+alter table public.handler_dogs enable row level security;
+
+drop policy if exists "handlers_select" on public.handlers;
+create policy "handlers_select" on public.handlers
+  for select to authenticated
+  using (public.auth_role() is not null);
+
+drop policy if exists "handlers_write_admin" on public.handlers;
+create policy "handlers_write_admin" on public.handlers
+  for all to authenticated
+  using (public.auth_role() = 'admin')
+  with check (public.auth_role() = 'admin');
+
+drop policy if exists "handler_dogs_select" on public.handler_dogs;
+create policy "handler_dogs_select" on public.handler_dogs
+  for select to authenticated
+  using (public.auth_role() is not null);
+
+drop policy if exists "handler_dogs_write_admin" on public.handler_dogs;
+create policy "handler_dogs_write_admin" on public.handler_dogs
+  for all to authenticated
+  using (public.auth_role() = 'admin')
+  with check (public.auth_role() = 'admin');
@@ -0,0 +1,216 @@
+-- Varias unidades K-9 en un mismo despliegue. Perros, sesiones y perfiles
+-- pertenecen a una unidad; cada usuario ve solo la suya salvo que tenga
+-- acceso a todas (cross_unit).
+
+create table if not exists public.units (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique,
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+insert into public.units (code, name)
+values ('PRINCIPAL', 'Unidad principal')
+on conflict (code) do nothing;
+
+alter table public.profiles
+  add column if not exists unit_id uuid references public.units (id) on delete set null,
+  add column if not exists cross_unit boolean not null default false;
+
+alter table public.dogs
+  add column if not exists unit_id uuid references public.units (id) on delete restrict;
+
+alter table public.training_sessions
+  add column if not exists unit_id uuid references public.units (id) on delete restrict;
+
+alter table public.user_invitations
+  add column if not exists unit_id uuid references public.units (id) on delete set null;
+
+-- Los datos existentes quedan en la unidad principal
+update public.profiles
+  set unit_id = (select id from public.units where code = 'PRINCIPAL')
+  where unit_id is null;
+
+update public.dogs
+  set unit_id = (select id from public.units where code = 'PRINCIPAL')
+  where unit_id is null;
+
+update public.training_sessions s
+  set unit_id = d.unit_id
+  from public.dogs d
+  where d.id = s.dog_id and s.unit_id is null;
+
+alter table public.dogs alter column unit_id set not null;
+alter table public.training_sessions alter column unit_id set not null;
+
+create index if not exists dogs_unit_idx on public.dogs (unit_id);
+create index if not exists training_sessions_unit_idx
+  on public.training_sessions (unit_id, started_at);
+
+-- Unidad del usuario autenticado y acceso a todas las unidades
+create or replace function public.auth_unit()
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select unit_id from public.profiles where id = auth.uid();
+$$;
+
+create or replace function public.has_cross_unit()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select cross_unit and deactivated_at is null
+      from public.profiles where id = auth.uid()),
+    false
+  );
+$$;
+
+create or replace function public.can_access_unit(target_unit uuid)
+returns boolean
+language sql
+stable
+as $$
+  select public.has_cross_unit() or target_unit = public.auth_unit();
+$$;
+
+-- Las sesiones heredan la unidad del perro
+create or replace function public.set_session_unit()
+returns trigger
+language plpgsql
+as $$
+begin
+  select unit_id into new.unit_id from public.dogs where id = new.dog_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_training_session_unit on public.training_sessions;
+create trigger on_training_session_unit
+  before insert or update of dog_id on public.training_sessions
+  for each row execute function public.set_session_unit();
+
+-- Si el perro cambia de unidad, su historial lo acompaña
+create or replace function public.propagate_dog_unit()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.training_sessions
+    set unit_id = new.unit_id
+    where dog_id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_dog_unit_changed on public.dogs;
+create trigger on_dog_unit_changed
+  after update of unit_id on public.dogs
+  for each row
+  when (new.unit_id is distinct from old.unit_id)
+  execute function public.propagate_dog_unit();
+
+-- Alcance por unidad: políticas restrictivas, se suman (AND) a las de rol
+alter table public.units enable row level security;
+
+drop policy if exists "units_select" on public.units;
+create policy "units_select" on public.units
+  for select to authenticated
+  using (public.auth_role() is not null);
+
+drop policy if exists "units_write_admin" on public.units;
+create policy "units_write_admin" on public.units
+  for all to authenticated
+  using (public.auth_role() = 'admin' and public.has_cross_unit())
+  with check (public.auth_role() = 'admin' and public.has_cross_unit());
+
+drop policy if exists "dogs_unit_scope" on public.dogs;
+create policy "dogs_unit_scope" on public.dogs
+  as restrictive
+  for all to authenticated
+  using (public.can_access_unit(unit_id))
+  with check (public.can_access_unit(unit_id));
+
+drop policy if exists "training_sessions_unit_scope" on public.training_sessions;
+create policy "training_sessions_unit_scope" on public.training_sessions
+  as restrictive
+  for all to authenticated
+  using (public.can_access_unit(unit_id))
+  with check (public.can_access_unit(unit_id));
+
+-- Alta de perfil con la unidad de la invitación
+create or replace function public.handle_new_user()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invitation public.user_invitations%rowtype;
+begin
+  select * into invitation
+    from public.user_invitations
+    where email = lower(new.email);
+
+  insert into public.profiles (id, email, full_name, role, unit_id)
+  values (
+    new.id,
+    lower(new.email),
+    invitation.full_name,
+    coalesce(invitation.role, 'viewer'),
+    invitation.unit_id
+  )
+  on conflict (id) do update set email = excluded.email;
+
+  update public.user_invitations
+    set accepted_at = now()
+    where id = invitation.id;
+
+  return new;
+end;
+$$;
+
+-- Cambios de rol, unidad o desactivación: solo admin, con auditoría de rol
+create or replace function public.handle_profile_admin_changes()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.role is distinct from old.role
+     or new.deactivated_at is distinct from old.deactivated_at
+     or new.unit_id is distinct from old.unit_id
+     or new.cross_unit is distinct from old.cross_unit then
+    -- auth.uid() es null cuando cambia el service role (consola, scripts)
+    if auth.uid() is not null and public.auth_role() is distinct from 'admin' then
+      raise exception 'Solo un administrador puede cambiar roles, unidades o desactivar cuentas'
+        using errcode = '42501';
+    end if;
+  end if;
+
+  if new.role is distinct from old.role then
+    insert into public.profile_role_changes (profile_id, old_role, new_role, changed_by)
+    values (new.id, old.role, new.role, auth.uid());
+  end if;
+
+  if new.deactivated_at is distinct from old.deactivated_at then
+    update auth.users
+      set banned_until = case
+        when new.deactivated_at is null then null
+        else 'infinity'::timestamptz
+      end
+      where id = new.id;
+  end if;
+
+  return new;
+end;
+$$;
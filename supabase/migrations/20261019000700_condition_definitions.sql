@@ -0,0 +1,45 @@
+-- Esquema configurable de condiciones ambientales. Las sesiones siguen
+-- guardando los valores en training_sessions.conditions (jsonb) bajo la
+-- clave de cada definición; desactivar una condición no borra su historial.
+
+create table if not exists public.condition_definitions (
+  id uuid primary key default gen_random_uuid(),
+  key text not null unique check (key ~ '^[a-z][a-z0-9_]*$'),
+  label text not null,
+  unit text,
+  type text not null default 'numeric' check (type in ('numeric', 'categorical')),
+  min double precision,
+  max double precision,
+  options text[],
+  sort_order integer not null default 0,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check (min is null or max is null or min <= max)
+);
+
+-- Las cuatro condiciones históricas más las nuevas de uso habitual
+insert into public.condition_definitions (key, label, unit, type, min, max, options, sort_order)
+values
+  ('temp', 'Temperatura', '°C', 'numeric', -30, 60, null, 10),
+  ('wind', 'Viento', 'km/h', 'numeric', 0, 150, null, 20),
+  ('press', 'Presión', 'hPa', 'numeric', 850, 1100, null, 30),
+  ('hum', 'Humedad', '%', 'numeric', 0, 100, null, 40),
+  ('surface', 'Superficie', null, 'categorical', null, null,
+    array['Pasto', 'Tierra', 'Asfalto', 'Arena', 'Interior'], 50),
+  ('hide_age_min', 'Tiempo desde la colocación', 'min', 'numeric', 0, 10080, null, 60),
+  ('odor_g', 'Cantidad de olor', 'g', 'numeric', 0, 5000, null, 70),
+  ('elevation', 'Elevación', 'm', 'numeric', -100, 5000, null, 80)
+on conflict (key) do nothing;
+
+alter table public.condition_definitions enable row level security;
+
+drop policy if exists "condition_definitions_select" on public.condition_definitions;
+create policy "condition_definitions_select" on public.condition_definitions
+  for select to authenticated
+  using (public.auth_role() is not null);
+
+drop policy if exists "condition_definitions_write_admin" on public.condition_definitions;
+create policy "condition_definitions_write_admin" on public.condition_definitions
+  for all to authenticated
+  using (public.auth_role() = 'admin')
+  with check (public.auth_role() = 'admin');
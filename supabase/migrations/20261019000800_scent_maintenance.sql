@@ -0,0 +1,23 @@
+-- Intervalos de mantenimiento por sustancia: cada perro debe trabajar cada
+-- olor que conoce dentro de ese plazo (reglas de certificación). Las
+-- sustancias sin fila usan el intervalo predeterminado de la app.
+
+create table if not exists public.scent_maintenance_intervals (
+  id uuid primary key default gen_random_uuid(),
+  scent text not null unique,
+  interval_days integer not null check (interval_days > 0),
+  created_at timestamptz not null default now()
+);
+
+alter table public.scent_maintenance_intervals enable row level security;
+
+drop policy if exists "scent_maintenance_intervals_select" on public.scent_maintenance_intervals;
+create policy "scent_maintenance_intervals_select" on public.scent_maintenance_intervals
+  for select to authenticated
+  using (public.auth_role() is not null);
+
+drop policy if exists "scent_maintenance_intervals_write_admin" on public.scent_maintenance_intervals;
+create policy "scent_maintenance_intervals_write_admin" on public.scent_maintenance_intervals
+  for all to authenticated
+  using (public.auth_role() = 'admin')
+  with check (public.auth_role() = 'admin');
@@ -0,0 +1,104 @@
+-- Sesiones planificadas (calendario de entrenamiento). Un plan se convierte
+-- en sesión registrada: session_id apunta a la sesión que lo cumplió.
+
+create table if not exists public.training_plans (
+  id uuid primary key default gen_random_uuid(),
+  unit_id uuid not null references public.units (id) on delete restrict,
+  dog_id uuid not null references public.dogs (id) on delete cascade,
+  handler_id uuid references public.handlers (id) on delete set null,
+  scent text,
+  location text,
+  planned_at timestamptz not null,
+  duration_min integer check (duration_min is null or duration_min > 0),
+  notes text,
+  session_id uuid references public.training_sessions (id) on delete set null,
+  created_by uuid references public.profiles (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists training_plans_unit_idx
+  on public.training_plans (unit_id, planned_at);
+create index if not exists training_plans_dog_idx
+  on public.training_plans (dog_id);
+
+-- Igual que las sesiones, el plan hereda la unidad del perro
+drop trigger if exists on_training_plan_unit on public.training_plans;
+create trigger on_training_plan_unit
+  before insert or update of dog_id on public.training_plans
+  for each row execute function public.set_session_unit();
+
+create or replace function public.propagate_dog_unit()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.training_sessions
+    set unit_id = new.unit_id
+    where dog_id = new.id;
+  update public.training_plans
+    set unit_id = new.unit_id
+    where dog_id = new.id;
+  return new;
+end;
+$$;
+
+-- Un guía solo puede marcar el plan como cumplido: cualquier otro cambio
+-- queda para entrenadores y admins
+create or replace function public.guard_training_plan_handler()
+returns trigger
+language plpgsql
+as $$
+begin
+  if public.auth_role() = 'handler'
+     and (new.unit_id, new.dog_id, new.handler_id, new.scent, new.location,
+          new.planned_at, new.duration_min, new.notes, new.created_by, new.created_at)
+       is distinct from
+         (old.unit_id, old.dog_id, old.handler_id, old.scent, old.location,
+          old.planned_at, old.duration_min, old.notes, old.created_by, old.created_at) then
+    raise exception 'Un guía solo puede vincular el plan a su sesión'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_training_plan_update on public.training_plans;
+create trigger on_training_plan_update
+  before update on public.training_plans
+  for each row execute function public.guard_training_plan_handler();
+
+alter table public.training_plans enable row level security;
+
+drop policy if exists "training_plans_select" on public.training_plans;
+create policy "training_plans_select" on public.training_plans
+  for select to authenticated
+  using (public.auth_role() is not null);
+
+drop policy if exists "training_plans_write" on public.training_plans;
+create policy "training_plans_write" on public.training_plans
+  for all to authenticated
+  using (public.auth_role() in ('admin', 'trainer'))
+  with check (public.auth_role() in ('admin', 'trainer'));
+
+-- El guía que registra la sesión de un perro suyo marca el plan como cumplido
+-- (el trigger limita el cambio a session_id)
+drop policy if exists "training_plans_complete_handler" on public.training_plans;
+create policy "training_plans_complete_handler" on public.training_plans
+  for update to authenticated
+  using (
+    public.auth_role() = 'handler'
+    and public.is_assigned_dog(training_plans.dog_id)
+  )
+  with check (
+    public.auth_role() = 'handler'
+    and public.is_assigned_dog(training_plans.dog_id)
+  );
+
+drop policy if exists "training_plans_unit_scope" on public.training_plans;
+create policy "training_plans_unit_scope" on public.training_plans
+  as restrictive
+  for all to authenticated
+  using (public.can_access_unit(unit_id))
+  with check (public.can_access_unit(unit_id));
@@ -0,0 +1,324 @@
+-- Pruebas ciegas y doble ciego. La app sortea en qué contenedores (o áreas)
+-- va el olor, incluidas pasadas en blanco; las colocaciones quedan selladas
+-- para el guía, que solo registra las marcas. Al cerrar la pasada un trigger
+-- puntúa cada contenedor como una training_session (VP/FP/FN/VN) y recién
+-- entonces las colocaciones son visibles para todos.
+
+create table if not exists public.blind_trials (
+  id uuid primary key default gen_random_uuid(),
+  unit_id uuid not null references public.units (id) on delete restrict,
+  dog_id uuid not null references public.dogs (id) on delete cascade,
+  handler_id uuid references public.handlers (id) on delete set null,
+  scent text,
+  protocol text not null default 'double_blind'
+    check (protocol in ('blind', 'double_blind')),
+  status text not null default 'setup'
+    check (status in ('setup', 'sealed', 'closed')),
+  container_count integer not null check (container_count > 0),
+  created_by uuid references public.profiles (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now(),
+  sealed_at timestamptz,
+  closed_at timestamptz
+);
+
+create table if not exists public.blind_trial_containers (
+  id uuid primary key default gen_random_uuid(),
+  trial_id uuid not null references public.blind_trials (id) on delete cascade,
+  position integer not null,
+  label text not null,
+  indicated boolean not null default false,
+  session_id uuid references public.training_sessions (id) on delete set null,
+  unique (trial_id, position)
+);
+
+-- Separada de los contenedores para poder sellarla con RLS
+create table if not exists public.blind_trial_placements (
+  id uuid primary key default gen_random_uuid(),
+  trial_id uuid not null references public.blind_trials (id) on delete cascade,
+  container_id uuid not null unique
+    references public.blind_trial_containers (id) on delete cascade,
+  has_hide boolean not null
+);
+
+create index if not exists blind_trials_unit_idx
+  on public.blind_trials (unit_id, created_at);
+create index if not exists blind_trial_placements_trial_idx
+  on public.blind_trial_placements (trial_id);
+
+drop trigger if exists on_blind_trial_unit on public.blind_trials;
+create trigger on_blind_trial_unit
+  before insert or update of dog_id on public.blind_trials
+  for each row execute function public.set_session_unit();
+
+create or replace function public.propagate_dog_unit()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.training_sessions
+    set unit_id = new.unit_id
+    where dog_id = new.id;
+  update public.training_plans
+    set unit_id = new.unit_id
+    where dog_id = new.id;
+  update public.blind_trials
+    set unit_id = new.unit_id
+    where dog_id = new.id;
+  return new;
+end;
+$$;
+
+-- Estados: setup -> sealed -> closed, sin vuelta atrás. Solo quien preparó
+-- la prueba la sella y nada cambia una vez sellada salvo el cierre.
+create or replace function public.guard_blind_trial()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.status = 'closed' then
+    raise exception 'La prueba ya está cerrada' using errcode = '42501';
+  end if;
+
+  if old.status <> 'setup'
+     and (new.dog_id, new.handler_id, new.scent, new.protocol, new.container_count)
+       is distinct from
+         (old.dog_id, old.handler_id, old.scent, old.protocol, old.container_count) then
+    raise exception 'La prueba ya está sellada' using errcode = '42501';
+  end if;
+
+  if new.status is distinct from old.status then
+    if old.status = 'setup' and new.status = 'sealed' then
+      if auth.uid() is not null and auth.uid() is distinct from old.created_by then
+        raise exception 'Solo quien preparó la prueba puede sellarla'
+          using errcode = '42501';
+      end if;
+      new.sealed_at := now();
+    elsif old.status = 'sealed' and new.status = 'closed' then
+      new.closed_at := now();
+    else
+      raise exception 'Cambio de estado no permitido' using errcode = '42501';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists on_blind_trial_update on public.blind_trials;
+create trigger on_blind_trial_update
+  before update on public.blind_trials
+  for each row execute function public.guard_blind_trial();
+
+-- Puntuación al cerrar: una sesión por contenedor. security definer porque
+-- el guía no puede leer las colocaciones. Las filas llevan type.blind_trial_id
+-- y la app las excluye de las estadísticas de búsqueda.
+create or replace function public.score_blind_trial()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  c record;
+  scored_session uuid;
+begin
+  for c in
+    select bc.id, bc.label, bc.indicated, coalesce(p.has_hide, false) as has_hide
+    from public.blind_trial_containers bc
+    left join public.blind_trial_placements p on p.container_id = bc.id
+    where bc.trial_id = new.id
+    order by bc.position
+  loop
+    insert into public.training_sessions (dog_id, handler_id, result, started_at, type)
+    values (
+      new.dog_id,
+      new.handler_id,
+      case
+        when c.has_hide and c.indicated then 'true_positive'
+        when c.has_hide then 'false_negative'
+        when c.indicated then 'false_positive'
+        else 'true_negative'
+      end,
+      new.closed_at,
+      jsonb_build_object(
+        'scent', new.scent,
+        'blind_trial_id', new.id,
+        'container', c.label,
+        'protocol', new.protocol
+      )
+    )
+    returning id into scored_session;
+
+    update public.blind_trial_containers
+      set session_id = scored_session
+      where id = c.id;
+  end loop;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_blind_trial_closed on public.blind_trials;
+create trigger on_blind_trial_closed
+  after update of status on public.blind_trials
+  for each row
+  when (old.status = 'sealed' and new.status = 'closed')
+  execute function public.score_blind_trial();
+
+-- Con la prueba sellada solo se registra la marca de cada contenedor; el
+-- vínculo con la sesión lo pone la puntuación al cerrar.
+create or replace function public.guard_blind_trial_container()
+returns trigger
+language plpgsql
+as $$
+declare
+  trial_status text;
+begin
+  if (new.trial_id, new.position, new.label)
+       is distinct from (old.trial_id, old.position, old.label) then
+    raise exception 'El contenedor no se puede modificar' using errcode = '42501';
+  end if;
+
+  select status into trial_status
+    from public.blind_trials
+    where id = old.trial_id;
+
+  if new.indicated is distinct from old.indicated
+     and trial_status is distinct from 'sealed' then
+    raise exception 'Las marcas solo se registran con la prueba sellada'
+      using errcode = '42501';
+  end if;
+
+  if new.session_id is distinct from old.session_id
+     and trial_status is distinct from 'closed' then
+    raise exception 'La prueba todavía no está cerrada' using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists on_blind_trial_container_update on public.blind_trial_containers;
+create trigger on_blind_trial_container_update
+  before update on public.blind_trial_containers
+  for each row execute function public.guard_blind_trial_container();
+
+alter table public.blind_trials enable row level security;
+alter table public.blind_trial_containers enable row level security;
+alter table public.blind_trial_placements enable row level security;
+
+drop policy if exists "blind_trials_select" on public.blind_trials;
+create policy "blind_trials_select" on public.blind_trials
+  for select to authenticated
+  using (public.auth_role() is not null);
+
+drop policy if exists "blind_trials_write" on public.blind_trials;
+create policy "blind_trials_write" on public.blind_trials
+  for all to authenticated
+  using (public.auth_role() in ('admin', 'trainer'))
+  with check (public.auth_role() in ('admin', 'trainer'));
+
+-- El guía del perro cierra la pasada (el trigger impide cualquier otro cambio)
+drop policy if exists "blind_trials_close_handler" on public.blind_trials;
+create policy "blind_trials_close_handler" on public.blind_trials
+  for update to authenticated
+  using (
+    public.auth_role() = 'handler'
+    and status = 'sealed'
+    and public.is_assigned_dog(blind_trials.dog_id)
+  )
+  with check (
+    public.auth_role() = 'handler'
+    and public.is_assigned_dog(blind_trials.dog_id)
+  );
+
+drop policy if exists "blind_trials_unit_scope" on public.blind_trials;
+create policy "blind_trials_unit_scope" on public.blind_trials
+  as restrictive
+  for all to authenticated
+  using (public.can_access_unit(unit_id))
+  with check (public.can_access_unit(unit_id));
+
+-- Contenedores: visibles para todos; se crean en la preparación y las
+-- marcas se registran con la prueba sellada
+drop policy if exists "blind_trial_containers_select" on public.blind_trial_containers;
+create policy "blind_trial_containers_select" on public.blind_trial_containers
+  for select to authenticated
+  using (
+    exists (select 1 from public.blind_trials t where t.id = trial_id)
+  );
+
+drop policy if exists "blind_trial_containers_insert" on public.blind_trial_containers;
+create policy "blind_trial_containers_insert" on public.blind_trial_containers
+  for insert to authenticated
+  with check (
+    public.auth_role() in ('admin', 'trainer')
+    and exists (
+      select 1 from public.blind_trials t
+      where t.id = trial_id and t.status = 'setup'
+    )
+  );
+
+drop policy if exists "blind_trial_containers_indicate" on public.blind_trial_containers;
+create policy "blind_trial_containers_indicate" on public.blind_trial_containers
+  for update to authenticated
+  using (
+    exists (
+      select 1 from public.blind_trials t
+      where t.id = trial_id
+        and t.status = 'sealed'
+        and (
+          public.auth_role() in ('admin', 'trainer')
+          or (public.auth_role() = 'handler' and public.is_assigned_dog(t.dog_id))
+        )
+    )
+  )
+  with check (
+    exists (
+      select 1 from public.blind_trials t
+      where t.id = trial_id
+        and t.status = 'sealed'
+        and (
+          public.auth_role() in ('admin', 'trainer')
+          or (public.auth_role() = 'handler' and public.is_assigned_dog(t.dog_id))
+        )
+    )
+  );
+
+-- Colocaciones: solo quien las preparó mientras no se sellan (o durante la
+-- pasada si el protocolo es ciego simple); para el resto, al cerrar
+drop policy if exists "blind_trial_placements_select" on public.blind_trial_placements;
+create policy "blind_trial_placements_select" on public.blind_trial_placements
+  for select to authenticated
+  using (
+    exists (
+      select 1 from public.blind_trials t
+      where t.id = trial_id
+        and (
+          t.status = 'closed'
+          or (
+            t.created_by = auth.uid()
+            and (t.status = 'setup' or t.protocol = 'blind')
+          )
+        )
+    )
+  );
+
+drop policy if exists "blind_trial_placements_write" on public.blind_trial_placements;
+create policy "blind_trial_placements_write" on public.blind_trial_placements
+  for all to authenticated
+  using (
+    public.auth_role() in ('admin', 'trainer')
+    and exists (
+      select 1 from public.blind_trials t
+      where t.id = trial_id and t.status = 'setup' and t.created_by = auth.uid()
+    )
+  )
+  with check (
+    public.auth_role() in ('admin', 'trainer')
+    and exists (
+      select 1 from public.blind_trials t
+      where t.id = trial_id and t.status = 'setup' and t.created_by = auth.uid()
+    )
+  );
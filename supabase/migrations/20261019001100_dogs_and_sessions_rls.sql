@@ -0,0 +1,44 @@
+-- RLS en perros y sesiones. Las políticas de 20261019000300 en adelante no
+-- protegían nada mientras RLS siguiera apagado en estas tablas, y las
+-- permisivas del esquema inicial ("authenticated puede todo") se sumaban a
+-- las de la matriz. Se descartan todas las que no son de estas migraciones.
+
+alter table public.dogs enable row level security;
+alter table public.training_sessions enable row level security;
+
+do $$
+declare
+  pol record;
+begin
+  for pol in
+    select policyname, tablename
+    from pg_policies
+    where schemaname = 'public'
+      and tablename in ('dogs', 'training_sessions')
+      and policyname not in (
+        'dogs_insert_admin',
+        'dogs_update_admin',
+        'dogs_delete_admin',
+        'dogs_unit_scope',
+        'training_sessions_insert',
+        'training_sessions_update',
+        'training_sessions_delete',
+        'training_sessions_unit_scope'
+      )
+  loop
+    execute format('drop policy %I on public.%I', pol.policyname, pol.tablename);
+  end loop;
+end;
+$$;
+
+-- Lectura para cualquier usuario activo (la unidad la acotan las políticas
+-- restrictivas de 20261019000600)
+drop policy if exists "dogs_select" on public.dogs;
+create policy "dogs_select" on public.dogs
+  for select to authenticated
+  using (public.auth_role() is not null);
+
+drop policy if exists "training_sessions_select" on public.training_sessions;
+create policy "training_sessions_select" on public.training_sessions
+  for select to authenticated
+  using (public.auth_role() is not null);
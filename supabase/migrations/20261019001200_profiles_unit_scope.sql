@@ -0,0 +1,62 @@
+-- Aislamiento entre unidades en la administración de usuarios. Un admin sin
+-- acceso a todas las unidades solo ve y modifica perfiles e invitaciones de
+-- su unidad, y solo quien ya tiene cross_unit reparte unidades o cross_unit.
+
+drop policy if exists "profiles_unit_scope" on public.profiles;
+create policy "profiles_unit_scope" on public.profiles
+  as restrictive
+  for all to authenticated
+  using (id = auth.uid() or public.can_access_unit(unit_id))
+  with check (id = auth.uid() or public.can_access_unit(unit_id));
+
+drop policy if exists "user_invitations_unit_scope" on public.user_invitations;
+create policy "user_invitations_unit_scope" on public.user_invitations
+  as restrictive
+  for all to authenticated
+  using (public.can_access_unit(unit_id))
+  with check (public.can_access_unit(unit_id));
+
+create or replace function public.handle_profile_admin_changes()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.role is distinct from old.role
+     or new.deactivated_at is distinct from old.deactivated_at
+     or new.unit_id is distinct from old.unit_id
+     or new.cross_unit is distinct from old.cross_unit then
+    -- auth.uid() es null cuando cambia el service role (consola, scripts)
+    if auth.uid() is not null and public.auth_role() is distinct from 'admin' then
+      raise exception 'Solo un administrador puede cambiar roles, unidades o desactivar cuentas'
+        using errcode = '42501';
+    end if;
+  end if;
+
+  -- Sin esto un admin de una unidad podía darse acceso a todas
+  if (new.unit_id is distinct from old.unit_id
+      or new.cross_unit is distinct from old.cross_unit)
+     and auth.uid() is not null
+     and not public.has_cross_unit() then
+    raise exception 'Solo un administrador con acceso a todas las unidades puede cambiar unidades'
+      using errcode = '42501';
+  end if;
+
+  if new.role is distinct from old.role then
+    insert into public.profile_role_changes (profile_id, old_role, new_role, changed_by)
+    values (new.id, old.role, new.role, auth.uid());
+  end if;
+
+  if new.deactivated_at is distinct from old.deactivated_at then
+    update auth.users
+      set banned_until = case
+        when new.deactivated_at is null then null
+        else 'infinity'::timestamptz
+      end
+      where id = new.id;
+  end if;
+
+  return new;
+end;
+$$;
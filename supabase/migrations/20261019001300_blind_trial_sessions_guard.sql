@@ -0,0 +1,24 @@
+-- Las sesiones puntuadas al cerrar una prueba ciega (type.blind_trial_id)
+-- son de solo lectura: editarlas borraba los datos de la prueba y las
+-- devolvía a las estadísticas como búsquedas comunes. Solo acompañan al
+-- perro si cambia de unidad (propagate_dog_unit).
+
+create or replace function public.guard_blind_trial_session()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.type ? 'blind_trial_id'
+     and auth.uid() is not null
+     and to_jsonb(new) - 'unit_id' is distinct from to_jsonb(old) - 'unit_id' then
+    raise exception 'Las sesiones de una prueba ciega no se pueden editar'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists on_blind_trial_session_update on public.training_sessions;
+create trigger on_blind_trial_session_update
+  before update on public.training_sessions
+  for each row execute function public.guard_blind_trial_session();